@@ -15,33 +15,66 @@
  */
 
 import {
-  S3Client,
   CreateBucketCommand,
   HeadBucketCommand,
   DeleteBucketCommand,
   PutObjectCommand,
   HeadObjectCommand,
+  GetObjectAttributesCommand,
   DeleteObjectCommand,
   CreateMultipartUploadCommand,
   UploadPartCommand,
   CompleteMultipartUploadCommand,
   AbortMultipartUploadCommand,
+  ListPartsCommand,
   ListObjectsV2Command,
   ListBucketsCommand,
   GetObjectCommand,
   CopyObjectCommand,
+  UploadPartCopyCommand,
+  GetObjectTaggingCommand,
+  GetObjectAclCommand,
+  PutObjectAclCommand,
   DeleteObjectsCommand,
   PutBucketEncryptionCommand,
   GetBucketEncryptionCommand,
   PutBucketCorsCommand,
-  GetBucketCorsCommand,
   PutPublicAccessBlockCommand,
   GetPublicAccessBlockCommand,
+  GetBucketLifecycleConfigurationCommand,
+  PutBucketLifecycleConfigurationCommand,
+  DeleteBucketLifecycleCommand,
+  GetBucketVersioningCommand,
+  PutBucketVersioningCommand,
+  ListObjectVersionsCommand,
+  GetObjectLockConfigurationCommand,
+  PutObjectLockConfigurationCommand,
+  PutObjectRetentionCommand,
+  SelectObjectContentCommand,
   GetBucketPolicyCommand,
+  PutBucketPolicyCommand,
+  DeleteBucketPolicyCommand,
+  GetBucketNotificationConfigurationCommand,
+  PutBucketNotificationConfigurationCommand,
 } from "@aws-sdk/client-s3";
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
-import { SafeUtils, ErrorHandler, Logger, DateTime } from "../utils/index.js";
+import { createPresignedPost } from "@aws-sdk/s3-presigned-post";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import zlib from "zlib";
+import { SafeUtils, ErrorHandler, Logger, DateTime, MimeTypes, Checksum } from "../utils/index.js";
 import SecretsManager from "./SecretsManager.js";
+import S3CheckpointStore from "./S3CheckpointStore.js";
+import S3MetadataCache from "./S3MetadataCache.js";
+import S3ClientRegistry from "./S3ClientRegistry.js";
+import S3SecurityAudit from "./S3SecurityAudit.js";
+import S3EnvelopeEncryption from "./S3EnvelopeEncryption.js";
+import S3SelectQuery from "./S3SelectQuery.js";
+import S3StorageReport from "./S3StorageReport.js";
+import S3EventParser from "./S3EventParser.js";
 import dotenv from "dotenv";
 dotenv.config();
 
@@ -61,6 +94,9 @@ class AwsS3 {
   // Configuration Constants
   /** @type {number} Default presigned URL expiration time in seconds (5 minutes) */
   static DEFAULT_PRESIGNED_URL_EXPIRY = 300;
+
+  /** @type {number} Maximum presigned URL/POST lifetime in seconds (7 days, SigV4 limit) */
+  static MAX_PRESIGNED_URL_EXPIRY = 604800;
   
   /** @type {number} Maximum S3 client connection timeout in milliseconds */
   static CONNECTION_TIMEOUT = 5000;
@@ -74,11 +110,140 @@ class AwsS3 {
   /** @type {number} Maximum concurrent connections to S3 */
   static MAX_SOCKETS = 50;
 
-  /** @type {S3Client|null} AWS S3 client instance (singleton pattern) */
+  /** @type {number} Base delay for part retry backoff in milliseconds */
+  static BASE_RETRY_DELAY_MS = 200;
+
+  /** @type {number} Size below which uploadLarge falls back to a single PutObject (16MB) */
+  static MULTIPART_THRESHOLD = 16 * 1024 * 1024;
+
+  /** @type {number} Default multipart part size in bytes (8MB) */
+  static DEFAULT_PART_SIZE = 8 * 1024 * 1024;
+
+  /** @type {number} Minimum part size accepted by S3 (5MB, last part excluded) */
+  static MIN_PART_SIZE = 5 * 1024 * 1024;
+
+  /** @type {number} Maximum number of parts in a single multipart upload */
+  static MAX_PARTS = 10000;
+
+  /** @type {number} Default number of parts uploaded in parallel */
+  static DEFAULT_UPLOAD_CONCURRENCY = 4;
+
+  /** @type {number} Maximum keys accepted by a single DeleteObjects request */
+  static DELETE_BATCH_SIZE = 1000;
+
+  /** @type {number} Default number of DeleteObjects batches sent in parallel */
+  static DEFAULT_DELETE_CONCURRENCY = 2;
+
+  /** @type {number} Default number of files transferred in parallel by syncUp/syncDown */
+  static DEFAULT_SYNC_CONCURRENCY = 4;
+
+  /** @type {number} Largest object a single CopyObject request can copy (5GB) */
+  static MAX_COPY_OBJECT_SIZE = 5 * 1024 * 1024 * 1024;
+
+  /** @type {number} Default part size for multipart copies (64MB) */
+  static DEFAULT_COPY_PART_SIZE = 64 * 1024 * 1024;
+
+  /** @type {number} Default number of objects (or parts) copied in parallel */
+  static DEFAULT_COPY_CONCURRENCY = 4;
+
+  /** @type {string[]} Metadata/tagging directives accepted by copy options */
+  static COPY_DIRECTIVES = ["COPY", "REPLACE"];
+
+  /** @type {string[]} Canned ACLs accepted for copy destinations */
+  static CANNED_ACLS = [
+    "private",
+    "public-read",
+    "public-read-write",
+    "authenticated-read",
+    "aws-exec-read",
+    "bucket-owner-read",
+    "bucket-owner-full-control",
+  ];
+
+  /** @type {number} Maximum number of tags on a single object */
+  static MAX_OBJECT_TAGS = 10;
+
+  /** @type {string[]} Storage classes accepted by upload options */
+  static STORAGE_CLASSES = [
+    "STANDARD",
+    "REDUCED_REDUNDANCY",
+    "STANDARD_IA",
+    "ONEZONE_IA",
+    "INTELLIGENT_TIERING",
+    "GLACIER",
+    "GLACIER_IR",
+    "DEEP_ARCHIVE",
+    "EXPRESS_ONEZONE",
+  ];
+
+  /** @type {string[]} Server-side encryption algorithms accepted by upload options */
+  static SSE_ALGORITHMS = ["AES256", "aws:kms", "aws:kms:dsse"];
+
+  /** @type {string[]} Storage classes accepted as lifecycle transition targets */
+  static LIFECYCLE_STORAGE_CLASSES = [
+    "STANDARD_IA",
+    "ONEZONE_IA",
+    "INTELLIGENT_TIERING",
+    "GLACIER_IR",
+    "GLACIER",
+    "DEEP_ARCHIVE",
+  ];
+
+  /** @type {string[]} Object Lock retention modes */
+  static OBJECT_LOCK_MODES = ["GOVERNANCE", "COMPLIANCE"];
+
+  /** @type {string} IAM policy language version used for bucket policies */
+  static POLICY_VERSION = "2012-10-17";
+
+  /** @type {string[]} Statement types accepted by buildPolicyStatements */
+  static POLICY_STATEMENT_TYPES = ["denyInsecureTransport", "restrictToVpcEndpoint", "allowCloudFront", "grantRead"];
+
+  /** @type {string[]} Event notification destinations accepted by buildNotificationRule */
+  static NOTIFICATION_DESTINATIONS = ["sqs", "sns", "lambda", "eventbridge"];
+
+  /** @type {string[]} Input formats accepted by selectObject */
+  static SELECT_INPUT_FORMATS = ["CSV", "JSON"];
+
+  /** @type {string[]} Output formats produced by selectObject */
+  static SELECT_OUTPUT_FORMATS = ["JSON", "CSV"];
+
+  /** @type {string[]} Input compression types accepted by selectObject */
+  static SELECT_COMPRESSION_TYPES = ["NONE", "GZIP", "BZIP2"];
+
+  /** @type {string[]} selectObject engines: S3 Select with local fallback, S3 Select only, or local only */
+  static SELECT_ENGINES = ["auto", "s3", "local"];
+
+  /** @type {S3Client|null} Default AWS S3 client (region from the latest init call) */
   static client = null;
+
+  /** @type {string|null} Region of the default client */
+  static defaultRegion = null;
+
+  /** @type {S3ClientRegistry} Clients per region/profile/role plus discovered bucket regions */
+  static registry = new S3ClientRegistry(
+    {
+      // Production-ready configuration with connection pooling
+      maxAttempts: AwsS3.MAX_RETRY_ATTEMPTS,
+      retryMode: "adaptive",
+      requestTimeout: AwsS3.REQUEST_TIMEOUT,
+      connectionTimeout: AwsS3.CONNECTION_TIMEOUT,
+      maxSockets: AwsS3.MAX_SOCKETS,
+      keepAlive: true,
+    },
+    (region) => AwsS3.getCredentials(region)
+  );
+
+  /** @type {Map<string, Object>} Bucket name → client scope ({region, profile, roleArn}) */
+  static bucketScopes = new Map();
   
-  /** @type {Object} Performance cache for buckets and objects metadata */
-  static cache = { buckets: new Map(), objects: new Map() };
+  /** @type {{buckets: S3MetadataCache, objects: S3MetadataCache}} LRU/TTL caches of HeadBucket and HeadObject results */
+  static cache = { buckets: new S3MetadataCache(), objects: new S3MetadataCache() };
+
+  /** @type {Object} Checkpoint store for resumable multipart uploads (local JSON files by default) */
+  static checkpointStore = new S3CheckpointStore();
+
+  /** @type {{keyWrapper: Object|null, encryptByDefault: boolean}} Client-side envelope encryption settings */
+  static clientEncryption = { keyWrapper: null, encryptByDefault: false };
 
 
   /**
@@ -100,7 +265,10 @@ class AwsS3 {
 
   /**
    * Initialize AWS S3 client with secure credential management
-   * Uses singleton pattern - client is created once and reused for performance
+   * Sets the default client used by the static API. Clients are cached per
+   * region, so calling init again with another region switches the default
+   * without recreating clients. Buckets in other regions are still reached
+   * through automatic region discovery (see send).
    * 
    * @param {string} region - AWS region (e.g., 'us-east-1', 'eu-west-1')
    * @returns {Promise<void>} 
@@ -130,21 +298,8 @@ class AwsS3 {
       throw new Error(err.message);
     }
 
-    if (!AwsS3.client) {
-      const credentials = await AwsS3.getCredentials(region);
-      AwsS3.client = new S3Client({
-        region,
-        credentials,
-        // Production-ready configuration with connection pooling
-        maxAttempts: AwsS3.MAX_RETRY_ATTEMPTS,
-        retryMode: 'adaptive',
-        requestTimeout: AwsS3.REQUEST_TIMEOUT,
-        connectionTimeout: AwsS3.CONNECTION_TIMEOUT,
-        // Connection pooling for better performance
-        maxSockets: AwsS3.MAX_SOCKETS,
-        keepAlive: true,
-      });
-    }
+    AwsS3.client = await AwsS3.registry.getClient({ region });
+    AwsS3.defaultRegion = region;
 
     if (Logger.isConsoleEnabled()) {
       console.log(
@@ -158,21 +313,140 @@ class AwsS3 {
     }
   }
 
+  /**
+   * Route a bucket to a specific region and/or account
+   * Requests for the bucket then use a client from the registry for that
+   * scope instead of the default client.
+   * 
+   * @param {string} bucket - Bucket name
+   * @param {Object} scope - Client scope
+   * @param {string} [scope.region] - Bucket region (discovered automatically when omitted)
+   * @param {string} [scope.profile] - Shared config profile for the owning account
+   * @param {string} [scope.roleArn] - Role to assume in the owning account
+   * @param {string} [scope.externalId] - External ID for AssumeRole
+   * @returns {void}
+   * @throws {Error} When parameters are invalid
+   * 
+   * @example
+   * AwsS3.registerBucket('eu-archive', { region: 'eu-west-1' });
+   * AwsS3.registerBucket('partner-drop', { region: 'us-west-2', roleArn: 'arn:aws:iam::222222222222:role/s3-writer' });
+   * await AwsS3.uploadFile('partner-drop', 'in/report.csv', csv); // uses the assumed role
+   */
+  static registerBucket(bucket, scope = {}) {
+    let region, profile, roleArn, externalId;
+    try {
+      ({ bucket, region, profile, roleArn, externalId } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+        region: { value: scope.region, type: "string", required: false },
+        profile: { value: scope.profile, type: "string", required: false },
+        roleArn: { value: scope.roleArn, type: "string", required: false },
+        externalId: { value: scope.externalId, type: "string", required: false },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in registerBucket", {
+        bucket,
+        error: err.message,
+      });
+      throw new Error(err.message);
+    }
+
+    const entries = Object.entries({ profile, roleArn, externalId }).filter(([, value]) => value);
+    if (entries.length > 0) {
+      AwsS3.bucketScopes.set(bucket, Object.fromEntries(entries));
+    } else {
+      AwsS3.bucketScopes.delete(bucket);
+    }
+    if (region) {
+      AwsS3.registry.setBucketRegion(bucket, region);
+    }
+  }
+
+  /**
+   * Resolve the client for a bucket (registered scope, discovered region, or default)
+   * 
+   * @param {string} [bucket] - Bucket name; omit for account-level calls
+   * @returns {Promise<S3Client>} Client to send requests for the bucket
+   */
+  static async clientFor(bucket) {
+    const scope = bucket ? AwsS3.bucketScopes.get(bucket) : undefined;
+    const region = bucket ? AwsS3.registry.getBucketRegion(bucket) : null;
+    if (!scope && (!region || region === AwsS3.defaultRegion)) {
+      return AwsS3.client;
+    }
+    return await AwsS3.registry.getClient({ ...scope, region: region || AwsS3.defaultRegion });
+  }
+
+  /**
+   * Send an S3 command with bucket routing and region discovery
+   * The client is chosen from the command's Bucket (see registerBucket). If
+   * S3 answers with PermanentRedirect (bucket in another region), the bucket's
+   * region is read from the response (or looked up with HeadBucket), cached,
+   * and the command is retried once against the right region. Commands with a
+   * streamed Body are not retried, since the first attempt consumed the stream;
+   * the error is rethrown and later calls go to the cached region.
+   * 
+   * @param {Object} command - S3 command instance
+   * @param {Object} [scope] - Explicit scope ({region, profile, roleArn}) for account-level calls
+   * @returns {Promise<Object>} Command output
+   * @throws {Error} AWS errors from the command
+   * 
+   * @example
+   * const result = await AwsS3.send(new GetBucketTaggingCommand({ Bucket: 'eu-archive' }));
+   */
+  static async send(command, scope = undefined) {
+    const bucket = command.input?.Bucket;
+    const client = scope
+      ? await AwsS3.registry.getClient({ region: AwsS3.defaultRegion, ...scope })
+      : await AwsS3.clientFor(bucket);
+
+    try {
+      return await client.send(command);
+    } catch (err) {
+      if (scope || !bucket || !S3ClientRegistry.isRegionRedirect(err)) throw err;
+
+      const previousRegion = AwsS3.registry.getBucketRegion(bucket) || AwsS3.defaultRegion;
+      const region =
+        S3ClientRegistry.regionFromError(err) ||
+        (await AwsS3.registry.discoverBucketRegion(bucket, AwsS3.bucketScopes.get(bucket)).catch(() => null));
+      if (!region || region === previousRegion) throw err;
+
+      AwsS3.registry.setBucketRegion(bucket, region);
+      const body = command.input.Body;
+      const replayable = body === undefined || typeof body === "string" || body instanceof Uint8Array;
+      Logger.writeLog({
+        flag: "s3_operations",
+        action: "send.regionRedirect",
+        message: replayable
+          ? `Bucket ${bucket} is in ${region}; retrying there`
+          : `Bucket ${bucket} is in ${region}; streamed body cannot be resent, not retrying`,
+        data: { bucket, from: previousRegion, to: region },
+      });
+      if (!replayable) throw err;
+      const regionalClient = await AwsS3.clientFor(bucket);
+      return await regionalClient.send(command);
+    }
+  }
+
   /**
    * Create a new S3 bucket with automatic region handling
    * 
    * @param {string} bucket - Bucket name (must be globally unique)
+   * @param {Object} [options={}] - Creation options
+   * @param {string} [options.region] - Region to create the bucket in (defaults to the init region)
    * @returns {Promise<void>}
    * @throws {Error} When bucket name is invalid or creation fails
    * 
    * @example
    * await AwsS3.createBucket('my-app-bucket-2025');
+   * await AwsS3.createBucket('my-app-archive-eu', { region: 'eu-west-1' });
    * console.log('Bucket created successfully');
    */
-  static async createBucket(bucket) {
+  static async createBucket(bucket, options = {}) {
+    let region;
     try {
-      ({ bucket } = SafeUtils.sanitizeValidate({
+      ({ bucket, region } = SafeUtils.sanitizeValidate({
         bucket: { value: bucket, type: "string", required: true },
+        region: { value: options.region, type: "string", required: false },
       }));
     } catch (err) {
       ErrorHandler.add_error("Invalid bucket in createBucket", {
@@ -190,8 +464,17 @@ class AwsS3 {
     }
 
     try {
-      await AwsS3.client.send(new CreateBucketCommand({ Bucket: bucket }));
-      AwsS3.cache.buckets.set(bucket, true);
+      const input = { Bucket: bucket };
+      if (region) {
+        AwsS3.registerBucket(bucket, { ...AwsS3.bucketScopes.get(bucket), region });
+      }
+      const target = region || AwsS3.defaultRegion;
+      // us-east-1 is the only region that rejects an explicit LocationConstraint
+      if (target && target !== "us-east-1") {
+        input.CreateBucketConfiguration = { LocationConstraint: target };
+      }
+      await AwsS3.send(new CreateBucketCommand(input));
+      AwsS3.cache.buckets.set(bucket, { exists: true, region: target ?? null });
 
       if (Logger.isConsoleEnabled()) {
         console.log(
@@ -230,6 +513,7 @@ class AwsS3 {
    * List all S3 buckets in the AWS account
    * Results are cached for performance optimization
    * 
+   * @param {Object} [scope] - Account to list ({profile, roleArn, region}); defaults to the init credentials
    * @returns {Promise<Array>} Array of bucket objects with Name and CreationDate
    * @throws {Error} When AWS API call fails
    * 
@@ -238,11 +522,12 @@ class AwsS3 {
    * buckets.forEach(bucket => {
    *   console.log(`${bucket.Name} created on ${bucket.CreationDate}`);
    * });
+   * const partnerBuckets = await AwsS3.listBuckets({ roleArn: 'arn:aws:iam::222222222222:role/s3-reader' });
    */
-  static async listBuckets() {
+  static async listBuckets(scope = undefined) {
     try {
-      const res = await AwsS3.client.send(new ListBucketsCommand());
-      res.Buckets?.forEach((b) => AwsS3.cache.buckets.set(b.Name, true));
+      const res = await AwsS3.send(new ListBucketsCommand(), scope);
+      res.Buckets?.forEach((b) => AwsS3.cache.buckets.set(b.Name, { exists: true, region: b.BucketRegion ?? null }));
 
       if (Logger.isConsoleEnabled()) {
         console.log(
@@ -281,10 +566,12 @@ class AwsS3 {
 
   /**
    * Check if a specific S3 bucket exists
-   * Uses cache for performance, falls back to AWS API if not cached
+   * Uses the metadata cache, falls back to HeadBucket on a miss
    * 
    * @param {string} bucket - Bucket name to check
-   * @returns {Promise<boolean>} True if bucket exists, false otherwise
+   * @param {Object} [options={}] - Lookup options
+   * @param {boolean} [options.useCache=true] - Answer from the cache when possible
+   * @returns {Promise<boolean|null>} True if bucket exists, false otherwise, null when the lookup fails
    * @throws {Error} When bucket name is invalid
    * 
    * @example
@@ -293,10 +580,12 @@ class AwsS3 {
    *   console.log('Bucket is ready for operations');
    * }
    */
-  static async doesBucketExist(bucket) {
+  static async doesBucketExist(bucket, options = {}) {
+    let useCache;
     try {
-      ({ bucket } = SafeUtils.sanitizeValidate({
+      ({ bucket, useCache } = SafeUtils.sanitizeValidate({
         bucket: { value: bucket, type: "string", required: true },
+        useCache: { value: options.useCache, type: "bool", required: false, default: true },
       }));
     } catch (err) {
       ErrorHandler.add_error("Invalid bucket in doesBucketExist", {
@@ -313,13 +602,14 @@ class AwsS3 {
       throw new Error(err.message);
     }
 
-    if (AwsS3.cache.buckets.has(bucket)) {
-      return AwsS3.cache.buckets.get(bucket);
+    if (useCache) {
+      const cached = AwsS3.cache.buckets.get(bucket);
+      if (cached !== undefined) return cached.exists;
     }
 
     try {
-      await AwsS3.client.send(new HeadBucketCommand({ Bucket: bucket }));
-      AwsS3.cache.buckets.set(bucket, true);
+      const res = await AwsS3.send(new HeadBucketCommand({ Bucket: bucket }));
+      AwsS3.cache.buckets.set(bucket, { exists: true, region: res.BucketRegion ?? null });
 
       if (Logger.isConsoleEnabled()) {
         console.log(
@@ -339,7 +629,7 @@ class AwsS3 {
       return true;
     } catch (err) {
       if (err.name === "NotFound" || err.$metadata?.httpStatusCode === 404) {
-        AwsS3.cache.buckets.set(bucket, false);
+        AwsS3.cache.buckets.set(bucket, { exists: false });
         return false;
       }
       ErrorHandler.add_error("doesBucketExist failed", {
@@ -365,21 +655,29 @@ class AwsS3 {
   }
 
   /**
-   * Delete an S3 bucket (must be empty)
+   * Delete an S3 bucket (must be empty unless force is set)
    * Removes bucket from cache and AWS
    * 
    * @param {string} bucket - Bucket name to delete
+   * @param {Object} [options={}] - Delete options
+   * @param {boolean} [options.force=false] - Empty the bucket (objects, old versions and delete markers) before deleting it
    * @returns {Promise<void>}
    * @throws {Error} When bucket name is invalid, bucket not empty, or deletion fails
    * 
    * @example
    * await AwsS3.deleteBucket('temporary-bucket');
    * console.log('Bucket deleted successfully');
+   * 
+   * @example
+   * // Empty then delete
+   * await AwsS3.deleteBucket('temporary-bucket', { force: true });
    */
-  static async deleteBucket(bucket) {
+  static async deleteBucket(bucket, options = {}) {
+    let force;
     try {
-      ({ bucket } = SafeUtils.sanitizeValidate({
+      ({ bucket, force } = SafeUtils.sanitizeValidate({
         bucket: { value: bucket, type: "string", required: true },
+        force: { value: options.force, type: "bool", required: false, default: false },
       }));
     } catch (err) {
       ErrorHandler.add_error("Invalid bucket in deleteBucket", {
@@ -396,9 +694,22 @@ class AwsS3 {
       throw new Error(err.message);
     }
 
+    if (force) {
+      const emptied = await AwsS3.deletePrefix(bucket, "");
+      // Versioned buckets keep noncurrent versions and delete markers after deletePrefix
+      const purged = emptied && emptied.errors.length === 0 ? await AwsS3.purgeObjectVersions(bucket, "") : null;
+      if (!purged || purged.errors.length > 0) {
+        ErrorHandler.add_error("deleteBucket force mode could not empty bucket", {
+          bucket,
+          errors: (emptied?.errors?.length ? emptied.errors : purged?.errors)?.slice(0, 10) ?? null,
+        });
+        return null;
+      }
+    }
+
     try {
-      await AwsS3.client.send(new DeleteBucketCommand({ Bucket: bucket }));
-      AwsS3.cache.buckets.delete(bucket);
+      await AwsS3.send(new DeleteBucketCommand({ Bucket: bucket }));
+      AwsS3.invalidateCache(bucket);
 
       if (Logger.isConsoleEnabled()) {
         console.log(
@@ -433,13 +744,133 @@ class AwsS3 {
     }
   }
 
+  /**
+   * Build validated PutObject/CreateMultipartUpload fields from upload options
+   * The content type is inferred from the key extension (then magic bytes of a
+   * Buffer body) when not given explicitly.
+   * 
+   * @param {string} key - Object key, used for content-type inference
+   * @param {*} body - Object content, sniffed when it is a Buffer/Uint8Array
+   * @param {Object} [options={}] - Upload options
+   * @param {string} [options.contentType] - MIME type (inferred when omitted)
+   * @param {Object} [options.metadata] - User metadata (x-amz-meta-*) as string values
+   * @param {string} [options.cacheControl] - Cache-Control header
+   * @param {string} [options.contentDisposition] - Content-Disposition header
+   * @param {string} [options.contentEncoding] - Content-Encoding header (e.g. 'gzip')
+   * @param {Object} [options.tags] - Object tags {key: value} (max 10)
+   * @param {string} [options.storageClass] - Storage class (STANDARD, STANDARD_IA, GLACIER_IR, ...)
+   * @param {string} [options.serverSideEncryption] - 'AES256', 'aws:kms' or 'aws:kms:dsse'
+   * @param {string} [options.kmsKeyId] - KMS key ID/ARN (requires a KMS serverSideEncryption)
+   * @param {string} [options.checksumAlgorithm] - Additional checksum S3 stores and verifies ('CRC32', 'CRC32C', 'SHA1', 'SHA256')
+   * @returns {Object} SDK command fields (ContentType, Metadata, Tagging, ...)
+   * @throws {TypeError} When an option is invalid
+   * 
+   * @example
+   * const params = AwsS3.buildObjectParams('images/logo.png', buffer, { cacheControl: 'max-age=3600' });
+   * // { ContentType: 'image/png', CacheControl: 'max-age=3600' }
+   */
+  static buildObjectParams(key, body, options = {}) {
+    const {
+      contentType,
+      metadata,
+      cacheControl,
+      contentDisposition,
+      contentEncoding,
+      tags,
+      storageClass,
+      serverSideEncryption,
+      kmsKeyId,
+      checksumAlgorithm,
+    } = SafeUtils.sanitizeValidate({
+      contentType: { value: options.contentType, type: "string", required: false },
+      metadata: { value: options.metadata, type: "object", required: false },
+      cacheControl: { value: options.cacheControl, type: "string", required: false },
+      contentDisposition: { value: options.contentDisposition, type: "string", required: false },
+      contentEncoding: { value: options.contentEncoding, type: "string", required: false },
+      tags: { value: options.tags, type: "object", required: false },
+      storageClass: { value: options.storageClass, type: "string", required: false },
+      serverSideEncryption: { value: options.serverSideEncryption, type: "string", required: false },
+      kmsKeyId: { value: options.kmsKeyId, type: "string", required: false },
+      checksumAlgorithm: { value: options.checksumAlgorithm, type: "string", required: false },
+    });
+
+    const params = { ContentType: contentType || MimeTypes.detect(key, body) };
+
+    if (metadata) {
+      params.Metadata = {};
+      for (const [name, value] of Object.entries(metadata)) {
+        if (!["string", "number", "boolean"].includes(typeof value)) {
+          throw new TypeError(`Metadata value for "${name}" must be a string, number or boolean`);
+        }
+        params.Metadata[name.toLowerCase()] = String(value);
+      }
+    }
+    if (cacheControl) params.CacheControl = cacheControl;
+    if (contentDisposition) params.ContentDisposition = contentDisposition;
+    if (contentEncoding) params.ContentEncoding = contentEncoding;
+
+    if (tags) {
+      const entries = Object.entries(tags);
+      if (entries.length > AwsS3.MAX_OBJECT_TAGS) {
+        throw new TypeError(`An object can have at most ${AwsS3.MAX_OBJECT_TAGS} tags`);
+      }
+      params.Tagging = entries
+        .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(String(v))}`)
+        .join("&");
+    }
+
+    if (storageClass) {
+      if (!AwsS3.STORAGE_CLASSES.includes(storageClass)) {
+        throw new TypeError(`Invalid storageClass "${storageClass}". Expected one of: ${AwsS3.STORAGE_CLASSES.join(", ")}`);
+      }
+      params.StorageClass = storageClass;
+    }
+
+    if (serverSideEncryption) {
+      if (!AwsS3.SSE_ALGORITHMS.includes(serverSideEncryption)) {
+        throw new TypeError(`Invalid serverSideEncryption "${serverSideEncryption}". Expected one of: ${AwsS3.SSE_ALGORITHMS.join(", ")}`);
+      }
+      params.ServerSideEncryption = serverSideEncryption;
+    }
+    if (kmsKeyId) {
+      if (!serverSideEncryption?.startsWith("aws:kms")) {
+        throw new TypeError('kmsKeyId requires serverSideEncryption "aws:kms" or "aws:kms:dsse"');
+      }
+      params.SSEKMSKeyId = kmsKeyId;
+    }
+
+    if (checksumAlgorithm) {
+      params.ChecksumAlgorithm = AwsS3.checksumAlgorithm(checksumAlgorithm);
+    }
+
+    return params;
+  }
+
+  /**
+   * Validate a checksum algorithm name
+   * @param {string} algorithm - 'CRC32', 'CRC32C', 'SHA1' or 'SHA256' (case-insensitive)
+   * @returns {string} Upper-case algorithm name as the SDK expects it
+   * @throws {TypeError} When the algorithm is not supported
+   */
+  static checksumAlgorithm(algorithm) {
+    const normalized = String(algorithm).toUpperCase().replace("-", "");
+    if (!Checksum.isSupported(normalized)) {
+      throw new TypeError(`Invalid checksumAlgorithm "${algorithm}". Expected one of: ${Checksum.ALGORITHMS.join(", ")}`);
+    }
+    return normalized;
+  }
+
   /**
    * Upload a file to S3 bucket with automatic content type detection
+   * The content type is inferred from the key extension (and magic bytes for
+   * Buffers) unless given. The fourth argument may be a content-type string
+   * (legacy form) or an options object.
    * 
    * @param {string} bucket - Target S3 bucket name
    * @param {string} key - Object key (file path) in the bucket
    * @param {string|Buffer|Uint8Array|ReadableStream} body - File content to upload
-   * @param {string} [contentType='application/octet-stream'] - MIME type of the file
+   * @param {string|Object} [options={}] - MIME type, or upload options (see buildObjectParams)
+   * @param {boolean} [options.encrypt] - Encrypt client-side before upload (defaults to the configureClientEncryption setting)
    * @returns {Promise<void>}
    * @throws {Error} When parameters are invalid or upload fails
    * 
@@ -448,32 +879,41 @@ class AwsS3 {
    * await AwsS3.uploadFile('my-bucket', 'documents/readme.txt', 'Hello World!', 'text/plain');
    * 
    * @example
-   * // Upload image file
+   * // Upload image file (content type inferred as image/jpeg)
    * const imageBuffer = fs.readFileSync('photo.jpg');
-   * await AwsS3.uploadFile('my-bucket', 'images/photo.jpg', imageBuffer, 'image/jpeg');
+   * await AwsS3.uploadFile('my-bucket', 'images/photo.jpg', imageBuffer);
+   * 
+   * @example
+   * // Metadata, caching, tags, storage class and KMS encryption
+   * await AwsS3.uploadFile('my-bucket', 'reports/q3.pdf', pdfBuffer, {
+   *   metadata: { department: 'finance' },
+   *   cacheControl: 'private, max-age=600',
+   *   contentDisposition: 'attachment; filename="q3.pdf"',
+   *   tags: { retention: '7y' },
+   *   storageClass: 'STANDARD_IA',
+   *   serverSideEncryption: 'aws:kms',
+   *   kmsKeyId: 'alias/reports',
+   * });
+   * 
+   * @example
+   * // Client-side envelope encryption (requires configureClientEncryption)
+   * await AwsS3.uploadFile('my-bucket', 'hr/contract.pdf', pdfBuffer, { encrypt: true });
    */
-  static async uploadFile(
-    bucket,
-    key,
-    body,
-    contentType = "application/octet-stream"
-  ) {
+  static async uploadFile(bucket, key, body, options = {}) {
+    if (typeof options === "string") options = { contentType: options };
+    let params, encrypt;
     try {
-      ({ bucket, key, contentType } = SafeUtils.sanitizeValidate({
+      ({ bucket, key } = SafeUtils.sanitizeValidate({
         bucket: { value: bucket, type: "string", required: true },
         key: { value: key, type: "string", required: true },
-        contentType: {
-          value: contentType,
-          type: "string",
-          required: false,
-          default: "application/octet-stream",
-        },
       }));
+      params = AwsS3.buildObjectParams(key, body, options ?? {});
+      encrypt = AwsS3.shouldEncrypt(options ?? {});
     } catch (err) {
       ErrorHandler.add_error("Invalid params in uploadFile", {
         bucket,
         key,
-        contentType,
+        contentType: options?.contentType,
         error: err.message,
       });
       Logger.writeLog({
@@ -481,21 +921,28 @@ class AwsS3 {
         action: "uploadFile",
         message: err.message,
         critical: true,
-        data: { bucket, key, contentType },
+        data: { bucket, key, contentType: options?.contentType },
       });
       throw new Error(err.message);
     }
 
     try {
-      await AwsS3.client.send(
+      if (encrypt) {
+        const plaintext = await AwsS3.toBuffer(body);
+        const envelope = await S3EnvelopeEncryption.createEnvelope(AwsS3.clientEncryption.keyWrapper, plaintext.length);
+        body = S3EnvelopeEncryption.encryptBuffer(envelope, plaintext);
+        params.Metadata = { ...params.Metadata, ...envelope.metadata };
+      }
+      await AwsS3.send(
         new PutObjectCommand({
           Bucket: bucket,
           Key: key,
           Body: body,
-          ContentType: contentType,
+          ...params,
         })
       );
-      AwsS3.cache.objects.set(`${bucket}/${key}`, true);
+      // Drop the cached HEAD result; the next lookup fetches the new metadata
+      AwsS3.cache.objects.delete(`${bucket}/${key}`);
 
       if (Logger.isConsoleEnabled()) {
         console.log(
@@ -532,35 +979,40 @@ class AwsS3 {
   }
 
   /**
-   * Check if a specific file exists in S3 bucket
-   * Uses cache for performance optimization
+   * Get an object's HeadObject metadata, using the metadata cache
+   * Results (including "not found") are cached per bucket/key; writes made
+   * through AwsS3 invalidate the entry, and the TTL bounds staleness for
+   * changes made elsewhere.
    * 
    * @param {string} bucket - Bucket name containing the file
-   * @param {string} key - File key (path) to check
-   * @returns {Promise<boolean>} True if file exists, false otherwise
+   * @param {string} key - File key (path)
+   * @param {Object} [options={}] - Lookup options
+   * @param {boolean} [options.useCache=true] - Read the cache first (the fresh result is always stored)
+   * @returns {Promise<Object|null>} {exists: true, size, etag, contentType, lastModified, storageClass,
+   *   versionId, metadata}, {exists: false} when missing, or null when the lookup fails
    * @throws {Error} When parameters are invalid
    * 
    * @example
-   * const exists = await AwsS3.doesFileExist('my-bucket', 'documents/report.pdf');
-   * if (!exists) {
-   *   console.log('File not found, uploading...');
-   * }
+   * const info = await AwsS3.headFile('my-bucket', 'videos/intro.mp4');
+   * if (info?.exists) console.log(info.size, info.contentType);
    */
-  static async doesFileExist(bucket, key) {
+  static async headFile(bucket, key, options = {}) {
+    let useCache;
     try {
-      ({ bucket, key } = SafeUtils.sanitizeValidate({
+      ({ bucket, key, useCache } = SafeUtils.sanitizeValidate({
         bucket: { value: bucket, type: "string", required: true },
         key: { value: key, type: "string", required: true },
+        useCache: { value: options.useCache, type: "bool", required: false, default: true },
       }));
     } catch (err) {
-      ErrorHandler.add_error("Invalid params in doesFileExist", {
+      ErrorHandler.add_error("Invalid params in headFile", {
         bucket,
         key,
         error: err.message,
       });
       Logger.writeLog({
         flag: "system_error",
-        action: "doesFileExist",
+        action: "headFile",
         message: err.message,
         critical: true,
         data: { bucket, key },
@@ -569,24 +1021,36 @@ class AwsS3 {
     }
 
     const objKey = `${bucket}/${key}`;
-    if (AwsS3.cache.objects.has(objKey)) {
-      return AwsS3.cache.objects.get(objKey);
+    if (useCache) {
+      const cached = AwsS3.cache.objects.get(objKey);
+      if (cached !== undefined) return cached;
     }
 
     try {
-      await AwsS3.client.send(
+      const res = await AwsS3.send(
         new HeadObjectCommand({ Bucket: bucket, Key: key })
       );
-      AwsS3.cache.objects.set(objKey, true);
+      const info = {
+        exists: true,
+        size: res.ContentLength ?? 0,
+        etag: res.ETag ?? null,
+        contentType: res.ContentType ?? null,
+        lastModified: res.LastModified ?? null,
+        storageClass: res.StorageClass ?? "STANDARD",
+        versionId: res.VersionId ?? null,
+        metadata: res.Metadata ?? {},
+      };
+      AwsS3.cache.objects.set(objKey, info);
 
       if (Logger.isConsoleEnabled()) {
         console.log(
-          `[Logger flag=doesFileExist]`,
+          `[Logger flag=headFile]`,
           JSON.stringify(
             {
-              action: "doesFileExist",
+              action: "headFile",
               key: objKey,
               exists: true,
+              size: info.size,
               time: DateTime.now(),
             },
             null,
@@ -594,22 +1058,23 @@ class AwsS3 {
           )
         );
       }
-      return true;
+      return info;
     } catch (err) {
       if (err.name === "NotFound" || err.$metadata?.httpStatusCode === 404) {
-        AwsS3.cache.objects.set(objKey, false);
-        return false;
+        const missing = { exists: false };
+        AwsS3.cache.objects.set(objKey, missing);
+        return missing;
       }
-      ErrorHandler.add_error("doesFileExist failed", {
+      ErrorHandler.add_error("headFile failed", {
         key: objKey,
         error: err.message,
       });
       if (Logger.isConsoleEnabled()) {
         console.log(
-          `[Logger flag=doesFileExist]`,
+          `[Logger flag=headFile]`,
           JSON.stringify(
             {
-              action: "doesFileExist.error",
+              action: "headFile.error",
               error: err.message,
               time: DateTime.now(),
             },
@@ -622,6 +1087,142 @@ class AwsS3 {
     }
   }
 
+  /**
+   * Check if a specific file exists in S3 bucket
+   * Uses the metadata cache (see headFile); pass useCache: false to always
+   * ask S3, e.g. when another process may have just written the object.
+   * 
+   * @param {string} bucket - Bucket name containing the file
+   * @param {string} key - File key (path) to check
+   * @param {Object} [options={}] - Lookup options
+   * @param {boolean} [options.useCache=true] - Answer from the cache when possible
+   * @returns {Promise<boolean|null>} True if file exists, false otherwise, null when the lookup fails
+   * @throws {Error} When parameters are invalid
+   * 
+   * @example
+   * const exists = await AwsS3.doesFileExist('my-bucket', 'documents/report.pdf');
+   * if (!exists) {
+   *   console.log('File not found, uploading...');
+   * }
+   * 
+   * @example
+   * // Bypass the cache
+   * const fresh = await AwsS3.doesFileExist('my-bucket', 'inbox/job.json', { useCache: false });
+   */
+  static async doesFileExist(bucket, key, options = {}) {
+    try {
+      ({ bucket, key } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+        key: { value: key, type: "string", required: true },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in doesFileExist", {
+        bucket,
+        key,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action: "doesFileExist",
+        message: err.message,
+        critical: true,
+        data: { bucket, key },
+      });
+      throw new Error(err.message);
+    }
+
+    const info = await AwsS3.headFile(bucket, key, options);
+    return info ? info.exists : null;
+  }
+
+  /**
+   * Change the limits of the bucket and object metadata caches
+   * 
+   * @param {Object} [options={}] - Cache limits
+   * @param {number} [options.maxEntries] - Maximum entries per cache (0 disables caching)
+   * @param {number} [options.ttlMs] - Lifetime of an entry in milliseconds
+   * @param {number} [options.negativeTtlMs] - Lifetime of a "not found" entry in milliseconds
+   * @returns {void}
+   * @throws {Error} When a limit is invalid
+   * 
+   * @example
+   * AwsS3.configureCache({ maxEntries: 20000, ttlMs: 5 * 60 * 1000 });
+   */
+  static configureCache(options = {}) {
+    try {
+      AwsS3.cache.buckets.configure(options);
+      AwsS3.cache.objects.configure(options);
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in configureCache", { error: err.message });
+      throw new Error(err.message);
+    }
+  }
+
+  /**
+   * Hit/miss statistics of the metadata caches
+   * 
+   * @returns {Object} {buckets, objects} statistics (see S3MetadataCache#stats)
+   * 
+   * @example
+   * const { objects } = AwsS3.getCacheStats();
+   * console.log(`object cache hit rate ${objects.hitRate}`);
+   */
+  static getCacheStats() {
+    return {
+      buckets: AwsS3.cache.buckets.stats(),
+      objects: AwsS3.cache.objects.stats(),
+    };
+  }
+
+  /**
+   * Drop cached metadata for one object, a key prefix, or a whole bucket
+   * 
+   * @param {string} bucket - Bucket name
+   * @param {string} [key] - Object key; omit to drop the bucket and all its objects
+   * @param {Object} [options={}] - Invalidation options
+   * @param {boolean} [options.prefix=false] - Treat key as a prefix
+   * @returns {number} Number of entries removed
+   * @throws {Error} When parameters are invalid
+   * 
+   * @example
+   * AwsS3.invalidateCache('my-bucket', 'reports/q3.pdf');
+   * AwsS3.invalidateCache('my-bucket', 'reports/', { prefix: true });
+   * AwsS3.invalidateCache('my-bucket');
+   */
+  static invalidateCache(bucket, key = undefined, options = {}) {
+    let prefix;
+    try {
+      ({ bucket, key, prefix } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+        key: { value: key, type: "string", required: false },
+        prefix: { value: options.prefix, type: "bool", required: false, default: false },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in invalidateCache", { bucket, key, error: err.message });
+      throw new Error(err.message);
+    }
+
+    if (key === null) {
+      const removed = AwsS3.cache.objects.invalidatePrefix(`${bucket}/`);
+      return removed + (AwsS3.cache.buckets.delete(bucket) ? 1 : 0);
+    }
+    if (prefix) return AwsS3.cache.objects.invalidatePrefix(`${bucket}/${key}`);
+    return AwsS3.cache.objects.delete(`${bucket}/${key}`) ? 1 : 0;
+  }
+
+  /**
+   * Drop all cached bucket and object metadata
+   * 
+   * @returns {void}
+   * 
+   * @example
+   * AwsS3.clearCache();
+   */
+  static clearCache() {
+    AwsS3.cache.buckets.clear();
+    AwsS3.cache.objects.clear();
+  }
+
   /**
    * Delete a single file from S3 bucket
    * Removes file from cache and AWS storage
@@ -658,7 +1259,7 @@ class AwsS3 {
     }
 
     try {
-      await AwsS3.client.send(
+      await AwsS3.send(
         new DeleteObjectCommand({ Bucket: bucket, Key: key })
       );
       AwsS3.cache.objects.delete(`${bucket}/${key}`);
@@ -746,7 +1347,7 @@ class AwsS3 {
 
     try {
       const objects = keys.map((k) => ({ Key: k }));
-      await AwsS3.client.send(
+      await AwsS3.send(
         new DeleteObjectsCommand({
           Bucket: bucket,
           Delete: { Objects: objects },
@@ -794,37 +1395,58 @@ class AwsS3 {
   }
 
   /**
-   * List files in S3 bucket with optional prefix filtering
-   * Returns detailed file information including size and modification date
+   * Delete every object under a prefix
+   * Walks the prefix page by page, batches keys into DeleteObjects requests of up
+   * to 1000 keys and aggregates the per-key errors reported by every batch.
+   * Use dryRun to get the list of matching keys without removing anything.
+   * Note: only current object versions are removed in versioned buckets.
    * 
-   * @param {string} bucket - Bucket name to list files from
-   * @param {string} [prefix=""] - Optional prefix to filter files (like folder path)
-   * @returns {Promise<Array>} Array of file objects with Key, Size, and LastModified
-   * @throws {Error} When parameters are invalid or listing fails
+   * @param {string} bucket - Bucket name
+   * @param {string} prefix - Key prefix to delete ('' for the whole bucket)
+   * @param {Object} [options={}] - Delete options
+   * @param {boolean} [options.dryRun=false] - Only report matching keys
+   * @param {Function} [options.filter] - Predicate (object) => boolean selecting keys to delete
+   * @param {number} [options.concurrency=2] - DeleteObjects batches in flight
+   * @returns {Promise<Object|null>} Report {bucket, prefix, dryRun, matched, deleted, errors, keys}
+   *   (keys only in dry-run mode) or null when listing fails
+   * @throws {Error} When parameters are invalid
    * 
    * @example
-   * // List all files
-   * const allFiles = await AwsS3.listFiles('my-bucket');
+   * const preview = await AwsS3.deletePrefix('my-bucket', 'tmp/', { dryRun: true });
+   * console.log(`${preview.matched} objects would be removed`);
    * 
    * @example
-   * // List files in specific folder
-   * const documents = await AwsS3.listFiles('my-bucket', 'documents/');
+   * const report = await AwsS3.deletePrefix('my-bucket', 'logs/2023/', {
+   *   filter: (obj) => obj.Key.endsWith('.log'),
+   * });
+   * report.errors.forEach((e) => console.log(e.Key, e.Code));
    */
-  static async listFiles(bucket, prefix = "") {
+  static async deletePrefix(bucket, prefix, options = {}) {
+    let dryRun, concurrency;
     try {
-      ({ bucket, prefix } = SafeUtils.sanitizeValidate({
+      ({ bucket, dryRun, concurrency } = SafeUtils.sanitizeValidate({
         bucket: { value: bucket, type: "string", required: true },
-        prefix: { value: prefix, type: "string", required: false, default: "" },
+        dryRun: { value: options.dryRun, type: "bool", required: false, default: false },
+        concurrency: { value: options.concurrency, type: "int", required: false, default: AwsS3.DEFAULT_DELETE_CONCURRENCY },
       }));
+      if (typeof prefix !== "string") {
+        throw new Error(`Invalid type for "prefix". Expected string.`);
+      }
+      if (options.filter !== undefined && typeof options.filter !== "function") {
+        throw new Error("filter must be a function");
+      }
+      if (concurrency < 1) {
+        throw new Error("concurrency must be >= 1");
+      }
     } catch (err) {
-      ErrorHandler.add_error("Invalid params in listFiles", {
+      ErrorHandler.add_error("Invalid params in deletePrefix", {
         bucket,
         prefix,
         error: err.message,
       });
       Logger.writeLog({
         flag: "system_error",
-        action: "listFiles",
+        action: "deletePrefix",
         message: err.message,
         critical: true,
         data: { bucket, prefix },
@@ -832,42 +1454,74 @@ class AwsS3 {
       throw new Error(err.message);
     }
 
+    const report = { bucket, prefix, dryRun, matched: 0, deleted: 0, errors: [] };
+    if (dryRun) report.keys = [];
+
+    const inFlight = new Set();
+    const sendBatch = async (keys) => {
+      try {
+        const res = await AwsS3.send(
+          new DeleteObjectsCommand({
+            Bucket: bucket,
+            Delete: { Objects: keys.map((k) => ({ Key: k })), Quiet: true },
+          })
+        );
+        const failed = new Set();
+        res.Errors?.forEach((e) => {
+          failed.add(e.Key);
+          report.errors.push({ Key: e.Key, Code: e.Code, Message: e.Message });
+        });
+        keys.forEach((k) => {
+          if (failed.has(k)) return;
+          report.deleted += 1;
+          AwsS3.cache.objects.delete(`${bucket}/${k}`);
+        });
+      } catch (err) {
+        keys.forEach((k) =>
+          report.errors.push({ Key: k, Code: err.name, Message: err.message })
+        );
+      }
+    };
+    const schedule = async (keys) => {
+      const task = sendBatch(keys);
+      inFlight.add(task);
+      task.finally(() => inFlight.delete(task));
+      if (inFlight.size >= concurrency) await Promise.race(inFlight);
+    };
+
+    let batch = [];
     try {
-      const res = await AwsS3.client.send(
-        new ListObjectsV2Command({
-          Bucket: bucket,
-          Prefix: prefix,
-        })
-      );
-      if (Logger.isConsoleEnabled()) {
-        console.log(
-          `[Logger flag=listFiles]`,
-          JSON.stringify(
-            {
-              action: "listFiles",
-              bucket,
-              count: res.Contents?.length ?? 0,
-              time: DateTime.now(),
-            },
-            null,
-            2
-          )
-        );
+      for await (const obj of AwsS3.iterateFiles(bucket, prefix)) {
+        if (options.filter && !options.filter(obj)) continue;
+        report.matched += 1;
+        if (dryRun) {
+          report.keys.push(obj.Key);
+          continue;
+        }
+        batch.push(obj.Key);
+        if (batch.length === AwsS3.DELETE_BATCH_SIZE) {
+          await schedule(batch);
+          batch = [];
+        }
       }
-      return res.Contents || [];
+      if (batch.length > 0) await schedule(batch);
+      await Promise.all(inFlight);
     } catch (err) {
-      ErrorHandler.add_error("listFiles failed", {
+      await Promise.allSettled(inFlight);
+      ErrorHandler.add_error("deletePrefix failed", {
         bucket,
         prefix,
+        deleted: report.deleted,
         error: err.message,
       });
       if (Logger.isConsoleEnabled()) {
         console.log(
-          `[Logger flag=listFiles]`,
+          `[Logger flag=deletePrefix]`,
           JSON.stringify(
             {
-              action: "listFiles.error",
+              action: "deletePrefix.error",
               error: err.message,
+              deleted: report.deleted,
               time: DateTime.now(),
             },
             null,
@@ -877,59 +1531,131 @@ class AwsS3 {
       }
       return null;
     }
+
+    if (report.errors.length > 0) {
+      ErrorHandler.add_error("deletePrefix completed with errors", {
+        bucket,
+        prefix,
+        failed: report.errors.length,
+      });
+    }
+
+    if (Logger.isConsoleEnabled()) {
+      console.log(
+        `[Logger flag=deletePrefix]`,
+        JSON.stringify(
+          {
+            action: "deletePrefix",
+            bucket,
+            prefix,
+            dryRun,
+            matched: report.matched,
+            deleted: report.deleted,
+            failed: report.errors.length,
+            time: DateTime.now(),
+          },
+          null,
+          2
+        )
+      );
+    }
+    return report;
   }
 
   /**
-   * Download file content from S3 bucket
-   * Returns readable stream for efficient memory usage with large files
+   * List files in S3 bucket with optional prefix filtering
+   * Returns detailed file information including size and modification date.
+   * A single ListObjectsV2 call returns at most 1000 keys; pass paginate: true
+   * to follow ContinuationToken until the listing is complete.
    * 
-   * @param {string} bucket - Source bucket name
-   * @param {string} key - File key (path) to download
-   * @returns {Promise<ReadableStream>} File content as readable stream
-   * @throws {Error} When parameters are invalid or file doesn't exist
+   * @param {string} bucket - Bucket name to list files from
+   * @param {string} [prefix=""] - Optional prefix to filter files (like folder path)
+   * @param {Object} [options={}] - Listing options
+   * @param {boolean} [options.paginate=false] - Follow continuation tokens and return every key
+   * @param {number} [options.maxKeys] - Page size (1-1000) for each ListObjectsV2 call
+   * @param {string} [options.delimiter] - Group keys into "folders" (e.g. '/')
+   * @returns {Promise<Array|Object|null>} Array of file objects with Key, Size, and LastModified,
+   *   or {files, folders} when a delimiter is given; null if listing fails
+   * @throws {Error} When parameters are invalid or listing fails
    * 
    * @example
-   * const fileStream = await AwsS3.getFile('my-bucket', 'documents/report.pdf');
-   * // Convert stream to string for text files
-   * const chunks = [];
-   * for await (const chunk of fileStream) {
-   *   chunks.push(chunk);
-   * }
-   * const content = Buffer.concat(chunks).toString('utf-8');
+   * // List all files
+   * const allFiles = await AwsS3.listFiles('my-bucket');
+   * 
+   * @example
+   * // List files in specific folder
+   * const documents = await AwsS3.listFiles('my-bucket', 'documents/');
+   * 
+   * @example
+   * // Every key under a prefix, with sub-folders reported separately
+   * const { files, folders } = await AwsS3.listFiles('my-bucket', 'logs/', { paginate: true, delimiter: '/' });
    */
-  static async getFile(bucket, key) {
+  static async listFiles(bucket, prefix = "", options = {}) {
+    let paginate, maxKeys, delimiter;
     try {
-      ({ bucket, key } = SafeUtils.sanitizeValidate({
+      ({ bucket, prefix, paginate, maxKeys, delimiter } = SafeUtils.sanitizeValidate({
         bucket: { value: bucket, type: "string", required: true },
-        key: { value: key, type: "string", required: true },
+        prefix: { value: prefix, type: "string", required: false, default: "" },
+        paginate: { value: options.paginate, type: "bool", required: false, default: false },
+        maxKeys: { value: options.maxKeys, type: "int", required: false },
+        delimiter: { value: options.delimiter, type: "string", required: false },
       }));
     } catch (err) {
-      ErrorHandler.add_error("Invalid params in getFile", {
+      ErrorHandler.add_error("Invalid params in listFiles", {
         bucket,
-        key,
+        prefix,
         error: err.message,
       });
       Logger.writeLog({
         flag: "system_error",
-        action: "getFile",
+        action: "listFiles",
         message: err.message,
         critical: true,
-        data: { bucket, key },
+        data: { bucket, prefix },
       });
       throw new Error(err.message);
     }
 
     try {
-      const res = await AwsS3.client.send(
-        new GetObjectCommand({ Bucket: bucket, Key: key })
-      );
+      const files = [];
+      const folders = [];
+      let continuationToken;
+      let truncated = false;
+      do {
+        const res = await AwsS3.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefix,
+            Delimiter: delimiter ?? undefined,
+            MaxKeys: maxKeys ?? undefined,
+            ContinuationToken: continuationToken,
+          })
+        );
+        res.Contents?.forEach((obj) => files.push(obj));
+        res.CommonPrefixes?.forEach((cp) => folders.push(cp.Prefix));
+        truncated = !!res.IsTruncated;
+        continuationToken = truncated ? res.NextContinuationToken : undefined;
+      } while (paginate && continuationToken);
+
+      if (truncated && !paginate) {
+        Logger.writeLog({
+          flag: "s3_operations",
+          action: "listFiles",
+          message: "Listing truncated; pass { paginate: true } or use iterateFiles() for all keys",
+          data: { bucket, prefix, count: files.length },
+        });
+      }
+
       if (Logger.isConsoleEnabled()) {
         console.log(
-          `[Logger flag=getFile]`,
+          `[Logger flag=listFiles]`,
           JSON.stringify(
             {
-              action: "getFile",
-              key: `${bucket}/${key}`,
+              action: "listFiles",
+              bucket,
+              count: files.length,
+              folders: folders.length,
+              truncated: truncated && !paginate,
               time: DateTime.now(),
             },
             null,
@@ -937,19 +1663,19 @@ class AwsS3 {
           )
         );
       }
-      return res.Body;
+      return delimiter ? { files, folders } : files;
     } catch (err) {
-      ErrorHandler.add_error("getFile failed", {
+      ErrorHandler.add_error("listFiles failed", {
         bucket,
-        key,
+        prefix,
         error: err.message,
       });
       if (Logger.isConsoleEnabled()) {
         console.log(
-          `[Logger flag=getFile]`,
+          `[Logger flag=listFiles]`,
           JSON.stringify(
             {
-              action: "getFile.error",
+              action: "listFiles.error",
               error: err.message,
               time: DateTime.now(),
             },
@@ -963,90 +1689,181 @@ class AwsS3 {
   }
 
   /**
-   * Copy file from one S3 location to another
-   * Can copy within same bucket or across different buckets
+   * Iterate over every object under a prefix without buffering the full listing
+   * Fetches one ListObjectsV2 page at a time and yields its objects before
+   * requesting the next page. With a delimiter, only objects directly under the
+   * prefix are yielded (use listFiles with a delimiter to get the folders).
    * 
-   * @param {string} sourceBucket - Source bucket name
-   * @param {string} sourceKey - Source file key (path)
-   * @param {string} destBucket - Destination bucket name
-   * @param {string} destKey - Destination file key (path)
-   * @returns {Promise<void>}
-   * @throws {Error} When parameters are invalid or copy fails
+   * @param {string} bucket - Bucket name to list files from
+   * @param {string} [prefix=""] - Optional prefix to filter files
+   * @param {Object} [options={}] - Listing options
+   * @param {number} [options.pageSize] - Keys requested per page (1-1000)
+   * @param {string} [options.delimiter] - Stop descending at this delimiter
+   * @param {string} [options.startAfter] - Start listing after this key
+   * @yields {Object} S3 object entries (Key, Size, LastModified, ETag, StorageClass)
+   * @throws {Error} When parameters are invalid or a page request fails
    * 
    * @example
-   * // Copy within same bucket
-   * await AwsS3.copyFile('my-bucket', 'temp/file.txt', 'my-bucket', 'permanent/file.txt');
+   * for await (const obj of AwsS3.iterateFiles('my-bucket', 'logs/2025/')) {
+   *   console.log(obj.Key, obj.Size);
+   * }
+   */
+  static async *iterateFiles(bucket, prefix = "", options = {}) {
+    let pageSize, delimiter, startAfter;
+    try {
+      ({ bucket, prefix, pageSize, delimiter, startAfter } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+        prefix: { value: prefix, type: "string", required: false, default: "" },
+        pageSize: { value: options.pageSize, type: "int", required: false },
+        delimiter: { value: options.delimiter, type: "string", required: false },
+        startAfter: { value: options.startAfter, type: "string", required: false },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in iterateFiles", {
+        bucket,
+        prefix,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action: "iterateFiles",
+        message: err.message,
+        critical: true,
+        data: { bucket, prefix },
+      });
+      throw new Error(err.message);
+    }
+
+    let continuationToken;
+    let pages = 0;
+    do {
+      let res;
+      try {
+        res = await AwsS3.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefix,
+            Delimiter: delimiter ?? undefined,
+            MaxKeys: pageSize ?? undefined,
+            StartAfter: continuationToken ? undefined : startAfter ?? undefined,
+            ContinuationToken: continuationToken,
+          })
+        );
+      } catch (err) {
+        ErrorHandler.add_error("iterateFiles failed", {
+          bucket,
+          prefix,
+          page: pages,
+          error: err.message,
+        });
+        throw new Error(`Failed to list files: ${err.message}`);
+      }
+      pages += 1;
+
+      for (const obj of res.Contents || []) {
+        yield obj;
+      }
+      continuationToken = res.IsTruncated ? res.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    if (Logger.isConsoleEnabled()) {
+      console.log(
+        `[Logger flag=iterateFiles]`,
+        JSON.stringify(
+          { action: "iterateFiles", bucket, prefix, pages, time: DateTime.now() },
+          null,
+          2
+        )
+      );
+    }
+  }
+
+  /**
+   * Build a storage usage report for a bucket or prefix
+   * Walks the listing page by page (see iterateFiles) and aggregates object
+   * counts and bytes by storage class, prefix, extension and age, plus the
+   * largest and oldest objects. Export the result with
+   * S3StorageReport.toJSON/toCSV.
+   * 
+   * @param {string} bucket - Bucket name
+   * @param {Object} [options={}] - Report options
+   * @param {string} [options.prefix=""] - Only include keys under this prefix
+   * @param {number} [options.groupByDepth=1] - Folder levels below the prefix used for the prefix breakdown
+   * @param {number} [options.top=10] - Number of largest and oldest objects to list
+   * @param {number[]} [options.ageBuckets=[30, 90, 365, 1095]] - Ascending age boundaries in days
+   * @returns {Promise<Object|null>} {bucket, prefix, groupByDepth, generatedAt, totals, byStorageClass, byPrefix,
+   *   byExtension, byAge, largest, oldest}, or null when the listing fails
+   * @throws {Error} When parameters are invalid
    * 
    * @example
-   * // Copy across buckets
-   * await AwsS3.copyFile('source-bucket', 'data.json', 'backup-bucket', 'backup/data.json');
+   * const report = await AwsS3.getStorageReport('media', { prefix: 'uploads/', groupByDepth: 2 });
+   * console.log(report.totals.bytes, report.byStorageClass);
+   * fs.writeFileSync('media-usage.csv', S3StorageReport.toCSV(report));
    */
-  static async copyFile(sourceBucket, sourceKey, destBucket, destKey) {
+  static async getStorageReport(bucket, options = {}) {
+    let prefix, groupByDepth, top, ageBuckets;
     try {
-      ({ sourceBucket, sourceKey, destBucket, destKey } =
-        SafeUtils.sanitizeValidate({
-          sourceBucket: { value: sourceBucket, type: "string", required: true },
-          sourceKey: { value: sourceKey, type: "string", required: true },
-          destBucket: { value: destBucket, type: "string", required: true },
-          destKey: { value: destKey, type: "string", required: true },
-        }));
+      ({ bucket, prefix, groupByDepth, top } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+        prefix: { value: options.prefix, type: "string", required: false, default: "" },
+        groupByDepth: { value: options.groupByDepth, type: "int", required: false, default: 1 },
+        top: { value: options.top, type: "int", required: false, default: S3StorageReport.DEFAULT_TOP },
+      }));
+      if (groupByDepth < 1) {
+        throw new Error("groupByDepth must be >= 1");
+      }
+      if (top < 0) {
+        throw new Error("top must be >= 0");
+      }
+      ageBuckets = options.ageBuckets ?? S3StorageReport.DEFAULT_AGE_BUCKETS;
+      if (
+        !Array.isArray(ageBuckets) ||
+        ageBuckets.some((days, i) => !Number.isInteger(days) || days <= 0 || (i > 0 && days <= ageBuckets[i - 1]))
+      ) {
+        throw new Error("ageBuckets must be an ascending array of positive day counts");
+      }
     } catch (err) {
-      ErrorHandler.add_error("Invalid params in copyFile", {
-        sourceBucket,
-        sourceKey,
-        destBucket,
-        destKey,
+      ErrorHandler.add_error("Invalid params in getStorageReport", {
+        bucket,
+        prefix: options.prefix,
         error: err.message,
       });
       Logger.writeLog({
         flag: "system_error",
-        action: "copyFile",
+        action: "getStorageReport",
         message: err.message,
         critical: true,
-        data: { sourceBucket, sourceKey, destBucket, destKey },
+        data: { bucket, prefix: options.prefix },
       });
       throw new Error(err.message);
     }
 
     try {
-      await AwsS3.client.send(
-        new CopyObjectCommand({
-          CopySource: `${sourceBucket}/${sourceKey}`,
-          Bucket: destBucket,
-          Key: destKey,
-        })
-      );
-      AwsS3.cache.objects.set(`${destBucket}/${destKey}`, true);
-
-      if (Logger.isConsoleEnabled()) {
-        console.log(
-          `[Logger flag=copyFile]`,
-          JSON.stringify(
-            {
-              action: "copyFile",
-              from: `${sourceBucket}/${sourceKey}`,
-              to: `${destBucket}/${destKey}`,
-              time: DateTime.now(),
-            },
-            null,
-            2
-          )
-        );
+      const accumulator = new S3StorageReport({ bucket, prefix, groupByDepth, top, ageBuckets });
+      for await (const obj of AwsS3.iterateFiles(bucket, prefix)) {
+        accumulator.add(obj);
       }
+      const report = accumulator.toReport();
+
+      Logger.writeLog({
+        flag: "s3_operations",
+        action: "getStorageReport",
+        data: { bucket, prefix, ...report.totals },
+        message: `Storage report for ${bucket}/${prefix}: ${report.totals.objects} objects, ${report.totals.bytes} bytes`,
+      });
+      return report;
     } catch (err) {
-      ErrorHandler.add_error("copyFile failed", {
-        sourceBucket,
-        sourceKey,
-        destBucket,
-        destKey,
+      ErrorHandler.add_error("getStorageReport failed", {
+        bucket,
+        prefix,
         error: err.message,
       });
       if (Logger.isConsoleEnabled()) {
         console.log(
-          `[Logger flag=copyFile]`,
+          `[Logger flag=getStorageReport]`,
           JSON.stringify(
             {
-              action: "copyFile.error",
+              action: "getStorageReport.error",
               error: err.message,
               time: DateTime.now(),
             },
@@ -1060,33 +1877,140 @@ class AwsS3 {
   }
 
   /**
-   * Initiate multipart upload for large files (>5MB recommended)
-   * Returns upload ID for subsequent part uploads
+   * Download file content from S3 bucket
+   * Returns readable stream for efficient memory usage with large files.
+   * Accepts the range, version and conditional options of getFileResponse;
+   * use getFileResponse to tell a "not modified" answer apart from a failure.
    * 
-   * @param {string} bucket - Destination bucket name
-   * @param {string} key - File key (path) for the upload
-   * @returns {Promise<string>} Upload ID for multipart upload
-   * @throws {Error} When parameters are invalid or initiation fails
+   * @param {string} bucket - Source bucket name
+   * @param {string} key - File key (path) to download
+   * @param {Object} [options={}] - Read options (see getFileResponse)
+   * @returns {Promise<ReadableStream|null>} File content as readable stream, or null when the
+   *   read fails or a conditional read is not modified
+   * @throws {Error} When parameters are invalid or file doesn't exist
    * 
    * @example
-   * const uploadId = await AwsS3.initiateMultipartUpload('my-bucket', 'large-files/video.mp4');
-   * console.log('Upload initiated:', uploadId);
+   * const fileStream = await AwsS3.getFile('my-bucket', 'documents/report.pdf');
+   * // Convert stream to string for text files
+   * const chunks = [];
+   * for await (const chunk of fileStream) {
+   *   chunks.push(chunk);
+   * }
+   * const content = Buffer.concat(chunks).toString('utf-8');
+   * 
+   * @example
+   * // First kilobyte only
+   * const head = await AwsS3.getFile('my-bucket', 'logs/app.log', { range: { start: 0, end: 1023 } });
+   */
+  static async getFile(bucket, key, options = {}) {
+    const res = await AwsS3.getFileResponse(bucket, key, options);
+    return res?.body ?? null;
+  }
+
+  /**
+   * Format a byte range as an HTTP Range header
+   * 
+   * @param {Object|string} range - {start, end} (end inclusive, optional), {suffix} for the
+   *   last N bytes, or a raw 'bytes=...' string
+   * @returns {string} Range header value
+   * @throws {TypeError} When the range is invalid
+   * 
+   * @example
+   * AwsS3.formatRange({ start: 0, end: 99 }); // 'bytes=0-99'
+   * AwsS3.formatRange({ suffix: 500 });       // 'bytes=-500'
+   */
+  static formatRange(range) {
+    if (typeof range === "string") {
+      if (!/^bytes=(\d+-\d*|-\d+)$/.test(range)) {
+        throw new TypeError(`Invalid range "${range}". Expected "bytes=start-end"`);
+      }
+      return range;
+    }
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    if (range?.suffix !== undefined) {
+      if (!isCount(range.suffix) || range.suffix === 0) {
+        throw new TypeError("range.suffix must be a positive integer");
+      }
+      return `bytes=-${range.suffix}`;
+    }
+    if (!isCount(range?.start)) {
+      throw new TypeError("range.start must be a non-negative integer");
+    }
+    if (range.end !== undefined && range.end !== null && (!isCount(range.end) || range.end < range.start)) {
+      throw new TypeError("range.end must be an integer >= range.start");
+    }
+    return `bytes=${range.start}-${range.end ?? ""}`;
+  }
+
+  /**
+   * Whether an S3 error is a 304 answer to a conditional read
+   * @param {Error} err - Error thrown by S3Client.send
+   * @returns {boolean} True when the object was not modified
    */
-  static async initiateMultipartUpload(bucket, key) {
+  static isNotModified(err) {
+    return err?.name === "NotModified" || err?.$metadata?.httpStatusCode === 304;
+  }
+
+  /**
+   * Read an object with its response headers, supporting ranges and conditional GETs
+   * A conditional read whose object is unchanged resolves to {notModified: true}
+   * instead of failing, so callers can keep using their cached copy.
+   * Client-side encrypted objects are decrypted and authenticated in memory
+   * before the body is returned (byte ranges cannot be decrypted and fail).
+   * 
+   * @param {string} bucket - Source bucket name
+   * @param {string} key - File key (path) to download
+   * @param {Object} [options={}] - Read options
+   * @param {Object|string} [options.range] - Byte range (see formatRange)
+   * @param {string} [options.versionId] - Version to read
+   * @param {string} [options.ifNoneMatch] - Only return the body when the ETag differs
+   * @param {Date|string|number} [options.ifModifiedSince] - Only return the body when modified after this date
+   * @param {string} [options.ifMatch] - Fail unless the ETag matches (412)
+   * @param {Date|string|number} [options.ifUnmodifiedSince] - Fail when modified after this date (412)
+   * @param {boolean} [options.checksumMode=false] - Ask S3 for the stored CRC/SHA checksum of the object
+   * @param {boolean} [options.decrypt=true] - Decrypt client-side encrypted objects (false returns the raw ciphertext)
+   * @returns {Promise<Object|null>} {notModified, body, contentType, contentLength, contentRange, etag,
+   *   lastModified, metadata, versionId, serverSideEncryption, checksum, encrypted} or null when the read fails
+   * @throws {Error} When parameters are invalid
+   * 
+   * @example
+   * const res = await AwsS3.getFileResponse('my-bucket', 'config/app.json', { ifNoneMatch: cached.etag });
+   * if (res?.notModified) return cached.value;
+   * 
+   * @example
+   * const tail = await AwsS3.getFileResponse('my-bucket', 'logs/app.log', { range: { suffix: 4096 } });
+   * console.log(tail.contentRange); // 'bytes 1044480-1048575/1048576'
+   */
+  static async getFileResponse(bucket, key, options = {}) {
+    let versionId, ifNoneMatch, ifMatch, checksumMode, decrypt, range;
+    const dates = {};
     try {
-      ({ bucket, key } = SafeUtils.sanitizeValidate({
+      ({ bucket, key, versionId, ifNoneMatch, ifMatch, checksumMode, decrypt } = SafeUtils.sanitizeValidate({
         bucket: { value: bucket, type: "string", required: true },
         key: { value: key, type: "string", required: true },
+        versionId: { value: options.versionId, type: "string", required: false },
+        ifNoneMatch: { value: options.ifNoneMatch, type: "string", required: false },
+        ifMatch: { value: options.ifMatch, type: "string", required: false },
+        checksumMode: { value: options.checksumMode, type: "bool", required: false, default: false },
+        decrypt: { value: options.decrypt, type: "bool", required: false, default: true },
       }));
+      if (options.range !== undefined) range = AwsS3.formatRange(options.range);
+      for (const name of ["ifModifiedSince", "ifUnmodifiedSince"]) {
+        if (options[name] === undefined) continue;
+        dates[name] = new Date(options[name]);
+        if (Number.isNaN(dates[name].getTime())) {
+          throw new Error(`${name} must be a valid date`);
+        }
+      }
     } catch (err) {
-      ErrorHandler.add_error("Invalid params in initiateMultipartUpload", {
+      ErrorHandler.add_error("Invalid params in getFile", {
         bucket,
         key,
         error: err.message,
       });
       Logger.writeLog({
         flag: "system_error",
-        action: "initiateMultipartUpload",
+        action: "getFile",
         message: err.message,
         critical: true,
         data: { bucket, key },
@@ -1095,20 +2019,27 @@ class AwsS3 {
     }
 
     try {
-      const res = await AwsS3.client.send(
-        new CreateMultipartUploadCommand({
+      const res = await AwsS3.send(
+        new GetObjectCommand({
           Bucket: bucket,
           Key: key,
+          VersionId: versionId ?? undefined,
+          Range: range,
+          IfNoneMatch: ifNoneMatch ?? undefined,
+          IfMatch: ifMatch ?? undefined,
+          IfModifiedSince: dates.ifModifiedSince,
+          IfUnmodifiedSince: dates.ifUnmodifiedSince,
+          ChecksumMode: checksumMode ? "ENABLED" : undefined,
         })
       );
       if (Logger.isConsoleEnabled()) {
         console.log(
-          `[Logger flag=initiateMultipartUpload]`,
+          `[Logger flag=getFile]`,
           JSON.stringify(
             {
-              action: "initiateMultipartUpload",
+              action: "getFile",
               key: `${bucket}/${key}`,
-              uploadId: res.UploadId,
+              range: res.ContentRange,
               time: DateTime.now(),
             },
             null,
@@ -1116,19 +2047,63 @@ class AwsS3 {
           )
         );
       }
-      return res.UploadId;
+      const response = {
+        notModified: false,
+        body: res.Body,
+        contentType: res.ContentType ?? null,
+        contentLength: res.ContentLength ?? null,
+        contentRange: res.ContentRange ?? null,
+        etag: res.ETag ?? null,
+        lastModified: res.LastModified ?? null,
+        metadata: res.Metadata ?? {},
+        versionId: res.VersionId ?? null,
+        serverSideEncryption: res.ServerSideEncryption ?? null,
+        checksum: Checksum.fromResponse(res),
+        encrypted: S3EnvelopeEncryption.isEncrypted(res.Metadata),
+      };
+      if (response.encrypted && decrypt) {
+        if (range) {
+          throw new Error("Byte ranges cannot be read from client-side encrypted objects");
+        }
+        const envelope = await S3EnvelopeEncryption.openEnvelope(AwsS3.requireKeyWrapper(), response.metadata);
+        const plaintext = S3EnvelopeEncryption.decryptBuffer(envelope, await AwsS3.toBuffer(res.Body));
+        // The stored checksum covers the ciphertext; the GCM tag has authenticated the plaintext
+        Object.assign(response, {
+          body: S3EnvelopeEncryption.toBody(plaintext),
+          contentLength: plaintext.length,
+          checksum: null,
+        });
+      }
+      return response;
     } catch (err) {
-      ErrorHandler.add_error("initiateMultipartUpload failed", {
+      if (AwsS3.isNotModified(err)) {
+        if (Logger.isConsoleEnabled()) {
+          console.log(
+            `[Logger flag=getFile]`,
+            JSON.stringify(
+              {
+                action: "getFile.notModified",
+                key: `${bucket}/${key}`,
+                time: DateTime.now(),
+              },
+              null,
+              2
+            )
+          );
+        }
+        return { notModified: true, body: null, etag: err.$response?.headers?.etag ?? ifNoneMatch ?? null };
+      }
+      ErrorHandler.add_error("getFile failed", {
         bucket,
         key,
         error: err.message,
       });
       if (Logger.isConsoleEnabled()) {
         console.log(
-          `[Logger flag=initiateMultipartUpload]`,
+          `[Logger flag=getFile]`,
           JSON.stringify(
             {
-              action: "initiateMultipartUpload.error",
+              action: "getFile.error",
               error: err.message,
               time: DateTime.now(),
             },
@@ -1142,87 +2117,73 @@ class AwsS3 {
   }
 
   /**
-   * Upload a single part of multipart upload
-   * Each part must be at least 5MB except the last part
+   * Download a file into memory as a Buffer
    * 
-   * @param {string} bucket - Destination bucket name
-   * @param {string} key - File key (path) for the upload
-   * @param {string} uploadId - Upload ID from initiateMultipartUpload
-   * @param {number} partNumber - Part number (1-10000)
-   * @param {Buffer|Uint8Array|string} body - Part data to upload
-   * @returns {Promise<Object>} Part upload result with ETag
-   * @throws {Error} When parameters are invalid or upload fails
+   * @param {string} bucket - Source bucket name
+   * @param {string} key - File key (path)
+   * @param {Object} [options={}] - Read options (see getFileResponse)
+   * @returns {Promise<Buffer|null>} File content, or null when the read fails or is not modified
+   * @throws {Error} When parameters are invalid
    * 
    * @example
-   * const part1 = await AwsS3.uploadPart('my-bucket', 'large-file.zip', uploadId, 1, chunk1);
-   * console.log('Part 1 ETag:', part1.ETag);
+   * const png = await AwsS3.getFileAsBuffer('my-bucket', 'images/logo.png');
    */
-  static async uploadPart(bucket, key, uploadId, partNumber, body) {
+  static async getFileAsBuffer(bucket, key, options = {}) {
+    const res = await AwsS3.getFileResponse(bucket, key, options);
+    if (!res?.body) return null;
     try {
-      ({ bucket, key, uploadId, partNumber } = SafeUtils.sanitizeValidate({
-        bucket: { value: bucket, type: "string", required: true },
-        key: { value: key, type: "string", required: true },
-        uploadId: { value: uploadId, type: "string", required: true },
-        partNumber: { value: partNumber, type: "int", required: true },
-      }));
+      return Buffer.from(await res.body.transformToByteArray());
     } catch (err) {
-      ErrorHandler.add_error("Invalid params in uploadPart", {
-        bucket,
-        key,
-        uploadId,
-        partNumber,
-        error: err.message,
-      });
-      Logger.writeLog({
-        flag: "system_error",
-        action: "uploadPart",
-        message: err.message,
-        critical: true,
-        data: { bucket, key, uploadId, partNumber },
-      });
-      throw new Error(err.message);
+      ErrorHandler.add_error("getFileAsBuffer failed", { bucket, key, error: err.message });
+      return null;
     }
+  }
+
+  /**
+   * Download a file into memory as a string
+   * 
+   * @param {string} bucket - Source bucket name
+   * @param {string} key - File key (path)
+   * @param {Object} [options={}] - Read options (see getFileResponse)
+   * @param {string} [options.encoding='utf-8'] - Text encoding
+   * @returns {Promise<string|null>} File content, or null when the read fails or is not modified
+   * @throws {Error} When parameters are invalid
+   * 
+   * @example
+   * const readme = await AwsS3.getFileAsString('my-bucket', 'docs/README.md');
+   */
+  static async getFileAsString(bucket, key, options = {}) {
+    const { encoding = "utf-8", ...readOptions } = options;
+    const buffer = await AwsS3.getFileAsBuffer(bucket, key, readOptions);
+    return buffer === null ? null : buffer.toString(encoding);
+  }
 
+  /**
+   * Download and parse a JSON file
+   * 
+   * @param {string} bucket - Source bucket name
+   * @param {string} key - File key (path)
+   * @param {Object} [options={}] - Read options (see getFileResponse)
+   * @returns {Promise<*|null>} Parsed value, or null when the read or parse fails or is not modified
+   * @throws {Error} When parameters are invalid
+   * 
+   * @example
+   * const settings = await AwsS3.getFileAsJson('my-bucket', 'config/settings.json');
+   */
+  static async getFileAsJson(bucket, key, options = {}) {
+    const text = await AwsS3.getFileAsString(bucket, key, options);
+    if (text === null) return null;
     try {
-      const res = await AwsS3.client.send(
-        new UploadPartCommand({
-          Bucket: bucket,
-          Key: key,
-          UploadId: uploadId,
-          PartNumber: partNumber,
-          Body: body,
-        })
-      );
-      if (Logger.isConsoleEnabled()) {
-        console.log(
-          `[Logger flag=uploadPart]`,
-          JSON.stringify(
-            {
-              action: "uploadPart",
-              part: partNumber,
-              ETag: res.ETag,
-              time: DateTime.now(),
-            },
-            null,
-            2
-          )
-        );
-      }
-      return { ETag: res.ETag, PartNumber: partNumber };
+      return JSON.parse(text);
     } catch (err) {
-      ErrorHandler.add_error("uploadPart failed", {
-        bucket,
-        key,
-        uploadId,
-        partNumber,
-        error: err.message,
-      });
+      ErrorHandler.add_error("getFileAsJson failed", { bucket, key, error: err.message });
       if (Logger.isConsoleEnabled()) {
         console.log(
-          `[Logger flag=uploadPart]`,
+          `[Logger flag=getFileAsJson]`,
           JSON.stringify(
             {
-              action: "uploadPart.error",
+              action: "getFileAsJson.error",
+              key: `${bucket}/${key}`,
               error: err.message,
               time: DateTime.now(),
             },
@@ -1236,62 +2197,122 @@ class AwsS3 {
   }
 
   /**
-   * Complete multipart upload by combining all uploaded parts
-   * Parts must be provided in correct order with ETags
+   * Whether an ETag is the plain MD5 of the object content
+   * Multipart ETags ("...-N") and SSE-KMS ETags are not content digests.
    * 
-   * @param {string} bucket - Destination bucket name
-   * @param {string} key - File key (path) for the upload
-   * @param {string} uploadId - Upload ID from initiateMultipartUpload
-   * @param {Array} parts - Array of part objects with PartNumber and ETag
-   * @returns {Promise<void>}
-   * @throws {Error} When parameters are invalid or completion fails
+   * @param {string} etag - ETag (quoted or not)
+   * @param {string|null} [serverSideEncryption] - Object SSE algorithm
+   * @returns {boolean} True when the ETag can be compared with an MD5
+   */
+  static isMd5ETag(etag, serverSideEncryption = null) {
+    if (serverSideEncryption?.startsWith("aws:kms")) return false;
+    return /^[0-9a-f]{32}$/.test(etag?.replace(/"/g, "") ?? "");
+  }
+
+  /**
+   * Stream a file to disk and verify it against the object's checksum
+   * The file is written to a temporary path and renamed into place only after
+   * the download (and checksum) succeeded. Objects uploaded with a
+   * checksumAlgorithm are checked against the stored CRC/SHA checksum
+   * (composite multipart checksums included); otherwise the MD5 ETag is used.
+   * Client-side encrypted objects are authenticated by decryption instead.
+   * Objects with neither (multipart or SSE-KMS without a checksum) are reported
+   * with verified: false.
+   * 
+   * @param {string} bucket - Source bucket name
+   * @param {string} key - File key (path)
+   * @param {string} filePath - Local destination path (parent directories are created)
+   * @param {Object} [options={}] - Download options
+   * @param {string} [options.versionId] - Version to download
+   * @param {boolean} [options.verify=true] - Compare the written bytes with the stored checksum or MD5 ETag
+   * @returns {Promise<Object|null>} {bucket, key, path, size, etag, checksum, verified} or null when the
+   *   download or verification fails
+   * @throws {Error} When parameters are invalid
    * 
    * @example
-   * const parts = [{PartNumber: 1, ETag: '"abc123"'}, {PartNumber: 2, ETag: '"def456"'}];
-   * await AwsS3.completeMultipartUpload('my-bucket', 'large-file.zip', uploadId, parts);
+   * const result = await AwsS3.downloadToPath('my-bucket', 'exports/orders.csv', './tmp/orders.csv');
+   * console.log(result.verified ? 'checksum ok' : 'no MD5 ETag to compare');
    */
-  static async completeMultipartUpload(bucket, key, uploadId, parts) {
+  static async downloadToPath(bucket, key, filePath, options = {}) {
+    let versionId, verify;
     try {
-      ({ bucket, key, uploadId } = SafeUtils.sanitizeValidate({
+      ({ bucket, key, filePath, versionId, verify } = SafeUtils.sanitizeValidate({
         bucket: { value: bucket, type: "string", required: true },
         key: { value: key, type: "string", required: true },
-        uploadId: { value: uploadId, type: "string", required: true },
+        filePath: { value: filePath, type: "string", required: true },
+        versionId: { value: options.versionId, type: "string", required: false },
+        verify: { value: options.verify, type: "bool", required: false, default: true },
       }));
     } catch (err) {
-      ErrorHandler.add_error("Invalid params in completeMultipartUpload", {
+      ErrorHandler.add_error("Invalid params in downloadToPath", {
         bucket,
         key,
-        uploadId,
+        filePath,
         error: err.message,
       });
       Logger.writeLog({
         flag: "system_error",
-        action: "completeMultipartUpload",
+        action: "downloadToPath",
         message: err.message,
         critical: true,
-        data: { bucket, key, uploadId },
+        data: { bucket, key, filePath },
       });
       throw new Error(err.message);
     }
 
+    const res = await AwsS3.getFileResponse(bucket, key, { versionId: versionId ?? undefined, checksumMode: verify });
+    if (!res?.body) return null;
+
+    const temp = `${filePath}.${process.pid}.download`;
     try {
-      await AwsS3.client.send(
-        new CompleteMultipartUploadCommand({
-          Bucket: bucket,
-          Key: key,
-          UploadId: uploadId,
-          MultipartUpload: { Parts: parts },
-        })
-      );
-      AwsS3.cache.objects.set(`${bucket}/${key}`, true);
+      await fs.promises.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+      const checksum = verify ? res.checksum : null;
+      const hash = crypto.createHash("md5");
+      // Full-object checksums are computed while streaming; composite ones need the part layout
+      const checksumHash = checksum?.type === "FULL_OBJECT" ? Checksum.create(checksum.algorithm) : null;
+      let size = 0;
+      const tap = new Transform({
+        transform(chunk, encoding, callback) {
+          hash.update(chunk);
+          checksumHash?.update(chunk);
+          size += chunk.length;
+          callback(null, chunk);
+        },
+      });
+      await pipeline(res.body, tap, fs.createWriteStream(temp));
+
+      if (res.contentLength !== null && size !== res.contentLength) {
+        throw new Error(`Size mismatch for ${bucket}/${key}: expected ${res.contentLength}, received ${size}`);
+      }
+      // Decryption already checked the GCM tag of encrypted objects
+      let verified = res.encrypted;
+      if (checksum) {
+        const actual = checksumHash
+          ? checksumHash.digest().toString("base64")
+          : await AwsS3.computeObjectChecksum(bucket, key, temp, checksum, versionId);
+        if (actual !== null && actual !== checksum.value) {
+          throw new Error(`Checksum mismatch for ${bucket}/${key}: ${checksum.algorithm} ${checksum.value}, received ${actual}`);
+        }
+        verified = actual !== null;
+      }
+      if (!verified && verify && !res.encrypted && AwsS3.isMd5ETag(res.etag, res.serverSideEncryption)) {
+        if (hash.digest("hex") !== res.etag.replace(/"/g, "")) {
+          throw new Error(`Checksum mismatch for ${bucket}/${key}: ETag ${res.etag}`);
+        }
+        verified = true;
+      }
+      await fs.promises.rename(temp, filePath);
 
       if (Logger.isConsoleEnabled()) {
         console.log(
-          `[Logger flag=completeMultipartUpload]`,
+          `[Logger flag=downloadToPath]`,
           JSON.stringify(
             {
-              action: "completeMultipartUpload",
+              action: "downloadToPath",
               key: `${bucket}/${key}`,
+              path: filePath,
+              size,
+              verified,
               time: DateTime.now(),
             },
             null,
@@ -1299,19 +2320,21 @@ class AwsS3 {
           )
         );
       }
+      return { bucket, key, path: filePath, size, etag: res.etag, checksum, verified };
     } catch (err) {
-      ErrorHandler.add_error("completeMultipartUpload failed", {
+      await fs.promises.rm(temp, { force: true });
+      ErrorHandler.add_error("downloadToPath failed", {
         bucket,
         key,
-        uploadId,
+        filePath,
         error: err.message,
       });
       if (Logger.isConsoleEnabled()) {
         console.log(
-          `[Logger flag=completeMultipartUpload]`,
+          `[Logger flag=downloadToPath]`,
           JSON.stringify(
             {
-              action: "completeMultipartUpload.error",
+              action: "downloadToPath.error",
               error: err.message,
               time: DateTime.now(),
             },
@@ -1325,60 +2348,153 @@ class AwsS3 {
   }
 
   /**
-   * Abort multipart upload and clean up partial data
-   * Use when upload fails or needs to be cancelled
+   * Download a large object to disk with parallel ranged GETs
+   * Every range is pinned to the object's ETag (If-Match) so an overwrite
+   * during the download fails it instead of mixing versions. Ranges are
+   * written in place and retried individually. Objects at or below the
+   * threshold, and client-side encrypted objects (which must be authenticated
+   * as a whole), are downloaded with a single downloadToPath call.
    * 
-   * @param {string} bucket - Destination bucket name
-   * @param {string} key - File key (path) for the upload
-   * @param {string} uploadId - Upload ID from initiateMultipartUpload
-   * @returns {Promise<void>}
-   * @throws {Error} When parameters are invalid or abort fails
+   * @param {string} bucket - Source bucket name
+   * @param {string} key - File key (path)
+   * @param {string} filePath - Local destination path (parent directories are created)
+   * @param {Object} [options={}] - Download options
+   * @param {number} [options.partSize=8MB] - Range size in bytes (minimum 5MB)
+   * @param {number} [options.concurrency=4] - Ranges downloaded in parallel
+   * @param {number} [options.retries=3] - Retry attempts per range
+   * @param {number} [options.threshold=16MB] - Size at or below which a single GET is used
+   * @param {string} [options.versionId] - Version to download
+   * @param {boolean} [options.verify=true] - Compare the file with the stored checksum, or the MD5 of a single-part ETag
+   * @param {Function} [options.onProgress] - Called after each range with {bucket, key, partNumber, loadedBytes, totalBytes}
+   * @returns {Promise<Object|null>} {bucket, key, path, size, etag, checksum, verified, partCount} or null on failure
+   * @throws {Error} When parameters are invalid
    * 
    * @example
-   * await AwsS3.abortMultipartUpload('my-bucket', 'failed-upload.zip', uploadId);
-   * console.log('Upload aborted and cleaned up');
+   * await AwsS3.downloadLarge('my-bucket', 'backups/db.tar', '/data/db.tar', {
+   *   concurrency: 8,
+   *   onProgress: ({ loadedBytes, totalBytes }) => console.log(`${loadedBytes}/${totalBytes}`),
+   * });
    */
-  static async abortMultipartUpload(bucket, key, uploadId) {
+  static async downloadLarge(bucket, key, filePath, options = {}) {
+    let partSize, concurrency, retries, threshold, versionId, verify;
     try {
-      ({ bucket, key, uploadId } = SafeUtils.sanitizeValidate({
-        bucket: { value: bucket, type: "string", required: true },
-        key: { value: key, type: "string", required: true },
-        uploadId: { value: uploadId, type: "string", required: true },
-      }));
+      ({ bucket, key, filePath, partSize, concurrency, retries, threshold, versionId, verify } =
+        SafeUtils.sanitizeValidate({
+          bucket: { value: bucket, type: "string", required: true },
+          key: { value: key, type: "string", required: true },
+          filePath: { value: filePath, type: "string", required: true },
+          partSize: { value: options.partSize, type: "int", required: false, default: AwsS3.DEFAULT_PART_SIZE },
+          concurrency: { value: options.concurrency, type: "int", required: false, default: AwsS3.DEFAULT_UPLOAD_CONCURRENCY },
+          retries: { value: options.retries, type: "int", required: false, default: AwsS3.MAX_RETRY_ATTEMPTS },
+          threshold: { value: options.threshold, type: "int", required: false, default: AwsS3.MULTIPART_THRESHOLD },
+          versionId: { value: options.versionId, type: "string", required: false },
+          verify: { value: options.verify, type: "bool", required: false, default: true },
+        }));
+      if (partSize < AwsS3.MIN_PART_SIZE) {
+        throw new Error(`partSize must be at least ${AwsS3.MIN_PART_SIZE} bytes`);
+      }
+      if (concurrency < 1 || retries < 0 || threshold < 0) {
+        throw new Error("concurrency must be >= 1, retries and threshold must be >= 0");
+      }
+      if (options.onProgress !== undefined && typeof options.onProgress !== "function") {
+        throw new Error("onProgress must be a function");
+      }
     } catch (err) {
-      ErrorHandler.add_error("Invalid params in abortMultipartUpload", {
+      ErrorHandler.add_error("Invalid params in downloadLarge", {
         bucket,
         key,
-        uploadId,
+        filePath,
         error: err.message,
       });
       Logger.writeLog({
         flag: "system_error",
-        action: "abortMultipartUpload",
+        action: "downloadLarge",
         message: err.message,
         critical: true,
-        data: { bucket, key, uploadId },
+        data: { bucket, key, filePath },
       });
       throw new Error(err.message);
     }
 
+    const temp = `${filePath}.${process.pid}.download`;
+    let handle = null;
     try {
-      await AwsS3.client.send(
-        new AbortMultipartUploadCommand({
+      const head = await AwsS3.send(
+        new HeadObjectCommand({
           Bucket: bucket,
           Key: key,
-          UploadId: uploadId,
+          VersionId: versionId ?? undefined,
+          ChecksumMode: verify ? "ENABLED" : undefined,
         })
       );
+      const size = head.ContentLength ?? 0;
+      if (size <= threshold || S3EnvelopeEncryption.isEncrypted(head.Metadata)) {
+        const result = await AwsS3.downloadToPath(bucket, key, filePath, { versionId: versionId ?? undefined, verify });
+        if (result) options.onProgress?.({ bucket, key, partNumber: 1, loadedBytes: result.size, totalBytes: result.size });
+        return result ? { ...result, partCount: 1 } : null;
+      }
+
+      await fs.promises.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+      handle = await fs.promises.open(temp, "w");
+      await handle.truncate(size);
+      await handle.close();
+      handle = null;
+
+      const ranges = [];
+      for (let start = 0; start < size; start += partSize) {
+        ranges.push({ partNumber: ranges.length + 1, start, end: Math.min(start + partSize, size) - 1 });
+      }
+
+      let loadedBytes = 0;
+      await AwsS3.mapConcurrent(ranges, concurrency, async ({ partNumber, start, end }) => {
+        await AwsS3.withRetry(async () => {
+          const res = await AwsS3.send(
+            new GetObjectCommand({
+              Bucket: bucket,
+              Key: key,
+              VersionId: versionId ?? undefined,
+              Range: `bytes=${start}-${end}`,
+              IfMatch: head.ETag,
+            })
+          );
+          await pipeline(res.Body, fs.createWriteStream(temp, { flags: "r+", start }));
+        }, retries);
+        loadedBytes += end - start + 1;
+        options.onProgress?.({ bucket, key, partNumber, loadedBytes, totalBytes: size });
+      });
+
+      const written = (await fs.promises.stat(temp)).size;
+      if (written !== size) {
+        throw new Error(`Size mismatch for ${bucket}/${key}: expected ${size}, wrote ${written}`);
+      }
+      const checksum = verify ? Checksum.fromResponse(head) : null;
+      let verified = false;
+      if (checksum) {
+        const actual = await AwsS3.computeObjectChecksum(bucket, key, temp, checksum, versionId);
+        if (actual !== null && actual !== checksum.value) {
+          throw new Error(`Checksum mismatch for ${bucket}/${key}: ${checksum.algorithm} ${checksum.value}, received ${actual}`);
+        }
+        verified = actual !== null;
+      }
+      if (!verified && verify && AwsS3.isMd5ETag(head.ETag, head.ServerSideEncryption)) {
+        if ((await AwsS3.hashFile(temp)) !== head.ETag.replace(/"/g, "")) {
+          throw new Error(`Checksum mismatch for ${bucket}/${key}: ETag ${head.ETag}`);
+        }
+        verified = true;
+      }
+      await fs.promises.rename(temp, filePath);
 
       if (Logger.isConsoleEnabled()) {
         console.log(
-          `[Logger flag=abortMultipartUpload]`,
+          `[Logger flag=downloadLarge]`,
           JSON.stringify(
             {
-              action: "abortMultipartUpload",
+              action: "downloadLarge",
               key: `${bucket}/${key}`,
-              uploadId,
+              path: filePath,
+              size,
+              parts: ranges.length,
+              verified,
               time: DateTime.now(),
             },
             null,
@@ -1386,19 +2502,22 @@ class AwsS3 {
           )
         );
       }
+      return { bucket, key, path: filePath, size, etag: head.ETag, checksum, verified, partCount: ranges.length };
     } catch (err) {
-      ErrorHandler.add_error("abortMultipartUpload failed", {
+      await handle?.close().catch(() => {});
+      await fs.promises.rm(temp, { force: true });
+      ErrorHandler.add_error("downloadLarge failed", {
         bucket,
         key,
-        uploadId,
+        filePath,
         error: err.message,
       });
       if (Logger.isConsoleEnabled()) {
         console.log(
-          `[Logger flag=abortMultipartUpload]`,
+          `[Logger flag=downloadLarge]`,
           JSON.stringify(
             {
-              action: "abortMultipartUpload.error",
+              action: "downloadLarge.error",
               error: err.message,
               time: DateTime.now(),
             },
@@ -1412,98 +2531,79 @@ class AwsS3 {
   }
 
   /**
-   * Generate time-limited presigned URL for S3 operations
-   * Allows temporary access to S3 objects without AWS credentials
+   * List the parts (with their checksums) an object was uploaded in
+   * Uses GetObjectAttributes, which only reports parts for multipart objects
+   * uploaded with a checksumAlgorithm. Follows PartNumberMarker pagination.
    * 
-   * @param {string} bucket - Bucket name containing the object
-   * @param {string} key - Object key (path) to generate URL for
-   * @param {string} [operation="getObject"] - S3 operation: 'getObject', 'putObject', 'deleteObject'
-   * @param {number} [expiresInSeconds=300] - URL expiration time in seconds (default 5 minutes)
-   * @returns {Promise<string|null>} Presigned URL or null if generation fails
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.versionId] - Version to inspect
+   * @returns {Promise<Array|null>} Array of {PartNumber, Size, Checksum<ALGORITHM>} ([] when no part
+   *   information is stored), or null when the request fails
    * @throws {Error} When parameters are invalid
    * 
    * @example
-   * // Generate download URL (5 min expiry)
-   * const downloadUrl = await AwsS3.getPresignedUrl('my-bucket', 'documents/report.pdf');
-   * 
-   * @example
-   * // Generate upload URL (1 hour expiry)
-   * const uploadUrl = await AwsS3.getPresignedUrl('my-bucket', 'uploads/new-file.jpg', 'putObject', 3600);
+   * const parts = await AwsS3.getObjectParts('my-bucket', 'backups/db.tar');
+   * // [{ PartNumber: 1, Size: 8388608, ChecksumCRC32C: 'yZRlqg==' }, ...]
    */
-  static async getPresignedUrl(
-    bucket,
-    key,
-    operation = "getObject",
-    expiresInSeconds = AwsS3.DEFAULT_PRESIGNED_URL_EXPIRY
-  ) {
+  static async getObjectParts(bucket, key, options = {}) {
+    let versionId;
     try {
-      ({ bucket, key, operation, expiresInSeconds } =
-        SafeUtils.sanitizeValidate({
-          bucket: { value: bucket, type: "string", required: true },
-          key: { value: key, type: "string", required: true },
-          operation: {
-            value: operation,
-            type: "string",
-            required: false,
-            default: "getObject",
-          },
-          expiresInSeconds: {
-            value: expiresInSeconds,
-            type: "int",
-            required: false,
-            default: 900,
-          },
-        }));
+      ({ bucket, key, versionId } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+        key: { value: key, type: "string", required: true },
+        versionId: { value: options.versionId, type: "string", required: false },
+      }));
     } catch (err) {
-      ErrorHandler.add_error("Invalid params in getPresignedUrl", {
+      ErrorHandler.add_error("Invalid params in getObjectParts", {
         bucket,
         key,
-        operation,
-        expiresInSeconds,
         error: err.message,
       });
       Logger.writeLog({
         flag: "system_error",
-        action: "getPresignedUrl",
+        action: "getObjectParts",
         message: err.message,
         critical: true,
-        data: { bucket, key, operation, expiresInSeconds },
+        data: { bucket, key },
       });
       throw new Error(err.message);
     }
 
-    let command;
-    switch (operation) {
-      case "getObject":
-        command = new GetObjectCommand({ Bucket: bucket, Key: key });
-        break;
-      case "putObject":
-        command = new PutObjectCommand({ Bucket: bucket, Key: key });
-        break;
-      default:
-        ErrorHandler.add_error("Unsupported operation", { operation });
-        Logger.writeLog({
-          flag: "system_error",
-          action: "getPresignedUrl",
-          message: `Unsupported operation: ${operation}`,
-          critical: true,
-          data: { operation },
+    try {
+      const parts = [];
+      let marker;
+      do {
+        const res = await AwsS3.send(
+          new GetObjectAttributesCommand({
+            Bucket: bucket,
+            Key: key,
+            VersionId: versionId ?? undefined,
+            ObjectAttributes: ["ObjectParts"],
+            MaxParts: 1000,
+            PartNumberMarker: marker,
+          })
+        );
+        const objectParts = res.ObjectParts;
+        objectParts?.Parts?.forEach((p) => {
+          const part = { PartNumber: p.PartNumber, Size: p.Size };
+          for (const algorithm of Checksum.ALGORITHMS) {
+            if (p[`Checksum${algorithm}`]) part[`Checksum${algorithm}`] = p[`Checksum${algorithm}`];
+          }
+          parts.push(part);
         });
-        throw new Error(`Unsupported operation: ${operation}`);
-    }
+        marker = objectParts?.IsTruncated ? objectParts.NextPartNumberMarker : undefined;
+      } while (marker);
 
-    try {
-      const url = await getSignedUrl(AwsS3.client, command, {
-        expiresIn: expiresInSeconds,
-      });
       if (Logger.isConsoleEnabled()) {
         console.log(
-          `[Logger flag=getPresignedUrl]`,
+          `[Logger flag=getObjectParts]`,
           JSON.stringify(
             {
-              action: "getPresignedUrl",
-              operation,
-              expiresInSeconds,
+              action: "getObjectParts",
+              key: `${bucket}/${key}`,
+              count: parts.length,
               time: DateTime.now(),
             },
             null,
@@ -1511,21 +2611,19 @@ class AwsS3 {
           )
         );
       }
-      return url;
+      return parts;
     } catch (err) {
-      ErrorHandler.add_error("getPresignedUrl failed", {
+      ErrorHandler.add_error("getObjectParts failed", {
         bucket,
         key,
-        operation,
-        expiresInSeconds,
         error: err.message,
       });
       if (Logger.isConsoleEnabled()) {
         console.log(
-          `[Logger flag=getPresignedUrl]`,
+          `[Logger flag=getObjectParts]`,
           JSON.stringify(
             {
-              action: "getPresignedUrl.error",
+              action: "getObjectParts.error",
               error: err.message,
               time: DateTime.now(),
             },
@@ -1539,329 +2637,4939 @@ class AwsS3 {
   }
 
   /**
-   * Enable server-side encryption for S3 bucket (Security Enhancement)
-   * Supports both AES256 (AWS-managed) and KMS (customer-managed) encryption
+   * Compute the local equivalent of an object's stored checksum
+   * Full-object checksums hash the whole content; composite checksums hash
+   * each part (using the part sizes S3 reports) and combine the results.
    * 
-   * @param {string} bucket - Target bucket name
-   * @param {string} [encryptionType='AES256'] - Encryption type: 'AES256' or 'aws:kms'
-   * @param {string|null} [kmsKeyId=null] - KMS key ID (required for aws:kms type)
-   * @returns {Promise<void>}
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {string|Buffer|Uint8Array} source - Local file path or content
+   * @param {{algorithm: string, type: string}} checksum - Stored checksum (see Checksum.fromResponse)
+   * @param {string|null} [versionId=null] - Version the checksum belongs to
+   * @returns {Promise<string|null>} Checksum in S3's format, or null when the part layout is unavailable
+   */
+  static async computeObjectChecksum(bucket, key, source, checksum, versionId = null) {
+    const { algorithm } = checksum;
+    if (checksum.type !== "COMPOSITE") {
+      const [digest] = await AwsS3.digestParts(source, null, () => Checksum.create(algorithm));
+      return digest.toString("base64");
+    }
+    const parts = await AwsS3.getObjectParts(bucket, key, { versionId: versionId ?? undefined });
+    if (!parts?.length || parts.some((p) => !p[`Checksum${algorithm}`])) return null;
+    const digests = await AwsS3.digestParts(source, parts.map((p) => p.Size), () => Checksum.create(algorithm));
+    return Checksum.combine(algorithm, digests);
+  }
+
+  /**
+   * Hash consecutive slices of a local file or buffer
+   * 
+   * @param {string|Buffer|Uint8Array} source - Local file path or content
+   * @param {number[]|null} partSizes - Slice sizes in order, or null to hash the whole source
+   * @param {function(): {update: Function, digest: Function}} createHash - Hasher factory
+   * @returns {Promise<Buffer[]>} Raw digest of each slice
+   */
+  static async digestParts(source, partSizes, createHash) {
+    const digests = [];
+    if (source instanceof Uint8Array) {
+      let offset = 0;
+      for (const size of partSizes ?? [source.length]) {
+        digests.push(createHash().update(source.subarray(offset, offset + size)).digest());
+        offset += size;
+      }
+      return digests;
+    }
+
+    const sizes = partSizes ?? [(await fs.promises.stat(source)).size];
+    let offset = 0;
+    for (const size of sizes) {
+      const hash = createHash();
+      if (size > 0) {
+        for await (const chunk of fs.createReadStream(source, { start: offset, end: offset + size - 1 })) {
+          hash.update(chunk);
+        }
+      }
+      digests.push(hash.digest());
+      offset += size;
+    }
+    return digests;
+  }
+
+  /**
+   * Check whether a remote object matches a local file or buffer
+   * Sizes are compared first. Then, in order of preference: the stored
+   * CRC/SHA checksum (full-object or composite), the MD5 ETag, or the
+   * multipart ETag (rebuilt from the part size S3 reports for part 1).
+   * SSE-KMS objects without a checksum can only be compared by size.
+   * Client-side encrypted objects are downloaded, decrypted and compared by SHA-256.
+   * 
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {string|Buffer|Uint8Array} localPathOrBuffer - Local file path or content
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.versionId] - Version to compare against
+   * @returns {Promise<Object|null>} {bucket, key, match, method, localSize, remoteSize, expected, actual}
+   *   where method is 'checksum', 'etag', 'decrypted', 'size' or 'missing'; null when the check fails
+   * @throws {Error} When parameters are invalid
+   * 
+   * @example
+   * const report = await AwsS3.verifyObject('my-bucket', 'backups/db.tar', '/data/db.tar');
+   * if (!report.match) console.warn(`Mismatch (${report.method}): ${report.expected} != ${report.actual}`);
+   */
+  static async verifyObject(bucket, key, localPathOrBuffer, options = {}) {
+    let versionId, localSize;
+    try {
+      ({ bucket, key, versionId } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+        key: { value: key, type: "string", required: true },
+        versionId: { value: options.versionId, type: "string", required: false },
+      }));
+      if (typeof localPathOrBuffer === "string") {
+        localSize = (await fs.promises.stat(localPathOrBuffer)).size;
+      } else if (localPathOrBuffer instanceof Uint8Array) {
+        localSize = localPathOrBuffer.length;
+      } else {
+        throw new Error("localPathOrBuffer must be a file path or a Buffer");
+      }
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in verifyObject", {
+        bucket,
+        key,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action: "verifyObject",
+        message: err.message,
+        critical: true,
+        data: { bucket, key },
+      });
+      throw new Error(err.message);
+    }
+
+    const report = (fields) => {
+      const result = { bucket, key, localSize, remoteSize: null, expected: null, actual: null, ...fields };
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=verifyObject]`,
+          JSON.stringify(
+            {
+              action: "verifyObject",
+              key: `${bucket}/${key}`,
+              match: result.match,
+              method: result.method,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return result;
+    };
+
+    try {
+      let head;
+      try {
+        head = await AwsS3.send(
+          new HeadObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            VersionId: versionId ?? undefined,
+            ChecksumMode: "ENABLED",
+          })
+        );
+      } catch (err) {
+        if (err.name === "NotFound" || err.$metadata?.httpStatusCode === 404) {
+          return report({ match: false, method: "missing" });
+        }
+        throw err;
+      }
+
+      if (S3EnvelopeEncryption.isEncrypted(head.Metadata)) {
+        const remote = await AwsS3.getFileAsBuffer(bucket, key, { versionId: versionId ?? undefined });
+        if (remote === null) throw new Error("Encrypted object could not be read or decrypted");
+        const sha256 = () => crypto.createHash("sha256");
+        const [digest] = await AwsS3.digestParts(localPathOrBuffer, null, sha256);
+        const expected = sha256().update(remote).digest("base64");
+        const actual = digest.toString("base64");
+        return report({ match: expected === actual, method: "decrypted", remoteSize: remote.length, expected, actual });
+      }
+
+      const remoteSize = head.ContentLength ?? 0;
+      if (remoteSize !== localSize) {
+        return report({ match: false, method: "size", remoteSize, expected: String(remoteSize), actual: String(localSize) });
+      }
+
+      const checksum = Checksum.fromResponse(head);
+      if (checksum) {
+        const actual = await AwsS3.computeObjectChecksum(bucket, key, localPathOrBuffer, checksum, versionId);
+        if (actual !== null) {
+          return report({ match: actual === checksum.value, method: "checksum", remoteSize, expected: checksum.value, actual });
+        }
+      }
+
+      const etag = head.ETag?.replace(/"/g, "") ?? "";
+      const md5 = () => crypto.createHash("md5");
+      if (AwsS3.isMd5ETag(etag, head.ServerSideEncryption)) {
+        const [digest] = await AwsS3.digestParts(localPathOrBuffer, null, md5);
+        const actual = digest.toString("hex");
+        return report({ match: actual === etag, method: "etag", remoteSize, expected: etag, actual });
+      }
+
+      const multipart = /^[0-9a-f]{32}-(\d+)$/.exec(etag);
+      if (multipart && !head.ServerSideEncryption?.startsWith("aws:kms")) {
+        const partCount = Number(multipart[1]);
+        const first = await AwsS3.send(
+          new HeadObjectCommand({ Bucket: bucket, Key: key, VersionId: versionId ?? undefined, PartNumber: 1 })
+        );
+        const partSize = first.ContentLength ?? 0;
+        const lastSize = remoteSize - partSize * (partCount - 1);
+        // Parts of unequal size (not uploaded by this helper) cannot be reconstructed
+        if (partSize > 0 && lastSize > 0 && lastSize <= partSize) {
+          const sizes = [...Array(partCount - 1).fill(partSize), lastSize];
+          const digests = await AwsS3.digestParts(localPathOrBuffer, sizes, md5);
+          const actual = `${md5().update(Buffer.concat(digests)).digest("hex")}-${partCount}`;
+          return report({ match: actual === etag, method: "etag", remoteSize, expected: etag, actual });
+        }
+      }
+
+      return report({ match: true, method: "size", remoteSize, expected: String(remoteSize), actual: String(localSize) });
+    } catch (err) {
+      ErrorHandler.add_error("verifyObject failed", {
+        bucket,
+        key,
+        error: err.message,
+      });
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=verifyObject]`,
+          JSON.stringify(
+            {
+              action: "verifyObject.error",
+              error: err.message,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Query a CSV or JSON object with SQL and iterate over the matching records
+   * Runs the query with S3 Select and parses the record stream as it arrives.
+   * When S3 Select is not available (e.g. MinIO, or accounts without S3 Select
+   * access) the object is streamed and filtered in-process instead, using the
+   * SQL subset supported by S3SelectQuery. Client-side encrypted objects can
+   * only be queried with engine 'local', which decrypts them first.
+   * 
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {string} sql - S3 Select expression, e.g. "SELECT s.name FROM S3Object s WHERE s.city = 'Oslo'"
+   * @param {Object} [options={}] - Query options
+   * @param {string} [options.inputFormat] - 'CSV' or 'JSON' (defaults from the key extension: .json, .jsonl
+   *   and .ndjson are JSON, anything else CSV)
+   * @param {string} [options.outputFormat='JSON'] - 'JSON' yields objects, 'CSV' yields arrays of strings
+   * @param {string} [options.compression] - 'NONE', 'GZIP' or 'BZIP2' (defaults from a .gz / .bz2 extension)
+   * @param {string} [options.fileHeaderInfo='USE'] - CSV header row: 'USE' (columns by name), 'IGNORE' or 'NONE'
+   * @param {string} [options.delimiter=','] - CSV field delimiter (e.g. '\t' for TSV)
+   * @param {string} [options.jsonType='LINES'] - 'LINES' (one document per line) or 'DOCUMENT'
+   * @param {string} [options.engine='auto'] - 'auto' (S3 Select, local fallback), 's3' or 'local'
+   * @yields {Object|string[]} Matching records
+   * @throws {Error} When parameters are invalid, the SQL is not supported locally, or the query fails
+   * 
+   * @example
+   * const sql = "SELECT s.email FROM S3Object s WHERE CAST(s.age AS INT) >= 18 LIMIT 100";
+   * for await (const row of AwsS3.selectObject('my-bucket', 'exports/users.csv.gz', sql)) {
+   *   console.log(row.email);
+   * }
+   * 
+   * @example
+   * // Aggregate over newline-delimited JSON, evaluated locally
+   * const sql = "SELECT COUNT(*) AS errors FROM S3Object s WHERE s.level = 'error'";
+   * for await (const { errors } of AwsS3.selectObject('my-bucket', 'logs/app.jsonl', sql, { engine: 'local' })) {
+   *   console.log(errors);
+   * }
+   */
+  static async *selectObject(bucket, key, sql, options = {}) {
+    let inputFormat, outputFormat, compression, fileHeaderInfo, jsonType, engine;
+    const delimiter = options.delimiter === undefined ? "," : options.delimiter;
+    try {
+      ({ bucket, key, inputFormat, outputFormat, compression, fileHeaderInfo, jsonType, engine } =
+        SafeUtils.sanitizeValidate({
+          bucket: { value: bucket, type: "string", required: true },
+          key: { value: key, type: "string", required: true },
+          inputFormat: { value: options.inputFormat, type: "string", required: false },
+          outputFormat: { value: options.outputFormat, type: "string", required: false, default: "JSON" },
+          compression: { value: options.compression, type: "string", required: false },
+          fileHeaderInfo: { value: options.fileHeaderInfo, type: "string", required: false, default: "USE" },
+          jsonType: { value: options.jsonType, type: "string", required: false, default: "LINES" },
+          engine: { value: options.engine, type: "string", required: false, default: "auto" },
+        }));
+      // sql and delimiter are not sanitized: that strips tag-like text ("<" comparisons) and control characters ("\t")
+      if (typeof sql !== "string" || sql.trim() === "") {
+        throw new Error("sql must be a non-empty string");
+      }
+      const baseKey = key.replace(/\.(gz|bz2)$/i, "");
+      inputFormat = (inputFormat ?? (/\.(json|jsonl|ndjson)$/i.test(baseKey) ? "JSON" : "CSV")).toUpperCase();
+      outputFormat = outputFormat.toUpperCase();
+      compression = (compression ?? (/\.gz$/i.test(key) ? "GZIP" : /\.bz2$/i.test(key) ? "BZIP2" : "NONE")).toUpperCase();
+      fileHeaderInfo = fileHeaderInfo.toUpperCase();
+      jsonType = jsonType.toUpperCase();
+      if (!AwsS3.SELECT_INPUT_FORMATS.includes(inputFormat)) {
+        throw new Error(`inputFormat must be one of: ${AwsS3.SELECT_INPUT_FORMATS.join(", ")}`);
+      }
+      if (!AwsS3.SELECT_OUTPUT_FORMATS.includes(outputFormat)) {
+        throw new Error(`outputFormat must be one of: ${AwsS3.SELECT_OUTPUT_FORMATS.join(", ")}`);
+      }
+      if (!AwsS3.SELECT_COMPRESSION_TYPES.includes(compression)) {
+        throw new Error(`compression must be one of: ${AwsS3.SELECT_COMPRESSION_TYPES.join(", ")}`);
+      }
+      if (!["USE", "IGNORE", "NONE"].includes(fileHeaderInfo)) {
+        throw new Error("fileHeaderInfo must be one of: USE, IGNORE, NONE");
+      }
+      if (!["LINES", "DOCUMENT"].includes(jsonType)) {
+        throw new Error("jsonType must be one of: LINES, DOCUMENT");
+      }
+      if (!AwsS3.SELECT_ENGINES.includes(engine)) {
+        throw new Error(`engine must be one of: ${AwsS3.SELECT_ENGINES.join(", ")}`);
+      }
+      if (typeof delimiter !== "string" || [...delimiter].length !== 1) {
+        throw new Error("delimiter must be a single character");
+      }
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in selectObject", {
+        bucket,
+        key,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action: "selectObject",
+        message: err.message,
+        critical: true,
+        data: { bucket, key },
+      });
+      throw new Error(err.message);
+    }
+
+    const format = { inputFormat, compression, fileHeaderInfo, delimiter, jsonType };
+    let records = null;
+    let usedEngine = engine;
+    if (engine !== "local") {
+      try {
+        const res = await AwsS3.send(
+          new SelectObjectContentCommand({
+            Bucket: bucket,
+            Key: key,
+            Expression: sql,
+            ExpressionType: "SQL",
+            InputSerialization: {
+              CompressionType: compression,
+              ...(inputFormat === "CSV"
+                ? { CSV: { FileHeaderInfo: fileHeaderInfo, FieldDelimiter: delimiter, AllowQuotedRecordDelimiter: true } }
+                : { JSON: { Type: jsonType } }),
+            },
+            OutputSerialization: outputFormat === "CSV" ? { CSV: {} } : { JSON: { RecordDelimiter: "\n" } },
+          })
+        );
+        usedEngine = "s3";
+        records = AwsS3.readSelectPayload(res.Payload, outputFormat);
+      } catch (err) {
+        if (engine === "s3" || !AwsS3.isSelectUnsupported(err)) {
+          ErrorHandler.add_error("selectObject failed", {
+            bucket,
+            key,
+            error: err.message,
+          });
+          throw new Error(`Failed to select object content: ${err.message}`);
+        }
+        if (Logger.isConsoleEnabled()) {
+          console.log(
+            `[Logger flag=selectObject]`,
+            JSON.stringify(
+              {
+                action: "selectObject.fallback",
+                key: `${bucket}/${key}`,
+                reason: err.message,
+                time: DateTime.now(),
+              },
+              null,
+              2
+            )
+          );
+        }
+        usedEngine = "local";
+      }
+    }
+
+    let returned = 0;
+    try {
+      records ??= AwsS3.selectObjectLocally(bucket, key, new S3SelectQuery(sql), format);
+      for await (const record of records) {
+        returned += 1;
+        yield outputFormat === "CSV" && !Array.isArray(record)
+          ? Object.values(record).map((value) =>
+              value === null || value === undefined ? "" : typeof value === "object" ? JSON.stringify(value) : String(value)
+            )
+          : record;
+      }
+    } catch (err) {
+      ErrorHandler.add_error("selectObject failed", {
+        bucket,
+        key,
+        engine: usedEngine,
+        error: err.message,
+      });
+      throw new Error(`Failed to select object content: ${err.message}`);
+    }
+
+    if (Logger.isConsoleEnabled()) {
+      console.log(
+        `[Logger flag=selectObject]`,
+        JSON.stringify(
+          { action: "selectObject", key: `${bucket}/${key}`, engine: usedEngine, returned, time: DateTime.now() },
+          null,
+          2
+        )
+      );
+    }
+  }
+
+  /**
+   * Whether a SelectObjectContent error means S3 Select is unavailable (rather than a bad query)
+   * @param {Error} err - Error thrown by S3Client.send
+   * @returns {boolean} True when the query should fall back to local evaluation
+   */
+  static isSelectUnsupported(err) {
+    const status = err?.$metadata?.httpStatusCode;
+    return ["NotImplemented", "MethodNotAllowed", "XNotImplemented"].includes(err?.name) || status === 501 || status === 405;
+  }
+
+  /**
+   * Parse the record events of a SelectObjectContent event stream
+   * Records may be split across events, so the payload is decoded and parsed as one text stream.
+   * 
+   * @param {AsyncIterable<Object>} payload - Response Payload (Records, Stats, Progress, Cont and End events)
+   * @param {string} outputFormat - 'JSON' or 'CSV'
+   * @yields {Object|string[]} Records
+   */
+  static async *readSelectPayload(payload, outputFormat) {
+    const chunks = (async function* () {
+      for await (const event of payload) {
+        if (event.Records?.Payload) yield event.Records.Payload;
+      }
+    })();
+    const text = S3SelectQuery.decodeText(chunks);
+    yield* outputFormat === "CSV" ? S3SelectQuery.parseCsv(text) : S3SelectQuery.parseJsonLines(text);
+  }
+
+  /**
+   * Evaluate a query in-process by streaming the object through S3SelectQuery
+   * Reading stops as soon as LIMIT is reached.
+   * 
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {S3SelectQuery} query - Parsed query
+   * @param {Object} format - {inputFormat, compression, fileHeaderInfo, delimiter, jsonType}
+   * @yields {Object} Projected records
+   * @throws {Error} When the object cannot be read or parsed
+   */
+  static async *selectObjectLocally(bucket, key, query, { inputFormat, compression, fileHeaderInfo, delimiter, jsonType }) {
+    if (compression === "BZIP2") {
+      throw new Error("BZIP2 objects can only be queried with S3 Select");
+    }
+    if (inputFormat === "CSV" && query.fromPath.length > 0) {
+      throw new Error("CSV objects cannot be queried with a FROM path");
+    }
+    if (query.limit === 0) return;
+
+    const res = await AwsS3.getFileResponse(bucket, key);
+    if (!res?.body) {
+      throw new Error(`Object ${bucket}/${key} could not be read`);
+    }
+    let body = res.body;
+    if (compression === "GZIP") {
+      const gunzip = zlib.createGunzip();
+      res.body.on("error", (err) => gunzip.destroy(err));
+      body = res.body.pipe(gunzip);
+    }
+
+    const readRecords = async function* () {
+      const text = S3SelectQuery.decodeText(body);
+      if (inputFormat === "CSV") {
+        let header = null;
+        let first = true;
+        for await (const fields of S3SelectQuery.parseCsv(text, { delimiter })) {
+          if (first && fileHeaderInfo !== "NONE") {
+            first = false;
+            if (fileHeaderInfo === "USE") header = fields;
+            continue;
+          }
+          first = false;
+          yield S3SelectQuery.csvRecord(fields, header);
+        }
+      } else if (jsonType === "DOCUMENT") {
+        let document = "";
+        for await (const chunk of text) document += chunk;
+        yield* query.expandDocument(JSON.parse(document));
+      } else {
+        for await (const document of S3SelectQuery.parseJsonLines(text)) {
+          yield* query.expandDocument(document);
+        }
+      }
+    };
+
+    let returned = 0;
+    try {
+      for await (const record of readRecords()) {
+        if (!query.matches(record)) continue;
+        if (query.isAggregate) {
+          query.accumulate(record);
+          continue;
+        }
+        yield query.project(record);
+        returned += 1;
+        if (query.limit !== null && returned >= query.limit) return;
+      }
+      if (query.isAggregate) yield query.aggregateResult();
+    } finally {
+      body.destroy?.();
+      if (body !== res.body) res.body.destroy?.();
+    }
+  }
+
+  /**
+   * Build the CopySource value for a copy request
+   * The key is URL-encoded (slashes kept) so spaces and unicode survive.
+   * 
+   * @param {string} bucket - Source bucket name
+   * @param {string} key - Source object key
+   * @param {string|null} [versionId=null] - Source version to copy
+   * @returns {string} CopySource header value
+   * 
+   * @example
+   * AwsS3.copySource('my-bucket', 'reports/q3 final.pdf'); // 'my-bucket/reports/q3%20final.pdf'
+   */
+  static copySource(bucket, key, versionId = null) {
+    const encodedKey = encodeURIComponent(key).replace(/%2F/g, "/");
+    return `${bucket}/${encodedKey}${versionId ? `?versionId=${encodeURIComponent(versionId)}` : ""}`;
+  }
+
+  /**
+   * Resolve metadata/tagging directives and destination fields for a copy
+   * Metadata is copied from the source unless metadataDirective is 'REPLACE'
+   * (implied by contentType, metadata, cacheControl, contentDisposition or
+   * contentEncoding). Tags are copied unless taggingDirective is 'REPLACE'
+   * (implied by tags). Storage class and SSE options always apply.
+   * 
+   * @param {string} destKey - Destination key, used for content-type inference
+   * @param {Object} options - Copy options (see copyFile)
+   * @returns {Object} {metadataDirective, taggingDirective, fields} where fields are SDK command fields
+   * @throws {TypeError} When an option is invalid or contradicts its directive
+   */
+  static buildCopyParams(destKey, options) {
+    const metadataFields = ["contentType", "metadata", "cacheControl", "contentDisposition", "contentEncoding"];
+    const replacesMetadata = metadataFields.some((name) => options[name] !== undefined);
+    const replacesTags = options.tags !== undefined;
+    const metadataDirective = options.metadataDirective ?? (replacesMetadata ? "REPLACE" : "COPY");
+    const taggingDirective = options.taggingDirective ?? (replacesTags ? "REPLACE" : "COPY");
+
+    for (const [name, value] of Object.entries({ metadataDirective, taggingDirective })) {
+      if (!AwsS3.COPY_DIRECTIVES.includes(value)) {
+        throw new TypeError(`Invalid ${name} "${value}". Expected one of: ${AwsS3.COPY_DIRECTIVES.join(", ")}`);
+      }
+    }
+    if (metadataDirective === "COPY" && replacesMetadata) {
+      throw new TypeError('Metadata options require metadataDirective "REPLACE"');
+    }
+    if (taggingDirective === "COPY" && replacesTags) {
+      throw new TypeError('tags requires taggingDirective "REPLACE"');
+    }
+
+    const params = AwsS3.buildObjectParams(destKey, null, options);
+    const fields = {};
+    for (const name of ["StorageClass", "ServerSideEncryption", "SSEKMSKeyId"]) {
+      if (params[name]) fields[name] = params[name];
+    }
+    if (metadataDirective === "REPLACE") {
+      for (const name of ["Metadata", "CacheControl", "ContentDisposition", "ContentEncoding"]) {
+        if (params[name] !== undefined) fields[name] = params[name];
+      }
+      // Keep the source content type unless a new one is given explicitly
+      if (options.contentType) fields.ContentType = params.ContentType;
+    }
+    if (taggingDirective === "REPLACE") fields.Tagging = params.Tagging ?? "";
+
+    return { metadataDirective, taggingDirective, fields };
+  }
+
+  /**
+   * Copy file from one S3 location to another
+   * Can copy within same bucket or across different buckets and regions.
+   * Objects larger than the threshold (5GB, the CopyObject limit) are copied
+   * with multipart UploadPartCopy; each part is pinned to the source ETag so a
+   * concurrent overwrite of the source fails the copy instead of mixing versions.
+   * Metadata and tags are preserved unless replacement values are given. ACLs
+   * are not copied by S3; pass acl for a canned ACL or preserveAcl to copy the
+   * source grants.
+   * 
+   * @param {string} sourceBucket - Source bucket name
+   * @param {string} sourceKey - Source file key (path)
+   * @param {string} destBucket - Destination bucket name
+   * @param {string} destKey - Destination file key (path)
+   * @param {Object} [options={}] - Copy options
+   * @param {string} [options.versionId] - Source version to copy
+   * @param {string} [options.metadataDirective] - 'COPY' or 'REPLACE' (defaults to REPLACE when metadata options are given)
+   * @param {string} [options.taggingDirective] - 'COPY' or 'REPLACE' (defaults to REPLACE when tags are given)
+   * @param {string} [options.contentType] - New MIME type (REPLACE only; the source type is kept otherwise)
+   * @param {Object} [options.metadata] - New user metadata, as in uploadFile (REPLACE only)
+   * @param {Object} [options.tags] - New object tags; {} removes all tags
+   * @param {string} [options.storageClass] - Destination storage class
+   * @param {string} [options.serverSideEncryption] - Destination SSE algorithm
+   * @param {string} [options.kmsKeyId] - KMS key for the destination
+   * @param {string} [options.acl] - Canned ACL for the destination ('private', 'bucket-owner-full-control', ...)
+   * @param {boolean} [options.preserveAcl=false] - Copy the source object's ACL grants
+   * @param {number} [options.threshold=5GB] - Size above which multipart copy is used
+   * @param {number} [options.partSize=64MB] - Multipart copy part size (minimum 5MB)
+   * @param {number} [options.concurrency=4] - Parts copied in parallel
+   * @param {number} [options.retries=3] - Retry attempts per part
+   * @param {Function} [options.onProgress] - Called after each part with {destBucket, destKey, partNumber, loadedBytes, totalBytes}
+   * @returns {Promise<Object|null>} Copy summary {sourceBucket, sourceKey, destBucket, destKey, size, multipart,
+   *   partCount, etag, versionId} or null when the copy fails
+   * @throws {Error} When parameters are invalid
+   * 
+   * @example
+   * // Copy within same bucket
+   * await AwsS3.copyFile('my-bucket', 'temp/file.txt', 'my-bucket', 'permanent/file.txt');
+   * 
+   * @example
+   * // Copy across buckets
+   * await AwsS3.copyFile('source-bucket', 'data.json', 'backup-bucket', 'backup/data.json');
+   * 
+   * @example
+   * // Archive a 40GB export with new tags, owned by the destination account
+   * await AwsS3.copyFile('exports', 'db/2025-10.dump', 'archive-eu', 'db/2025-10.dump', {
+   *   storageClass: 'GLACIER_IR',
+   *   tags: { retention: '7y' },
+   *   acl: 'bucket-owner-full-control',
+   * });
+   */
+  static async copyFile(sourceBucket, sourceKey, destBucket, destKey, options = {}) {
+    let versionId, acl, preserveAcl, threshold, partSize, concurrency, retries, copyParams;
+    try {
+      ({ sourceBucket, sourceKey, destBucket, destKey, versionId, acl, preserveAcl, threshold, partSize, concurrency, retries } =
+        SafeUtils.sanitizeValidate({
+          sourceBucket: { value: sourceBucket, type: "string", required: true },
+          sourceKey: { value: sourceKey, type: "string", required: true },
+          destBucket: { value: destBucket, type: "string", required: true },
+          destKey: { value: destKey, type: "string", required: true },
+          versionId: { value: options.versionId, type: "string", required: false },
+          acl: { value: options.acl, type: "string", required: false },
+          preserveAcl: { value: options.preserveAcl, type: "bool", required: false, default: false },
+          threshold: { value: options.threshold, type: "int", required: false, default: AwsS3.MAX_COPY_OBJECT_SIZE },
+          partSize: { value: options.partSize, type: "int", required: false, default: AwsS3.DEFAULT_COPY_PART_SIZE },
+          concurrency: { value: options.concurrency, type: "int", required: false, default: AwsS3.DEFAULT_COPY_CONCURRENCY },
+          retries: { value: options.retries, type: "int", required: false, default: AwsS3.MAX_RETRY_ATTEMPTS },
+        }));
+      if (acl && !AwsS3.CANNED_ACLS.includes(acl)) {
+        throw new Error(`Invalid acl "${acl}". Expected one of: ${AwsS3.CANNED_ACLS.join(", ")}`);
+      }
+      if (acl && preserveAcl) {
+        throw new Error("acl and preserveAcl cannot be combined");
+      }
+      if (threshold < 0 || threshold > AwsS3.MAX_COPY_OBJECT_SIZE) {
+        throw new Error(`threshold must be between 0 and ${AwsS3.MAX_COPY_OBJECT_SIZE} bytes`);
+      }
+      if (partSize < AwsS3.MIN_PART_SIZE || partSize > AwsS3.MAX_COPY_OBJECT_SIZE) {
+        throw new Error(`partSize must be between ${AwsS3.MIN_PART_SIZE} and ${AwsS3.MAX_COPY_OBJECT_SIZE} bytes`);
+      }
+      if (concurrency < 1 || retries < 0) {
+        throw new Error("concurrency must be >= 1 and retries must be >= 0");
+      }
+      if (options.onProgress !== undefined && typeof options.onProgress !== "function") {
+        throw new Error("onProgress must be a function");
+      }
+      copyParams = AwsS3.buildCopyParams(destKey, options);
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in copyFile", {
+        sourceBucket,
+        sourceKey,
+        destBucket,
+        destKey,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action: "copyFile",
+        message: err.message,
+        critical: true,
+        data: { sourceBucket, sourceKey, destBucket, destKey },
+      });
+      throw new Error(err.message);
+    }
+
+    const copySource = AwsS3.copySource(sourceBucket, sourceKey, versionId);
+    try {
+      const head = await AwsS3.send(
+        new HeadObjectCommand({ Bucket: sourceBucket, Key: sourceKey, VersionId: versionId ?? undefined })
+      );
+      const size = head.ContentLength ?? 0;
+      const multipart = size > threshold;
+
+      // Replacing metadata must keep the envelope, or the copy could never be decrypted
+      if (copyParams.metadataDirective === "REPLACE" && S3EnvelopeEncryption.isEncrypted(head.Metadata)) {
+        copyParams.fields.Metadata = {
+          ...copyParams.fields.Metadata,
+          ...S3EnvelopeEncryption.pickMetadata(head.Metadata),
+        };
+      }
+
+      let copied;
+      if (multipart) {
+        copied = await AwsS3.runMultipartCopy(copySource, head, destBucket, destKey, {
+          ...copyParams,
+          sourceBucket,
+          sourceKey,
+          versionId,
+          acl,
+          partSize,
+          concurrency,
+          retries,
+          onProgress: options.onProgress,
+        });
+      } else {
+        const res = await AwsS3.send(
+          new CopyObjectCommand({
+            CopySource: copySource,
+            Bucket: destBucket,
+            Key: destKey,
+            MetadataDirective: copyParams.metadataDirective,
+            TaggingDirective: copyParams.taggingDirective,
+            ...copyParams.fields,
+            ...(copyParams.metadataDirective === "REPLACE" && !copyParams.fields.ContentType
+              ? { ContentType: head.ContentType }
+              : {}),
+            ...(acl ? { ACL: acl } : {}),
+          })
+        );
+        copied = { partCount: 1, etag: res.CopyObjectResult?.ETag ?? null, versionId: res.VersionId ?? null };
+        options.onProgress?.({ destBucket, destKey, partNumber: 1, loadedBytes: size, totalBytes: size });
+      }
+
+      if (preserveAcl) {
+        const sourceAcl = await AwsS3.send(
+          new GetObjectAclCommand({ Bucket: sourceBucket, Key: sourceKey, VersionId: versionId ?? undefined })
+        );
+        await AwsS3.send(
+          new PutObjectAclCommand({
+            Bucket: destBucket,
+            Key: destKey,
+            AccessControlPolicy: { Owner: sourceAcl.Owner, Grants: sourceAcl.Grants },
+          })
+        );
+      }
+      AwsS3.cache.objects.delete(`${destBucket}/${destKey}`);
+
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=copyFile]`,
+          JSON.stringify(
+            {
+              action: "copyFile",
+              from: `${sourceBucket}/${sourceKey}`,
+              to: `${destBucket}/${destKey}`,
+              size,
+              multipart,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return { sourceBucket, sourceKey, destBucket, destKey, size, multipart, ...copied };
+    } catch (err) {
+      ErrorHandler.add_error("copyFile failed", {
+        sourceBucket,
+        sourceKey,
+        destBucket,
+        destKey,
+        error: err.message,
+      });
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=copyFile]`,
+          JSON.stringify(
+            {
+              action: "copyFile.error",
+              error: err.message,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Copy an object with multipart UploadPartCopy
+   * Used by copyFile above its threshold. With the COPY directives the source
+   * metadata and tags are read and set on the new upload, since multipart
+   * uploads do not inherit them. The upload is aborted when any part fails.
+   * 
+   * @param {string} copySource - CopySource value (see copySource)
+   * @param {Object} head - HeadObject output of the source
+   * @param {string} destBucket - Destination bucket name
+   * @param {string} destKey - Destination key
+   * @param {Object} options - Resolved copy options
+   * @returns {Promise<Object>} {partCount, etag, versionId}
+   * @throws {Error} When a part or the completion fails
+   */
+  static async runMultipartCopy(copySource, head, destBucket, destKey, options) {
+    const {
+      sourceBucket,
+      sourceKey,
+      versionId,
+      metadataDirective,
+      taggingDirective,
+      fields,
+      acl,
+      concurrency,
+      retries,
+      onProgress,
+    } = options;
+    const size = head.ContentLength ?? 0;
+    const partSize = Math.max(options.partSize, Math.ceil(size / AwsS3.MAX_PARTS));
+
+    const createParams = { Bucket: destBucket, Key: destKey, ...fields };
+    if (metadataDirective === "COPY") {
+      Object.assign(createParams, {
+        ContentType: head.ContentType,
+        Metadata: head.Metadata,
+        CacheControl: head.CacheControl,
+        ContentDisposition: head.ContentDisposition,
+        ContentEncoding: head.ContentEncoding,
+        ContentLanguage: head.ContentLanguage,
+        Expires: head.Expires,
+      });
+    } else if (!createParams.ContentType) {
+      createParams.ContentType = head.ContentType;
+    }
+    if (taggingDirective === "COPY") {
+      const tagging = await AwsS3.send(
+        new GetObjectTaggingCommand({ Bucket: sourceBucket, Key: sourceKey, VersionId: versionId ?? undefined })
+      );
+      if (tagging.TagSet?.length) {
+        createParams.Tagging = tagging.TagSet
+          .map((tag) => `${encodeURIComponent(tag.Key)}=${encodeURIComponent(tag.Value)}`)
+          .join("&");
+      }
+    } else if (!createParams.Tagging) {
+      delete createParams.Tagging;
+    }
+    if (acl) createParams.ACL = acl;
+
+    const { UploadId: uploadId } = await AwsS3.send(new CreateMultipartUploadCommand(createParams));
+
+    const ranges = [];
+    for (let start = 0; start < size || ranges.length === 0; start += partSize) {
+      ranges.push({ partNumber: ranges.length + 1, start, end: Math.min(start + partSize, size) - 1 });
+    }
+
+    let loadedBytes = 0;
+    try {
+      const parts = await AwsS3.mapConcurrent(ranges, concurrency, async ({ partNumber, start, end }) => {
+        const res = await AwsS3.withRetry(
+          () =>
+            AwsS3.send(
+              new UploadPartCopyCommand({
+                Bucket: destBucket,
+                Key: destKey,
+                UploadId: uploadId,
+                PartNumber: partNumber,
+                CopySource: copySource,
+                CopySourceIfMatch: head.ETag,
+                // A zero-byte source is copied as one part without a range
+                ...(size > 0 ? { CopySourceRange: `bytes=${start}-${end}` } : {}),
+              })
+            ),
+          retries
+        );
+        loadedBytes += Math.max(end - start + 1, 0);
+        onProgress?.({ destBucket, destKey, partNumber, loadedBytes, totalBytes: size });
+        return { PartNumber: partNumber, ETag: res.CopyPartResult?.ETag };
+      });
+
+      const completed = await AwsS3.send(
+        new CompleteMultipartUploadCommand({
+          Bucket: destBucket,
+          Key: destKey,
+          UploadId: uploadId,
+          MultipartUpload: { Parts: parts },
+        })
+      );
+      return { partCount: parts.length, etag: completed.ETag ?? null, versionId: completed.VersionId ?? null };
+    } catch (err) {
+      await AwsS3.abortMultipartUpload(destBucket, destKey, uploadId);
+      throw err;
+    }
+  }
+
+  /**
+   * Move a file: copy it, verify the copy, then delete the source
+   * The source is only deleted when the destination exists with the expected
+   * size and ETag. In a versioned source bucket the delete adds a delete marker.
+   * 
+   * @param {string} sourceBucket - Source bucket name
+   * @param {string} sourceKey - Source file key (path)
+   * @param {string} destBucket - Destination bucket name
+   * @param {string} destKey - Destination file key (path)
+   * @param {Object} [options={}] - Copy options (see copyFile, except versionId)
+   * @returns {Promise<Object|null>} Copy summary (see copyFile) or null when the copy,
+   *   verification or source delete fails
+   * @throws {Error} When parameters are invalid or source and destination are the same
+   * 
+   * @example
+   * await AwsS3.moveFile('uploads', 'incoming/photo.jpg', 'media', 'photos/2025/photo.jpg');
+   */
+  static async moveFile(sourceBucket, sourceKey, destBucket, destKey, options = {}) {
+    try {
+      ({ sourceBucket, sourceKey, destBucket, destKey } = SafeUtils.sanitizeValidate({
+        sourceBucket: { value: sourceBucket, type: "string", required: true },
+        sourceKey: { value: sourceKey, type: "string", required: true },
+        destBucket: { value: destBucket, type: "string", required: true },
+        destKey: { value: destKey, type: "string", required: true },
+      }));
+      if (sourceBucket === destBucket && sourceKey === destKey) {
+        throw new Error("Source and destination are the same object");
+      }
+      if (options.versionId !== undefined) {
+        throw new Error("moveFile moves the current version; use copyFile to copy a specific version");
+      }
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in moveFile", {
+        sourceBucket,
+        sourceKey,
+        destBucket,
+        destKey,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action: "moveFile",
+        message: err.message,
+        critical: true,
+        data: { sourceBucket, sourceKey, destBucket, destKey },
+      });
+      throw new Error(err.message);
+    }
+
+    const copied = await AwsS3.copyFile(sourceBucket, sourceKey, destBucket, destKey, options);
+    if (!copied) return null;
+
+    try {
+      const dest = await AwsS3.send(new HeadObjectCommand({ Bucket: destBucket, Key: destKey }));
+      if ((dest.ContentLength ?? 0) !== copied.size || (copied.etag && dest.ETag !== copied.etag)) {
+        throw new Error(
+          `Copy verification failed: expected ${copied.size} bytes (${copied.etag}), found ${dest.ContentLength} bytes (${dest.ETag})`
+        );
+      }
+      await AwsS3.send(new DeleteObjectCommand({ Bucket: sourceBucket, Key: sourceKey }));
+      AwsS3.cache.objects.delete(`${sourceBucket}/${sourceKey}`);
+    } catch (err) {
+      ErrorHandler.add_error("moveFile failed", {
+        sourceBucket,
+        sourceKey,
+        destBucket,
+        destKey,
+        error: err.message,
+      });
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=moveFile]`,
+          JSON.stringify(
+            {
+              action: "moveFile.error",
+              error: err.message,
+              sourceKept: true,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return null;
+    }
+
+    if (Logger.isConsoleEnabled()) {
+      console.log(
+        `[Logger flag=moveFile]`,
+        JSON.stringify(
+          {
+            action: "moveFile",
+            from: `${sourceBucket}/${sourceKey}`,
+            to: `${destBucket}/${destKey}`,
+            size: copied.size,
+            time: DateTime.now(),
+          },
+          null,
+          2
+        )
+      );
+    }
+    return copied;
+  }
+
+  /**
+   * Copy every object under a prefix to another bucket and/or prefix
+   * Keys keep their path below the prefix (src/a/b.txt → dst/a/b.txt).
+   * 
+   * @param {string} sourceBucket - Source bucket name
+   * @param {string} sourcePrefix - Source key prefix ('' for the whole bucket)
+   * @param {string} destBucket - Destination bucket name
+   * @param {string} destPrefix - Destination key prefix
+   * @param {Object} [options={}] - Copy options
+   * @param {boolean} [options.dryRun=false] - Only report the planned copies
+   * @param {Function} [options.filter] - Predicate (object) => boolean selecting objects
+   * @param {number} [options.concurrency=4] - Objects copied in parallel
+   * @param {number} [options.partConcurrency=4] - Parts in parallel for each multipart copy
+   * @param {Object} [options.*] - Other options are passed to copyFile (metadata, tags, acl, ...)
+   * @returns {Promise<Object|null>} Report {sourceBucket, sourcePrefix, destBucket, destPrefix, dryRun,
+   *   matched, copied, bytes, errors, keys} (keys only in dry-run mode) or null when listing fails
+   * @throws {Error} When parameters are invalid or the prefixes overlap in the same bucket
+   * 
+   * @example
+   * const report = await AwsS3.copyPrefix('prod-assets', 'img/', 'staging-assets', 'img/', { concurrency: 8 });
+   * report.errors.forEach((e) => console.log(e.Key, e.error));
+   */
+  static async copyPrefix(sourceBucket, sourcePrefix, destBucket, destPrefix, options = {}) {
+    return AwsS3.transferPrefix("copy", sourceBucket, sourcePrefix, destBucket, destPrefix, options);
+  }
+
+  /**
+   * Move every object under a prefix to another bucket and/or prefix
+   * Each object is moved with moveFile, so a source object is only deleted
+   * after its copy has been verified.
+   * 
+   * @param {string} sourceBucket - Source bucket name
+   * @param {string} sourcePrefix - Source key prefix ('' for the whole bucket)
+   * @param {string} destBucket - Destination bucket name
+   * @param {string} destPrefix - Destination key prefix
+   * @param {Object} [options={}] - Same options as copyPrefix
+   * @returns {Promise<Object|null>} Report as in copyPrefix, with moved instead of copied
+   * @throws {Error} When parameters are invalid or the prefixes overlap in the same bucket
+   * 
+   * @example
+   * await AwsS3.movePrefix('my-bucket', 'inbox/2025-10-17/', 'my-bucket', 'processed/2025-10-17/');
+   */
+  static async movePrefix(sourceBucket, sourcePrefix, destBucket, destPrefix, options = {}) {
+    return AwsS3.transferPrefix("move", sourceBucket, sourcePrefix, destBucket, destPrefix, options);
+  }
+
+  /**
+   * Shared engine behind copyPrefix and movePrefix
+   * Objects are listed page by page and transferred with bounded concurrency.
+   * 
+   * @param {string} mode - 'copy' or 'move'
+   * @param {string} sourceBucket - Source bucket name
+   * @param {string} sourcePrefix - Source key prefix
+   * @param {string} destBucket - Destination bucket name
+   * @param {string} destPrefix - Destination key prefix
+   * @param {Object} options - Options (see copyPrefix)
+   * @returns {Promise<Object|null>} Transfer report or null when listing fails
+   * @throws {Error} When parameters are invalid
+   */
+  static async transferPrefix(mode, sourceBucket, sourcePrefix, destBucket, destPrefix, options = {}) {
+    const action = mode === "move" ? "movePrefix" : "copyPrefix";
+    const countKey = mode === "move" ? "moved" : "copied";
+    const { filter, partConcurrency } = options;
+    const copyOptions = Object.fromEntries(
+      Object.entries(options).filter(([name]) => !["dryRun", "filter", "concurrency", "partConcurrency"].includes(name))
+    );
+    let dryRun, concurrency;
+    try {
+      ({ sourceBucket, destBucket, dryRun, concurrency } = SafeUtils.sanitizeValidate({
+        sourceBucket: { value: sourceBucket, type: "string", required: true },
+        destBucket: { value: destBucket, type: "string", required: true },
+        dryRun: { value: options.dryRun, type: "bool", required: false, default: false },
+        concurrency: { value: options.concurrency, type: "int", required: false, default: AwsS3.DEFAULT_COPY_CONCURRENCY },
+      }));
+      if (typeof sourcePrefix !== "string" || typeof destPrefix !== "string") {
+        throw new Error(`Invalid type for "sourcePrefix"/"destPrefix". Expected string.`);
+      }
+      if (filter !== undefined && typeof filter !== "function") {
+        throw new Error("filter must be a function");
+      }
+      if (concurrency < 1) {
+        throw new Error("concurrency must be >= 1");
+      }
+      // Writing inside the prefix being listed would pick up the new keys again
+      if (sourceBucket === destBucket && (destPrefix.startsWith(sourcePrefix) || sourcePrefix.startsWith(destPrefix))) {
+        throw new Error("Source and destination prefixes overlap in the same bucket");
+      }
+      if (copyOptions.versionId !== undefined) {
+        throw new Error("versionId is not supported for prefix transfers");
+      }
+      AwsS3.buildCopyParams(destPrefix || "object", copyOptions);
+    } catch (err) {
+      ErrorHandler.add_error(`Invalid params in ${action}`, {
+        sourceBucket,
+        sourcePrefix,
+        destBucket,
+        destPrefix,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action,
+        message: err.message,
+        critical: true,
+        data: { sourceBucket, sourcePrefix, destBucket, destPrefix },
+      });
+      throw new Error(err.message);
+    }
+
+    const report = {
+      sourceBucket,
+      sourcePrefix,
+      destBucket,
+      destPrefix,
+      dryRun,
+      matched: 0,
+      [countKey]: 0,
+      bytes: 0,
+      errors: [],
+    };
+    if (dryRun) report.keys = [];
+
+    const transfer = mode === "move" ? AwsS3.moveFile : AwsS3.copyFile;
+    const inFlight = new Set();
+    const transferOne = async (obj, destKey) => {
+      try {
+        const res = await transfer(sourceBucket, obj.Key, destBucket, destKey, {
+          ...copyOptions,
+          concurrency: partConcurrency,
+        });
+        if (!res) throw new Error(`${mode} failed`);
+        report[countKey] += 1;
+        report.bytes += res.size;
+      } catch (err) {
+        report.errors.push({ Key: obj.Key, destKey, error: err.message });
+      }
+    };
+    const schedule = async (obj, destKey) => {
+      const task = transferOne(obj, destKey);
+      inFlight.add(task);
+      task.finally(() => inFlight.delete(task));
+      if (inFlight.size >= concurrency) await Promise.race(inFlight);
+    };
+
+    try {
+      for await (const obj of AwsS3.iterateFiles(sourceBucket, sourcePrefix)) {
+        if (filter && !filter(obj)) continue;
+        report.matched += 1;
+        const destKey = destPrefix + obj.Key.slice(sourcePrefix.length);
+        if (dryRun) {
+          report.keys.push({ from: obj.Key, to: destKey });
+          continue;
+        }
+        await schedule(obj, destKey);
+      }
+      await Promise.all(inFlight);
+    } catch (err) {
+      await Promise.allSettled(inFlight);
+      ErrorHandler.add_error(`${action} failed`, {
+        sourceBucket,
+        sourcePrefix,
+        [countKey]: report[countKey],
+        error: err.message,
+      });
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=${action}]`,
+          JSON.stringify(
+            {
+              action: `${action}.error`,
+              error: err.message,
+              [countKey]: report[countKey],
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return null;
+    }
+
+    if (report.errors.length > 0) {
+      ErrorHandler.add_error(`${action} completed with errors`, {
+        sourceBucket,
+        sourcePrefix,
+        destBucket,
+        destPrefix,
+        failed: report.errors.length,
+      });
+    }
+
+    Logger.writeLog({
+      flag: "s3_operations",
+      action,
+      message: `${mode === "move" ? "Move" : "Copy"} s3://${sourceBucket}/${sourcePrefix} → s3://${destBucket}/${destPrefix} ${dryRun ? "planned" : "completed"}`,
+      data: { matched: report.matched, [countKey]: report[countKey], bytes: report.bytes, failed: report.errors.length },
+    });
+    if (Logger.isConsoleEnabled()) {
+      console.log(
+        `[Logger flag=${action}]`,
+        JSON.stringify(
+          {
+            action,
+            from: `${sourceBucket}/${sourcePrefix}`,
+            to: `${destBucket}/${destPrefix}`,
+            dryRun,
+            matched: report.matched,
+            [countKey]: report[countKey],
+            failed: report.errors.length,
+            time: DateTime.now(),
+          },
+          null,
+          2
+        )
+      );
+    }
+    return report;
+  }
+
+  /**
+   * Initiate multipart upload for large files (>5MB recommended)
+   * Returns upload ID for subsequent part uploads
+   * 
+   * @param {string} bucket - Destination bucket name
+   * @param {string} key - File key (path) for the upload
+   * @param {Object} [options={}] - Upload options stored on the final object (see buildObjectParams)
+   * @returns {Promise<string>} Upload ID for multipart upload
+   * @throws {Error} When parameters are invalid or initiation fails
+   * 
+   * @example
+   * const uploadId = await AwsS3.initiateMultipartUpload('my-bucket', 'large-files/video.mp4');
+   * console.log('Upload initiated:', uploadId);
+   */
+  static async initiateMultipartUpload(bucket, key, options = {}) {
+    let objectParams;
+    try {
+      ({ bucket, key } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+        key: { value: key, type: "string", required: true },
+      }));
+      objectParams = AwsS3.buildObjectParams(key, null, options ?? {});
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in initiateMultipartUpload", {
+        bucket,
+        key,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action: "initiateMultipartUpload",
+        message: err.message,
+        critical: true,
+        data: { bucket, key },
+      });
+      throw new Error(err.message);
+    }
+
+    try {
+      const res = await AwsS3.send(
+        new CreateMultipartUploadCommand({
+          Bucket: bucket,
+          Key: key,
+          ...objectParams,
+        })
+      );
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=initiateMultipartUpload]`,
+          JSON.stringify(
+            {
+              action: "initiateMultipartUpload",
+              key: `${bucket}/${key}`,
+              uploadId: res.UploadId,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return res.UploadId;
+    } catch (err) {
+      ErrorHandler.add_error("initiateMultipartUpload failed", {
+        bucket,
+        key,
+        error: err.message,
+      });
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=initiateMultipartUpload]`,
+          JSON.stringify(
+            {
+              action: "initiateMultipartUpload.error",
+              error: err.message,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Upload a single part of multipart upload
+   * Each part must be at least 5MB except the last part
+   * 
+   * @param {string} bucket - Destination bucket name
+   * @param {string} key - File key (path) for the upload
+   * @param {string} uploadId - Upload ID from initiateMultipartUpload
+   * @param {number} partNumber - Part number (1-10000)
+   * @param {Buffer|Uint8Array|string} body - Part data to upload
+   * @param {Object} [options={}] - Part options
+   * @param {string} [options.checksumAlgorithm] - Checksum to send with the part; must match the algorithm the upload was initiated with
+   * @returns {Promise<Object>} Part upload result with ETag (and Checksum<ALGORITHM> when requested)
+   * @throws {Error} When parameters are invalid or upload fails
+   * 
+   * @example
+   * const part1 = await AwsS3.uploadPart('my-bucket', 'large-file.zip', uploadId, 1, chunk1);
+   * console.log('Part 1 ETag:', part1.ETag);
+   * 
+   * @example
+   * const part = await AwsS3.uploadPart('my-bucket', 'large-file.zip', uploadId, 1, chunk1, { checksumAlgorithm: 'CRC32C' });
+   * // { ETag: '"..."', PartNumber: 1, ChecksumCRC32C: 'yZRlqg==' }
+   */
+  static async uploadPart(bucket, key, uploadId, partNumber, body, options = {}) {
+    let checksumAlgorithm;
+    try {
+      ({ bucket, key, uploadId, partNumber, checksumAlgorithm } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+        key: { value: key, type: "string", required: true },
+        uploadId: { value: uploadId, type: "string", required: true },
+        partNumber: { value: partNumber, type: "int", required: true },
+        checksumAlgorithm: { value: options?.checksumAlgorithm, type: "string", required: false },
+      }));
+      if (checksumAlgorithm) checksumAlgorithm = AwsS3.checksumAlgorithm(checksumAlgorithm);
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in uploadPart", {
+        bucket,
+        key,
+        uploadId,
+        partNumber,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action: "uploadPart",
+        message: err.message,
+        critical: true,
+        data: { bucket, key, uploadId, partNumber },
+      });
+      throw new Error(err.message);
+    }
+
+    try {
+      const res = await AwsS3.send(
+        new UploadPartCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: uploadId,
+          PartNumber: partNumber,
+          Body: body,
+          ...(checksumAlgorithm ? { ChecksumAlgorithm: checksumAlgorithm } : {}),
+        })
+      );
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=uploadPart]`,
+          JSON.stringify(
+            {
+              action: "uploadPart",
+              part: partNumber,
+              ETag: res.ETag,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      const part = { ETag: res.ETag, PartNumber: partNumber };
+      if (checksumAlgorithm) part[`Checksum${checksumAlgorithm}`] = res[`Checksum${checksumAlgorithm}`];
+      return part;
+    } catch (err) {
+      ErrorHandler.add_error("uploadPart failed", {
+        bucket,
+        key,
+        uploadId,
+        partNumber,
+        error: err.message,
+      });
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=uploadPart]`,
+          JSON.stringify(
+            {
+              action: "uploadPart.error",
+              error: err.message,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Complete multipart upload by combining all uploaded parts
+   * Parts must be provided in correct order with ETags
+   * 
+   * @param {string} bucket - Destination bucket name
+   * @param {string} key - File key (path) for the upload
+   * @param {string} uploadId - Upload ID from initiateMultipartUpload
+   * @param {Array} parts - Array of part objects with PartNumber and ETag
+   * @returns {Promise<void>}
+   * @throws {Error} When parameters are invalid or completion fails
+   * 
+   * @example
+   * const parts = [{PartNumber: 1, ETag: '"abc123"'}, {PartNumber: 2, ETag: '"def456"'}];
+   * await AwsS3.completeMultipartUpload('my-bucket', 'large-file.zip', uploadId, parts);
+   */
+  static async completeMultipartUpload(bucket, key, uploadId, parts) {
+    try {
+      ({ bucket, key, uploadId } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+        key: { value: key, type: "string", required: true },
+        uploadId: { value: uploadId, type: "string", required: true },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in completeMultipartUpload", {
+        bucket,
+        key,
+        uploadId,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action: "completeMultipartUpload",
+        message: err.message,
+        critical: true,
+        data: { bucket, key, uploadId },
+      });
+      throw new Error(err.message);
+    }
+
+    try {
+      await AwsS3.send(
+        new CompleteMultipartUploadCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: uploadId,
+          MultipartUpload: { Parts: parts },
+        })
+      );
+      AwsS3.cache.objects.delete(`${bucket}/${key}`);
+
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=completeMultipartUpload]`,
+          JSON.stringify(
+            {
+              action: "completeMultipartUpload",
+              key: `${bucket}/${key}`,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+    } catch (err) {
+      ErrorHandler.add_error("completeMultipartUpload failed", {
+        bucket,
+        key,
+        uploadId,
+        error: err.message,
+      });
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=completeMultipartUpload]`,
+          JSON.stringify(
+            {
+              action: "completeMultipartUpload.error",
+              error: err.message,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Abort multipart upload and clean up partial data
+   * Use when upload fails or needs to be cancelled
+   * 
+   * @param {string} bucket - Destination bucket name
+   * @param {string} key - File key (path) for the upload
+   * @param {string} uploadId - Upload ID from initiateMultipartUpload
+   * @returns {Promise<void>}
+   * @throws {Error} When parameters are invalid or abort fails
+   * 
+   * @example
+   * await AwsS3.abortMultipartUpload('my-bucket', 'failed-upload.zip', uploadId);
+   * console.log('Upload aborted and cleaned up');
+   */
+  static async abortMultipartUpload(bucket, key, uploadId) {
+    try {
+      ({ bucket, key, uploadId } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+        key: { value: key, type: "string", required: true },
+        uploadId: { value: uploadId, type: "string", required: true },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in abortMultipartUpload", {
+        bucket,
+        key,
+        uploadId,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action: "abortMultipartUpload",
+        message: err.message,
+        critical: true,
+        data: { bucket, key, uploadId },
+      });
+      throw new Error(err.message);
+    }
+
+    try {
+      await AwsS3.send(
+        new AbortMultipartUploadCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: uploadId,
+        })
+      );
+
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=abortMultipartUpload]`,
+          JSON.stringify(
+            {
+              action: "abortMultipartUpload",
+              key: `${bucket}/${key}`,
+              uploadId,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+    } catch (err) {
+      ErrorHandler.add_error("abortMultipartUpload failed", {
+        bucket,
+        key,
+        uploadId,
+        error: err.message,
+      });
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=abortMultipartUpload]`,
+          JSON.stringify(
+            {
+              action: "abortMultipartUpload.error",
+              error: err.message,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return null;
+    }
+  }
+
+  /**
+   * List parts already uploaded for an in-progress multipart upload
+   * Follows PartNumberMarker pagination so uploads with >1000 parts are complete
+   * 
+   * @param {string} bucket - Destination bucket name
+   * @param {string} key - File key (path) for the upload
+   * @param {string} uploadId - Upload ID from initiateMultipartUpload
+   * @returns {Promise<Array|false|null>} Array of {PartNumber, ETag, Size} (plus Checksum<ALGORITHM> when the upload uses checksums), false if the upload no longer exists, null if listing fails
+   * @throws {Error} When parameters are invalid
+   * 
+   * @example
+   * const parts = await AwsS3.listParts('my-bucket', 'large-file.zip', uploadId);
+   * console.log(`${parts.length} parts uploaded so far`);
+   */
+  static async listParts(bucket, key, uploadId) {
+    try {
+      ({ bucket, key, uploadId } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+        key: { value: key, type: "string", required: true },
+        uploadId: { value: uploadId, type: "string", required: true },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in listParts", {
+        bucket,
+        key,
+        uploadId,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action: "listParts",
+        message: err.message,
+        critical: true,
+        data: { bucket, key, uploadId },
+      });
+      throw new Error(err.message);
+    }
+
+    try {
+      const parts = [];
+      let marker;
+      do {
+        const res = await AwsS3.send(
+          new ListPartsCommand({
+            Bucket: bucket,
+            Key: key,
+            UploadId: uploadId,
+            PartNumberMarker: marker,
+          })
+        );
+        res.Parts?.forEach((p) => {
+          const part = { PartNumber: p.PartNumber, ETag: p.ETag, Size: p.Size };
+          for (const algorithm of Checksum.ALGORITHMS) {
+            if (p[`Checksum${algorithm}`]) part[`Checksum${algorithm}`] = p[`Checksum${algorithm}`];
+          }
+          parts.push(part);
+        });
+        marker = res.IsTruncated ? res.NextPartNumberMarker : undefined;
+      } while (marker);
+
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=listParts]`,
+          JSON.stringify(
+            {
+              action: "listParts",
+              key: `${bucket}/${key}`,
+              uploadId,
+              count: parts.length,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return parts;
+    } catch (err) {
+      if (err.name === "NoSuchUpload" || err.$metadata?.httpStatusCode === 404) {
+        return false;
+      }
+      ErrorHandler.add_error("listParts failed", {
+        bucket,
+        key,
+        uploadId,
+        error: err.message,
+      });
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=listParts]`,
+          JSON.stringify(
+            {
+              action: "listParts.error",
+              error: err.message,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Retry an async operation with exponential backoff
+   * Used to retry individual multipart parts without restarting the whole upload
+   * 
+   * @param {Function} fn - Async function to execute
+   * @param {number} [retries=3] - Retry attempts after the first failure
+   * @param {number} [delayMs=200] - Base backoff delay in milliseconds
+   * @returns {Promise<*>} Result of fn
+   * @throws {Error} Last error when all attempts fail
+   * 
+   * @example
+   * const part = await AwsS3.withRetry(() => uploadOnePart(), 3, 200);
+   */
+  static async withRetry(fn, retries = AwsS3.MAX_RETRY_ATTEMPTS, delayMs = AwsS3.BASE_RETRY_DELAY_MS) {
+    let attempt = 0;
+    while (true) {
+      try {
+        return await fn();
+      } catch (err) {
+        if (++attempt > retries) throw err;
+        const backoff = delayMs * Math.pow(2, attempt - 1);
+        Logger.writeLog({
+          flag: "s3_operations",
+          action: "withRetry",
+          message: `S3 operation retry attempt ${attempt}`,
+          data: { attempt, backoffMs: backoff, error: err.message },
+        });
+        await new Promise((res) => setTimeout(res, backoff));
+      }
+    }
+  }
+
+  /**
+   * Split a Buffer, string or Readable stream into fixed-size chunks
+   * Streams are consumed lazily so only one part is held per pending chunk
+   * 
+   * @param {string|Buffer|Uint8Array|AsyncIterable} source - Data to split
+   * @param {number} partSize - Chunk size in bytes (last chunk may be smaller)
+   * @yields {Buffer} Consecutive chunks of the source
+   * 
+   * @example
+   * for await (const chunk of AwsS3.readChunks(fs.createReadStream('video.mp4'), 8 * 1024 * 1024)) {
+   *   console.log(chunk.length);
+   * }
+   */
+  static async *readChunks(source, partSize) {
+    if (typeof source === "string") source = Buffer.from(source);
+
+    if (source instanceof Uint8Array) {
+      for (let offset = 0; offset < source.length; offset += partSize) {
+        yield Buffer.from(source.buffer, source.byteOffset + offset, Math.min(partSize, source.length - offset));
+      }
+      return;
+    }
+
+    let pending = [];
+    let pendingBytes = 0;
+    for await (const chunk of source) {
+      const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      pending.push(buf);
+      pendingBytes += buf.length;
+
+      while (pendingBytes >= partSize) {
+        const joined = Buffer.concat(pending, pendingBytes);
+        yield joined.subarray(0, partSize);
+        const rest = joined.subarray(partSize);
+        pending = rest.length > 0 ? [rest] : [];
+        pendingBytes = rest.length;
+      }
+    }
+    if (pendingBytes > 0) yield Buffer.concat(pending, pendingBytes);
+  }
+
+  /**
+   * Upload large content using multipart upload with bounded concurrency
+   * Chunks the source into parts, retries failed parts, reports progress and
+   * aborts the multipart upload automatically when any part cannot be uploaded
+   * (checkpointed uploads are kept instead so they can be resumed).
+   * Content smaller than the threshold is sent with a single uploadFile call.
+   * 
+   * @param {string} bucket - Destination bucket name
+   * @param {string} key - Object key (path) for the upload
+   * @param {string|Buffer|Uint8Array|ReadableStream} source - Content or Node Readable to upload
+   * @param {Object} [options={}] - Upload options
+   * @param {number} [options.partSize=8MB] - Part size in bytes (minimum 5MB)
+   * @param {number} [options.concurrency=4] - Parts uploaded in parallel
+   * @param {number} [options.retries=3] - Retry attempts per part
+   * @param {number} [options.threshold=16MB] - Size below which a single PutObject is used
+   * @param {string} [options.contentType] - MIME type of the object (inferred from key/content when omitted)
+   * @param {Object} [options.metadata] - Metadata, tags, storage class and SSE options as in uploadFile
+   * @param {string} [options.checksumAlgorithm] - Send a CRC32/CRC32C/SHA1/SHA256 checksum with every part
+   * @param {boolean} [options.encrypt] - Encrypt client-side while uploading (defaults to the configureClientEncryption setting)
+   * @param {Function} [options.onProgress] - Called after each part with {bucket, key, partNumber, loadedBytes, totalBytes}
+   * @param {string} [options.checkpointId] - Persist progress under this ID so the upload can be resumed with resumeUpload
+   * @returns {Promise<Object|null>} Upload summary {bucket, key, uploadId, partCount, size, checkpointId, checksum} or null on failure
+   * @throws {Error} When parameters are invalid
+   * 
+   * @example
+   * const result = await AwsS3.uploadLarge('my-bucket', 'videos/intro.mp4', fs.createReadStream('intro.mp4'), {
+   *   contentType: 'video/mp4',
+   *   concurrency: 6,
+   *   onProgress: ({ loadedBytes, totalBytes }) => console.log(`${loadedBytes}/${totalBytes ?? '?'}`),
+   * });
+   */
+  static async uploadLarge(bucket, key, source, options = {}) {
+    let partSize, concurrency, retries, threshold, contentType, checkpointId, checksumAlgorithm, encrypt;
+    try {
+      ({ bucket, key, partSize, concurrency, retries, threshold, contentType, checkpointId } =
+        SafeUtils.sanitizeValidate({
+          bucket: { value: bucket, type: "string", required: true },
+          key: { value: key, type: "string", required: true },
+          partSize: { value: options.partSize, type: "int", required: false, default: AwsS3.DEFAULT_PART_SIZE },
+          concurrency: { value: options.concurrency, type: "int", required: false, default: AwsS3.DEFAULT_UPLOAD_CONCURRENCY },
+          retries: { value: options.retries, type: "int", required: false, default: AwsS3.MAX_RETRY_ATTEMPTS },
+          threshold: { value: options.threshold, type: "int", required: false, default: AwsS3.MULTIPART_THRESHOLD },
+          contentType: { value: options.contentType, type: "string", required: false },
+          checkpointId: { value: options.checkpointId, type: "string", required: false },
+        }));
+
+      if (source === null || source === undefined) {
+        throw new Error("Missing required parameter: source");
+      }
+      if (partSize < AwsS3.MIN_PART_SIZE) {
+        throw new Error(`partSize must be at least ${AwsS3.MIN_PART_SIZE} bytes`);
+      }
+      if (concurrency < 1 || retries < 0 || threshold < 0) {
+        throw new Error("concurrency must be >= 1, retries and threshold must be >= 0");
+      }
+      if (options.onProgress !== undefined && typeof options.onProgress !== "function") {
+        throw new Error("onProgress must be a function");
+      }
+      checksumAlgorithm = AwsS3.buildObjectParams(key, null, options).ChecksumAlgorithm ?? null;
+      encrypt = AwsS3.shouldEncrypt(options);
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in uploadLarge", {
+        bucket,
+        key,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action: "uploadLarge",
+        message: err.message,
+        critical: true,
+        data: { bucket, key },
+      });
+      throw new Error(err.message);
+    }
+
+    if (typeof source === "string") source = Buffer.from(source);
+
+    let envelope = null;
+    if (encrypt) {
+      // Sniff the plaintext; magic bytes are meaningless once the content is encrypted
+      contentType = contentType || MimeTypes.detect(key, source instanceof Uint8Array ? source : null);
+      try {
+        envelope = await S3EnvelopeEncryption.createEnvelope(
+          AwsS3.clientEncryption.keyWrapper,
+          source instanceof Uint8Array ? source.length : null
+        );
+      } catch (err) {
+        ErrorHandler.add_error("uploadLarge: data key could not be wrapped", { bucket, key, error: err.message });
+        return null;
+      }
+      source = S3EnvelopeEncryption.encryptSource(envelope, source);
+      // Parts and the small-object fallback carry the envelope; the content is already encrypted
+      options = { ...options, encrypt: false, metadata: { ...options.metadata, ...envelope.metadata } };
+    }
+    const totalBytes = source instanceof Uint8Array ? source.length : null;
+
+    // Keep S3's 10,000 part limit when the total size is known up front
+    if (totalBytes !== null && Math.ceil(totalBytes / partSize) > AwsS3.MAX_PARTS) {
+      partSize = Math.ceil(totalBytes / AwsS3.MAX_PARTS);
+    }
+
+    const chunks = AwsS3.readChunks(source, partSize);
+
+    // Buffer parts until the threshold is crossed to decide between PutObject and multipart
+    const head = [];
+    let headBytes = 0;
+    let exhausted = false;
+    while (headBytes < threshold || head.length === 0) {
+      const { value, done } = await chunks.next();
+      if (done) {
+        exhausted = true;
+        break;
+      }
+      head.push(value);
+      headBytes += value.length;
+    }
+
+    // An empty source always takes PutObject: S3 cannot complete a multipart upload without parts
+    if (exhausted && (headBytes < threshold || headBytes === 0)) {
+      const body = Buffer.concat(head, headBytes);
+      const res = await AwsS3.uploadFile(bucket, key, body, { ...options, contentType: contentType ?? undefined });
+      if (res === null) return null;
+      options.onProgress?.({ bucket, key, partNumber: 1, loadedBytes: headBytes, totalBytes: headBytes });
+      const checksum = checksumAlgorithm
+        ? { algorithm: checksumAlgorithm, value: Checksum.compute(checksumAlgorithm, body), type: "FULL_OBJECT" }
+        : null;
+      return { bucket, key, uploadId: null, partCount: 1, size: headBytes, checkpointId: null, checksum };
+    }
+
+    contentType = contentType || MimeTypes.detect(key, head[0]);
+    const uploadId = await AwsS3.initiateMultipartUpload(bucket, key, { ...options, contentType });
+    if (!uploadId) return null;
+
+    let checkpoint = null;
+    if (checkpointId) {
+      checkpoint = {
+        checkpointId,
+        bucket,
+        key,
+        uploadId,
+        partSize,
+        contentType,
+        checksumAlgorithm,
+        // Wrapped key and IV only; resumeUpload unwraps them to re-encrypt the source identically
+        encryption: envelope?.metadata ?? null,
+        parts: [],
+        createdAt: DateTime.now(),
+        updatedAt: DateTime.now(),
+      };
+      await AwsS3.checkpointStore.save(checkpoint);
+    }
+
+    const allChunks = (async function* () {
+      while (head.length > 0) yield head.shift();
+      yield* chunks;
+    })();
+
+    return AwsS3.runMultipartUpload(bucket, key, uploadId, allChunks, {
+      concurrency,
+      retries,
+      totalBytes,
+      onProgress: options.onProgress,
+      checkpoint,
+      checksumAlgorithm,
+    });
+  }
+
+  /**
+   * Upload chunks as parts of an existing multipart upload and complete it
+   * Shared engine behind uploadLarge and resumeUpload. Parts are uploaded with
+   * bounded concurrency and retried individually. When a checkpoint is given,
+   * each finished part is persisted and a failed upload is kept for resumeUpload;
+   * otherwise the multipart upload is aborted on failure.
+   * 
+   * @param {string} bucket - Destination bucket name
+   * @param {string} key - Object key (path) for the upload
+   * @param {string} uploadId - Upload ID from initiateMultipartUpload
+   * @param {AsyncIterable<Buffer>} chunks - Part bodies in order, starting at part 1
+   * @param {Object} [options={}] - Upload options
+   * @param {number} [options.concurrency=4] - Parts uploaded in parallel
+   * @param {number} [options.retries=3] - Retry attempts per part
+   * @param {number|null} [options.totalBytes=null] - Total size when known (for progress)
+   * @param {Function} [options.onProgress] - Progress callback
+   * @param {Object|null} [options.checkpoint=null] - Checkpoint to update as parts complete
+   * @param {Map<number, Object>} [options.completedParts] - Parts already uploaded (skipped)
+   * @param {string|null} [options.checksumAlgorithm=null] - Checksum sent with every part (the upload must be initiated with it)
+   * @returns {Promise<Object|null>} Upload summary or null on failure
+   */
+  static async runMultipartUpload(bucket, key, uploadId, chunks, options = {}) {
+    const {
+      concurrency = AwsS3.DEFAULT_UPLOAD_CONCURRENCY,
+      retries = AwsS3.MAX_RETRY_ATTEMPTS,
+      totalBytes = null,
+      onProgress,
+      checkpoint = null,
+      completedParts = new Map(),
+      checksumAlgorithm = null,
+    } = options;
+
+    const parts = [...completedParts.values()];
+    const inFlight = new Set();
+    let partNumber = 0;
+    let loadedBytes = 0;
+    let failure = null;
+    let checkpointWrite = Promise.resolve();
+
+    const recordPart = (part) => {
+      if (!checkpoint) return;
+      checkpoint.parts.push(part);
+      checkpoint.updatedAt = DateTime.now();
+      const snapshot = { ...checkpoint, parts: [...checkpoint.parts] };
+      checkpointWrite = checkpointWrite.then(() => AwsS3.checkpointStore.save(snapshot));
+    };
+
+    const uploadOne = async (number, body) => {
+      const part = await AwsS3.withRetry(async () => {
+        const res = await AwsS3.uploadPart(bucket, key, uploadId, number, body, { checksumAlgorithm: checksumAlgorithm ?? undefined });
+        if (!res) throw new Error(`Part ${number} upload failed`);
+        return res;
+      }, retries);
+      parts.push(part);
+      recordPart(part);
+      loadedBytes += body.length;
+      onProgress?.({ bucket, key, partNumber: number, loadedBytes, totalBytes });
+    };
+
+    const schedule = async (body) => {
+      partNumber += 1;
+      if (partNumber > AwsS3.MAX_PARTS) {
+        throw new Error(`Upload exceeds ${AwsS3.MAX_PARTS} parts; increase partSize`);
+      }
+      if (completedParts.has(partNumber)) {
+        loadedBytes += body.length;
+        return;
+      }
+      const task = uploadOne(partNumber, body).catch((err) => {
+        failure = failure || err;
+      });
+      inFlight.add(task);
+      task.finally(() => inFlight.delete(task));
+      if (inFlight.size >= concurrency) await Promise.race(inFlight);
+    };
+
+    try {
+      for await (const body of chunks) {
+        if (failure) break;
+        await schedule(body);
+      }
+      await Promise.all(inFlight);
+      await checkpointWrite;
+    } catch (err) {
+      await Promise.allSettled(inFlight);
+      failure = failure || err;
+    }
+
+    if (!failure) {
+      parts.sort((a, b) => a.PartNumber - b.PartNumber);
+      const completed = await AwsS3.completeMultipartUpload(bucket, key, uploadId, parts);
+      if (completed === null) failure = new Error("completeMultipartUpload failed");
+    }
+
+    if (failure) {
+      if (checkpoint) {
+        await checkpointWrite.catch(() => {});
+      } else {
+        await AwsS3.abortMultipartUpload(bucket, key, uploadId);
+      }
+      ErrorHandler.add_error("Multipart upload failed", {
+        bucket,
+        key,
+        uploadId,
+        checkpointId: checkpoint?.checkpointId ?? null,
+        error: failure.message,
+      });
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=runMultipartUpload]`,
+          JSON.stringify(
+            {
+              action: "runMultipartUpload.error",
+              error: failure.message,
+              resumable: !!checkpoint,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return null;
+    }
+
+    if (checkpoint) await AwsS3.checkpointStore.remove(checkpoint.checkpointId);
+
+    if (Logger.isConsoleEnabled()) {
+      console.log(
+        `[Logger flag=runMultipartUpload]`,
+        JSON.stringify(
+          {
+            action: "runMultipartUpload",
+            key: `${bucket}/${key}`,
+            uploadId,
+            parts: parts.length,
+            size: loadedBytes,
+            time: DateTime.now(),
+          },
+          null,
+          2
+        )
+      );
+    }
+    return {
+      bucket,
+      key,
+      uploadId,
+      partCount: parts.length,
+      size: loadedBytes,
+      checkpointId: checkpoint?.checkpointId ?? null,
+      // Composite checksum as S3 reports it for the completed object
+      checksum: checksumAlgorithm
+        ? {
+            algorithm: checksumAlgorithm,
+            value: Checksum.combine(
+              checksumAlgorithm,
+              parts.map((p) => Buffer.from(p[`Checksum${checksumAlgorithm}`] ?? "", "base64"))
+            ),
+            type: "COMPOSITE",
+          }
+        : null,
+    };
+  }
+
+  /**
+   * Resume an interrupted multipart upload from its persisted checkpoint
+   * Lists the parts S3 already holds, skips them while re-reading the source and
+   * uploads only the missing parts before completing the upload.
+   * 
+   * @param {string} checkpointId - Checkpoint ID passed to uploadLarge
+   * @param {string|Buffer|Uint8Array|ReadableStream} source - The same content, read from the start
+   * @param {Object} [options={}] - Upload options
+   * @param {number} [options.concurrency=4] - Parts uploaded in parallel
+   * @param {number} [options.retries=3] - Retry attempts per part
+   * @param {Function} [options.onProgress] - Progress callback (same shape as uploadLarge)
+   * @returns {Promise<Object|null>} Upload summary or null when the upload cannot be resumed
+   * @throws {Error} When parameters are invalid or the checkpoint does not exist
+   * 
+   * @example
+   * const result = await AwsS3.resumeUpload('nightly-backup', fs.createReadStream('backup.tar'));
+   */
+  static async resumeUpload(checkpointId, source, options = {}) {
+    let concurrency, retries, checkpoint;
+    try {
+      ({ checkpointId, concurrency, retries } = SafeUtils.sanitizeValidate({
+        checkpointId: { value: checkpointId, type: "string", required: true },
+        concurrency: { value: options.concurrency, type: "int", required: false, default: AwsS3.DEFAULT_UPLOAD_CONCURRENCY },
+        retries: { value: options.retries, type: "int", required: false, default: AwsS3.MAX_RETRY_ATTEMPTS },
+      }));
+      if (source === null || source === undefined) {
+        throw new Error("Missing required parameter: source");
+      }
+      checkpoint = await AwsS3.checkpointStore.load(checkpointId);
+      if (!checkpoint) {
+        throw new Error(`Checkpoint not found: ${checkpointId}`);
+      }
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in resumeUpload", {
+        checkpointId,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action: "resumeUpload",
+        message: err.message,
+        critical: true,
+        data: { checkpointId },
+      });
+      throw new Error(err.message);
+    }
+
+    const { bucket, key, uploadId, partSize, checksumAlgorithm = null, encryption = null } = checkpoint;
+    const uploaded = await AwsS3.listParts(bucket, key, uploadId);
+    if (uploaded === false) {
+      // Upload was aborted or already completed; the checkpoint is stale
+      ErrorHandler.add_error("resumeUpload: multipart upload no longer exists", {
+        checkpointId,
+        bucket,
+        key,
+        uploadId,
+      });
+      await AwsS3.checkpointStore.remove(checkpointId);
+      return null;
+    }
+    if (uploaded === null) return null;
+
+    // S3 is the source of truth; a short part may be a truncated final part, so re-send it
+    const completedParts = new Map(
+      uploaded
+        .filter((p) => p.Size === partSize)
+        .map(({ Size, ...part }) => [part.PartNumber, part])
+    );
+    checkpoint.parts = [...completedParts.values()];
+    checkpoint.updatedAt = DateTime.now();
+    await AwsS3.checkpointStore.save(checkpoint);
+
+    if (Logger.isConsoleEnabled()) {
+      console.log(
+        `[Logger flag=resumeUpload]`,
+        JSON.stringify(
+          {
+            action: "resumeUpload",
+            key: `${bucket}/${key}`,
+            uploadId,
+            partsAlreadyUploaded: completedParts.size,
+            time: DateTime.now(),
+          },
+          null,
+          2
+        )
+      );
+    }
+
+    if (typeof source === "string") source = Buffer.from(source);
+    if (encryption) {
+      try {
+        const envelope = await S3EnvelopeEncryption.openEnvelope(AwsS3.requireKeyWrapper(), encryption);
+        source = S3EnvelopeEncryption.encryptSource(envelope, source);
+      } catch (err) {
+        ErrorHandler.add_error("resumeUpload: data key could not be unwrapped", {
+          checkpointId,
+          bucket,
+          key,
+          error: err.message,
+        });
+        return null;
+      }
+    }
+    return AwsS3.runMultipartUpload(bucket, key, uploadId, AwsS3.readChunks(source, partSize), {
+      concurrency,
+      retries,
+      totalBytes: source instanceof Uint8Array ? source.length : null,
+      onProgress: options.onProgress,
+      checkpoint,
+      completedParts,
+      checksumAlgorithm,
+    });
+  }
+
+  /**
+   * Replace the checkpoint store used for resumable uploads
+   * Any object implementing async save(checkpoint), load(id) and remove(id) works,
+   * e.g. ScyllaCheckpointStore from ./S3CheckpointStore.js
+   * 
+   * @param {Object} store - Checkpoint store implementation
+   * @returns {void}
+   * @throws {Error} When the store does not implement the interface
+   * 
+   * @example
+   * import { ScyllaCheckpointStore } from './S3CheckpointStore.js';
+   * AwsS3.setCheckpointStore(new ScyllaCheckpointStore('s3_upload_checkpoints'));
+   */
+  static setCheckpointStore(store) {
+    const valid = store && ["save", "load", "remove"].every((m) => typeof store[m] === "function");
+    if (!valid) {
+      ErrorHandler.add_error("Invalid checkpoint store in setCheckpointStore", {});
+      throw new Error("Checkpoint store must implement save(), load() and remove()");
+    }
+    AwsS3.checkpointStore = store;
+  }
+
+  /**
+   * Configure client-side envelope encryption
+   * Objects are encrypted with a per-object AES-256-GCM data key that the key
+   * wrapper wraps; reads decrypt any encrypted object automatically. Any object
+   * implementing async wrapKey() and unwrapKey() works, e.g. LocalKeyWrapper from
+   * ./S3EnvelopeEncryption.js or KmsKeyWrapper from ./S3KmsKeyWrapper.js.
+   * 
+   * @param {Object} [options={}] - Encryption settings
+   * @param {Object|null} [options.keyWrapper] - Key wrapper (null disables client-side encryption)
+   * @param {boolean} [options.encryptByDefault=false] - Encrypt every upload unless encrypt: false is passed
+   * @returns {void}
+   * @throws {Error} When the key wrapper does not implement the interface
+   * 
+   * @example
+   * import KmsKeyWrapper from './S3KmsKeyWrapper.js';
+   * AwsS3.configureClientEncryption({ keyWrapper: new KmsKeyWrapper('alias/s3-documents', 'us-east-1') });
+   * await AwsS3.uploadFile('my-bucket', 'hr/contract.pdf', pdfBuffer, { encrypt: true });
+   * const pdf = await AwsS3.getFileAsBuffer('my-bucket', 'hr/contract.pdf'); // decrypted
+   */
+  static configureClientEncryption(options = {}) {
+    let encryptByDefault;
+    try {
+      ({ encryptByDefault } = SafeUtils.sanitizeValidate({
+        encryptByDefault: { value: options.encryptByDefault, type: "bool", required: false, default: false },
+      }));
+      if (options.keyWrapper && !S3EnvelopeEncryption.isKeyWrapper(options.keyWrapper)) {
+        throw new Error("Key wrapper must implement wrapKey() and unwrapKey()");
+      }
+      if (encryptByDefault && !options.keyWrapper) {
+        throw new Error("encryptByDefault requires a keyWrapper");
+      }
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in configureClientEncryption", { error: err.message });
+      throw new Error(err.message);
+    }
+    AwsS3.clientEncryption = { keyWrapper: options.keyWrapper ?? null, encryptByDefault };
+  }
+
+  /**
+   * Key wrapper configured for client-side encryption
+   * @returns {Object} Key wrapper
+   * @throws {Error} When configureClientEncryption has not been called
+   */
+  static requireKeyWrapper() {
+    if (!AwsS3.clientEncryption.keyWrapper) {
+      throw new Error("Client-side encryption is not configured; call configureClientEncryption({ keyWrapper })");
+    }
+    return AwsS3.clientEncryption.keyWrapper;
+  }
+
+  /**
+   * Whether an upload should be encrypted client-side
+   * @param {Object} options - Upload options
+   * @param {boolean} [options.encrypt] - Explicit choice (defaults to encryptByDefault)
+   * @returns {boolean} True when the content must be encrypted
+   * @throws {TypeError} When encrypt is not a boolean or no key wrapper is configured
+   */
+  static shouldEncrypt(options) {
+    if (options.encrypt !== undefined && typeof options.encrypt !== "boolean") {
+      throw new TypeError("encrypt must be a boolean");
+    }
+    const encrypt = options.encrypt ?? AwsS3.clientEncryption.encryptByDefault;
+    if (encrypt) AwsS3.requireKeyWrapper();
+    return encrypt;
+  }
+
+  /**
+   * Run an async function over items with bounded concurrency
+   * Results keep the order of the input items
+   * 
+   * @param {Array} items - Items to process
+   * @param {number} concurrency - Maximum calls in flight
+   * @param {Function} fn - Async function (item, index) => result
+   * @returns {Promise<Array>} Results in input order
+   * 
+   * @example
+   * const sizes = await AwsS3.mapConcurrent(keys, 5, (key) => headSize(key));
+   */
+  static async mapConcurrent(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const workers = Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    });
+    await Promise.all(workers);
+    return results;
+  }
+
+  /**
+   * Read upload/download content into a single Buffer
+   * 
+   * @param {string|Buffer|Uint8Array|AsyncIterable} body - Content or readable stream
+   * @returns {Promise<Buffer>} Content
+   */
+  static async toBuffer(body) {
+    if (typeof body === "string" || body instanceof Uint8Array) return Buffer.from(body);
+    const chunks = [];
+    for await (const chunk of body) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Compute a hex digest of a local file without loading it into memory
+   * 
+   * @param {string} filePath - Local file path
+   * @param {string} [algorithm='md5'] - Hash algorithm supported by node:crypto
+   * @returns {Promise<string>} Hex digest
+   */
+  static async hashFile(filePath, algorithm = "md5") {
+    const hash = crypto.createHash(algorithm);
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest("hex");
+  }
+
+  /**
+   * Recursively collect regular files below a local directory
+   * 
+   * @param {string} dir - Root directory
+   * @returns {Promise<Map<string, Object>>} Relative POSIX path → {path, size, mtimeMs}
+   */
+  static async walkLocalFiles(dir) {
+    const files = new Map();
+    const walk = async (current, rel) => {
+      const entries = await fs.promises.readdir(current, { withFileTypes: true });
+      for (const entry of entries) {
+        const full = path.join(current, entry.name);
+        const relPath = rel ? `${rel}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          await walk(full, relPath);
+        } else if (entry.isFile()) {
+          const stat = await fs.promises.stat(full);
+          files.set(relPath, { path: full, size: stat.size, mtimeMs: stat.mtimeMs });
+        }
+      }
+    };
+    await walk(dir, "");
+    return files;
+  }
+
+  /**
+   * Decide whether a local file and an S3 object hold the same content
+   * Size must match; single-part ETags are compared with the local MD5 when
+   * checksum is enabled, otherwise the newer side (by mtime) is considered changed.
+   * 
+   * @param {Object} local - Local entry {path, size, mtimeMs}
+   * @param {Object} remote - S3 listing entry {Size, ETag, LastModified}
+   * @param {string} direction - 'up' (local is source) or 'down' (S3 is source)
+   * @param {boolean} checksum - Compare MD5 against plain ETags
+   * @returns {Promise<boolean>} True when the entries are considered identical
+   */
+  static async isSameFile(local, remote, direction, checksum) {
+    if (local.size !== remote.Size) return false;
+    const etag = remote.ETag?.replace(/"/g, "");
+    if (checksum && etag && /^[0-9a-f]{32}$/.test(etag)) {
+      return (await AwsS3.hashFile(local.path)) === etag;
+    }
+    const remoteMs = new Date(remote.LastModified).getTime();
+    return direction === "up" ? local.mtimeMs <= remoteMs : remoteMs <= local.mtimeMs;
+  }
+
+  /**
+   * Validate options shared by syncUp and syncDown
+   * @param {Object} options - Raw sync options
+   * @returns {Object} {deleteExtraneous, dryRun, concurrency, checksum, isExcluded}
+   * @throws {TypeError} When an option has the wrong type
+   */
+  static parseSyncOptions(options) {
+    const { deleteExtraneous, dryRun, concurrency, checksum } = SafeUtils.sanitizeValidate({
+      deleteExtraneous: { value: options.delete, type: "bool", required: false, default: false },
+      dryRun: { value: options.dryRun, type: "bool", required: false, default: false },
+      concurrency: { value: options.concurrency, type: "int", required: false, default: AwsS3.DEFAULT_SYNC_CONCURRENCY },
+      checksum: { value: options.checksum, type: "bool", required: false, default: true },
+    });
+    const { exclude } = options;
+    if (exclude !== undefined && !(exclude instanceof RegExp) && typeof exclude !== "function") {
+      throw new TypeError("exclude must be a RegExp or a function");
+    }
+    // search() ignores lastIndex, so patterns with the g or y flag match every path the same way
+    const isExcluded = (rel) =>
+      exclude instanceof RegExp ? rel.search(exclude) !== -1 : typeof exclude === "function" ? !!exclude(rel) : false;
+    return { deleteExtraneous, dryRun, concurrency, checksum, isExcluded };
+  }
+
+  /**
+   * Upload a local directory to S3, transferring only new or changed files
+   * Files are compared by size and MD5/ETag (or mtime for multipart ETags).
+   * Content types are detected from file extensions.
+   * Note: SSE-KMS objects have non-MD5 ETags; pass checksum: false for such buckets.
+   * 
+   * @param {string} localDir - Local source directory
+   * @param {string} bucket - Destination bucket name
+   * @param {string} [prefix=""] - Destination key prefix ('site/' → site/index.html)
+   * @param {Object} [options={}] - Sync options
+   * @param {boolean} [options.delete=false] - Remove remote objects missing locally
+   * @param {boolean} [options.dryRun=false] - Report the plan without transferring anything
+   * @param {number} [options.concurrency=4] - Files uploaded in parallel
+   * @param {boolean} [options.checksum=true] - Compare MD5 with single-part ETags
+   * @param {RegExp|Function} [options.exclude] - Relative paths to ignore
+   * @returns {Promise<Object|null>} Summary {added, updated, removed, skipped, errors, dryRun} or null if listing fails
+   * @throws {Error} When parameters are invalid or localDir is not a directory
+   * 
+   * @example
+   * const summary = await AwsS3.syncUp('./dist', 'my-site-bucket', 'app/', { delete: true });
+   * console.log(`${summary.added.length} added, ${summary.updated.length} updated`);
+   */
+  static async syncUp(localDir, bucket, prefix = "", options = {}) {
+    let deleteExtraneous, dryRun, concurrency, checksum, isExcluded;
+    try {
+      ({ localDir, bucket, prefix } = SafeUtils.sanitizeValidate({
+        localDir: { value: localDir, type: "string", required: true },
+        bucket: { value: bucket, type: "string", required: true },
+        prefix: { value: prefix, type: "string", required: false, default: "" },
+      }));
+      ({ deleteExtraneous, dryRun, concurrency, checksum, isExcluded } = AwsS3.parseSyncOptions(options));
+      const stat = await fs.promises.stat(localDir).catch(() => null);
+      if (!stat?.isDirectory()) {
+        throw new Error(`Local directory not found: ${localDir}`);
+      }
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in syncUp", {
+        localDir,
+        bucket,
+        prefix,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action: "syncUp",
+        message: err.message,
+        critical: true,
+        data: { localDir, bucket, prefix },
+      });
+      throw new Error(err.message);
+    }
+
+    if (prefix && !prefix.endsWith("/")) prefix += "/";
+    const summary = { dryRun, added: [], updated: [], removed: [], skipped: [], errors: [] };
+
+    let localFiles;
+    const remote = new Map();
+    try {
+      localFiles = await AwsS3.walkLocalFiles(localDir);
+      for await (const obj of AwsS3.iterateFiles(bucket, prefix)) {
+        remote.set(obj.Key, obj);
+      }
+    } catch (err) {
+      ErrorHandler.add_error("syncUp failed", { localDir, bucket, prefix, error: err.message });
+      return null;
+    }
+
+    const uploads = [];
+    for (const [rel, local] of localFiles) {
+      if (isExcluded(rel)) continue;
+      const key = prefix + rel;
+      const existing = remote.get(key);
+      remote.delete(key);
+      if (!existing) {
+        uploads.push({ rel, key, local, list: summary.added });
+      } else if (!(await AwsS3.isSameFile(local, existing, "up", checksum))) {
+        uploads.push({ rel, key, local, list: summary.updated });
+      } else {
+        summary.skipped.push(rel);
+      }
+    }
+
+    if (dryRun) {
+      uploads.forEach(({ rel, list }) => list.push(rel));
+    } else {
+      await AwsS3.mapConcurrent(uploads, concurrency, async ({ rel, key, local, list }) => {
+        const res = await AwsS3.uploadLarge(bucket, key, fs.createReadStream(local.path), {
+          contentType: MimeTypes.fromKey(rel),
+        }).catch((err) => {
+          summary.errors.push({ path: rel, error: err.message });
+          return undefined;
+        });
+        if (res) list.push(rel);
+        else if (res === null) summary.errors.push({ path: rel, error: "upload failed" });
+      });
+    }
+
+    if (deleteExtraneous) {
+      const extraneous = [...remote.keys()].filter((key) => !isExcluded(key.slice(prefix.length)));
+      for (let i = 0; i < extraneous.length; i += AwsS3.DELETE_BATCH_SIZE) {
+        const keys = extraneous.slice(i, i + AwsS3.DELETE_BATCH_SIZE);
+        const rels = keys.map((key) => key.slice(prefix.length));
+        if (!dryRun && (await AwsS3.deleteFiles(bucket, keys)) === null) {
+          rels.forEach((rel) => summary.errors.push({ path: rel, error: "delete failed" }));
+          continue;
+        }
+        summary.removed.push(...rels);
+      }
+    }
+
+    Logger.writeLog({
+      flag: "s3_operations",
+      action: "syncUp",
+      message: `Sync ${localDir} → s3://${bucket}/${prefix} ${dryRun ? "planned" : "completed"}`,
+      data: AwsS3.summarizeSync(summary),
+    });
+    if (Logger.isConsoleEnabled()) {
+      console.log(
+        `[Logger flag=syncUp]`,
+        JSON.stringify(
+          { action: "syncUp", bucket, prefix, ...AwsS3.summarizeSync(summary), time: DateTime.now() },
+          null,
+          2
+        )
+      );
+    }
+    return summary;
+  }
+
+  /**
+   * Download an S3 prefix into a local directory, transferring only new or changed objects
+   * Downloaded files get the object's LastModified as mtime so later syncs can
+   * compare timestamps. Keys that would escape localDir are reported as errors.
+   * 
+   * @param {string} bucket - Source bucket name
+   * @param {string} [prefix=""] - Source key prefix
+   * @param {string} localDir - Local destination directory (created if missing)
+   * @param {Object} [options={}] - Sync options (same as syncUp)
+   * @returns {Promise<Object|null>} Summary {added, updated, removed, skipped, errors, dryRun} or null if listing fails
+   * @throws {Error} When parameters are invalid
+   * 
+   * @example
+   * const summary = await AwsS3.syncDown('my-bucket', 'reports/2025/', './reports', { dryRun: true });
+   * console.log(summary.added);
+   */
+  static async syncDown(bucket, prefix, localDir, options = {}) {
+    let deleteExtraneous, dryRun, concurrency, checksum, isExcluded;
+    try {
+      ({ bucket, prefix, localDir } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+        prefix: { value: prefix, type: "string", required: false, default: "" },
+        localDir: { value: localDir, type: "string", required: true },
+      }));
+      ({ deleteExtraneous, dryRun, concurrency, checksum, isExcluded } = AwsS3.parseSyncOptions(options));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in syncDown", {
+        bucket,
+        prefix,
+        localDir,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action: "syncDown",
+        message: err.message,
+        critical: true,
+        data: { bucket, prefix, localDir },
+      });
+      throw new Error(err.message);
+    }
+
+    if (prefix && !prefix.endsWith("/")) prefix += "/";
+    const root = path.resolve(localDir);
+    const summary = { dryRun, added: [], updated: [], removed: [], skipped: [], errors: [] };
+
+    let localFiles = new Map();
+    const remote = [];
+    try {
+      if (fs.existsSync(root)) localFiles = await AwsS3.walkLocalFiles(root);
+      for await (const obj of AwsS3.iterateFiles(bucket, prefix)) {
+        if (!obj.Key.endsWith("/")) remote.push(obj);
+      }
+    } catch (err) {
+      ErrorHandler.add_error("syncDown failed", { bucket, prefix, localDir, error: err.message });
+      return null;
+    }
+
+    const downloads = [];
+    for (const obj of remote) {
+      const rel = obj.Key.slice(prefix.length);
+      if (isExcluded(rel)) continue;
+      const target = path.resolve(root, ...rel.split("/"));
+      if (!target.startsWith(root + path.sep)) {
+        summary.errors.push({ path: rel, error: "Key resolves outside the local directory" });
+        continue;
+      }
+      const local = localFiles.get(rel);
+      localFiles.delete(rel);
+      if (!local) {
+        downloads.push({ rel, obj, target, list: summary.added });
+      } else if (!(await AwsS3.isSameFile(local, obj, "down", checksum))) {
+        downloads.push({ rel, obj, target, list: summary.updated });
+      } else {
+        summary.skipped.push(rel);
+      }
+    }
+
+    if (dryRun) {
+      downloads.forEach(({ rel, list }) => list.push(rel));
+    } else {
+      await AwsS3.mapConcurrent(downloads, concurrency, async ({ rel, obj, target, list }) => {
+        const temp = `${target}.${process.pid}.download`;
+        try {
+          const body = await AwsS3.getFile(bucket, obj.Key);
+          if (!body) throw new Error("download failed");
+          await fs.promises.mkdir(path.dirname(target), { recursive: true });
+          await pipeline(body, fs.createWriteStream(temp));
+          await fs.promises.rename(temp, target);
+          const modified = new Date(obj.LastModified);
+          await fs.promises.utimes(target, modified, modified);
+          list.push(rel);
+        } catch (err) {
+          await fs.promises.rm(temp, { force: true });
+          summary.errors.push({ path: rel, error: err.message });
+        }
+      });
+    }
+
+    if (deleteExtraneous) {
+      for (const [rel, local] of localFiles) {
+        if (isExcluded(rel)) continue;
+        try {
+          if (!dryRun) await fs.promises.rm(local.path);
+          summary.removed.push(rel);
+        } catch (err) {
+          summary.errors.push({ path: rel, error: err.message });
+        }
+      }
+    }
+
+    Logger.writeLog({
+      flag: "s3_operations",
+      action: "syncDown",
+      message: `Sync s3://${bucket}/${prefix} → ${localDir} ${dryRun ? "planned" : "completed"}`,
+      data: AwsS3.summarizeSync(summary),
+    });
+    if (Logger.isConsoleEnabled()) {
+      console.log(
+        `[Logger flag=syncDown]`,
+        JSON.stringify(
+          { action: "syncDown", bucket, prefix, ...AwsS3.summarizeSync(summary), time: DateTime.now() },
+          null,
+          2
+        )
+      );
+    }
+    return summary;
+  }
+
+  /**
+   * Reduce a sync summary to counts for logging
+   * @param {Object} summary - Summary returned by syncUp/syncDown
+   * @returns {Object} Counts per category
+   */
+  static summarizeSync(summary) {
+    return {
+      dryRun: summary.dryRun,
+      added: summary.added.length,
+      updated: summary.updated.length,
+      removed: summary.removed.length,
+      skipped: summary.skipped.length,
+      errors: summary.errors.length,
+    };
+  }
+
+  /**
+   * Generate time-limited presigned URL for S3 operations
+   * Allows temporary access to S3 objects without AWS credentials
+   * 
+   * @param {string} bucket - Bucket name containing the object
+   * @param {string} key - Object key (path) to generate URL for
+   * @param {string} [operation="getObject"] - S3 operation: 'getObject', 'putObject', 'deleteObject', 'headObject'
+   * @param {number} [expiresInSeconds=300] - URL expiration time in seconds (default 5 minutes, max 7 days)
+   * @param {Object} [options={}] - Operation-specific options
+   * @param {string} [options.responseContentDisposition] - getObject: override Content-Disposition of the response
+   * @param {string} [options.responseContentType] - getObject: override Content-Type of the response
+   * @param {string} [options.responseCacheControl] - getObject: override Cache-Control of the response
+   * @param {string} [options.versionId] - getObject/headObject/deleteObject: target a specific version
+   * @param {string} [options.contentType] - putObject: Content-Type the uploader must send (signed header)
+   * @param {string} [options.checksumSHA256] - putObject: base64 SHA-256 the uploaded body must match (signed header)
+   * @param {string} [options.checksumCRC32C] - putObject: base64 CRC32C the uploaded body must match (signed header)
+   * @returns {Promise<string|null>} Presigned URL or null if generation fails
+   * @throws {Error} When parameters are invalid
+   * 
+   * @example
+   * // Generate download URL (5 min expiry)
+   * const downloadUrl = await AwsS3.getPresignedUrl('my-bucket', 'documents/report.pdf');
+   * 
+   * @example
+   * // Generate upload URL (1 hour expiry)
+   * const uploadUrl = await AwsS3.getPresignedUrl('my-bucket', 'uploads/new-file.jpg', 'putObject', 3600);
+   * 
+   * @example
+   * // Force a "Save as" download with a friendly file name
+   * const url = await AwsS3.getPresignedUrl('my-bucket', 'exports/8f2a.csv', 'getObject', 300, {
+   *   responseContentDisposition: 'attachment; filename="orders.csv"',
+   * });
+   * 
+   * @example
+   * // Upload URL that only accepts a PNG with a known checksum
+   * const url = await AwsS3.getPresignedUrl('my-bucket', 'avatars/42.png', 'putObject', 300, {
+   *   contentType: 'image/png',
+   *   checksumSHA256: 'n4bQgYhMfWWaL+qgxVrQFaO/TxsrC4Is0V1sFbDwCgg=',
+   * });
+   */
+  static async getPresignedUrl(
+    bucket,
+    key,
+    operation = "getObject",
+    expiresInSeconds = AwsS3.DEFAULT_PRESIGNED_URL_EXPIRY,
+    options = {}
+  ) {
+    let responseContentDisposition, responseContentType, responseCacheControl,
+      versionId, contentType, checksumSHA256, checksumCRC32C;
+    try {
+      ({ bucket, key, operation, expiresInSeconds } =
+        SafeUtils.sanitizeValidate({
+          bucket: { value: bucket, type: "string", required: true },
+          key: { value: key, type: "string", required: true },
+          operation: {
+            value: operation,
+            type: "string",
+            required: false,
+            default: "getObject",
+          },
+          expiresInSeconds: {
+            value: expiresInSeconds,
+            type: "int",
+            required: false,
+            default: 900,
+          },
+        }));
+      ({ responseContentDisposition, responseContentType, responseCacheControl,
+        versionId, contentType, checksumSHA256, checksumCRC32C } = SafeUtils.sanitizeValidate({
+        responseContentDisposition: { value: options.responseContentDisposition, type: "string", required: false },
+        responseContentType: { value: options.responseContentType, type: "string", required: false },
+        responseCacheControl: { value: options.responseCacheControl, type: "string", required: false },
+        versionId: { value: options.versionId, type: "string", required: false },
+        contentType: { value: options.contentType, type: "string", required: false },
+        checksumSHA256: { value: options.checksumSHA256, type: "string", required: false },
+        checksumCRC32C: { value: options.checksumCRC32C, type: "string", required: false },
+      }));
+      if (expiresInSeconds < 1 || expiresInSeconds > AwsS3.MAX_PRESIGNED_URL_EXPIRY) {
+        throw new Error(`expiresInSeconds must be between 1 and ${AwsS3.MAX_PRESIGNED_URL_EXPIRY}`);
+      }
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in getPresignedUrl", {
+        bucket,
+        key,
+        operation,
+        expiresInSeconds,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action: "getPresignedUrl",
+        message: err.message,
+        critical: true,
+        data: { bucket, key, operation, expiresInSeconds },
+      });
+      throw new Error(err.message);
+    }
+
+    let command;
+    const signingOptions = { expiresIn: expiresInSeconds };
+    const target = { Bucket: bucket, Key: key };
+    if (versionId) target.VersionId = versionId;
+
+    switch (operation) {
+      case "getObject":
+        command = new GetObjectCommand({
+          ...target,
+          ResponseContentDisposition: responseContentDisposition ?? undefined,
+          ResponseContentType: responseContentType ?? undefined,
+          ResponseCacheControl: responseCacheControl ?? undefined,
+        });
+        break;
+      case "putObject": {
+        // Pinned headers must be signed (not hoisted) so the uploader has to send matching values
+        const signable = new Set();
+        const unhoistable = new Set();
+        const params = { Bucket: bucket, Key: key };
+        if (contentType) {
+          params.ContentType = contentType;
+          signable.add("content-type");
+        }
+        if (checksumSHA256) {
+          params.ChecksumSHA256 = checksumSHA256;
+          unhoistable.add("x-amz-checksum-sha256");
+        }
+        if (checksumCRC32C) {
+          params.ChecksumCRC32C = checksumCRC32C;
+          unhoistable.add("x-amz-checksum-crc32c");
+        }
+        command = new PutObjectCommand(params);
+        signingOptions.signableHeaders = signable;
+        signingOptions.unhoistableHeaders = unhoistable;
+        break;
+      }
+      case "deleteObject":
+        command = new DeleteObjectCommand(target);
+        break;
+      case "headObject":
+        command = new HeadObjectCommand(target);
+        break;
+      default:
+        ErrorHandler.add_error("Unsupported operation", { operation });
+        Logger.writeLog({
+          flag: "system_error",
+          action: "getPresignedUrl",
+          message: `Unsupported operation: ${operation}`,
+          critical: true,
+          data: { operation },
+        });
+        throw new Error(`Unsupported operation: ${operation}`);
+    }
+
+    try {
+      const url = await getSignedUrl(await AwsS3.clientFor(bucket), command, signingOptions);
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=getPresignedUrl]`,
+          JSON.stringify(
+            {
+              action: "getPresignedUrl",
+              operation,
+              expiresInSeconds,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return url;
+    } catch (err) {
+      ErrorHandler.add_error("getPresignedUrl failed", {
+        bucket,
+        key,
+        operation,
+        expiresInSeconds,
+        error: err.message,
+      });
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=getPresignedUrl]`,
+          JSON.stringify(
+            {
+              action: "getPresignedUrl.error",
+              error: err.message,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Generate a presigned POST policy for direct browser uploads
+   * Returns the form action URL and the fields to include in a multipart/form-data
+   * POST. Conditions restrict what the browser may upload.
+   * 
+   * @param {string} bucket - Destination bucket name
+   * @param {string} key - Object key; may contain '${filename}' to use the uploaded file name
+   * @param {Object} [options={}] - Policy options
+   * @param {number} [options.expiresInSeconds=300] - Policy lifetime in seconds
+   * @param {number[]} [options.contentLengthRange] - [minBytes, maxBytes] accepted upload size
+   * @param {string} [options.contentType] - Exact Content-Type required (added as a form field)
+   * @param {string} [options.contentTypePrefix] - Required Content-Type prefix (e.g. 'image/')
+   * @param {string} [options.keyPrefix] - Required key prefix (key must start with it)
+   * @param {Object} [options.fields] - Extra fixed form fields (e.g. {'x-amz-meta-user': '42'}), each enforced by the policy
+   * @returns {Promise<Object|null>} {url, fields} or null if signing fails
+   * @throws {Error} When parameters are invalid
+   * 
+   * @example
+   * const { url, fields } = await AwsS3.getPresignedPost('my-bucket', 'uploads/${filename}', {
+   *   keyPrefix: 'uploads/',
+   *   contentTypePrefix: 'image/',
+   *   contentLengthRange: [1, 10 * 1024 * 1024],
+   * });
+   * // <form action={url} method="post" enctype="multipart/form-data"> + hidden inputs from fields + file input
+   */
+  static async getPresignedPost(bucket, key, options = {}) {
+    let expiresInSeconds, contentType, contentTypePrefix, keyPrefix, fields;
+    const { contentLengthRange } = options;
+    try {
+      ({ bucket, key, expiresInSeconds, contentType, contentTypePrefix, keyPrefix, fields } =
+        SafeUtils.sanitizeValidate({
+          bucket: { value: bucket, type: "string", required: true },
+          key: { value: key, type: "string", required: true },
+          expiresInSeconds: { value: options.expiresInSeconds, type: "int", required: false, default: AwsS3.DEFAULT_PRESIGNED_URL_EXPIRY },
+          contentType: { value: options.contentType, type: "string", required: false },
+          contentTypePrefix: { value: options.contentTypePrefix, type: "string", required: false },
+          keyPrefix: { value: options.keyPrefix, type: "string", required: false },
+          fields: { value: options.fields, type: "object", required: false, default: {} },
+        }));
+      if (expiresInSeconds < 1 || expiresInSeconds > AwsS3.MAX_PRESIGNED_URL_EXPIRY) {
+        throw new Error(`expiresInSeconds must be between 1 and ${AwsS3.MAX_PRESIGNED_URL_EXPIRY}`);
+      }
+      if (contentLengthRange !== undefined) {
+        const [min, max] = Array.isArray(contentLengthRange) ? contentLengthRange : [];
+        if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < min) {
+          throw new Error("contentLengthRange must be [minBytes, maxBytes] with 0 <= min <= max");
+        }
+      }
+      if (keyPrefix && !key.startsWith(keyPrefix)) {
+        throw new Error(`key must start with keyPrefix "${keyPrefix}"`);
+      }
+      if (contentType && contentTypePrefix && !contentType.startsWith(contentTypePrefix)) {
+        throw new Error("contentType does not match contentTypePrefix");
+      }
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in getPresignedPost", {
+        bucket,
+        key,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action: "getPresignedPost",
+        message: err.message,
+        critical: true,
+        data: { bucket, key },
+      });
+      throw new Error(err.message);
+    }
+
+    const formFields = { ...fields };
+    const conditions = Object.entries(fields).map(([name, value]) => ({ [name]: String(value) }));
+    if (contentLengthRange) {
+      conditions.push(["content-length-range", contentLengthRange[0], contentLengthRange[1]]);
+    }
+    if (contentType) {
+      formFields["Content-Type"] = contentType;
+      conditions.push({ "Content-Type": contentType });
+    } else if (contentTypePrefix) {
+      conditions.push(["starts-with", "$Content-Type", contentTypePrefix]);
+    }
+    if (keyPrefix) {
+      conditions.push(["starts-with", "$key", keyPrefix]);
+    }
+
+    try {
+      const post = await createPresignedPost(await AwsS3.clientFor(bucket), {
+        Bucket: bucket,
+        Key: key,
+        Conditions: conditions,
+        Fields: formFields,
+        Expires: expiresInSeconds,
+      });
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=getPresignedPost]`,
+          JSON.stringify(
+            {
+              action: "getPresignedPost",
+              key: `${bucket}/${key}`,
+              conditions: conditions.length,
+              expiresInSeconds,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return { url: post.url, fields: post.fields };
+    } catch (err) {
+      ErrorHandler.add_error("getPresignedPost failed", {
+        bucket,
+        key,
+        error: err.message,
+      });
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=getPresignedPost]`,
+          JSON.stringify(
+            {
+              action: "getPresignedPost.error",
+              error: err.message,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Enable server-side encryption for S3 bucket (Security Enhancement)
+   * Supports both AES256 (AWS-managed) and KMS (customer-managed) encryption
+   * 
+   * @param {string} bucket - Target bucket name
+   * @param {string} [encryptionType='AES256'] - Encryption type: 'AES256' or 'aws:kms'
+   * @param {string|null} [kmsKeyId=null] - KMS key ID (required for aws:kms type)
+   * @returns {Promise<void>}
    * @throws {Error} When bucket name is invalid or encryption setup fails
    * 
-   * @example
-   * // Enable AES256 encryption (AWS-managed)
-   * await AwsS3.enableBucketEncryption('my-bucket');
+   * @example
+   * // Enable AES256 encryption (AWS-managed)
+   * await AwsS3.enableBucketEncryption('my-bucket');
+   * 
+   * @example
+   * // Enable KMS encryption with custom key (use your actual account ID and key ID)
+   * await AwsS3.enableBucketEncryption('my-bucket', 'aws:kms', 'arn:aws:kms:us-east-1:YOUR_ACCOUNT_ID:key/YOUR_KEY_ID');
+   */
+  static async enableBucketEncryption(bucket, encryptionType = "AES256", kmsKeyId = null) {
+    try {
+      ({ bucket, encryptionType } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+        encryptionType: { value: encryptionType, type: "string", required: false, default: "AES256" },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in enableBucketEncryption", {
+        bucket, encryptionType, error: err.message,
+      });
+      throw new Error(err.message);
+    }
+
+    try {
+      const encryptionConfig = {
+        Rules: [
+          {
+            ApplyServerSideEncryptionByDefault: {
+              SSEAlgorithm: encryptionType,
+            },
+            BucketKeyEnabled: true,
+          },
+        ],
+      };
+
+      if (encryptionType === "aws:kms" && kmsKeyId) {
+        encryptionConfig.Rules[0].ApplyServerSideEncryptionByDefault.KMSMasterKeyID = kmsKeyId;
+      }
+
+      await AwsS3.send(new PutBucketEncryptionCommand({
+        Bucket: bucket,
+        ServerSideEncryptionConfiguration: encryptionConfig,
+      }));
+
+      console.log(`✅ Bucket encryption enabled: ${bucket} (${encryptionType})`);
+      Logger.writeLog({
+        flag: "s3_operations",
+        action: "enableBucketEncryption",
+        data: { bucket, encryptionType },
+        message: "Bucket encryption enabled",
+      });
+    } catch (err) {
+      ErrorHandler.add_error("enableBucketEncryption failed", {
+        bucket, encryptionType, error: err.message,
+      });
+      throw new Error(`Failed to enable encryption: ${err.message}`);
+    }
+  }
+
+  /**
+   * Check current encryption status of S3 bucket
+   * Returns detailed encryption configuration information
+   * 
+   * @param {string} bucket - Bucket name to check encryption status
+   * @returns {Promise<Object>} Encryption status object
+   * @returns {boolean} returns.encrypted - Whether encryption is enabled
+   * @returns {string|null} returns.algorithm - Encryption algorithm (AES256, aws:kms, or null)
+   * @throws {Error} When bucket name is invalid or check fails
+   * 
+   * @example
+   * const status = await AwsS3.checkBucketEncryption('my-bucket');
+   * if (status.encrypted) {
+   *   console.log(`Encryption enabled with ${status.algorithm}`);
+   * } else {
+   *   console.log('No encryption configured');
+   * }
+   */
+  static async checkBucketEncryption(bucket) {
+    try {
+      ({ bucket } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid bucket in checkBucketEncryption", {
+        bucket, error: err.message,
+      });
+      throw new Error(err.message);
+    }
+
+    try {
+      const result = await AwsS3.send(new GetBucketEncryptionCommand({
+        Bucket: bucket,
+      }));
+      
+      const encryption = result.ServerSideEncryptionConfiguration?.Rules?.[0];
+      const isEncrypted = !!encryption;
+      const algorithm = encryption?.ApplyServerSideEncryptionByDefault?.SSEAlgorithm;
+      
+      Logger.writeLog({
+        flag: "bucket_encryption_check",
+        action: "checkBucketEncryption", 
+        data: { bucket, encrypted: isEncrypted, algorithm },
+        message: `Bucket encryption status: ${isEncrypted ? 'Enabled' : 'Disabled'}`
+      });
+      return { encrypted: isEncrypted, algorithm };
+    } catch (err) {
+      if (err.name === 'ServerSideEncryptionConfigurationNotFoundError') {
+        Logger.writeLog({
+          flag: "bucket_encryption_check",
+          action: "checkBucketEncryption", 
+          data: { bucket, encrypted: false },
+          message: "Bucket encryption not configured"
+        });
+        return { encrypted: false, algorithm: null };
+      }
+      throw new Error(`Failed to check encryption: ${err.message}`);
+    }
+  }
+
+  /**
+   * Enable comprehensive public access blocking for S3 bucket
+   * Applies all 4 AWS public access block settings for maximum security
+   * 
+   * @param {string} bucket - Bucket name to secure
+   * @returns {Promise<void>}
+   * @throws {Error} When bucket name is invalid or blocking fails
+   * 
+   * @example
+   * await AwsS3.blockPublicAccess('my-sensitive-bucket');
+   * console.log('Bucket fully protected from public access');
+   */
+  static async blockPublicAccess(bucket) {
+    try {
+      ({ bucket } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid bucket in blockPublicAccess", {
+        bucket, error: err.message,
+      });
+      throw new Error(err.message);
+    }
+
+    try {
+      await AwsS3.send(new PutPublicAccessBlockCommand({
+        Bucket: bucket,
+        PublicAccessBlockConfiguration: {
+          BlockPublicAcls: true,
+          IgnorePublicAcls: true,
+          BlockPublicPolicy: true,
+          RestrictPublicBuckets: true,
+        },
+      }));
+
+      console.log(`🔒 Public access blocked for bucket: ${bucket}`);
+      Logger.writeLog({
+        flag: "s3_operations",
+        action: "blockPublicAccess",
+        data: { bucket },
+        message: "Public access blocked",
+      });
+    } catch (err) {
+      ErrorHandler.add_error("blockPublicAccess failed", {
+        bucket, error: err.message,
+      });
+      throw new Error(`Failed to block public access: ${err.message}`);
+    }
+  }
+
+  /**
+   * Check current public access block configuration
+   * Verifies if all 4 public access controls are properly enabled
+   * 
+   * @param {string} bucket - Bucket name to check
+   * @returns {Promise<Object>} Public access block status
+   * @returns {boolean} returns.fullyBlocked - Whether all 4 controls are enabled
+   * @returns {Object|null} returns.configuration - Full AWS configuration object
+   * @throws {Error} When bucket name is invalid or check fails
+   * 
+   * @example
+   * const status = await AwsS3.checkPublicAccessBlock('my-bucket');
+   * if (!status.fullyBlocked) {
+   *   console.log('Warning: Bucket may allow public access');
+   * }
+   */
+  static async checkPublicAccessBlock(bucket) {
+    try {
+      ({ bucket } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid bucket in checkPublicAccessBlock", {
+        bucket, error: err.message,
+      });
+      throw new Error(err.message);
+    }
+
+    try {
+      const result = await AwsS3.send(new GetPublicAccessBlockCommand({
+        Bucket: bucket,
+      }));
+      
+      const config = result.PublicAccessBlockConfiguration;
+      const isFullyBlocked = config?.BlockPublicAcls && config?.IgnorePublicAcls && 
+                            config?.BlockPublicPolicy && config?.RestrictPublicBuckets;
+      
+      Logger.writeLog({
+        flag: "public_access_check",
+        action: "checkPublicAccessBlock", 
+        data: { bucket, fullyBlocked: isFullyBlocked, configuration: config },
+        message: `Public access block status: ${isFullyBlocked ? 'Fully Protected' : 'Partially/Not Protected'}`
+      });
+      return { 
+        fullyBlocked: isFullyBlocked,
+        configuration: config 
+      };
+    } catch (err) {
+      if (err.name === 'NoSuchPublicAccessBlockConfiguration') {
+        Logger.writeLog({
+          flag: "public_access_check",
+          action: "checkPublicAccessBlock", 
+          data: { bucket, fullyBlocked: false },
+          message: "No public access block configured"
+        });
+        return { fullyBlocked: false, configuration: null };
+      }
+      throw new Error(`Failed to check public access block: ${err.message}`);
+    }
+  }
+
+  /**
+   * Configure Cross-Origin Resource Sharing (CORS) for S3 bucket
+   * Includes automatic security validation and wildcard detection
+   * 
+   * @param {string} bucket - Bucket name to configure CORS
+   * @param {string[]} [allowedOrigins=[]] - Array of allowed origin domains
+   * @param {string[]} [allowedMethods=['GET']] - Array of allowed HTTP methods
+   * @returns {Promise<void>}
+   * @throws {Error} When parameters are invalid or CORS configuration fails
+   * @warning Warns when wildcard (*) origins are detected as security risk
+   * 
+   * @example
+   * // Secure CORS for specific domains
+   * await AwsS3.configureCORS('my-bucket', ['https://myapp.com', 'https://admin.myapp.com'], ['GET', 'PUT']);
+   * 
+   * @example
+   * // Warning: This will trigger security warning
+   * await AwsS3.configureCORS('my-bucket', ['*'], ['GET']); // Insecure!
+   */
+  static async configureCORS(bucket, allowedOrigins = [], allowedMethods = ['GET']) {
+    try {
+      ({ bucket, allowedOrigins, allowedMethods } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+        allowedOrigins: { value: allowedOrigins, type: "array", required: false, default: [] },
+        allowedMethods: { value: allowedMethods, type: "array", required: false, default: ['GET'] },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in configureCORS", {
+        bucket, allowedOrigins, allowedMethods, error: err.message,
+      });
+      throw new Error(err.message);
+    }
+
+    // Security validation
+    if (allowedOrigins.includes('*')) {
+      console.warn(`⚠️ WARNING: Wildcard CORS origin detected for ${bucket}. This is insecure for production!`);
+    }
+
+    try {
+      const corsConfiguration = {
+        CORSRules: [
+          {
+            AllowedOrigins: allowedOrigins,
+            AllowedMethods: allowedMethods,
+            AllowedHeaders: ['*'],
+            MaxAgeSeconds: 3000,
+          },
+        ],
+      };
+
+      await AwsS3.send(new PutBucketCorsCommand({
+        Bucket: bucket,
+        CORSConfiguration: corsConfiguration,
+      }));
+
+      console.log(`✅ CORS configured for bucket: ${bucket}`);
+      console.log(`   Origins: ${allowedOrigins.join(', ')}`);
+      console.log(`   Methods: ${allowedMethods.join(', ')}`);
+      
+      Logger.writeLog({
+        flag: "s3_operations",
+        action: "configureCORS",
+        data: { bucket, allowedOrigins, allowedMethods },
+        message: "CORS configuration updated",
+      });
+    } catch (err) {
+      ErrorHandler.add_error("configureCORS failed", {
+        bucket, allowedOrigins, allowedMethods, error: err.message,
+      });
+      throw new Error(`Failed to configure CORS: ${err.message}`);
+    }
+  }
+
+  /**
+   * Build bucket policy statements from a simplified description
+   * Statements that already use the IAM shape (have an `Effect`) are returned
+   * unchanged. Every built statement gets a Sid so mergeBucketPolicy can
+   * replace or remove it later without touching other statements.
+   * 
+   * @param {string} bucket - Bucket the policy is for
+   * @param {Object} statement - Statement description
+   * @param {string} statement.type - 'denyInsecureTransport', 'restrictToVpcEndpoint', 'allowCloudFront' or 'grantRead'
+   * @param {string} [statement.sid] - Statement ID (defaults per type, e.g. 'DenyInsecureTransport')
+   * @param {string|string[]} [statement.vpcEndpointIds] - restrictToVpcEndpoint: allowed VPC endpoint IDs (vpce-...)
+   * @param {string|string[]} [statement.exceptPrincipals] - restrictToVpcEndpoint: principal ARNs still allowed
+   *   from outside the endpoint (e.g. an admin role, to avoid locking yourself out)
+   * @param {string} [statement.distributionArn] - allowCloudFront: CloudFront distribution ARN using an origin access control
+   * @param {string|string[]} [statement.principals] - grantRead: IAM role/user ARNs or account IDs
+   * @param {string} [statement.prefix=""] - allowCloudFront/grantRead: only keys under this prefix
+   * @returns {Object[]} Statements in IAM shape (grantRead adds a second '<sid>List' statement for s3:ListBucket)
+   * @throws {TypeError} When the description is invalid
+   * 
+   * @example
+   * AwsS3.buildPolicyStatements('media', { type: 'allowCloudFront', distributionArn: 'arn:aws:cloudfront::123456789012:distribution/E2QWRUHAPOMQZL' });
+   * AwsS3.buildPolicyStatements('media', { type: 'grantRead', sid: 'AnalyticsRead', principals: 'arn:aws:iam::123456789012:role/analytics', prefix: 'reports/' });
+   */
+  static buildPolicyStatements(bucket, statement) {
+    if (!statement || typeof statement !== "object" || Array.isArray(statement)) {
+      throw new TypeError("Policy statement must be an object");
+    }
+    if (statement.Effect) return [statement];
+    if (!AwsS3.POLICY_STATEMENT_TYPES.includes(statement.type)) {
+      throw new TypeError(`Policy statement type must be one of: ${AwsS3.POLICY_STATEMENT_TYPES.join(", ")}`);
+    }
+    const sid = statement.sid ?? statement.type.charAt(0).toUpperCase() + statement.type.slice(1);
+    if (typeof sid !== "string" || !/^[A-Za-z0-9]+$/.test(sid)) {
+      throw new TypeError(`Policy statement sid must be alphanumeric, got "${sid}"`);
+    }
+    const list = (value, name, pattern) => {
+      const values = [].concat(value ?? []);
+      if (values.length === 0 || values.some((item) => typeof item !== "string" || !pattern.test(item))) {
+        throw new TypeError(`${name} is missing or invalid in statement "${sid}"`);
+      }
+      return values.length === 1 ? values[0] : values;
+    };
+    const prefix = statement.prefix ?? "";
+    if (typeof prefix !== "string" || prefix.startsWith("/")) {
+      throw new TypeError(`prefix must be a string without a leading slash in statement "${sid}"`);
+    }
+    const bucketArn = `arn:aws:s3:::${bucket}`;
+    const objectsArn = `${bucketArn}/${prefix}*`;
+
+    switch (statement.type) {
+      case "denyInsecureTransport":
+        return [{
+          Sid: sid,
+          Effect: "Deny",
+          Principal: "*",
+          Action: "s3:*",
+          Resource: [bucketArn, `${bucketArn}/*`],
+          Condition: { Bool: { "aws:SecureTransport": "false" } },
+        }];
+      case "restrictToVpcEndpoint": {
+        const condition = {
+          StringNotEquals: { "aws:SourceVpce": list(statement.vpcEndpointIds, "vpcEndpointIds", /^vpce-[0-9a-f]+$/) },
+        };
+        if (statement.exceptPrincipals !== undefined) {
+          condition.ArnNotLike = { "aws:PrincipalArn": list(statement.exceptPrincipals, "exceptPrincipals", /^arn:aws[\w-]*:/) };
+        }
+        return [{
+          Sid: sid,
+          Effect: "Deny",
+          Principal: "*",
+          Action: "s3:*",
+          Resource: [bucketArn, `${bucketArn}/*`],
+          Condition: condition,
+        }];
+      }
+      case "allowCloudFront":
+        return [{
+          Sid: sid,
+          Effect: "Allow",
+          Principal: { Service: "cloudfront.amazonaws.com" },
+          Action: "s3:GetObject",
+          Resource: objectsArn,
+          Condition: {
+            StringEquals: {
+              "AWS:SourceArn": list(statement.distributionArn, "distributionArn", /^arn:aws[\w-]*:cloudfront::\d{12}:distribution\/[A-Z0-9]+$/),
+            },
+          },
+        }];
+      case "grantRead": {
+        const principals = list(statement.principals, "principals", /^(\d{12}|arn:aws[\w-]*:(iam|sts)::\d{12}:.+)$/);
+        // s3:prefix only exists on ListBucket requests, so listing needs its own statement
+        const listStatement = {
+          Sid: `${sid}List`,
+          Effect: "Allow",
+          Principal: { AWS: principals },
+          Action: "s3:ListBucket",
+          Resource: bucketArn,
+        };
+        if (prefix) listStatement.Condition = { StringLike: { "s3:prefix": `${prefix}*` } };
+        return [
+          { Sid: sid, Effect: "Allow", Principal: { AWS: principals }, Action: "s3:GetObject", Resource: objectsArn },
+          listStatement,
+        ];
+      }
+      default:
+        throw new TypeError(`Unsupported policy statement type: ${statement.type}`);
+    }
+  }
+
+  /**
+   * Build a complete bucket policy document
+   * 
+   * @param {string} bucket - Bucket the policy is for
+   * @param {Object[]} statements - Statements in simplified (see buildPolicyStatements) or IAM shape
+   * @returns {{Version: string, Statement: Object[]}} Policy document
+   * @throws {TypeError} When a statement is invalid or two statements share a Sid
+   * 
+   * @example
+   * const policy = AwsS3.buildBucketPolicy('media', [
+   *   { type: 'denyInsecureTransport' },
+   *   { type: 'restrictToVpcEndpoint', vpcEndpointIds: 'vpce-1a2b3c4d', exceptPrincipals: 'arn:aws:iam::123456789012:role/admin' },
+   * ]);
+   */
+  static buildBucketPolicy(bucket, statements) {
+    if (!Array.isArray(statements)) {
+      throw new TypeError("statements must be an array");
+    }
+    const built = statements.flatMap((statement) => AwsS3.buildPolicyStatements(bucket, statement));
+    const sids = built.map((statement) => statement.Sid).filter(Boolean);
+    const duplicate = sids.find((sid, index) => sids.indexOf(sid) !== index);
+    if (duplicate) {
+      throw new TypeError(`Duplicate policy statement Sid: ${duplicate}`);
+    }
+    return { Version: AwsS3.POLICY_VERSION, Statement: built };
+  }
+
+  /**
+   * Get the policy attached to a bucket
+   * 
+   * @param {string} bucket - Bucket name
+   * @returns {Promise<Object|null>} Parsed policy document, or null when the bucket has no policy
+   * @throws {Error} When bucket name is invalid or the request fails
+   * 
+   * @example
+   * const policy = await AwsS3.getBucketPolicy('my-bucket');
+   * console.log(policy?.Statement.map(statement => statement.Sid));
+   */
+  static async getBucketPolicy(bucket) {
+    try {
+      ({ bucket } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid bucket in getBucketPolicy", {
+        bucket, error: err.message,
+      });
+      throw new Error(err.message);
+    }
+
+    try {
+      const result = await AwsS3.send(new GetBucketPolicyCommand({ Bucket: bucket }));
+      return JSON.parse(result.Policy);
+    } catch (err) {
+      if (err.name === "NoSuchBucketPolicy") {
+        return null;
+      }
+      ErrorHandler.add_error("getBucketPolicy failed", {
+        bucket, error: err.message,
+      });
+      throw new Error(`Failed to get bucket policy: ${err.message}`);
+    }
+  }
+
+  /**
+   * Replace the policy attached to a bucket
+   * A policy without statements removes the bucket policy.
+   * 
+   * @param {string} bucket - Bucket name
+   * @param {Object|Object[]} policy - Policy document, or a list of statements in simplified
+   *   (see buildPolicyStatements) or IAM shape
+   * @returns {Promise<Object|null>} Policy applied, or null when the policy was removed
+   * @throws {Error} When parameters are invalid or the update fails
+   * 
+   * @example
+   * await AwsS3.putBucketPolicy('media', [
+   *   { type: 'denyInsecureTransport' },
+   *   { type: 'allowCloudFront', distributionArn: 'arn:aws:cloudfront::123456789012:distribution/E2QWRUHAPOMQZL' },
+   * ]);
+   */
+  static async putBucketPolicy(bucket, policy) {
+    let document;
+    try {
+      ({ bucket } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+      }));
+      if (Array.isArray(policy)) {
+        document = AwsS3.buildBucketPolicy(bucket, policy);
+      } else if (policy && typeof policy === "object") {
+        const { Statement } = AwsS3.buildBucketPolicy(bucket, [].concat(policy.Statement ?? []));
+        document = { ...policy, Version: policy.Version ?? AwsS3.POLICY_VERSION, Statement };
+      } else {
+        throw new TypeError("policy must be a policy document or an array of statements");
+      }
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in putBucketPolicy", {
+        bucket, error: err.message,
+      });
+      throw new Error(err.message);
+    }
+
+    if (document.Statement.length === 0) {
+      await AwsS3.deleteBucketPolicy(bucket);
+      return null;
+    }
+
+    try {
+      await AwsS3.send(new PutBucketPolicyCommand({
+        Bucket: bucket,
+        Policy: JSON.stringify(document),
+      }));
+
+      Logger.writeLog({
+        flag: "s3_operations",
+        action: "putBucketPolicy",
+        data: { bucket, sids: document.Statement.map((statement) => statement.Sid ?? null) },
+        message: "Bucket policy updated",
+      });
+      return document;
+    } catch (err) {
+      ErrorHandler.add_error("putBucketPolicy failed", {
+        bucket, error: err.message,
+      });
+      throw new Error(`Failed to put bucket policy: ${err.message}`);
+    }
+  }
+
+  /**
+   * Remove the policy attached to a bucket
+   * 
+   * @param {string} bucket - Bucket name
+   * @returns {Promise<void>}
+   * @throws {Error} When bucket name is invalid or the request fails
+   * 
+   * @example
+   * await AwsS3.deleteBucketPolicy('my-bucket');
+   */
+  static async deleteBucketPolicy(bucket) {
+    try {
+      ({ bucket } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid bucket in deleteBucketPolicy", {
+        bucket, error: err.message,
+      });
+      throw new Error(err.message);
+    }
+
+    try {
+      await AwsS3.send(new DeleteBucketPolicyCommand({ Bucket: bucket }));
+      Logger.writeLog({
+        flag: "s3_operations",
+        action: "deleteBucketPolicy",
+        data: { bucket },
+        message: "Bucket policy removed",
+      });
+    } catch (err) {
+      ErrorHandler.add_error("deleteBucketPolicy failed", {
+        bucket, error: err.message,
+      });
+      throw new Error(`Failed to delete bucket policy: ${err.message}`);
+    }
+  }
+
+  /**
+   * Normalize a policy statement for comparison
+   * Object keys are sorted and single-item arrays collapsed, as S3 may return
+   * an equivalent statement in either form.
+   * 
+   * @param {*} value - Statement or part of it
+   * @returns {string} Canonical JSON
+   */
+  static canonicalStatement(value) {
+    const normalize = (item) => {
+      if (Array.isArray(item)) {
+        const items = item.map(normalize);
+        if (items.length === 1) return items[0];
+        return items.every((entry) => typeof entry === "string") ? [...items].sort() : items;
+      }
+      if (item && typeof item === "object") {
+        return Object.fromEntries(Object.keys(item).sort().map((key) => [key, normalize(item[key])]));
+      }
+      return item;
+    };
+    return JSON.stringify(normalize(value));
+  }
+
+  /**
+   * Compare two policies statement by statement, matching statements by Sid
+   * Statements without a Sid are matched by content.
+   * 
+   * @param {Object|null} current - Current policy document (null for none)
+   * @param {Object|null} desired - Desired policy document (null for none)
+   * @returns {{added: string[], removed: string[], changed: string[], unchanged: string[], identical: boolean}}
+   *   Sids (or canonical JSON for statements without a Sid) in each category
+   * 
+   * @example
+   * const diff = AwsS3.diffBucketPolicy(await AwsS3.getBucketPolicy('media'), desired);
+   * if (!diff.identical) console.log('Changes:', diff.added, diff.changed, diff.removed);
+   */
+  static diffBucketPolicy(current, desired) {
+    const index = (policy) =>
+      new Map([].concat(policy?.Statement ?? []).map((statement) => {
+        const canonical = AwsS3.canonicalStatement(statement);
+        return [statement.Sid ?? canonical, canonical];
+      }));
+    const before = index(current);
+    const after = index(desired);
+    const diff = { added: [], removed: [], changed: [], unchanged: [] };
+    for (const [id, canonical] of after) {
+      if (!before.has(id)) diff.added.push(id);
+      else if (before.get(id) !== canonical) diff.changed.push(id);
+      else diff.unchanged.push(id);
+    }
+    for (const id of before.keys()) {
+      if (!after.has(id)) diff.removed.push(id);
+    }
+    diff.identical = diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0;
+    return diff;
+  }
+
+  /**
+   * Merge statements into the bucket's existing policy
+   * Statements are matched by Sid: matching statements are replaced, new ones
+   * are appended and Sids listed in `removeSids` are dropped. Other existing
+   * statements (including ones without a Sid) are kept. Nothing is written when
+   * the merged policy equals the current one.
+   * 
+   * @param {string} bucket - Bucket name
+   * @param {Object[]} statements - Statements to add or replace (simplified or IAM shape)
+   * @param {Object} [options={}] - Merge options
+   * @param {string[]} [options.removeSids=[]] - Statement Sids to remove
+   * @param {boolean} [options.dryRun=false] - Compute the merge and diff without writing
+   * @returns {Promise<{policy: Object|null, diff: Object, applied: boolean}>} Merged policy (null when empty),
+   *   diff against the current policy (see diffBucketPolicy) and whether it was written
+   * @throws {Error} When parameters are invalid or the update fails
+   * 
+   * @example
+   * const { diff } = await AwsS3.mergeBucketPolicy('media', [{ type: 'denyInsecureTransport' }], { removeSids: ['LegacyPublicRead'] });
+   */
+  static async mergeBucketPolicy(bucket, statements, options = {}) {
+    const removeSids = options.removeSids ?? [];
+    let incoming, dryRun;
+    try {
+      ({ bucket, dryRun } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+        dryRun: { value: options.dryRun, type: "bool", required: false, default: false },
+      }));
+      if (!Array.isArray(statements) || !Array.isArray(removeSids)) {
+        throw new TypeError("statements and removeSids must be arrays");
+      }
+      incoming = AwsS3.buildBucketPolicy(bucket, statements).Statement;
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in mergeBucketPolicy", {
+        bucket, error: err.message,
+      });
+      throw new Error(err.message);
+    }
+
+    const current = await AwsS3.getBucketPolicy(bucket);
+    const merged = [].concat(current?.Statement ?? []);
+    for (const statement of incoming) {
+      const existing = statement.Sid === undefined ? -1 : merged.findIndex((item) => item.Sid === statement.Sid);
+      if (existing === -1) merged.push(statement);
+      else merged[existing] = statement;
+    }
+    const kept = merged.filter((statement) => !removeSids.includes(statement.Sid));
+    const policy = kept.length === 0 ? null : { ...current, Version: current?.Version ?? AwsS3.POLICY_VERSION, Statement: kept };
+    const diff = AwsS3.diffBucketPolicy(current, policy);
+
+    if (dryRun || diff.identical) {
+      return { policy, diff, applied: false };
+    }
+    if (policy === null) {
+      await AwsS3.deleteBucketPolicy(bucket);
+    } else {
+      await AwsS3.putBucketPolicy(bucket, policy);
+    }
+    return { policy, diff, applied: true };
+  }
+
+  /**
+   * Build an S3 lifecycle rule from a simplified description
+   * Rules that already use the SDK shape (have an `ID`) are returned unchanged.
+   * 
+   * @param {Object} rule - Rule description
+   * @param {string} rule.id - Unique rule ID (used by mergeLifecycleRules)
+   * @param {string} [rule.prefix=""] - Key prefix the rule applies to
+   * @param {Object<string, string>} [rule.tags] - Only objects with all of these tags
+   * @param {boolean} [rule.enabled=true] - Rule status
+   * @param {Array<{days: number, storageClass: string}>} [rule.transitions] - Current version transitions (e.g. STANDARD_IA at 30, GLACIER at 90)
+   * @param {number} [rule.expirationDays] - Delete current versions after N days
+   * @param {Array<{days: number, storageClass: string}>} [rule.noncurrentTransitions] - Noncurrent version transitions
+   * @param {number} [rule.noncurrentExpirationDays] - Permanently delete noncurrent versions N days after they become noncurrent
+   * @param {number} [rule.newerNoncurrentVersions] - Keep this many newest noncurrent versions regardless of age
+   * @param {boolean} [rule.expiredDeleteMarkers] - Remove delete markers with no remaining versions
+   * @param {number} [rule.abortIncompleteUploadDays] - Abort multipart uploads not completed within N days
+   * @returns {Object} Lifecycle rule in SDK shape
+   * @throws {TypeError} When the rule is invalid
+   * 
+   * @example
+   * AwsS3.buildLifecycleRule({
+   *   id: 'logs-archive',
+   *   prefix: 'logs/',
+   *   transitions: [{ days: 30, storageClass: 'STANDARD_IA' }, { days: 90, storageClass: 'GLACIER' }],
+   *   expirationDays: 365,
+   *   abortIncompleteUploadDays: 7,
+   * });
+   */
+  static buildLifecycleRule(rule) {
+    if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+      throw new TypeError("Lifecycle rule must be an object");
+    }
+    if (rule.ID) return rule;
+    if (typeof rule.id !== "string" || !rule.id.trim() || rule.id.length > 255) {
+      throw new TypeError("Lifecycle rule id must be a non-empty string (max 255 chars)");
+    }
+
+    const positiveDays = (value, name) => {
+      if (!Number.isInteger(value) || value < 1) {
+        throw new TypeError(`${name} must be a positive integer in rule "${rule.id}"`);
+      }
+      return value;
+    };
+    const buildTransitions = (transitions, daysKey, name) => {
+      if (!Array.isArray(transitions)) {
+        throw new TypeError(`${name} must be an array in rule "${rule.id}"`);
+      }
+      return transitions.map(({ days, storageClass }) => {
+        if (!AwsS3.LIFECYCLE_STORAGE_CLASSES.includes(storageClass)) {
+          throw new TypeError(
+            `${name} storageClass must be one of: ${AwsS3.LIFECYCLE_STORAGE_CLASSES.join(", ")}`
+          );
+        }
+        positiveDays(days, `${name} days`);
+        // S3 rejects IA transitions earlier than 30 days
+        if ((storageClass === "STANDARD_IA" || storageClass === "ONEZONE_IA") && days < 30) {
+          throw new TypeError(`${storageClass} transitions require at least 30 days in rule "${rule.id}"`);
+        }
+        return { [daysKey]: days, StorageClass: storageClass };
+      });
+    };
+
+    const prefix = rule.prefix ?? "";
+    const tags = rule.tags ? Object.entries(rule.tags).map(([Key, Value]) => ({ Key, Value: String(Value) })) : [];
+    let filter;
+    if (tags.length === 0) filter = { Prefix: prefix };
+    else if (tags.length === 1 && !prefix) filter = { Tag: tags[0] };
+    else filter = { And: { Prefix: prefix, Tags: tags } };
+
+    const built = {
+      ID: rule.id.trim(),
+      Status: rule.enabled === false ? "Disabled" : "Enabled",
+      Filter: filter,
+    };
+    if (rule.transitions) {
+      built.Transitions = buildTransitions(rule.transitions, "Days", "transitions");
+    }
+    if (rule.expirationDays !== undefined) {
+      built.Expiration = { Days: positiveDays(rule.expirationDays, "expirationDays") };
+    } else if (rule.expiredDeleteMarkers) {
+      built.Expiration = { ExpiredObjectDeleteMarker: true };
+    }
+    if (rule.noncurrentTransitions) {
+      built.NoncurrentVersionTransitions = buildTransitions(
+        rule.noncurrentTransitions,
+        "NoncurrentDays",
+        "noncurrentTransitions"
+      );
+    }
+    if (rule.noncurrentExpirationDays !== undefined) {
+      built.NoncurrentVersionExpiration = {
+        NoncurrentDays: positiveDays(rule.noncurrentExpirationDays, "noncurrentExpirationDays"),
+      };
+      if (rule.newerNoncurrentVersions !== undefined) {
+        built.NoncurrentVersionExpiration.NewerNoncurrentVersions = positiveDays(
+          rule.newerNoncurrentVersions,
+          "newerNoncurrentVersions"
+        );
+      }
+    }
+    if (rule.abortIncompleteUploadDays !== undefined) {
+      built.AbortIncompleteMultipartUpload = {
+        DaysAfterInitiation: positiveDays(rule.abortIncompleteUploadDays, "abortIncompleteUploadDays"),
+      };
+    }
+
+    const actions = ["Transitions", "Expiration", "NoncurrentVersionTransitions", "NoncurrentVersionExpiration", "AbortIncompleteMultipartUpload"];
+    if (!actions.some((action) => built[action])) {
+      throw new TypeError(`Lifecycle rule "${rule.id}" has no actions`);
+    }
+    return built;
+  }
+
+  /**
+   * Get the lifecycle rules configured on a bucket
+   * 
+   * @param {string} bucket - Bucket name
+   * @returns {Promise<Object[]>} Lifecycle rules in SDK shape (empty array when none are configured)
+   * @throws {Error} When bucket name is invalid or the request fails
+   * 
+   * @example
+   * const rules = await AwsS3.getLifecycleRules('my-bucket');
+   * console.log(rules.map(rule => rule.ID));
+   */
+  static async getLifecycleRules(bucket) {
+    try {
+      ({ bucket } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid bucket in getLifecycleRules", {
+        bucket, error: err.message,
+      });
+      throw new Error(err.message);
+    }
+
+    try {
+      const result = await AwsS3.send(new GetBucketLifecycleConfigurationCommand({
+        Bucket: bucket,
+      }));
+      return result.Rules || [];
+    } catch (err) {
+      if (err.name === "NoSuchLifecycleConfiguration") {
+        return [];
+      }
+      ErrorHandler.add_error("getLifecycleRules failed", {
+        bucket, error: err.message,
+      });
+      throw new Error(`Failed to get lifecycle rules: ${err.message}`);
+    }
+  }
+
+  /**
+   * Replace all lifecycle rules on a bucket
+   * An empty rule list removes the lifecycle configuration.
+   * 
+   * @param {string} bucket - Bucket name
+   * @param {Object[]} rules - Rules in simplified (see buildLifecycleRule) or SDK shape
+   * @returns {Promise<Object[]>} Rules applied, in SDK shape
+   * @throws {Error} When parameters are invalid or the update fails
+   * 
+   * @example
+   * await AwsS3.putLifecycleRules('my-bucket', [
+   *   { id: 'cleanup-uploads', prefix: '', abortIncompleteUploadDays: 7 },
+   *   { id: 'old-versions', prefix: '', noncurrentExpirationDays: 30 },
+   * ]);
+   */
+  static async putLifecycleRules(bucket, rules) {
+    let builtRules;
+    try {
+      ({ bucket } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+      }));
+      if (!Array.isArray(rules)) {
+        throw new TypeError("rules must be an array");
+      }
+      builtRules = rules.map((rule) => AwsS3.buildLifecycleRule(rule));
+      const ids = builtRules.map((rule) => rule.ID);
+      const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+      if (duplicate) {
+        throw new TypeError(`Duplicate lifecycle rule id: ${duplicate}`);
+      }
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in putLifecycleRules", {
+        bucket, error: err.message,
+      });
+      throw new Error(err.message);
+    }
+
+    try {
+      if (builtRules.length === 0) {
+        await AwsS3.send(new DeleteBucketLifecycleCommand({ Bucket: bucket }));
+      } else {
+        await AwsS3.send(new PutBucketLifecycleConfigurationCommand({
+          Bucket: bucket,
+          LifecycleConfiguration: { Rules: builtRules },
+        }));
+      }
+
+      Logger.writeLog({
+        flag: "s3_operations",
+        action: "putLifecycleRules",
+        data: { bucket, ruleIds: builtRules.map((rule) => rule.ID) },
+        message: builtRules.length ? "Lifecycle rules updated" : "Lifecycle configuration removed",
+      });
+      return builtRules;
+    } catch (err) {
+      ErrorHandler.add_error("putLifecycleRules failed", {
+        bucket, error: err.message,
+      });
+      throw new Error(`Failed to put lifecycle rules: ${err.message}`);
+    }
+  }
+
+  /**
+   * Merge lifecycle rules into the bucket's existing configuration
+   * Rules are matched by ID: matching rules are replaced, new rules are appended
+   * and rules listed in `removeIds` are dropped. Other existing rules are kept.
+   * 
+   * @param {string} bucket - Bucket name
+   * @param {Object[]} rules - Rules to add or replace (simplified or SDK shape)
+   * @param {Object} [options={}] - Merge options
+   * @param {string[]} [options.removeIds=[]] - Rule IDs to remove
+   * @returns {Promise<Object[]>} Full rule set applied, in SDK shape
+   * @throws {Error} When parameters are invalid or the update fails
+   * 
+   * @example
+   * await AwsS3.mergeLifecycleRules('my-bucket', [
+   *   { id: 'tmp-expiry', prefix: 'tmp/', expirationDays: 1 },
+   * ]);
+   */
+  static async mergeLifecycleRules(bucket, rules, options = {}) {
+    const removeIds = options.removeIds ?? [];
+    let incoming;
+    try {
+      if (!Array.isArray(rules) || !Array.isArray(removeIds)) {
+        throw new TypeError("rules and removeIds must be arrays");
+      }
+      incoming = rules.map((rule) => AwsS3.buildLifecycleRule(rule));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in mergeLifecycleRules", {
+        bucket, error: err.message,
+      });
+      throw new Error(err.message);
+    }
+
+    const merged = new Map();
+    for (const rule of await AwsS3.getLifecycleRules(bucket)) {
+      merged.set(rule.ID, rule);
+    }
+    for (const rule of incoming) {
+      merged.set(rule.ID, rule);
+    }
+    for (const id of removeIds) {
+      merged.delete(id);
+    }
+    return await AwsS3.putLifecycleRules(bucket, [...merged.values()]);
+  }
+
+  /**
+   * Build a bucket notification configuration from a simplified description
+   * Configurations that already use the SDK shape (have a QueueArn, TopicArn or
+   * LambdaFunctionArn) are returned unchanged.
+   * 
+   * @param {Object} rule - Rule description
+   * @param {string} rule.destination - 'sqs', 'sns', 'lambda' or 'eventbridge'
+   * @param {string} [rule.queue] - sqs: queue flag from config/queue-config.json (instead of arn; the
+   *   flag names the configuration, its ARN must be passed as queueArn)
+   * @param {string} [rule.arn] - Queue, topic or function ARN
+   * @param {string} [rule.id] - Configuration ID (defaults to '<destination>-<name>[-prefix][-suffix]')
+   * @param {string[]} [rule.events=['s3:ObjectCreated:*']] - Event types ('ObjectRemoved' is short for 's3:ObjectRemoved:*')
+   * @param {string} [rule.prefix] - Only keys starting with this prefix
+   * @param {string} [rule.suffix] - Only keys ending with this suffix
+   * @param {string|null} [queueArn=null] - ARN of rule.queue (configureNotifications resolves it from the queue config)
+   * @returns {{type: string, configuration: Object}} type is 'QueueConfigurations', 'TopicConfigurations',
+   *   'LambdaFunctionConfigurations' or 'EventBridgeConfiguration'
+   * @throws {TypeError} When the rule is invalid
+   * 
+   * @example
+   * AwsS3.buildNotificationRule({ destination: 'sqs', queue: 'processing_queue', prefix: 'uploads/', suffix: '.jpg' },
+   *   'arn:aws:sqs:us-east-1:123456789012:processing-queue');
+   */
+  static buildNotificationRule(rule, queueArn = null) {
+    if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+      throw new TypeError("Notification rule must be an object");
+    }
+    const sdkTypes = {
+      QueueArn: "QueueConfigurations",
+      TopicArn: "TopicConfigurations",
+      LambdaFunctionArn: "LambdaFunctionConfigurations",
+    };
+    const sdkType = Object.keys(sdkTypes).find((field) => rule[field]);
+    if (sdkType) return { type: sdkTypes[sdkType], configuration: rule };
+
+    if (!AwsS3.NOTIFICATION_DESTINATIONS.includes(rule.destination)) {
+      throw new TypeError(`Notification destination must be one of: ${AwsS3.NOTIFICATION_DESTINATIONS.join(", ")}`);
+    }
+    if (rule.destination === "eventbridge") {
+      if (rule.events || rule.prefix || rule.suffix) {
+        throw new TypeError("EventBridge receives every bucket event; filter them in the EventBridge rule (see eventBridgePattern)");
+      }
+      return { type: "EventBridgeConfiguration", configuration: {} };
+    }
+
+    let arn = rule.arn;
+    if (rule.destination === "sqs" && !arn) {
+      if (typeof rule.queue !== "string" || !rule.queue) {
+        throw new TypeError("SQS notification rules need a queue flag or an arn");
+      }
+      if (!queueArn) {
+        throw new TypeError(`No ARN resolved for queue flag "${rule.queue}"`);
+      }
+      arn = queueArn;
+    }
+    const service = { sqs: "sqs", sns: "sns", lambda: "lambda" }[rule.destination];
+    if (typeof arn !== "string" || !new RegExp(`^arn:aws[\\w-]*:${service}:[a-z0-9-]+:\\d{12}:.+`).test(arn)) {
+      throw new TypeError(`${rule.destination} notification rules need a valid ${service} ARN, got "${arn}"`);
+    }
+
+    const events = [].concat(rule.events ?? ["s3:ObjectCreated:*"]).map((event) => {
+      if (typeof event !== "string" || !event) {
+        throw new TypeError("Notification events must be non-empty strings");
+      }
+      const name = event.startsWith("s3:") ? event : `s3:${event}`;
+      return name.split(":").length === 2 ? `${name}:*` : name;
+    });
+    const filterRules = [];
+    for (const name of ["prefix", "suffix"]) {
+      if (rule[name] === undefined || rule[name] === "") continue;
+      if (typeof rule[name] !== "string") {
+        throw new TypeError(`Notification ${name} must be a string`);
+      }
+      filterRules.push({ Name: name, Value: rule[name] });
+    }
+
+    const label = rule.queue ?? arn.split(/[:/]/).pop();
+    const id = rule.id ?? [rule.destination, label, rule.prefix, rule.suffix].filter(Boolean).join("-");
+    if (typeof id !== "string" || !id || id.length > 255) {
+      throw new TypeError("Notification id must be a non-empty string (max 255 chars)");
+    }
+    const arnField = { sqs: "QueueArn", sns: "TopicArn", lambda: "LambdaFunctionArn" }[rule.destination];
+    const configuration = { Id: id, [arnField]: arn, Events: events };
+    if (filterRules.length > 0) configuration.Filter = { Key: { FilterRules: filterRules } };
+    return { type: sdkTypes[arnField], configuration };
+  }
+
+  /**
+   * Whether two notification configurations would receive the same event
+   * S3 rejects such "ambiguously defined" configurations, so they are caught
+   * before the request is sent.
+   * 
+   * @param {Object} a - Configuration in SDK shape
+   * @param {Object} b - Configuration in SDK shape
+   * @returns {boolean} True when event types and key filters overlap
+   */
+  static notificationsOverlap(a, b) {
+    const eventsOverlap = (x, y) =>
+      x === y || (x.endsWith(":*") && y.startsWith(x.slice(0, -1))) || (y.endsWith(":*") && x.startsWith(y.slice(0, -1)));
+    if (!a.Events.some((x) => b.Events.some((y) => eventsOverlap(x, y)))) return false;
+    const filter = (configuration, name) =>
+      configuration.Filter?.Key?.FilterRules?.find((rule) => rule.Name.toLowerCase() === name)?.Value ?? "";
+    const [prefixA, prefixB] = [filter(a, "prefix"), filter(b, "prefix")];
+    const [suffixA, suffixB] = [filter(a, "suffix"), filter(b, "suffix")];
+    return (prefixA.startsWith(prefixB) || prefixB.startsWith(prefixA)) &&
+      (suffixA.endsWith(suffixB) || suffixB.endsWith(suffixA));
+  }
+
+  /**
+   * Get the event notification configuration of a bucket
+   * 
+   * @param {string} bucket - Bucket name
+   * @returns {Promise<Object>} {QueueConfigurations, TopicConfigurations, LambdaFunctionConfigurations,
+   *   EventBridgeConfiguration} in SDK shape (empty arrays when none are configured)
+   * @throws {Error} When bucket name is invalid or the request fails
+   * 
+   * @example
+   * const { QueueConfigurations } = await AwsS3.getNotificationConfiguration('uploads');
+   */
+  static async getNotificationConfiguration(bucket) {
+    try {
+      ({ bucket } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid bucket in getNotificationConfiguration", {
+        bucket, error: err.message,
+      });
+      throw new Error(err.message);
+    }
+
+    try {
+      const result = await AwsS3.send(new GetBucketNotificationConfigurationCommand({ Bucket: bucket }));
+      const configuration = {
+        QueueConfigurations: result.QueueConfigurations ?? [],
+        TopicConfigurations: result.TopicConfigurations ?? [],
+        LambdaFunctionConfigurations: result.LambdaFunctionConfigurations ?? [],
+      };
+      if (result.EventBridgeConfiguration) configuration.EventBridgeConfiguration = result.EventBridgeConfiguration;
+      return configuration;
+    } catch (err) {
+      ErrorHandler.add_error("getNotificationConfiguration failed", {
+        bucket, error: err.message,
+      });
+      throw new Error(`Failed to get notification configuration: ${err.message}`);
+    }
+  }
+
+  /**
+   * Configure bucket event notifications
+   * Replaces the bucket's notification configuration, or with `merge` keeps
+   * existing configurations whose ID is not in `rules`. The destinations must
+   * already allow S3 to deliver to them (queue/topic policy or Lambda
+   * permission for s3.amazonaws.com), unless skipDestinationValidation is set.
+   * An empty rule list (without merge) removes all notifications.
+   * 
+   * @param {string} bucket - Bucket name
+   * @param {Object[]} rules - Rules in simplified (see buildNotificationRule) or SDK shape
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.merge=false] - Keep existing configurations with other IDs
+   * @param {boolean} [options.skipDestinationValidation=false] - Do not let S3 test-deliver to the destinations
+   * @returns {Promise<Object>} Configuration applied, in SDK shape
+   * @throws {Error} When parameters are invalid, rules overlap or the update fails
    * 
    * @example
-   * // Enable KMS encryption with custom key (use your actual account ID and key ID)
-   * await AwsS3.enableBucketEncryption('my-bucket', 'aws:kms', 'arn:aws:kms:us-east-1:YOUR_ACCOUNT_ID:key/YOUR_KEY_ID');
+   * await AwsS3.configureNotifications('uploads', [
+   *   { destination: 'sqs', queue: 'processing_queue', prefix: 'incoming/', suffix: '.csv' },
+   *   { destination: 'sns', arn: 'arn:aws:sns:us-east-1:123456789012:deletions', events: ['ObjectRemoved'] },
+   *   { destination: 'eventbridge' },
+   * ]);
    */
-  static async enableBucketEncryption(bucket, encryptionType = "AES256", kmsKeyId = null) {
+  static async configureNotifications(bucket, rules, options = {}) {
+    let merge, skipDestinationValidation, built;
     try {
-      ({ bucket, encryptionType } = SafeUtils.sanitizeValidate({
+      ({ bucket, merge, skipDestinationValidation } = SafeUtils.sanitizeValidate({
         bucket: { value: bucket, type: "string", required: true },
-        encryptionType: { value: encryptionType, type: "string", required: false, default: "AES256" },
+        merge: { value: options.merge, type: "bool", required: false, default: false },
+        skipDestinationValidation: { value: options.skipDestinationValidation, type: "bool", required: false, default: false },
       }));
+      if (!Array.isArray(rules)) {
+        throw new TypeError("rules must be an array");
+      }
+      const queueArns = new Map();
+      const queueFlags = rules
+        .filter((rule) => rule?.destination === "sqs" && !rule.arn && typeof rule.queue === "string" && rule.queue)
+        .map((rule) => rule.queue);
+      if (queueFlags.length > 0) {
+        // Loaded on demand: sqsHelper reads the queue config when imported, which S3-only users may not have
+        const { default: SQSHelper } = await import("./sqsHelper.js");
+        for (const flag of queueFlags) queueArns.set(flag, SQSHelper.getQueueArn(flag));
+      }
+      built = rules.map((rule) => AwsS3.buildNotificationRule(rule, queueArns.get(rule?.queue) ?? null));
+      const ids = built.map(({ configuration }) => configuration.Id).filter(Boolean);
+      const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+      if (duplicate) {
+        throw new TypeError(`Duplicate notification id: ${duplicate}`);
+      }
     } catch (err) {
-      ErrorHandler.add_error("Invalid params in enableBucketEncryption", {
-        bucket, encryptionType, error: err.message,
+      ErrorHandler.add_error("Invalid params in configureNotifications", {
+        bucket, error: err.message,
       });
       throw new Error(err.message);
     }
 
+    const configuration = merge
+      ? await AwsS3.getNotificationConfiguration(bucket)
+      : { QueueConfigurations: [], TopicConfigurations: [], LambdaFunctionConfigurations: [] };
+    const incomingIds = new Set(built.map(({ configuration: item }) => item.Id).filter(Boolean));
+    for (const type of ["QueueConfigurations", "TopicConfigurations", "LambdaFunctionConfigurations"]) {
+      configuration[type] = configuration[type].filter((item) => !incomingIds.has(item.Id));
+    }
+    for (const { type, configuration: item } of built) {
+      if (type === "EventBridgeConfiguration") configuration.EventBridgeConfiguration = item;
+      else configuration[type].push(item);
+    }
+
     try {
-      const encryptionConfig = {
-        Rules: [
-          {
-            ApplyServerSideEncryptionByDefault: {
-              SSEAlgorithm: encryptionType,
-            },
-            BucketKeyEnabled: true,
-          },
-        ],
-      };
+      const all = [
+        ...configuration.QueueConfigurations,
+        ...configuration.TopicConfigurations,
+        ...configuration.LambdaFunctionConfigurations,
+      ];
+      all.forEach((a, i) => all.slice(i + 1).forEach((b) => {
+        if (AwsS3.notificationsOverlap(a, b)) {
+          throw new Error(`Notification configurations "${a.Id}" and "${b.Id}" overlap on events and key filters`);
+        }
+      }));
 
-      if (encryptionType === "aws:kms" && kmsKeyId) {
-        encryptionConfig.Rules[0].ApplyServerSideEncryptionByDefault.KMSMasterKeyID = kmsKeyId;
+      await AwsS3.send(new PutBucketNotificationConfigurationCommand({
+        Bucket: bucket,
+        NotificationConfiguration: configuration,
+        SkipDestinationValidation: skipDestinationValidation || undefined,
+      }));
+
+      Logger.writeLog({
+        flag: "s3_operations",
+        action: "configureNotifications",
+        data: {
+          bucket,
+          ids: all.map((item) => item.Id),
+          eventBridge: !!configuration.EventBridgeConfiguration,
+        },
+        message: "Bucket notifications updated",
+      });
+      return configuration;
+    } catch (err) {
+      ErrorHandler.add_error("configureNotifications failed", {
+        bucket, error: err.message,
+      });
+      throw new Error(`Failed to configure notifications: ${err.message}`);
+    }
+  }
+
+  /**
+   * EventBridge event pattern matching object events of a bucket
+   * Use it with EventBridgeHelper.putRule once EventBridge delivery is enabled
+   * through configureNotifications({ destination: 'eventbridge' }).
+   * 
+   * @param {string} bucket - Bucket name
+   * @param {Object} [options={}] - Pattern options
+   * @param {string[]} [options.detailTypes=['Object Created']] - EventBridge detail types
+   * @param {string} [options.prefix] - Only keys starting with this prefix
+   * @param {string} [options.suffix] - Only keys ending with this suffix
+   * @returns {Object} Event pattern
+   * 
+   * @example
+   * await EventBridgeHelper.putRule({
+   *   Name: 'uploads-created',
+   *   EventPattern: JSON.stringify(AwsS3.eventBridgePattern('uploads', { prefix: 'incoming/' })),
+   * });
+   */
+  static eventBridgePattern(bucket, options = {}) {
+    const object = {};
+    const keyFilters = [];
+    if (options.prefix) keyFilters.push({ prefix: options.prefix });
+    if (options.suffix) keyFilters.push({ suffix: options.suffix });
+    // Conditions listed in one key array are ORed, so prefix and suffix together use a wildcard
+    if (keyFilters.length === 2) object.key = [{ wildcard: `${options.prefix.replace(/\*/g, "\\*")}*${options.suffix.replace(/\*/g, "\\*")}` }];
+    else if (keyFilters.length === 1) object.key = keyFilters;
+    return {
+      source: ["aws.s3"],
+      "detail-type": [].concat(options.detailTypes ?? ["Object Created"]),
+      detail: {
+        bucket: { name: [bucket] },
+        ...(Object.keys(object).length ? { object } : {}),
+      },
+    };
+  }
+
+  /**
+   * Parse S3 event notifications received through SQSHelper.receive
+   * 
+   * @param {Object[]} messages - SQS messages
+   * @returns {Array<{message: Object, records: S3EventRecord[], isTestEvent: boolean, error: string|null}>}
+   *   One entry per message (see S3EventParser)
+   * 
+   * @example
+   * const messages = await SQSHelper.receive('processing_queue', 10);
+   * for (const { message, records } of AwsS3.parseEventMessages(messages)) {
+   *   for (const record of records) console.log(record.eventName, record.bucket, record.key, record.size);
+   *   await SQSHelper.delete('processing_queue', message.ReceiptHandle);
+   * }
+   */
+  static parseEventMessages(messages) {
+    return S3EventParser.parseMessages(messages);
+  }
+
+  /**
+   * Enable versioning on a bucket
+   * 
+   * @param {string} bucket - Bucket name
+   * @returns {Promise<void>}
+   * @throws {Error} When bucket name is invalid or the update fails
+   * 
+   * @example
+   * await AwsS3.enableVersioning('my-bucket');
+   */
+  static async enableVersioning(bucket) {
+    await AwsS3.setVersioningStatus(bucket, "Enabled");
+  }
+
+  /**
+   * Suspend versioning on a bucket
+   * Existing versions are kept; new writes get a null version ID.
+   * 
+   * @param {string} bucket - Bucket name
+   * @returns {Promise<void>}
+   * @throws {Error} When bucket name is invalid or the update fails
+   * 
+   * @example
+   * await AwsS3.suspendVersioning('my-bucket');
+   */
+  static async suspendVersioning(bucket) {
+    await AwsS3.setVersioningStatus(bucket, "Suspended");
+  }
+
+  /**
+   * Apply a versioning status ('Enabled' or 'Suspended') to a bucket
+   * @param {string} bucket - Bucket name
+   * @param {string} status - Versioning status
+   * @returns {Promise<void>}
+   * @throws {Error} When parameters are invalid or the update fails
+   */
+  static async setVersioningStatus(bucket, status) {
+    try {
+      ({ bucket, status } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+        status: { value: status, type: "string", required: true },
+      }));
+      if (status !== "Enabled" && status !== "Suspended") {
+        throw new Error("status must be 'Enabled' or 'Suspended'");
       }
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in setVersioningStatus", {
+        bucket, status, error: err.message,
+      });
+      throw new Error(err.message);
+    }
 
-      await AwsS3.client.send(new PutBucketEncryptionCommand({
+    try {
+      await AwsS3.send(new PutBucketVersioningCommand({
         Bucket: bucket,
-        ServerSideEncryptionConfiguration: encryptionConfig,
+        VersioningConfiguration: { Status: status },
       }));
 
-      console.log(`✅ Bucket encryption enabled: ${bucket} (${encryptionType})`);
       Logger.writeLog({
         flag: "s3_operations",
-        action: "enableBucketEncryption",
-        data: { bucket, encryptionType },
-        message: "Bucket encryption enabled",
+        action: "setVersioningStatus",
+        data: { bucket, status },
+        message: `Bucket versioning ${status.toLowerCase()}`,
       });
     } catch (err) {
-      ErrorHandler.add_error("enableBucketEncryption failed", {
-        bucket, encryptionType, error: err.message,
+      ErrorHandler.add_error("setVersioningStatus failed", {
+        bucket, status, error: err.message,
       });
-      throw new Error(`Failed to enable encryption: ${err.message}`);
+      throw new Error(`Failed to set versioning: ${err.message}`);
     }
   }
 
   /**
-   * Check current encryption status of S3 bucket
-   * Returns detailed encryption configuration information
+   * Get the versioning status of a bucket
    * 
-   * @param {string} bucket - Bucket name to check encryption status
-   * @returns {Promise<Object>} Encryption status object
-   * @returns {boolean} returns.encrypted - Whether encryption is enabled
-   * @returns {string|null} returns.algorithm - Encryption algorithm (AES256, aws:kms, or null)
-   * @throws {Error} When bucket name is invalid or check fails
+   * @param {string} bucket - Bucket name
+   * @returns {Promise<Object>} Versioning status
+   * @returns {string} returns.status - 'Enabled', 'Suspended' or 'Disabled' (never configured)
+   * @returns {boolean} returns.mfaDelete - Whether MFA delete is enabled
+   * @throws {Error} When bucket name is invalid or the request fails
+   * 
+   * @example
+   * const { status } = await AwsS3.getVersioningStatus('my-bucket');
+   */
+  static async getVersioningStatus(bucket) {
+    try {
+      ({ bucket } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid bucket in getVersioningStatus", {
+        bucket, error: err.message,
+      });
+      throw new Error(err.message);
+    }
+
+    try {
+      const result = await AwsS3.send(new GetBucketVersioningCommand({ Bucket: bucket }));
+      return {
+        status: result.Status || "Disabled",
+        mfaDelete: result.MFADelete === "Enabled",
+      };
+    } catch (err) {
+      ErrorHandler.add_error("getVersioningStatus failed", {
+        bucket, error: err.message,
+      });
+      throw new Error(`Failed to get versioning status: ${err.message}`);
+    }
+  }
+
+  /**
+   * List object versions and delete markers under a prefix
+   * Follows pagination until all versions are listed.
+   * 
+   * @param {string} bucket - Bucket name
+   * @param {string} [prefix=""] - Key prefix filter
+   * @param {Object} [options={}] - Listing options
+   * @param {string} [options.key] - Only return versions of this exact key
+   * @param {number} [options.maxKeys=1000] - Page size per request
+   * @returns {Promise<Object|null>} {versions, deleteMarkers} (newest first per key) or null on failure
+   * @throws {Error} When parameters are invalid
+   * 
+   * @example
+   * const { versions } = await AwsS3.listObjectVersions('my-bucket', '', { key: 'config.json' });
+   * versions.forEach(v => console.log(v.VersionId, v.LastModified, v.IsLatest));
+   */
+  static async listObjectVersions(bucket, prefix = "", options = {}) {
+    let key, maxKeys;
+    try {
+      ({ bucket, prefix, key, maxKeys } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+        prefix: { value: prefix, type: "string", required: false, default: "" },
+        key: { value: options.key, type: "string", required: false },
+        maxKeys: { value: options.maxKeys, type: "int", required: false, default: 1000 },
+      }));
+      if (maxKeys < 1 || maxKeys > 1000) {
+        throw new Error("maxKeys must be between 1 and 1000");
+      }
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in listObjectVersions", {
+        bucket,
+        prefix,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action: "listObjectVersions",
+        message: err.message,
+        critical: true,
+        data: { bucket, prefix },
+      });
+      throw new Error(err.message);
+    }
+
+    const versions = [];
+    const deleteMarkers = [];
+    let keyMarker;
+    let versionIdMarker;
+    try {
+      do {
+        const result = await AwsS3.send(
+          new ListObjectVersionsCommand({
+            Bucket: bucket,
+            Prefix: key || prefix || undefined,
+            MaxKeys: maxKeys,
+            KeyMarker: keyMarker,
+            VersionIdMarker: versionIdMarker,
+          })
+        );
+        const belongs = (entry) => !key || entry.Key === key;
+        versions.push(...(result.Versions || []).filter(belongs));
+        deleteMarkers.push(...(result.DeleteMarkers || []).filter(belongs));
+        keyMarker = result.IsTruncated ? result.NextKeyMarker : undefined;
+        versionIdMarker = result.IsTruncated ? result.NextVersionIdMarker : undefined;
+      } while (keyMarker);
+
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=listObjectVersions]`,
+          JSON.stringify(
+            {
+              action: "listObjectVersions",
+              bucket,
+              prefix: key || prefix,
+              versions: versions.length,
+              deleteMarkers: deleteMarkers.length,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return { versions, deleteMarkers };
+    } catch (err) {
+      ErrorHandler.add_error("listObjectVersions failed", {
+        bucket,
+        prefix,
+        error: err.message,
+      });
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=listObjectVersions]`,
+          JSON.stringify(
+            {
+              action: "listObjectVersions.error",
+              error: err.message,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Permanently delete every version and delete marker under a prefix
+   * Irreversible: use it to empty versioned buckets or purge an object's history.
+   * Versions are deleted page by page as they are listed, so memory stays flat
+   * however many versions the prefix holds.
+   * 
+   * @param {string} bucket - Bucket name
+   * @param {string} [prefix=""] - Key prefix ("" for the whole bucket)
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.key] - Only purge versions of this exact key
+   * @returns {Promise<Object|null>} {deleted, errors: [{Key, VersionId, Code, Message}]} or null if listing fails
+   *   (versions from pages already listed may have been deleted by then)
+   * @throws {Error} When parameters are invalid
+   * 
+   * @example
+   * const { deleted } = await AwsS3.purgeObjectVersions('my-bucket', 'tmp/');
+   */
+  static async purgeObjectVersions(bucket, prefix = "", options = {}) {
+    let key;
+    try {
+      ({ bucket, prefix, key } = SafeUtils.sanitizeValidate({
+        bucket: { value: bucket, type: "string", required: true },
+        prefix: { value: prefix, type: "string", required: false, default: "" },
+        key: { value: options.key, type: "string", required: false },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in purgeObjectVersions", {
+        bucket,
+        prefix,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action: "purgeObjectVersions",
+        message: err.message,
+        critical: true,
+        data: { bucket, prefix },
+      });
+      throw new Error(err.message);
+    }
+
+    const report = { deleted: 0, errors: [] };
+    const inFlight = new Set();
+    const sendBatch = async (batch) => {
+      try {
+        const result = await AwsS3.send(
+          new DeleteObjectsCommand({
+            Bucket: bucket,
+            Delete: { Objects: batch, Quiet: true },
+          })
+        );
+        const errors = result.Errors || [];
+        report.deleted += batch.length - errors.length;
+        report.errors.push(...errors.map(({ Key, VersionId, Code, Message }) => ({ Key, VersionId, Code, Message })));
+      } catch (err) {
+        report.errors.push(...batch.map(({ Key, VersionId }) => ({ Key, VersionId, Code: err.name, Message: err.message })));
+      }
+      for (const { Key } of batch) {
+        AwsS3.cache.objects.delete(`${bucket}/${Key}`);
+      }
+    };
+    const schedule = async (batch) => {
+      const task = sendBatch(batch);
+      inFlight.add(task);
+      task.finally(() => inFlight.delete(task));
+      if (inFlight.size >= AwsS3.DEFAULT_DELETE_CONCURRENCY) await Promise.race(inFlight);
+    };
+
+    let batch = [];
+    let keyMarker;
+    let versionIdMarker;
+    try {
+      do {
+        const result = await AwsS3.send(
+          new ListObjectVersionsCommand({
+            Bucket: bucket,
+            Prefix: key || prefix || undefined,
+            KeyMarker: keyMarker,
+            VersionIdMarker: versionIdMarker,
+          })
+        );
+        for (const { Key, VersionId } of [...(result.Versions || []), ...(result.DeleteMarkers || [])]) {
+          if (key && Key !== key) continue;
+          batch.push({ Key, VersionId });
+          if (batch.length === AwsS3.DELETE_BATCH_SIZE) {
+            await schedule(batch);
+            batch = [];
+          }
+        }
+        keyMarker = result.IsTruncated ? result.NextKeyMarker : undefined;
+        versionIdMarker = result.IsTruncated ? result.NextVersionIdMarker : undefined;
+      } while (keyMarker);
+      if (batch.length > 0) await schedule(batch);
+      await Promise.all(inFlight);
+    } catch (err) {
+      await Promise.allSettled(inFlight);
+      ErrorHandler.add_error("purgeObjectVersions failed", {
+        bucket,
+        prefix,
+        deleted: report.deleted,
+        error: err.message,
+      });
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=purgeObjectVersions]`,
+          JSON.stringify(
+            {
+              action: "purgeObjectVersions.error",
+              error: err.message,
+              deleted: report.deleted,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return null;
+    }
+
+    if (report.errors.length > 0) {
+      ErrorHandler.add_error("purgeObjectVersions incomplete", {
+        bucket,
+        prefix,
+        errors: report.errors.slice(0, 10),
+      });
+    }
+    if (Logger.isConsoleEnabled()) {
+      console.log(
+        `[Logger flag=purgeObjectVersions]`,
+        JSON.stringify(
+          {
+            action: "purgeObjectVersions",
+            bucket,
+            prefix,
+            deleted: report.deleted,
+            errors: report.errors.length,
+            time: DateTime.now(),
+          },
+          null,
+          2
+        )
+      );
+    }
+    return report;
+  }
+
+  /**
+   * Restore a prior version of an object by copying it over the current version
+   * The restored content becomes a new latest version; history is preserved.
+   * Also undeletes objects whose latest version is a delete marker.
+   * 
+   * @param {string} bucket - Bucket name (versioning must be enabled or suspended)
+   * @param {string} key - Object key
+   * @param {string} versionId - Version ID to restore
+   * @returns {Promise<string|null>} Version ID of the new latest version, or null on failure
+   * @throws {Error} When parameters are invalid
    * 
    * @example
-   * const status = await AwsS3.checkBucketEncryption('my-bucket');
-   * if (status.encrypted) {
-   *   console.log(`Encryption enabled with ${status.algorithm}`);
-   * } else {
-   *   console.log('No encryption configured');
-   * }
+   * const { versions } = await AwsS3.listObjectVersions('my-bucket', '', { key: 'config.json' });
+   * await AwsS3.restoreObjectVersion('my-bucket', 'config.json', versions[1].VersionId);
    */
-  static async checkBucketEncryption(bucket) {
+  static async restoreObjectVersion(bucket, key, versionId) {
     try {
-      ({ bucket } = SafeUtils.sanitizeValidate({
+      ({ bucket, key, versionId } = SafeUtils.sanitizeValidate({
         bucket: { value: bucket, type: "string", required: true },
+        key: { value: key, type: "string", required: true },
+        versionId: { value: versionId, type: "string", required: true },
       }));
     } catch (err) {
-      ErrorHandler.add_error("Invalid bucket in checkBucketEncryption", {
-        bucket, error: err.message,
+      ErrorHandler.add_error("Invalid params in restoreObjectVersion", {
+        bucket,
+        key,
+        versionId,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "system_error",
+        action: "restoreObjectVersion",
+        message: err.message,
+        critical: true,
+        data: { bucket, key, versionId },
       });
       throw new Error(err.message);
     }
 
     try {
-      const result = await AwsS3.client.send(new GetBucketEncryptionCommand({
-        Bucket: bucket,
-      }));
-      
-      const encryption = result.ServerSideEncryptionConfiguration?.Rules?.[0];
-      const isEncrypted = !!encryption;
-      const algorithm = encryption?.ApplyServerSideEncryptionByDefault?.SSEAlgorithm;
-      
-      Logger.writeLog({
-        flag: "bucket_encryption_check",
-        action: "checkBucketEncryption", 
-        data: { bucket, encrypted: isEncrypted, algorithm },
-        message: `Bucket encryption status: ${isEncrypted ? 'Enabled' : 'Disabled'}`
-      });
-      return { encrypted: isEncrypted, algorithm };
+      const result = await AwsS3.send(
+        new CopyObjectCommand({
+          CopySource: `${bucket}/${encodeURIComponent(key)}?versionId=${encodeURIComponent(versionId)}`,
+          Bucket: bucket,
+          Key: key,
+        })
+      );
+      AwsS3.cache.objects.delete(`${bucket}/${key}`);
+
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=restoreObjectVersion]`,
+          JSON.stringify(
+            {
+              action: "restoreObjectVersion",
+              key: `${bucket}/${key}`,
+              restoredVersionId: versionId,
+              newVersionId: result.VersionId,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
+      }
+      return result.VersionId ?? "null";
     } catch (err) {
-      if (err.name === 'ServerSideEncryptionConfigurationNotFoundError') {
-        Logger.writeLog({
-          flag: "bucket_encryption_check",
-          action: "checkBucketEncryption", 
-          data: { bucket, encrypted: false },
-          message: "Bucket encryption not configured"
-        });
-        return { encrypted: false, algorithm: null };
+      ErrorHandler.add_error("restoreObjectVersion failed", {
+        bucket,
+        key,
+        versionId,
+        error: err.message,
+      });
+      if (Logger.isConsoleEnabled()) {
+        console.log(
+          `[Logger flag=restoreObjectVersion]`,
+          JSON.stringify(
+            {
+              action: "restoreObjectVersion.error",
+              error: err.message,
+              time: DateTime.now(),
+            },
+            null,
+            2
+          )
+        );
       }
-      throw new Error(`Failed to check encryption: ${err.message}`);
+      return null;
     }
   }
 
   /**
-   * Enable comprehensive public access blocking for S3 bucket
-   * Applies all 4 AWS public access block settings for maximum security
+   * Configure Object Lock default retention for a bucket
+   * Enables Object Lock on the bucket if needed (versioning must be enabled)
+   * and applies a default retention to new object versions.
    * 
-   * @param {string} bucket - Bucket name to secure
+   * @param {string} bucket - Bucket name
+   * @param {Object} retention - Default retention
+   * @param {string} retention.mode - 'GOVERNANCE' (bypassable with permission) or 'COMPLIANCE' (no one can shorten)
+   * @param {number} [retention.days] - Retention period in days
+   * @param {number} [retention.years] - Retention period in years (exclusive with days)
    * @returns {Promise<void>}
-   * @throws {Error} When bucket name is invalid or blocking fails
+   * @throws {Error} When parameters are invalid or the configuration fails
    * 
    * @example
-   * await AwsS3.blockPublicAccess('my-sensitive-bucket');
-   * console.log('Bucket fully protected from public access');
+   * await AwsS3.enableVersioning('audit-logs');
+   * await AwsS3.configureObjectLock('audit-logs', { mode: 'GOVERNANCE', days: 90 });
    */
-  static async blockPublicAccess(bucket) {
+  static async configureObjectLock(bucket, retention = {}) {
+    const { mode, days, years } = retention;
     try {
       ({ bucket } = SafeUtils.sanitizeValidate({
         bucket: { value: bucket, type: "string", required: true },
       }));
+      if (!AwsS3.OBJECT_LOCK_MODES.includes(mode)) {
+        throw new Error(`mode must be one of: ${AwsS3.OBJECT_LOCK_MODES.join(", ")}`);
+      }
+      if ((days === undefined) === (years === undefined)) {
+        throw new Error("Specify exactly one of days or years");
+      }
+      const period = days ?? years;
+      if (!Number.isInteger(period) || period < 1) {
+        throw new Error("Retention period must be a positive integer");
+      }
     } catch (err) {
-      ErrorHandler.add_error("Invalid bucket in blockPublicAccess", {
-        bucket, error: err.message,
+      ErrorHandler.add_error("Invalid params in configureObjectLock", {
+        bucket, mode, days, years, error: err.message,
       });
       throw new Error(err.message);
     }
 
     try {
-      await AwsS3.client.send(new PutPublicAccessBlockCommand({
+      await AwsS3.send(new PutObjectLockConfigurationCommand({
         Bucket: bucket,
-        PublicAccessBlockConfiguration: {
-          BlockPublicAcls: true,
-          IgnorePublicAcls: true,
-          BlockPublicPolicy: true,
-          RestrictPublicBuckets: true,
+        ObjectLockConfiguration: {
+          ObjectLockEnabled: "Enabled",
+          Rule: {
+            DefaultRetention: days !== undefined ? { Mode: mode, Days: days } : { Mode: mode, Years: years },
+          },
         },
       }));
 
-      console.log(`🔒 Public access blocked for bucket: ${bucket}`);
       Logger.writeLog({
         flag: "s3_operations",
-        action: "blockPublicAccess",
-        data: { bucket },
-        message: "Public access blocked",
+        action: "configureObjectLock",
+        data: { bucket, mode, days, years },
+        message: "Object Lock default retention configured",
       });
     } catch (err) {
-      ErrorHandler.add_error("blockPublicAccess failed", {
-        bucket, error: err.message,
+      ErrorHandler.add_error("configureObjectLock failed", {
+        bucket, mode, days, years, error: err.message,
       });
-      throw new Error(`Failed to block public access: ${err.message}`);
+      throw new Error(`Failed to configure object lock: ${err.message}`);
     }
   }
 
   /**
-   * Check current public access block configuration
-   * Verifies if all 4 public access controls are properly enabled
+   * Get the Object Lock configuration of a bucket
    * 
-   * @param {string} bucket - Bucket name to check
-   * @returns {Promise<Object>} Public access block status
-   * @returns {boolean} returns.fullyBlocked - Whether all 4 controls are enabled
-   * @returns {Object|null} returns.configuration - Full AWS configuration object
-   * @throws {Error} When bucket name is invalid or check fails
+   * @param {string} bucket - Bucket name
+   * @returns {Promise<Object>} {enabled, mode, days, years} (mode/days/years null when no default retention)
+   * @throws {Error} When bucket name is invalid or the request fails
    * 
    * @example
-   * const status = await AwsS3.checkPublicAccessBlock('my-bucket');
-   * if (!status.fullyBlocked) {
-   *   console.log('Warning: Bucket may allow public access');
-   * }
+   * const lock = await AwsS3.getObjectLockConfiguration('audit-logs');
+   * if (lock.enabled) console.log(`${lock.mode} for ${lock.days ?? lock.years * 365} days`);
    */
-  static async checkPublicAccessBlock(bucket) {
+  static async getObjectLockConfiguration(bucket) {
     try {
       ({ bucket } = SafeUtils.sanitizeValidate({
         bucket: { value: bucket, type: "string", required: true },
       }));
     } catch (err) {
-      ErrorHandler.add_error("Invalid bucket in checkPublicAccessBlock", {
+      ErrorHandler.add_error("Invalid bucket in getObjectLockConfiguration", {
         bucket, error: err.message,
       });
       throw new Error(err.message);
     }
 
     try {
-      const result = await AwsS3.client.send(new GetPublicAccessBlockCommand({
-        Bucket: bucket,
-      }));
-      
-      const config = result.PublicAccessBlockConfiguration;
-      const isFullyBlocked = config?.BlockPublicAcls && config?.IgnorePublicAcls && 
-                            config?.BlockPublicPolicy && config?.RestrictPublicBuckets;
-      
-      Logger.writeLog({
-        flag: "public_access_check",
-        action: "checkPublicAccessBlock", 
-        data: { bucket, fullyBlocked: isFullyBlocked, configuration: config },
-        message: `Public access block status: ${isFullyBlocked ? 'Fully Protected' : 'Partially/Not Protected'}`
-      });
-      return { 
-        fullyBlocked: isFullyBlocked,
-        configuration: config 
+      const result = await AwsS3.send(new GetObjectLockConfigurationCommand({ Bucket: bucket }));
+      const config = result.ObjectLockConfiguration;
+      const defaultRetention = config?.Rule?.DefaultRetention;
+      return {
+        enabled: config?.ObjectLockEnabled === "Enabled",
+        mode: defaultRetention?.Mode ?? null,
+        days: defaultRetention?.Days ?? null,
+        years: defaultRetention?.Years ?? null,
       };
     } catch (err) {
-      if (err.name === 'NoSuchPublicAccessBlockConfiguration') {
-        Logger.writeLog({
-          flag: "public_access_check",
-          action: "checkPublicAccessBlock", 
-          data: { bucket, fullyBlocked: false },
-          message: "No public access block configured"
-        });
-        return { fullyBlocked: false, configuration: null };
+      if (err.name === "ObjectLockConfigurationNotFoundError") {
+        return { enabled: false, mode: null, days: null, years: null };
       }
-      throw new Error(`Failed to check public access block: ${err.message}`);
+      ErrorHandler.add_error("getObjectLockConfiguration failed", {
+        bucket, error: err.message,
+      });
+      throw new Error(`Failed to get object lock configuration: ${err.message}`);
     }
   }
 
   /**
-   * Configure Cross-Origin Resource Sharing (CORS) for S3 bucket
-   * Includes automatic security validation and wildcard detection
+   * Set retention on a single object version (Object Lock must be enabled)
    * 
-   * @param {string} bucket - Bucket name to configure CORS
-   * @param {string[]} [allowedOrigins=[]] - Array of allowed origin domains
-   * @param {string[]} [allowedMethods=['GET']] - Array of allowed HTTP methods
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {Object} retention - Retention settings
+   * @param {string} retention.mode - 'GOVERNANCE' or 'COMPLIANCE'
+   * @param {Date|string} retention.retainUntil - Date until which the version is protected
+   * @param {string} [retention.versionId] - Version to protect (latest when omitted)
+   * @param {boolean} [retention.bypassGovernance=false] - Allow shortening GOVERNANCE retention (needs s3:BypassGovernanceRetention)
    * @returns {Promise<void>}
-   * @throws {Error} When parameters are invalid or CORS configuration fails
-   * @warning Warns when wildcard (*) origins are detected as security risk
-   * 
-   * @example
-   * // Secure CORS for specific domains
-   * await AwsS3.configureCORS('my-bucket', ['https://myapp.com', 'https://admin.myapp.com'], ['GET', 'PUT']);
+   * @throws {Error} When parameters are invalid or the update fails
    * 
    * @example
-   * // Warning: This will trigger security warning
-   * await AwsS3.configureCORS('my-bucket', ['*'], ['GET']); // Insecure!
+   * await AwsS3.setObjectRetention('audit-logs', '2025/10/17.log', {
+   *   mode: 'COMPLIANCE',
+   *   retainUntil: new Date(Date.now() + 365 * 24 * 3600 * 1000),
+   * });
    */
-  static async configureCORS(bucket, allowedOrigins = [], allowedMethods = ['GET']) {
+  static async setObjectRetention(bucket, key, retention = {}) {
+    const { mode, versionId, bypassGovernance = false } = retention;
+    let retainUntil;
     try {
-      ({ bucket, allowedOrigins, allowedMethods } = SafeUtils.sanitizeValidate({
+      ({ bucket, key } = SafeUtils.sanitizeValidate({
         bucket: { value: bucket, type: "string", required: true },
-        allowedOrigins: { value: allowedOrigins, type: "array", required: false, default: [] },
-        allowedMethods: { value: allowedMethods, type: "array", required: false, default: ['GET'] },
+        key: { value: key, type: "string", required: true },
       }));
+      if (!AwsS3.OBJECT_LOCK_MODES.includes(mode)) {
+        throw new Error(`mode must be one of: ${AwsS3.OBJECT_LOCK_MODES.join(", ")}`);
+      }
+      retainUntil = new Date(retention.retainUntil);
+      if (Number.isNaN(retainUntil.getTime()) || retainUntil.getTime() <= Date.now()) {
+        throw new Error("retainUntil must be a valid date in the future");
+      }
     } catch (err) {
-      ErrorHandler.add_error("Invalid params in configureCORS", {
-        bucket, allowedOrigins, allowedMethods, error: err.message,
+      ErrorHandler.add_error("Invalid params in setObjectRetention", {
+        bucket, key, mode, error: err.message,
       });
       throw new Error(err.message);
     }
 
-    // Security validation
-    if (allowedOrigins.includes('*')) {
-      console.warn(`⚠️ WARNING: Wildcard CORS origin detected for ${bucket}. This is insecure for production!`);
-    }
-
     try {
-      const corsConfiguration = {
-        CORSRules: [
-          {
-            AllowedOrigins: allowedOrigins,
-            AllowedMethods: allowedMethods,
-            AllowedHeaders: ['*'],
-            MaxAgeSeconds: 3000,
-          },
-        ],
-      };
-
-      await AwsS3.client.send(new PutBucketCorsCommand({
+      await AwsS3.send(new PutObjectRetentionCommand({
         Bucket: bucket,
-        CORSConfiguration: corsConfiguration,
+        Key: key,
+        VersionId: versionId,
+        BypassGovernanceRetention: bypassGovernance || undefined,
+        Retention: { Mode: mode, RetainUntilDate: retainUntil },
       }));
 
-      console.log(`✅ CORS configured for bucket: ${bucket}`);
-      console.log(`   Origins: ${allowedOrigins.join(', ')}`);
-      console.log(`   Methods: ${allowedMethods.join(', ')}`);
-      
       Logger.writeLog({
         flag: "s3_operations",
-        action: "configureCORS",
-        data: { bucket, allowedOrigins, allowedMethods },
-        message: "CORS configuration updated",
+        action: "setObjectRetention",
+        data: { bucket, key, versionId, mode, retainUntil: retainUntil.toISOString() },
+        message: "Object retention updated",
       });
     } catch (err) {
-      ErrorHandler.add_error("configureCORS failed", {
-        bucket, allowedOrigins, allowedMethods, error: err.message,
+      ErrorHandler.add_error("setObjectRetention failed", {
+        bucket, key, mode, error: err.message,
       });
-      throw new Error(`Failed to configure CORS: ${err.message}`);
+      throw new Error(`Failed to set object retention: ${err.message}`);
     }
   }
 
   /**
    * Comprehensive security audit for S3 bucket with scoring system
-   * Evaluates encryption, public access controls, CORS, and bucket policies
-   * Returns detailed security report with score out of 100 and recommendations
+   * Runs the S3SecurityAudit rule set (encryption, public access, CORS, bucket
+   * policy, TLS-only, versioning, logging, lifecycle, Object Lock) and returns
+   * a report with a score out of 100 and recommendations
    * 
    * @param {string} bucket - Bucket name to audit
+   * @param {Object} [options={}] - S3SecurityAudit options (overrides, rules, failOnSeverity, minScore)
    * @returns {Promise<Object>} Security report object
    * @returns {string} returns.bucket - Bucket name audited
    * @returns {string} returns.timestamp - Audit timestamp
    * @returns {number} returns.score - Security score (0-100)
+   * @returns {string} returns.level - EXCELLENT, GOOD, FAIR, POOR or CRITICAL
+   * @returns {boolean} returns.passed - Whether no blocking rule failed and minScore was met
+   * @returns {Object[]} returns.results - Per-rule status, severity and weight
    * @returns {Object} returns.checks - Individual check results
    * @returns {string[]} returns.recommendations - Security improvement suggestions
-   * @throws {Error} When bucket name is invalid or audit fails
+   * @throws {Error} When bucket name or options are invalid
    * 
    * @example
    * const report = await AwsS3.validateBucketSecurity('my-bucket');
@@ -1869,124 +7577,46 @@ class AwsS3 {
    * if (report.recommendations.length > 0) {
    *   console.log('Recommendations:', report.recommendations);
    * }
+   * 
+   * @example
+   * // Treat missing access logs as blocking and ignore Object Lock
+   * const report = await AwsS3.validateBucketSecurity('my-bucket', {
+   *   overrides: { logging: { severity: 'high' }, objectLock: { enabled: false } },
+   * });
    */
-  static async validateBucketSecurity(bucket) {
+  static async validateBucketSecurity(bucket, options = {}) {
+    let audit;
     try {
       ({ bucket } = SafeUtils.sanitizeValidate({
         bucket: { value: bucket, type: "string", required: true },
       }));
+      audit = new S3SecurityAudit({ ...options, s3: AwsS3 });
     } catch (err) {
-      ErrorHandler.add_error("Invalid bucket in validateBucketSecurity", {
+      ErrorHandler.add_error("Invalid params in validateBucketSecurity", {
         bucket, error: err.message,
       });
       throw new Error(err.message);
     }
 
-    console.log(`\n🔍 Security Audit for bucket: ${bucket}`);
-    console.log("=" * 50);
-
-    const securityReport = {
-      bucket,
-      timestamp: DateTime.now(),
-      checks: {},
-      score: 0,
-      recommendations: []
-    };
-
-    // Check 1: Encryption
-    try {
-      const encryption = await this.checkBucketEncryption(bucket);
-      securityReport.checks.encryption = encryption;
-      if (encryption.encrypted) {
-        securityReport.score += 25;
-      } else {
-        securityReport.recommendations.push("Enable bucket encryption (AES256 or KMS)");
-      }
-    } catch (err) {
-      securityReport.checks.encryption = { error: err.message };
-    }
-
-    // Check 2: Public Access Block
-    try {
-      const publicAccess = await this.checkPublicAccessBlock(bucket);
-      securityReport.checks.publicAccess = publicAccess;
-      if (publicAccess.fullyBlocked) {
-        securityReport.score += 30;
-      } else {
-        securityReport.recommendations.push("Enable full public access blocking");
-      }
-    } catch (err) {
-      securityReport.checks.publicAccess = { error: err.message };
-    }
-
-    // Check 3: CORS Configuration
-    try {
-      const corsResult = await AwsS3.client.send(new GetBucketCorsCommand({ Bucket: bucket }));
-      const hasWildcardOrigin = corsResult.CORSRules?.some(rule => 
-        rule.AllowedOrigins?.includes('*')
-      );
-      securityReport.checks.cors = { 
-        configured: true, 
-        hasWildcardOrigin,
-        rules: corsResult.CORSRules 
-      };
-      if (!hasWildcardOrigin) {
-        securityReport.score += 15;
-      } else {
-        securityReport.recommendations.push("Remove wildcard (*) CORS origins");
-      }
-    } catch (err) {
-      if (err.name === 'NoSuchCORSConfiguration') {
-        securityReport.checks.cors = { configured: false };
-        securityReport.score += 10; // No CORS is better than wildcard CORS
-      } else {
-        securityReport.checks.cors = { error: err.message };
-      }
-    }
+    const securityReport = await audit.auditBucket(bucket);
 
-    // Check 4: Bucket Policy
-    try {
-      const policyResult = await AwsS3.client.send(new GetBucketPolicyCommand({ Bucket: bucket }));
-      const policy = JSON.parse(policyResult.Policy);
-      const hasPublicReadPolicy = policy.Statement?.some(statement => 
-        statement.Effect === 'Allow' && 
-        statement.Principal === '*'
+    if (Logger.isConsoleEnabled()) {
+      console.log(
+        `[Logger flag=validateBucketSecurity]`,
+        JSON.stringify(
+          {
+            action: "validateBucketSecurity",
+            bucket,
+            score: securityReport.score,
+            level: securityReport.level,
+            passed: securityReport.passed,
+            recommendations: securityReport.recommendations,
+            time: DateTime.now(),
+          },
+          null,
+          2
+        )
       );
-      securityReport.checks.bucketPolicy = { 
-        exists: true, 
-        hasPublicAccess: hasPublicReadPolicy,
-        policy 
-      };
-      if (!hasPublicReadPolicy) {
-        securityReport.score += 20;
-      } else {
-        securityReport.recommendations.push("Review and restrict public bucket policies");
-      }
-    } catch (err) {
-      if (err.name === 'NoSuchBucketPolicy') {
-        securityReport.checks.bucketPolicy = { exists: false };
-        securityReport.score += 10;
-      } else {
-        securityReport.checks.bucketPolicy = { error: err.message };
-      }
-    }
-
-    // Generate final report
-    let securityLevel = "CRITICAL";
-    if (securityReport.score >= 80) securityLevel = "EXCELLENT";
-    else if (securityReport.score >= 60) securityLevel = "GOOD";
-    else if (securityReport.score >= 40) securityLevel = "FAIR";
-    else if (securityReport.score >= 20) securityLevel = "POOR";
-
-    console.log(`\n📊 Security Score: ${securityReport.score}/100 (${securityLevel})`);
-    
-    if (securityReport.recommendations.length > 0) {
-      console.log("\n🚨 Security Recommendations:");
-      securityReport.recommendations.forEach((rec, index) => {
-        console.log(`   ${index + 1}. ${rec}`);
-      });
-    } else {
-      console.log("\n✅ All security checks passed!");
     }
 
     Logger.writeLog({
@@ -1999,6 +7629,40 @@ class AwsS3 {
 
     return securityReport;
   }
+
+  /**
+   * Run the security audit on every bucket in the account
+   * Render the result with S3SecurityAudit.toJSON/toMarkdown/toJUnit.
+   * 
+   * @param {Object} [options={}] - S3SecurityAudit options plus `filter(bucketName)`
+   * @returns {Promise<Object>} {timestamp, passed, summary, buckets: [bucket reports]}
+   * @throws {Error} When options are invalid or buckets cannot be listed
+   * 
+   * @example
+   * const report = await AwsS3.auditAllBuckets({ failOnSeverity: 'critical', filter: name => name.startsWith('prod-') });
+   * fs.writeFileSync('s3-security.md', S3SecurityAudit.toMarkdown(report));
+   * if (!report.passed) process.exitCode = 1;
+   */
+  static async auditAllBuckets(options = {}) {
+    const { filter, ...auditOptions } = options;
+    let report;
+    try {
+      const audit = new S3SecurityAudit({ ...auditOptions, s3: AwsS3 });
+      report = await audit.auditAllBuckets({ filter });
+    } catch (err) {
+      ErrorHandler.add_error("auditAllBuckets failed", { error: err.message });
+      throw new Error(`Failed to audit buckets: ${err.message}`);
+    }
+
+    Logger.writeLog({
+      flag: "s3_operations",
+      action: "auditAllBuckets",
+      data: report.summary,
+      message: `Audited ${report.summary.total} buckets. Failed: ${report.summary.failed}`,
+      critical: !report.passed,
+    });
+    return report;
+  }
 }
 
 export default AwsS3;
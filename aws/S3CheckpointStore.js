@@ -0,0 +1,150 @@
+import fs from "fs";
+import path from "path";
+import ScyllaDb from "../utils/ScyllaDb.js";
+import { SafeUtils, Logger, DateTime } from "../utils/index.js";
+
+/**
+ * Checkpoint stores for resumable S3 multipart uploads
+ *
+ * A checkpoint records everything needed to continue an interrupted upload:
+ * bucket, key, uploadId, partSize and the {PartNumber, ETag} pairs that have
+ * completed. Stores share a small async interface so AwsS3 can use any of them:
+ * - save(checkpoint)   → persist (insert or replace) a checkpoint
+ * - load(checkpointId) → checkpoint object or null when unknown
+ * - remove(checkpointId) → delete once the upload is completed or abandoned
+ *
+ * @example
+ * AwsS3.setCheckpointStore(new ScyllaCheckpointStore("s3_upload_checkpoints"));
+ */
+
+/**
+ * Local JSON file checkpoint store (default)
+ * Writes one file per checkpoint and replaces it atomically on every save.
+ *
+ * @class S3CheckpointStore
+ */
+class S3CheckpointStore {
+  /** @type {string} Default directory for checkpoint files */
+  static DEFAULT_DIRECTORY =
+    process.env.S3_CHECKPOINT_DIR || path.join(process.cwd(), ".s3-checkpoints");
+
+  /**
+   * @param {string} [directory] - Directory holding checkpoint JSON files
+   */
+  constructor(directory = S3CheckpointStore.DEFAULT_DIRECTORY) {
+    ({ directory } = SafeUtils.sanitizeValidate({
+      directory: { value: directory, type: "string", required: true },
+    }));
+    this.directory = directory;
+  }
+
+  /**
+   * Resolve the file path for a checkpoint ID
+   * @param {string} checkpointId - Checkpoint identifier
+   * @returns {string} Absolute file path
+   */
+  filePath(checkpointId) {
+    return path.join(this.directory, `${encodeURIComponent(checkpointId)}.json`);
+  }
+
+  /**
+   * Persist a checkpoint (write to temp file, then rename)
+   * @param {Object} checkpoint - Checkpoint with a checkpointId property
+   * @returns {Promise<void>}
+   */
+  async save(checkpoint) {
+    const target = this.filePath(checkpoint.checkpointId);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(temp, JSON.stringify(checkpoint, null, 2));
+    await fs.promises.rename(temp, target);
+  }
+
+  /**
+   * Load a checkpoint by ID
+   * @param {string} checkpointId - Checkpoint identifier
+   * @returns {Promise<Object|null>} Checkpoint or null when not found
+   */
+  async load(checkpointId) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath(checkpointId), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Delete a checkpoint (no-op when it does not exist)
+   * @param {string} checkpointId - Checkpoint identifier
+   * @returns {Promise<void>}
+   */
+  async remove(checkpointId) {
+    await fs.promises.rm(this.filePath(checkpointId), { force: true });
+  }
+}
+
+/**
+ * ScyllaDB-backed checkpoint store
+ * Expects a table whose partition key is `checkpointId` (configured through
+ * ScyllaDb.loadTableConfigs). The checkpoint is stored as a JSON string.
+ *
+ * @class ScyllaCheckpointStore
+ */
+export class ScyllaCheckpointStore {
+  /**
+   * @param {string} [table='s3_upload_checkpoints'] - ScyllaDB table name
+   */
+  constructor(table = "s3_upload_checkpoints") {
+    ({ table } = SafeUtils.sanitizeValidate({
+      table: { value: table, type: "string", required: true },
+    }));
+    this.table = table;
+  }
+
+  /**
+   * Persist a checkpoint (replaces the stored row)
+   * @param {Object} checkpoint - Checkpoint with a checkpointId property
+   * @returns {Promise<void>}
+   */
+  async save(checkpoint) {
+    await ScyllaDb.putItem(this.table, {
+      checkpointId: checkpoint.checkpointId,
+      data: JSON.stringify(checkpoint),
+      updatedAt: DateTime.now(),
+    });
+  }
+
+  /**
+   * Load a checkpoint by ID
+   * @param {string} checkpointId - Checkpoint identifier
+   * @returns {Promise<Object|null>} Checkpoint or null when not found or corrupt
+   */
+  async load(checkpointId) {
+    const item = await ScyllaDb.getItem(this.table, { checkpointId });
+    if (!item) return null;
+    try {
+      return JSON.parse(item.data);
+    } catch (err) {
+      Logger.writeLog({
+        flag: "system_error",
+        action: "ScyllaCheckpointStore.load",
+        message: `Corrupt checkpoint: ${err.message}`,
+        critical: true,
+        data: { checkpointId },
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Delete a checkpoint (no-op when it does not exist)
+   * @param {string} checkpointId - Checkpoint identifier
+   * @returns {Promise<void>}
+   */
+  async remove(checkpointId) {
+    await ScyllaDb.deleteItem(this.table, { checkpointId });
+  }
+}
+
+export default S3CheckpointStore;
@@ -0,0 +1,191 @@
+import { S3Client, HeadBucketCommand } from "@aws-sdk/client-s3";
+import { fromIni, fromTemporaryCredentials } from "@aws-sdk/credential-providers";
+import { SafeUtils, ErrorHandler, Logger, DateTime } from "../utils/index.js";
+
+/**
+ * Registry of S3 clients keyed by region, profile and role
+ *
+ * One S3Client is created per distinct {region, profile, roleArn} scope and
+ * reused. The registry also remembers which region each bucket lives in, so
+ * requests can go straight to the right endpoint after the first redirect.
+ *
+ * Scope fields:
+ * - region   → AWS region of the client
+ * - profile  → shared config/credentials profile (fromIni)
+ * - roleArn  → role assumed with STS (fromTemporaryCredentials), optionally on top of profile
+ * - externalId / sessionName → passed to AssumeRole
+ *
+ * @class S3ClientRegistry
+ *
+ * @example
+ * const registry = new S3ClientRegistry({ maxAttempts: 3 });
+ * const client = await registry.getClient({ region: 'eu-west-1', roleArn: 'arn:aws:iam::222222222222:role/s3-reader' });
+ */
+class S3ClientRegistry {
+  /** @type {string} Region used to look up bucket locations when no other region is known */
+  static DISCOVERY_REGION = "us-east-1";
+
+  /**
+   * @param {Object} [clientConfig={}] - Extra S3Client options applied to every client
+   * @param {function(string): Promise<Object>} [defaultCredentials] - Credentials for scopes without profile/roleArn, given the region
+   */
+  constructor(clientConfig = {}, defaultCredentials = undefined) {
+    this.clientConfig = clientConfig;
+    this.defaultCredentials = defaultCredentials;
+    /** @type {Map<string, Promise<S3Client>>} */
+    this.clients = new Map();
+    /** @type {Map<string, string>} Bucket name → region */
+    this.bucketRegions = new Map();
+  }
+
+  /**
+   * Cache key for a scope
+   * @param {Object} scope - {region, profile, roleArn}
+   * @returns {string} Key
+   */
+  static scopeKey({ region, profile, roleArn } = {}) {
+    return [region ?? "", profile ?? "", roleArn ?? ""].join("|");
+  }
+
+  /**
+   * Get (or create) the client for a scope
+   *
+   * @param {Object} scope - Client scope
+   * @param {string} scope.region - AWS region
+   * @param {string} [scope.profile] - Shared config profile
+   * @param {string} [scope.roleArn] - Role to assume
+   * @param {string} [scope.externalId] - External ID for AssumeRole
+   * @param {string} [scope.sessionName] - Role session name
+   * @returns {Promise<S3Client>} Client for the scope
+   * @throws {Error} When the scope is invalid or credentials cannot be resolved
+   */
+  async getClient(scope = {}) {
+    let region, profile, roleArn, externalId, sessionName;
+    try {
+      ({ region, profile, roleArn, externalId, sessionName } = SafeUtils.sanitizeValidate({
+        region: { value: scope.region, type: "string", required: true },
+        profile: { value: scope.profile, type: "string", required: false },
+        roleArn: { value: scope.roleArn, type: "string", required: false },
+        externalId: { value: scope.externalId, type: "string", required: false },
+        sessionName: { value: scope.sessionName, type: "string", required: false, default: "aws-helper-s3" },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid scope in S3ClientRegistry.getClient", {
+        scope,
+        error: err.message,
+      });
+      throw new Error(err.message);
+    }
+
+    const key = S3ClientRegistry.scopeKey({ region, profile, roleArn });
+    if (!this.clients.has(key)) {
+      const created = this.createClient({ region, profile, roleArn, externalId, sessionName });
+      // Do not cache failed credential lookups
+      created.catch(() => this.clients.delete(key));
+      this.clients.set(key, created);
+    }
+    return await this.clients.get(key);
+  }
+
+  /**
+   * Build a client and its credential provider for a validated scope
+   * @param {Object} scope - Validated scope
+   * @returns {Promise<S3Client>} New client
+   */
+  async createClient({ region, profile, roleArn, externalId, sessionName }) {
+    let credentials;
+    if (roleArn) {
+      credentials = fromTemporaryCredentials({
+        params: { RoleArn: roleArn, RoleSessionName: sessionName, ExternalId: externalId ?? undefined },
+        masterCredentials: profile ? fromIni({ profile }) : undefined,
+        clientConfig: { region },
+      });
+    } else if (profile) {
+      credentials = fromIni({ profile });
+    } else if (this.defaultCredentials) {
+      credentials = await this.defaultCredentials(region);
+    }
+
+    Logger.writeLog({
+      flag: "s3_operations",
+      action: "S3ClientRegistry.createClient",
+      message: "S3 client created",
+      data: { region, profile, roleArn, time: DateTime.now() },
+    });
+    return new S3Client({ ...this.clientConfig, region, credentials });
+  }
+
+  /**
+   * Region recorded for a bucket
+   * @param {string} bucket - Bucket name
+   * @returns {string|null} Region or null when unknown
+   */
+  getBucketRegion(bucket) {
+    return this.bucketRegions.get(bucket) ?? null;
+  }
+
+  /**
+   * Record the region of a bucket
+   * @param {string} bucket - Bucket name
+   * @param {string} region - AWS region
+   * @returns {void}
+   */
+  setBucketRegion(bucket, region) {
+    this.bucketRegions.set(bucket, region);
+  }
+
+  /**
+   * Look up a bucket's region with HeadBucket and remember it
+   * S3 reports the region in the response (or the redirect error) even when
+   * the request was sent to the wrong regional endpoint.
+   *
+   * @param {string} bucket - Bucket name
+   * @param {Object} [scope={}] - Credentials scope (profile/roleArn) to ask with
+   * @returns {Promise<string|null>} Region or null when it cannot be determined
+   */
+  async discoverBucketRegion(bucket, scope = {}) {
+    const known = this.getBucketRegion(bucket);
+    if (known) return known;
+
+    const client = await this.getClient({ ...scope, region: scope.region || S3ClientRegistry.DISCOVERY_REGION });
+    let region = null;
+    try {
+      const result = await client.send(new HeadBucketCommand({ Bucket: bucket }));
+      region = result.BucketRegion ?? null;
+    } catch (err) {
+      region = S3ClientRegistry.regionFromError(err);
+    }
+    if (region) this.setBucketRegion(bucket, region);
+    return region;
+  }
+
+  /**
+   * Extract the bucket region from a redirect/region-mismatch error
+   * @param {Error} err - Error thrown by S3Client.send
+   * @returns {string|null} Region or null
+   */
+  static regionFromError(err) {
+    return (
+      err?.$response?.headers?.["x-amz-bucket-region"] ??
+      err?.BucketRegion ??
+      err?.Region ??
+      null
+    );
+  }
+
+  /**
+   * Whether an error means the request went to the wrong region
+   * @param {Error} err - Error thrown by S3Client.send
+   * @returns {boolean} True for PermanentRedirect / 301 / region mismatch
+   */
+  static isRegionRedirect(err) {
+    return (
+      err?.name === "PermanentRedirect" ||
+      err?.Code === "PermanentRedirect" ||
+      err?.name === "AuthorizationHeaderMalformed" ||
+      err?.$metadata?.httpStatusCode === 301
+    );
+  }
+}
+
+export default S3ClientRegistry;
@@ -0,0 +1,321 @@
+import crypto from "crypto";
+import { Readable, Transform, pipeline } from "stream";
+import { SafeUtils } from "../utils/index.js";
+
+/**
+ * Client-side envelope encryption for S3 objects
+ *
+ * Every object is encrypted with its own random 256-bit data key using
+ * AES-256-GCM. The data key is wrapped (encrypted) by a key wrapper and stored,
+ * together with the IV, in the object's user metadata; the body is the
+ * ciphertext followed by the 16-byte GCM tag. The metadata names follow the
+ * AWS S3 Encryption Client v2 layout:
+ * - x-amz-key-v2   → wrapped data key (base64)
+ * - x-amz-iv       → GCM IV (base64)
+ * - x-amz-cek-alg  → 'AES/GCM/NoPadding'
+ * - x-amz-wrap-alg → wrapping algorithm reported by the key wrapper
+ * - x-amz-matdesc  → material description (JSON) the wrapper needs to unwrap
+ * - x-amz-tag-len  → '128'
+ * - x-amz-unencrypted-content-length → plaintext size when known
+ *
+ * Key wrappers share a small async interface so AwsS3 can use any of them:
+ * - wrapKey(dataKey, context) → {wrappedKey: Buffer, wrapAlgorithm, materialDescription}
+ * - unwrapKey(wrappedKey, {wrapAlgorithm, materialDescription, context}) → data key Buffer
+ *
+ * @example
+ * AwsS3.configureClientEncryption({ keyWrapper: new LocalKeyWrapper(process.env.S3_MASTER_KEY) });
+ */
+
+/**
+ * Envelope creation, encryption and decryption helpers
+ *
+ * @class S3EnvelopeEncryption
+ */
+class S3EnvelopeEncryption {
+  /** @type {string} Content encryption algorithm (stored in x-amz-cek-alg) */
+  static CONTENT_ALGORITHM = "AES/GCM/NoPadding";
+
+  /** @type {number} Data key length in bytes (AES-256) */
+  static KEY_LENGTH = 32;
+
+  /** @type {number} GCM IV length in bytes */
+  static IV_LENGTH = 12;
+
+  /** @type {number} GCM authentication tag length in bytes */
+  static TAG_LENGTH = 16;
+
+  /** @type {Object<string, string>} User metadata names of the envelope fields */
+  static METADATA = {
+    KEY: "x-amz-key-v2",
+    IV: "x-amz-iv",
+    CONTENT_ALGORITHM: "x-amz-cek-alg",
+    WRAP_ALGORITHM: "x-amz-wrap-alg",
+    MATERIAL_DESCRIPTION: "x-amz-matdesc",
+    TAG_LENGTH: "x-amz-tag-len",
+    PLAINTEXT_LENGTH: "x-amz-unencrypted-content-length",
+  };
+
+  /**
+   * Encryption context bound to every wrapped key
+   * Only the content algorithm is included so encrypted objects can still be
+   * copied or moved to other keys.
+   * @returns {Object<string, string>} Context
+   */
+  static encryptionContext() {
+    return { "aws:x-amz-cek-alg": S3EnvelopeEncryption.CONTENT_ALGORITHM };
+  }
+
+  /**
+   * Whether object metadata describes a client-side encrypted object
+   * @param {Object<string, string>|null|undefined} metadata - User metadata (as returned by Head/GetObject)
+   * @returns {boolean} True when the envelope fields are present
+   */
+  static isEncrypted(metadata) {
+    const { KEY, IV } = S3EnvelopeEncryption.METADATA;
+    return !!(metadata?.[KEY] && metadata?.[IV]);
+  }
+
+  /**
+   * Check that an object implements the key wrapper interface
+   * @param {Object} keyWrapper - Candidate key wrapper
+   * @returns {boolean} True when wrapKey() and unwrapKey() are present
+   */
+  static isKeyWrapper(keyWrapper) {
+    return !!keyWrapper && ["wrapKey", "unwrapKey"].every((m) => typeof keyWrapper[m] === "function");
+  }
+
+  /**
+   * Create a fresh data key and IV and wrap the key
+   *
+   * @param {Object} keyWrapper - Key wrapper
+   * @param {number|null} [plaintextLength=null] - Plaintext size to record, when known
+   * @returns {Promise<{dataKey: Buffer, iv: Buffer, metadata: Object<string, string>}>} Envelope
+   */
+  static async createEnvelope(keyWrapper, plaintextLength = null) {
+    const dataKey = crypto.randomBytes(S3EnvelopeEncryption.KEY_LENGTH);
+    const iv = crypto.randomBytes(S3EnvelopeEncryption.IV_LENGTH);
+    const { wrappedKey, wrapAlgorithm, materialDescription } = await keyWrapper.wrapKey(
+      dataKey,
+      S3EnvelopeEncryption.encryptionContext()
+    );
+
+    const { METADATA } = S3EnvelopeEncryption;
+    const metadata = {
+      [METADATA.KEY]: Buffer.from(wrappedKey).toString("base64"),
+      [METADATA.IV]: iv.toString("base64"),
+      [METADATA.CONTENT_ALGORITHM]: S3EnvelopeEncryption.CONTENT_ALGORITHM,
+      [METADATA.WRAP_ALGORITHM]: wrapAlgorithm,
+      [METADATA.MATERIAL_DESCRIPTION]: JSON.stringify(materialDescription ?? {}),
+      [METADATA.TAG_LENGTH]: String(S3EnvelopeEncryption.TAG_LENGTH * 8),
+    };
+    if (plaintextLength !== null) metadata[METADATA.PLAINTEXT_LENGTH] = String(plaintextLength);
+    return { dataKey, iv, metadata };
+  }
+
+  /**
+   * Unwrap the data key of an encrypted object
+   *
+   * @param {Object} keyWrapper - Key wrapper
+   * @param {Object<string, string>} metadata - Object user metadata
+   * @returns {Promise<{dataKey: Buffer, iv: Buffer, metadata: Object<string, string>}>} Envelope
+   * @throws {Error} When the metadata is not a supported envelope or the key cannot be unwrapped
+   */
+  static async openEnvelope(keyWrapper, metadata) {
+    const { METADATA } = S3EnvelopeEncryption;
+    if (!S3EnvelopeEncryption.isEncrypted(metadata)) {
+      throw new Error("Object is not client-side encrypted");
+    }
+    if (metadata[METADATA.CONTENT_ALGORITHM] !== S3EnvelopeEncryption.CONTENT_ALGORITHM) {
+      throw new Error(`Unsupported content encryption algorithm "${metadata[METADATA.CONTENT_ALGORITHM]}"`);
+    }
+
+    let materialDescription;
+    try {
+      materialDescription = JSON.parse(metadata[METADATA.MATERIAL_DESCRIPTION] || "{}");
+    } catch {
+      throw new Error(`Invalid ${METADATA.MATERIAL_DESCRIPTION} metadata`);
+    }
+    const dataKey = await keyWrapper.unwrapKey(Buffer.from(metadata[METADATA.KEY], "base64"), {
+      wrapAlgorithm: metadata[METADATA.WRAP_ALGORITHM],
+      materialDescription,
+      context: S3EnvelopeEncryption.encryptionContext(),
+    });
+    return { dataKey: Buffer.from(dataKey), iv: Buffer.from(metadata[METADATA.IV], "base64"), metadata };
+  }
+
+  /**
+   * Encrypt in-memory content
+   * @param {{dataKey: Buffer, iv: Buffer}} envelope - Envelope from createEnvelope/openEnvelope
+   * @param {Buffer|Uint8Array|string} plaintext - Content
+   * @returns {Buffer} Ciphertext followed by the GCM tag
+   */
+  static encryptBuffer({ dataKey, iv }, plaintext) {
+    const cipher = crypto.createCipheriv("aes-256-gcm", dataKey, iv);
+    const body = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([body, cipher.getAuthTag()]);
+  }
+
+  /**
+   * Transform stream that encrypts its input and appends the GCM tag
+   * Encrypting the same content with the same envelope yields the same bytes,
+   * which lets an interrupted multipart upload be resumed.
+   * @param {{dataKey: Buffer, iv: Buffer}} envelope - Envelope from createEnvelope/openEnvelope
+   * @returns {Transform} Encrypting stream
+   */
+  static encryptStream({ dataKey, iv }) {
+    const cipher = crypto.createCipheriv("aes-256-gcm", dataKey, iv);
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        callback(null, cipher.update(chunk));
+      },
+      flush(callback) {
+        this.push(cipher.final());
+        callback(null, cipher.getAuthTag());
+      },
+    });
+  }
+
+  /**
+   * Encrypt upload content of any supported shape
+   * @param {{dataKey: Buffer, iv: Buffer}} envelope - Envelope from createEnvelope/openEnvelope
+   * @param {string|Buffer|Uint8Array|AsyncIterable} source - Content or readable stream
+   * @returns {Buffer|Transform} Encrypted Buffer for in-memory content, otherwise an encrypted stream
+   */
+  static encryptSource(envelope, source) {
+    if (typeof source === "string" || source instanceof Uint8Array) {
+      return S3EnvelopeEncryption.encryptBuffer(envelope, source);
+    }
+    const encrypted = S3EnvelopeEncryption.encryptStream(envelope);
+    // pipeline forwards source errors to the encrypted stream's consumer
+    pipeline(source, encrypted, () => {});
+    return encrypted;
+  }
+
+  /**
+   * Only the envelope fields of an object's metadata
+   * @param {Object<string, string>} metadata - Object user metadata
+   * @returns {Object<string, string>} Envelope fields
+   */
+  static pickMetadata(metadata) {
+    const picked = {};
+    for (const name of Object.values(S3EnvelopeEncryption.METADATA)) {
+      if (metadata?.[name] !== undefined) picked[name] = metadata[name];
+    }
+    return picked;
+  }
+
+  /**
+   * Decrypt and authenticate in-memory ciphertext
+   * @param {{dataKey: Buffer, iv: Buffer}} envelope - Envelope from openEnvelope
+   * @param {Buffer|Uint8Array} ciphertext - Ciphertext followed by the GCM tag
+   * @returns {Buffer} Plaintext
+   * @throws {Error} When the content was modified or the key is wrong
+   */
+  static decryptBuffer({ dataKey, iv }, ciphertext) {
+    const { TAG_LENGTH } = S3EnvelopeEncryption;
+    if (ciphertext.length < TAG_LENGTH) {
+      throw new Error("Encrypted content is truncated");
+    }
+    const data = Buffer.from(ciphertext);
+    const decipher = crypto.createDecipheriv("aes-256-gcm", dataKey, iv);
+    decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+    try {
+      return Buffer.concat([decipher.update(data.subarray(0, data.length - TAG_LENGTH)), decipher.final()]);
+    } catch {
+      throw new Error("Decryption failed: content was modified or the wrong key was used");
+    }
+  }
+
+  /**
+   * Wrap decrypted content in a readable body with the SDK stream helpers
+   * getFile callers can keep using transformToByteArray()/transformToString().
+   * @param {Buffer} plaintext - Decrypted content
+   * @returns {Readable} Body stream
+   */
+  static toBody(plaintext) {
+    const body = Readable.from([plaintext]);
+    body.transformToByteArray = async () => new Uint8Array(plaintext);
+    body.transformToString = async (encoding = "utf-8") => plaintext.toString(encoding);
+    return body;
+  }
+}
+
+/**
+ * Key wrapper backed by a local 256-bit master key (AES-256-GCM key wrap)
+ * Intended for tests and for environments that manage their own keys; use
+ * KmsKeyWrapper from ./S3KmsKeyWrapper.js to keep the master key in KMS.
+ *
+ * @class LocalKeyWrapper
+ *
+ * @example
+ * const wrapper = new LocalKeyWrapper(crypto.randomBytes(32), 'test-key');
+ */
+export class LocalKeyWrapper {
+  /** @type {string} Wrapping algorithm recorded in x-amz-wrap-alg */
+  static WRAP_ALGORITHM = "AES/GCM";
+
+  /**
+   * @param {Buffer|string} masterKey - 32-byte key, or its base64 encoding
+   * @param {string} [keyId='local'] - Identifier stored in the material description
+   * @throws {Error} When the key is not 32 bytes
+   */
+  constructor(masterKey, keyId = "local") {
+    ({ keyId } = SafeUtils.sanitizeValidate({
+      keyId: { value: keyId, type: "string", required: true },
+    }));
+    const key = typeof masterKey === "string" ? Buffer.from(masterKey, "base64") : Buffer.from(masterKey ?? []);
+    if (key.length !== S3EnvelopeEncryption.KEY_LENGTH) {
+      throw new Error(`masterKey must be ${S3EnvelopeEncryption.KEY_LENGTH} bytes`);
+    }
+    this.masterKey = key;
+    this.keyId = keyId;
+  }
+
+  /**
+   * Wrap a data key
+   * @param {Buffer} dataKey - Plaintext data key
+   * @param {Object<string, string>} context - Encryption context, authenticated as AAD
+   * @returns {Promise<Object>} {wrappedKey, wrapAlgorithm, materialDescription}
+   */
+  async wrapKey(dataKey, context) {
+    const iv = crypto.randomBytes(S3EnvelopeEncryption.IV_LENGTH);
+    const cipher = crypto.createCipheriv("aes-256-gcm", this.masterKey, iv);
+    cipher.setAAD(Buffer.from(JSON.stringify(context)));
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+    return {
+      wrappedKey: Buffer.concat([iv, wrapped, cipher.getAuthTag()]),
+      wrapAlgorithm: LocalKeyWrapper.WRAP_ALGORITHM,
+      materialDescription: { keyId: this.keyId },
+    };
+  }
+
+  /**
+   * Unwrap a data key
+   * @param {Buffer} wrappedKey - IV, wrapped key and tag
+   * @param {Object} details - {wrapAlgorithm, materialDescription, context}
+   * @returns {Promise<Buffer>} Plaintext data key
+   * @throws {Error} When the key was wrapped by another wrapper or master key
+   */
+  async unwrapKey(wrappedKey, { wrapAlgorithm, materialDescription, context }) {
+    if (wrapAlgorithm !== LocalKeyWrapper.WRAP_ALGORITHM) {
+      throw new Error(`Key was wrapped with "${wrapAlgorithm}", not ${LocalKeyWrapper.WRAP_ALGORITHM}`);
+    }
+    if (materialDescription?.keyId !== this.keyId) {
+      throw new Error(`Key was wrapped with master key "${materialDescription?.keyId}", not "${this.keyId}"`);
+    }
+    const { IV_LENGTH, TAG_LENGTH } = S3EnvelopeEncryption;
+    const decipher = crypto.createDecipheriv("aes-256-gcm", this.masterKey, wrappedKey.subarray(0, IV_LENGTH));
+    decipher.setAAD(Buffer.from(JSON.stringify(context)));
+    decipher.setAuthTag(wrappedKey.subarray(wrappedKey.length - TAG_LENGTH));
+    try {
+      return Buffer.concat([
+        decipher.update(wrappedKey.subarray(IV_LENGTH, wrappedKey.length - TAG_LENGTH)),
+        decipher.final(),
+      ]);
+    } catch {
+      throw new Error("Data key could not be unwrapped with this master key");
+    }
+  }
+}
+
+export default S3EnvelopeEncryption;
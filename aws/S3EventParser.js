@@ -0,0 +1,215 @@
+/**
+ * Parser for S3 event notifications received from SQS
+ *
+ * Accepts the three shapes a bucket event can arrive in:
+ * - S3 → SQS: body is {"Records": [...]} with URL-encoded keys
+ * - S3 → SNS → SQS: body is an SNS envelope whose Message holds the records
+ * - S3 → EventBridge → SQS: body is an EventBridge event from source "aws.s3"
+ * and turns each into S3EventRecord instances with decoded keys and parsed
+ * dates. The s3:TestEvent S3 sends when a notification is configured yields
+ * no records and sets isTestEvent.
+ *
+ * @class S3EventParser
+ *
+ * @example
+ * const messages = await SQSHelper.receive('uploads_queue', 10);
+ * for (const { records, message } of S3EventParser.parseMessages(messages)) {
+ *   for (const record of records.filter(r => r.isObjectCreated)) await processUpload(record.bucket, record.key);
+ *   await SQSHelper.delete('uploads_queue', message.ReceiptHandle);
+ * }
+ */
+class S3EventParser {
+  /** @type {Object<string, string>} EventBridge detail-type → S3 event name */
+  static EVENTBRIDGE_EVENT_NAMES = {
+    "Object Created": "ObjectCreated",
+    "Object Deleted": "ObjectRemoved",
+    "Object Restore Initiated": "ObjectRestore:Post",
+    "Object Restore Completed": "ObjectRestore:Completed",
+    "Object Restore Expired": "ObjectRestore:Delete",
+    "Object Tags Added": "ObjectTagging:Put",
+    "Object Tags Deleted": "ObjectTagging:Delete",
+    "Object ACL Updated": "ObjectAcl:Put",
+    "Object Storage Class Changed": "LifecycleTransition",
+    "Object Access Tier Changed": "IntelligentTiering",
+  };
+
+  /**
+   * Decode an S3 notification key (URL-encoded, spaces as '+')
+   * @param {string} key - Key as sent in the notification
+   * @returns {string} Decoded key
+   */
+  static decodeKey(key) {
+    try {
+      return decodeURIComponent(String(key).replace(/\+/g, " "));
+    } catch {
+      return String(key);
+    }
+  }
+
+  /**
+   * Parse one notification body
+   * @param {string|Object} body - SQS message body (JSON string or parsed object)
+   * @returns {{records: S3EventRecord[], isTestEvent: boolean}} Records
+   * @throws {Error} When the body is not JSON or not an S3 event
+   */
+  static parse(body) {
+    let payload = body;
+    if (typeof payload === "string") {
+      try {
+        payload = JSON.parse(payload);
+      } catch (err) {
+        throw new Error(`S3 event body is not JSON: ${err.message}`);
+      }
+    }
+    let via = "s3";
+    if (payload?.Type === "Notification" && typeof payload.Message === "string") {
+      via = "sns";
+      try {
+        payload = JSON.parse(payload.Message);
+      } catch (err) {
+        throw new Error(`SNS message is not JSON: ${err.message}`);
+      }
+    }
+
+    if (payload?.Event === "s3:TestEvent") {
+      return { records: [], isTestEvent: true };
+    }
+    if (Array.isArray(payload?.Records)) {
+      return { records: payload.Records.map((record) => S3EventParser.fromNotificationRecord(record, via)), isTestEvent: false };
+    }
+    if (payload?.source === "aws.s3" && payload.detail) {
+      return { records: [S3EventParser.fromEventBridge(payload)], isTestEvent: false };
+    }
+    throw new Error("Message is not an S3 event notification");
+  }
+
+  /**
+   * Convert a record from an S3 notification ({"Records": [...]})
+   * @param {Object} record - Notification record
+   * @param {string} via - 's3' or 'sns'
+   * @returns {S3EventRecord} Record
+   * @throws {Error} When the record is not from S3
+   */
+  static fromNotificationRecord(record, via) {
+    if (record?.eventSource !== "aws:s3" || !record.s3) {
+      throw new Error(`Unexpected event source: ${record?.eventSource}`);
+    }
+    const { bucket, object } = record.s3;
+    return new S3EventRecord({
+      eventName: record.eventName,
+      bucket: bucket.name,
+      key: S3EventParser.decodeKey(object.key),
+      size: object.size ?? null,
+      etag: object.eTag ?? null,
+      versionId: object.versionId ?? null,
+      sequencer: object.sequencer ?? null,
+      eventTime: record.eventTime ? new Date(record.eventTime) : null,
+      region: record.awsRegion ?? null,
+      requestId: record.responseElements?.["x-amz-request-id"] ?? null,
+      principalId: record.userIdentity?.principalId ?? null,
+      configurationId: record.s3.configurationId ?? null,
+      via,
+    });
+  }
+
+  /**
+   * Convert an EventBridge event from source aws.s3
+   * @param {Object} event - EventBridge event
+   * @returns {S3EventRecord} Record
+   */
+  static fromEventBridge(event) {
+    const { bucket, object = {} } = event.detail;
+    const category = S3EventParser.EVENTBRIDGE_EVENT_NAMES[event["detail-type"]] ?? event["detail-type"];
+    // Created/Deleted events carry the API call (PutObject, DeleteObject, ...) as the reason
+    const eventName = event.detail.reason && !category.includes(":") ? `${category}:${event.detail.reason}` : category;
+    return new S3EventRecord({
+      eventName,
+      bucket: bucket.name,
+      key: object.key,
+      size: object.size ?? null,
+      etag: object.etag ?? null,
+      versionId: object["version-id"] ?? null,
+      sequencer: object.sequencer ?? null,
+      eventTime: event.time ? new Date(event.time) : null,
+      region: event.region ?? null,
+      requestId: event.detail["request-id"] ?? null,
+      principalId: event.detail.requester ?? null,
+      configurationId: null,
+      via: "eventbridge",
+    });
+  }
+
+  /**
+   * Parse messages returned by SQSHelper.receive
+   * Messages that are not S3 events are returned with an `error` instead of
+   * throwing, so one bad message does not block the batch.
+   * @param {Object[]} messages - SQS messages ({MessageId, ReceiptHandle, Body})
+   * @returns {Array<{message: Object, records: S3EventRecord[], isTestEvent: boolean, error: string|null}>} Parsed messages
+   */
+  static parseMessages(messages) {
+    return [].concat(messages ?? []).map((message) => {
+      try {
+        return { message, ...S3EventParser.parse(message.Body), error: null };
+      } catch (err) {
+        return { message, records: [], isTestEvent: false, error: err.message };
+      }
+    });
+  }
+}
+
+/**
+ * One bucket event
+ *
+ * @class S3EventRecord
+ */
+export class S3EventRecord {
+  /**
+   * @param {Object} fields - Normalised event fields
+   * @param {string} fields.eventName - Event without the 's3:' prefix, e.g. 'ObjectCreated:Put'
+   * @param {string} fields.bucket - Bucket name
+   * @param {string} fields.key - Object key (decoded)
+   * @param {number|null} fields.size - Object size in bytes (null for deletes)
+   * @param {string|null} fields.etag - ETag without quotes
+   * @param {string|null} fields.versionId - Object version
+   * @param {string|null} fields.sequencer - Ordering value for events on the same key
+   * @param {Date|null} fields.eventTime - When the event happened
+   * @param {string|null} fields.region - Bucket region
+   * @param {string|null} fields.requestId - S3 request ID
+   * @param {string|null} fields.principalId - Requester
+   * @param {string|null} fields.configurationId - Notification configuration ID (not set for EventBridge events)
+   * @param {string} fields.via - 's3', 'sns' or 'eventbridge'
+   */
+  constructor(fields) {
+    Object.assign(this, fields);
+  }
+
+  /** @returns {string} Event category, e.g. 'ObjectCreated' */
+  get eventType() {
+    return this.eventName.split(":")[0];
+  }
+
+  /** @returns {boolean} True for ObjectCreated events */
+  get isObjectCreated() {
+    return this.eventType === "ObjectCreated";
+  }
+
+  /** @returns {boolean} True for ObjectRemoved events */
+  get isObjectRemoved() {
+    return this.eventType === "ObjectRemoved";
+  }
+
+  /**
+   * Whether this event happened after another one on the same key
+   * Sequencers are hex strings of varying length; S3 compares them after
+   * right-padding the shorter one with zeros.
+   * @param {S3EventRecord} other - Other event
+   * @returns {boolean} True when this event is newer
+   */
+  isNewerThan(other) {
+    if (!this.sequencer || !other?.sequencer) return (this.eventTime ?? 0) > (other?.eventTime ?? 0);
+    const length = Math.max(this.sequencer.length, other.sequencer.length);
+    return this.sequencer.padEnd(length, "0").toUpperCase() > other.sequencer.padEnd(length, "0").toUpperCase();
+  }
+}
+
+export default S3EventParser;
@@ -0,0 +1,104 @@
+import { KMSClient, EncryptCommand, DecryptCommand } from "@aws-sdk/client-kms";
+import SecretsManager from "./SecretsManager.js";
+import { SafeUtils, ErrorHandler, Logger, DateTime } from "../utils/index.js";
+
+/**
+ * Key wrapper for S3 client-side encryption backed by AWS KMS
+ *
+ * Data keys are wrapped with kms:Encrypt under the configured key and the
+ * encryption context, and unwrapped with kms:Decrypt. The context is stored as
+ * the material description ('kms+context', as in the AWS S3 Encryption Client
+ * v2), so objects stay readable by any principal allowed to decrypt with the key.
+ * Lives in its own module so @aws-sdk/client-kms is only loaded when KMS wrapping is used.
+ *
+ * @class KmsKeyWrapper
+ *
+ * @example
+ * import KmsKeyWrapper from './S3KmsKeyWrapper.js';
+ * AwsS3.configureClientEncryption({ keyWrapper: new KmsKeyWrapper('alias/s3-documents', 'eu-west-1') });
+ */
+class KmsKeyWrapper {
+  /** @type {string} Wrapping algorithm recorded in x-amz-wrap-alg */
+  static WRAP_ALGORITHM = "kms+context";
+
+  /**
+   * @param {string} keyId - KMS key ID, ARN or alias used to wrap data keys
+   * @param {string} region - AWS region of the key
+   * @param {KMSClient} [client] - Preconfigured client (credentials are resolved via SecretsManager otherwise)
+   * @throws {Error} When keyId or region is missing
+   */
+  constructor(keyId, region, client = null) {
+    try {
+      ({ keyId, region } = SafeUtils.sanitizeValidate({
+        keyId: { value: keyId, type: "string", required: true },
+        region: { value: region, type: "string", required: true },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid params in KmsKeyWrapper", {
+        keyId,
+        region,
+        error: err.message,
+      });
+      throw new Error(err.message);
+    }
+    this.keyId = keyId;
+    this.region = region;
+    this.client = client;
+  }
+
+  /**
+   * Lazily create the KMS client
+   * @returns {Promise<KMSClient>} Client
+   */
+  async getClient() {
+    if (!this.client) {
+      const credentials = await SecretsManager.getAWSCredentials(this.region);
+      this.client = new KMSClient({ region: this.region, credentials });
+    }
+    return this.client;
+  }
+
+  /**
+   * Wrap a data key with kms:Encrypt
+   * @param {Buffer} dataKey - Plaintext data key
+   * @param {Object<string, string>} context - KMS encryption context
+   * @returns {Promise<Object>} {wrappedKey, wrapAlgorithm, materialDescription}
+   */
+  async wrapKey(dataKey, context) {
+    const client = await this.getClient();
+    const res = await client.send(
+      new EncryptCommand({ KeyId: this.keyId, Plaintext: dataKey, EncryptionContext: context })
+    );
+    Logger.writeLog({
+      flag: "s3_operations",
+      action: "KmsKeyWrapper.wrapKey",
+      message: "Data key wrapped with KMS",
+      data: { keyId: res.KeyId ?? this.keyId, time: DateTime.now() },
+    });
+    return {
+      wrappedKey: Buffer.from(res.CiphertextBlob),
+      wrapAlgorithm: KmsKeyWrapper.WRAP_ALGORITHM,
+      materialDescription: context,
+    };
+  }
+
+  /**
+   * Unwrap a data key with kms:Decrypt
+   * @param {Buffer} wrappedKey - KMS ciphertext blob
+   * @param {Object} details - {wrapAlgorithm, materialDescription}
+   * @returns {Promise<Buffer>} Plaintext data key
+   * @throws {Error} When the key was not wrapped by KMS or KMS refuses to decrypt it
+   */
+  async unwrapKey(wrappedKey, { wrapAlgorithm, materialDescription }) {
+    if (wrapAlgorithm !== KmsKeyWrapper.WRAP_ALGORITHM) {
+      throw new Error(`Key was wrapped with "${wrapAlgorithm}", not ${KmsKeyWrapper.WRAP_ALGORITHM}`);
+    }
+    const client = await this.getClient();
+    const res = await client.send(
+      new DecryptCommand({ KeyId: this.keyId, CiphertextBlob: wrappedKey, EncryptionContext: materialDescription })
+    );
+    return Buffer.from(res.Plaintext);
+  }
+}
+
+export default KmsKeyWrapper;
@@ -0,0 +1,190 @@
+import { SafeUtils } from "../utils/index.js";
+
+/**
+ * Bounded LRU cache with per-entry TTL for S3 HeadObject/HeadBucket results
+ *
+ * Entries expire after ttlMs; "not found" answers ({exists: false}) use the
+ * shorter negativeTtlMs so a newly created object shows up quickly. When the
+ * cache is full the least recently read entry is evicted. Keys are plain
+ * strings; AwsS3 uses "bucket" for buckets and "bucket/key" for objects, so
+ * invalidatePrefix("bucket/logs/") drops every cached object below logs/.
+ * Values are copied on set and on get, so callers can modify what they pass
+ * in or get back without changing the cached entry.
+ *
+ * @class S3MetadataCache
+ *
+ * @example
+ * const cache = new S3MetadataCache({ maxEntries: 500, ttlMs: 30000 });
+ * cache.set('my-bucket/a.txt', { exists: true, size: 12, etag: '"9a0364b9e99bb480dd25e1f0284c8555"' });
+ * cache.get('my-bucket/a.txt'); // → { exists: true, size: 12, ... }
+ * cache.stats();                // → { hits: 1, misses: 0, ... }
+ */
+class S3MetadataCache {
+  /** @type {number} Default maximum number of entries */
+  static DEFAULT_MAX_ENTRIES = 5000;
+
+  /** @type {number} Default lifetime of an entry in milliseconds (1 minute) */
+  static DEFAULT_TTL_MS = 60000;
+
+  /** @type {number} Default lifetime of a "not found" entry in milliseconds (5 seconds) */
+  static DEFAULT_NEGATIVE_TTL_MS = 5000;
+
+  /**
+   * @param {Object} [options={}] - Cache limits (see configure)
+   */
+  constructor(options = {}) {
+    /** @type {Map<string, {value: *, expiresAt: number}>} Insertion order doubles as LRU order */
+    this.entries = new Map();
+    this.maxEntries = S3MetadataCache.DEFAULT_MAX_ENTRIES;
+    this.ttlMs = S3MetadataCache.DEFAULT_TTL_MS;
+    this.negativeTtlMs = S3MetadataCache.DEFAULT_NEGATIVE_TTL_MS;
+    this.resetStats();
+    this.configure(options);
+  }
+
+  /**
+   * Change the cache limits; entries over the new maxEntries are evicted
+   *
+   * @param {Object} [options={}] - Limits to change
+   * @param {number} [options.maxEntries] - Maximum entries (0 disables caching)
+   * @param {number} [options.ttlMs] - Lifetime of an entry in milliseconds
+   * @param {number} [options.negativeTtlMs] - Lifetime of a {exists: false} entry in milliseconds
+   * @returns {void}
+   * @throws {Error} When a limit is not a non-negative integer
+   */
+  configure(options = {}) {
+    const { maxEntries, ttlMs, negativeTtlMs } = SafeUtils.sanitizeValidate({
+      maxEntries: { value: options.maxEntries, type: "int", required: false, default: this.maxEntries },
+      ttlMs: { value: options.ttlMs, type: "int", required: false, default: this.ttlMs },
+      negativeTtlMs: { value: options.negativeTtlMs, type: "int", required: false, default: this.negativeTtlMs },
+    });
+    if (maxEntries < 0 || ttlMs < 0 || negativeTtlMs < 0) {
+      throw new Error("maxEntries, ttlMs and negativeTtlMs must be >= 0");
+    }
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.negativeTtlMs = negativeTtlMs;
+    this.evictOverflow();
+  }
+
+  /**
+   * Read an entry, refreshing its LRU position
+   * @param {string} key - Cache key
+   * @returns {*} Copy of the cached value, or undefined on a miss or expired entry
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.counters.misses += 1;
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.counters.expirations += 1;
+      this.counters.misses += 1;
+      return undefined;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.counters.hits += 1;
+    return structuredClone(entry.value);
+  }
+
+  /**
+   * Store an entry
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache, stored as a copy ({exists: false} values use negativeTtlMs)
+   * @returns {void}
+   */
+  set(key, value) {
+    if (this.maxEntries === 0) return;
+    const ttl = value?.exists === false ? this.negativeTtlMs : this.ttlMs;
+    if (ttl === 0) return;
+    this.entries.delete(key);
+    this.entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttl });
+    this.counters.sets += 1;
+    this.evictOverflow();
+  }
+
+  /**
+   * Remove one entry
+   * @param {string} key - Cache key
+   * @returns {boolean} True when an entry was removed
+   */
+  delete(key) {
+    const removed = this.entries.delete(key);
+    if (removed) this.counters.invalidations += 1;
+    return removed;
+  }
+
+  /**
+   * Remove every entry whose key starts with a prefix
+   * @param {string} prefix - Key prefix ('' clears everything)
+   * @returns {number} Number of entries removed
+   */
+  invalidatePrefix(prefix) {
+    let removed = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        removed += 1;
+      }
+    }
+    this.counters.invalidations += removed;
+    return removed;
+  }
+
+  /**
+   * Remove all entries (statistics are kept)
+   * @returns {void}
+   */
+  clear() {
+    this.counters.invalidations += this.entries.size;
+    this.entries.clear();
+  }
+
+  /**
+   * Number of stored entries (expired entries are counted until read)
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Hit/miss statistics and current limits
+   * @returns {Object} {hits, misses, hitRate, sets, evictions, expirations, invalidations, size, maxEntries, ttlMs, negativeTtlMs}
+   */
+  stats() {
+    const lookups = this.counters.hits + this.counters.misses;
+    return {
+      ...this.counters,
+      hitRate: lookups === 0 ? 0 : Math.round((this.counters.hits / lookups) * 1000) / 1000,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      negativeTtlMs: this.negativeTtlMs,
+    };
+  }
+
+  /**
+   * Reset the hit/miss counters
+   * @returns {void}
+   */
+  resetStats() {
+    this.counters = { hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0, invalidations: 0 };
+  }
+
+  /**
+   * Drop least recently used entries until the cache fits maxEntries
+   * @returns {void}
+   */
+  evictOverflow() {
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.counters.evictions += 1;
+    }
+  }
+}
+
+export default S3MetadataCache;
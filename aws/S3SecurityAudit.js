@@ -0,0 +1,697 @@
+/**
+ * S3 Security Audit - Rule-based bucket security scoring and reporting
+ *
+ * Each check is a rule with an id, title, severity, weight and an async
+ * `evaluate(ctx)` function. Rules read bucket settings through `ctx.fetch(name)`,
+ * which loads each setting once per bucket and shares it between rules.
+ *
+ * A rule returns:
+ * - status: 'pass' | 'warn' | 'fail' | 'skip'  ('error' is set when evaluate throws)
+ * - points: 0..1 share of the rule weight earned (defaults: pass 1, otherwise 0)
+ * - message, recommendation, details
+ *
+ * Score = earned weight / total weight of non-skipped rules, out of 100.
+ * A report `passed` when no failing rule is at or above `failOnSeverity`
+ * and the score is at least `minScore` — use it to gate CI.
+ *
+ * @example
+ * const audit = new S3SecurityAudit({
+ *   overrides: { logging: { severity: 'high', weight: 10 }, objectLock: { enabled: false } },
+ *   failOnSeverity: 'high',
+ *   minScore: 70,
+ * });
+ * const report = await audit.auditAllBuckets();
+ * fs.writeFileSync('s3-audit.xml', S3SecurityAudit.toJUnit(report));
+ * process.exitCode = report.passed ? 0 : 1;
+ */
+
+import {
+  GetBucketCorsCommand,
+  GetBucketPolicyCommand,
+  GetBucketLoggingCommand,
+} from "@aws-sdk/client-s3";
+import AwsS3 from "./AwsS3.js";
+import { ErrorHandler, Logger, DateTime } from "../utils/index.js";
+
+class S3SecurityAudit {
+  /** @type {string[]} Severities from most to least important */
+  static SEVERITIES = ["critical", "high", "medium", "low", "info"];
+
+  /** @type {Object<string, number>} Default point share per status */
+  static STATUS_POINTS = { pass: 1, warn: 0.5, fail: 0, error: 0 };
+
+  /** @type {Array<[number, string]>} Minimum score → security level */
+  static LEVELS = [
+    [80, "EXCELLENT"],
+    [60, "GOOD"],
+    [40, "FAIR"],
+    [20, "POOR"],
+    [0, "CRITICAL"],
+  ];
+
+  /**
+   * Bucket settings available to rules through ctx.fetch(name)
+   * @type {Object<string, function(Object, string): Promise<*>>}
+   */
+  static FETCHERS = {
+    encryption: (s3, bucket) => s3.checkBucketEncryption(bucket),
+    publicAccess: (s3, bucket) => s3.checkPublicAccessBlock(bucket),
+    versioning: (s3, bucket) => s3.getVersioningStatus(bucket),
+    lifecycle: (s3, bucket) => s3.getLifecycleRules(bucket),
+    objectLock: (s3, bucket) => s3.getObjectLockConfiguration(bucket),
+    cors: async (s3, bucket) => {
+      try {
+        const result = await s3.send(new GetBucketCorsCommand({ Bucket: bucket }));
+        return result.CORSRules || [];
+      } catch (err) {
+        if (err.name === "NoSuchCORSConfiguration") return [];
+        throw err;
+      }
+    },
+    policy: async (s3, bucket) => {
+      try {
+        const result = await s3.send(new GetBucketPolicyCommand({ Bucket: bucket }));
+        return JSON.parse(result.Policy);
+      } catch (err) {
+        if (err.name === "NoSuchBucketPolicy") return null;
+        throw err;
+      }
+    },
+    logging: async (s3, bucket) => {
+      const result = await s3.send(new GetBucketLoggingCommand({ Bucket: bucket }));
+      return result.LoggingEnabled || null;
+    },
+  };
+
+  /**
+   * Built-in rules (weights add up to 100)
+   * @type {Array<{id: string, title: string, severity: string, weight: number, evaluate: function(Object): Promise<Object>}>}
+   */
+  static DEFAULT_RULES = [
+    {
+      id: "encryption",
+      title: "Default encryption enabled",
+      severity: "critical",
+      weight: 15,
+      async evaluate(ctx) {
+        const encryption = await ctx.fetch("encryption");
+        return encryption.encrypted
+          ? { status: "pass", message: `Encrypted with ${encryption.algorithm}`, details: encryption }
+          : {
+            status: "fail",
+            message: "No default encryption",
+            recommendation: "Enable bucket encryption (AES256 or KMS)",
+            details: encryption,
+          };
+      },
+    },
+    {
+      id: "publicAccess",
+      title: "Public access fully blocked",
+      severity: "critical",
+      weight: 20,
+      async evaluate(ctx) {
+        const publicAccess = await ctx.fetch("publicAccess");
+        if (publicAccess.fullyBlocked) {
+          return { status: "pass", message: "All 4 public access controls enabled", details: publicAccess };
+        }
+        const enabled = Object.values(publicAccess.configuration || {}).filter(Boolean).length;
+        return {
+          status: enabled > 0 ? "warn" : "fail",
+          points: enabled / 4,
+          message: `${enabled}/4 public access controls enabled`,
+          recommendation: "Enable full public access blocking",
+          details: publicAccess,
+        };
+      },
+    },
+    {
+      id: "cors",
+      title: "No wildcard CORS origins",
+      severity: "medium",
+      weight: 10,
+      async evaluate(ctx) {
+        const rules = await ctx.fetch("cors");
+        const hasWildcardOrigin = rules.some((rule) => rule.AllowedOrigins?.includes("*"));
+        const details = { configured: rules.length > 0, hasWildcardOrigin, rules };
+        if (hasWildcardOrigin) {
+          return {
+            status: "fail",
+            message: "CORS allows any origin",
+            recommendation: "Remove wildcard (*) CORS origins",
+            details,
+          };
+        }
+        return { status: "pass", message: rules.length ? "CORS restricted to listed origins" : "No CORS configured", details };
+      },
+    },
+    {
+      id: "bucketPolicy",
+      title: "Bucket policy grants no public access",
+      severity: "high",
+      weight: 15,
+      async evaluate(ctx) {
+        const policy = await ctx.fetch("policy");
+        if (!policy) {
+          return { status: "pass", message: "No bucket policy", details: { exists: false } };
+        }
+        const publicStatements = S3SecurityAudit.statements(policy).filter(
+          (statement) => statement.Effect === "Allow" && S3SecurityAudit.isPublicPrincipal(statement.Principal)
+        );
+        const unconditional = publicStatements.filter((statement) => !statement.Condition);
+        const details = { exists: true, hasPublicAccess: unconditional.length > 0, policy };
+        if (unconditional.length > 0) {
+          return {
+            status: "fail",
+            message: `${unconditional.length} statement(s) allow anyone`,
+            recommendation: "Review and restrict public bucket policies",
+            details,
+          };
+        }
+        if (publicStatements.length > 0) {
+          return {
+            status: "warn",
+            message: "Public principal restricted only by conditions",
+            recommendation: "Verify conditions on statements with a '*' principal",
+            details,
+          };
+        }
+        return { status: "pass", message: "No public statements", details };
+      },
+    },
+    {
+      id: "tlsOnly",
+      title: "Policy denies non-TLS requests",
+      severity: "high",
+      weight: 10,
+      async evaluate(ctx) {
+        const policy = await ctx.fetch("policy");
+        const enforced = S3SecurityAudit.statements(policy).some((statement) => {
+          const secureTransport = statement.Condition?.Bool?.["aws:SecureTransport"];
+          const values = [].concat(secureTransport ?? []).map(String);
+          return statement.Effect === "Deny" && S3SecurityAudit.isPublicPrincipal(statement.Principal) && values.includes("false");
+        });
+        return enforced
+          ? { status: "pass", message: "aws:SecureTransport=false is denied", details: { enforced } }
+          : {
+            status: "fail",
+            message: "Plain HTTP requests are not denied",
+            recommendation: "Add a bucket policy statement denying requests where aws:SecureTransport is false",
+            details: { enforced },
+          };
+      },
+    },
+    {
+      id: "versioning",
+      title: "Versioning enabled",
+      severity: "medium",
+      weight: 10,
+      async evaluate(ctx) {
+        const versioning = await ctx.fetch("versioning");
+        if (versioning.status === "Enabled") {
+          return { status: "pass", message: "Versioning enabled", details: versioning };
+        }
+        if (versioning.status === "Suspended") {
+          return {
+            status: "warn",
+            points: 0.3,
+            message: "Versioning suspended",
+            recommendation: "Re-enable suspended bucket versioning",
+            details: versioning,
+          };
+        }
+        return {
+          status: "fail",
+          message: "Versioning never enabled",
+          recommendation: "Enable bucket versioning to recover overwritten or deleted objects",
+          details: versioning,
+        };
+      },
+    },
+    {
+      id: "logging",
+      title: "Server access logging enabled",
+      severity: "low",
+      weight: 5,
+      async evaluate(ctx) {
+        const logging = await ctx.fetch("logging");
+        const details = {
+          enabled: !!logging,
+          targetBucket: logging?.TargetBucket ?? null,
+          targetPrefix: logging?.TargetPrefix ?? null,
+        };
+        return logging
+          ? { status: "pass", message: `Logging to ${logging.TargetBucket}`, details }
+          : {
+            status: "fail",
+            message: "Server access logging disabled",
+            recommendation: "Enable server access logging to a dedicated log bucket",
+            details,
+          };
+      },
+    },
+    {
+      id: "lifecycle",
+      title: "Lifecycle cleans up uploads and old versions",
+      severity: "low",
+      weight: 10,
+      async evaluate(ctx) {
+        const rules = (await ctx.fetch("lifecycle")).filter((rule) => rule.Status === "Enabled");
+        const versioning = await ctx.fetch("versioning").catch(() => null);
+        const abortsIncompleteUploads = rules.some((rule) => rule.AbortIncompleteMultipartUpload);
+        const expiresNoncurrent = rules.some((rule) => rule.NoncurrentVersionExpiration);
+        const needsNoncurrentExpiry = versioning?.status === "Enabled";
+        const details = { configured: rules.length > 0, ruleCount: rules.length, abortsIncompleteUploads, expiresNoncurrent };
+
+        const missing = [];
+        if (!abortsIncompleteUploads) {
+          missing.push("Add a lifecycle rule to abort incomplete multipart uploads");
+        }
+        if (needsNoncurrentExpiry && !expiresNoncurrent) {
+          missing.push("Add a lifecycle rule to expire noncurrent object versions");
+        }
+        if (missing.length === 0) {
+          return { status: "pass", message: `${rules.length} enabled rule(s)`, details };
+        }
+        return {
+          status: missing.length === 2 || !needsNoncurrentExpiry ? "fail" : "warn",
+          points: needsNoncurrentExpiry ? (2 - missing.length) / 2 : 0,
+          message: `${rules.length} enabled rule(s), ${missing.length} cleanup rule(s) missing`,
+          recommendation: missing.join("; "),
+          details,
+        };
+      },
+    },
+    {
+      id: "objectLock",
+      title: "Object Lock default retention",
+      severity: "info",
+      weight: 5,
+      async evaluate(ctx) {
+        const objectLock = await ctx.fetch("objectLock");
+        if (objectLock.enabled && objectLock.mode) {
+          return { status: "pass", message: `${objectLock.mode} retention`, details: objectLock };
+        }
+        return {
+          status: objectLock.enabled ? "warn" : "fail",
+          message: objectLock.enabled ? "Object Lock enabled without default retention" : "Object Lock not enabled",
+          recommendation: "Consider Object Lock retention for audit or compliance data",
+          details: objectLock,
+        };
+      },
+    },
+  ];
+
+  /**
+   * @param {Object} [options={}] - Audit configuration
+   * @param {Object[]} [options.rules=S3SecurityAudit.DEFAULT_RULES] - Rule set
+   * @param {Object<string, {weight?: number, severity?: string, enabled?: boolean}>} [options.overrides={}] - Per-rule weight/severity changes or disabling
+   * @param {string} [options.failOnSeverity="high"] - Failing rules at or above this severity fail the report
+   * @param {number} [options.minScore=0] - Minimum score for the report to pass
+   * @param {number} [options.concurrency=4] - Buckets audited in parallel by auditAllBuckets
+   * @param {Object} [options.s3=AwsS3] - S3 helper providing send() and check methods
+   * @throws {Error} When a rule or override is invalid
+   */
+  constructor(options = {}) {
+    const {
+      rules = S3SecurityAudit.DEFAULT_RULES,
+      overrides = {},
+      failOnSeverity = "high",
+      minScore = 0,
+      concurrency = 4,
+      s3 = AwsS3,
+    } = options;
+
+    if (!S3SecurityAudit.SEVERITIES.includes(failOnSeverity)) {
+      throw new Error(`failOnSeverity must be one of: ${S3SecurityAudit.SEVERITIES.join(", ")}`);
+    }
+    if (typeof minScore !== "number" || minScore < 0 || minScore > 100) {
+      throw new Error("minScore must be a number between 0 and 100");
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error("concurrency must be a positive integer");
+    }
+
+    this.failOnSeverity = failOnSeverity;
+    this.minScore = minScore;
+    this.concurrency = concurrency;
+    this.s3 = s3;
+    this.rules = new Map();
+    for (const rule of rules) {
+      this.registerRule(rule);
+    }
+    for (const [id, override] of Object.entries(overrides)) {
+      const rule = this.rules.get(id);
+      if (!rule) {
+        throw new Error(`Unknown rule in overrides: ${id}`);
+      }
+      if (override.enabled === false) {
+        this.rules.delete(id);
+        continue;
+      }
+      this.registerRule({ ...rule, ...override });
+    }
+  }
+
+  /**
+   * Add a rule, replacing any existing rule with the same id
+   *
+   * @param {Object} rule - Rule definition
+   * @param {string} rule.id - Unique id (also the key in report.checks)
+   * @param {string} rule.title - Human readable title
+   * @param {string} rule.severity - One of S3SecurityAudit.SEVERITIES
+   * @param {number} rule.weight - Relative weight in the score (0 excludes it from scoring)
+   * @param {function(Object): Promise<Object>} rule.evaluate - Receives {bucket, s3, fetch(name)}
+   * @returns {S3SecurityAudit} this, for chaining
+   * @throws {Error} When the rule is invalid
+   *
+   * @example
+   * audit.registerRule({
+   *   id: 'namingConvention',
+   *   title: 'Bucket name has environment prefix',
+   *   severity: 'low',
+   *   weight: 5,
+   *   evaluate: async ({ bucket }) => /^(dev|stg|prod)-/.test(bucket)
+   *     ? { status: 'pass' }
+   *     : { status: 'fail', recommendation: 'Prefix bucket names with the environment' },
+   * });
+   */
+  registerRule(rule) {
+    if (!rule || typeof rule.id !== "string" || !rule.id) {
+      throw new Error("Rule id must be a non-empty string");
+    }
+    if (typeof rule.evaluate !== "function") {
+      throw new Error(`Rule ${rule.id} must have an evaluate function`);
+    }
+    if (!S3SecurityAudit.SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Rule ${rule.id} severity must be one of: ${S3SecurityAudit.SEVERITIES.join(", ")}`);
+    }
+    if (typeof rule.weight !== "number" || rule.weight < 0) {
+      throw new Error(`Rule ${rule.id} weight must be a non-negative number`);
+    }
+    this.rules.set(rule.id, { title: rule.id, ...rule });
+    return this;
+  }
+
+  /**
+   * Audit one bucket against every registered rule
+   *
+   * @param {string} bucket - Bucket name
+   * @returns {Promise<Object>} Bucket report
+   * @returns {string} returns.bucket - Bucket name
+   * @returns {string} returns.timestamp - Audit time
+   * @returns {number} returns.score - Score 0-100
+   * @returns {string} returns.level - EXCELLENT, GOOD, FAIR, POOR or CRITICAL
+   * @returns {boolean} returns.passed - Whether the bucket meets failOnSeverity/minScore
+   * @returns {Object[]} returns.results - Per-rule outcome
+   * @returns {Object} returns.checks - Rule id → details gathered by the rule
+   * @returns {string[]} returns.recommendations - Fixes for failing/warning rules, most severe first
+   */
+  async auditBucket(bucket) {
+    const cache = new Map();
+    const ctx = {
+      bucket,
+      s3: this.s3,
+      fetch: (name) => {
+        if (!cache.has(name)) {
+          const fetcher = S3SecurityAudit.FETCHERS[name];
+          if (!fetcher) {
+            return Promise.reject(new Error(`Unknown audit fetcher: ${name}`));
+          }
+          cache.set(name, fetcher(this.s3, bucket));
+        }
+        return cache.get(name);
+      },
+    };
+
+    const results = [];
+    for (const rule of this.rules.values()) {
+      results.push(await this.evaluateRule(rule, ctx));
+    }
+
+    const scored = results.filter((result) => result.status !== "skip");
+    const totalWeight = scored.reduce((sum, result) => sum + result.weight, 0);
+    const earned = scored.reduce((sum, result) => sum + result.weight * result.points, 0);
+    const score = totalWeight > 0 ? Math.round((earned / totalWeight) * 100) : 100;
+    const blocking = results.filter((result) => result.blocking);
+
+    return {
+      bucket,
+      timestamp: DateTime.now(),
+      score,
+      level: S3SecurityAudit.LEVELS.find(([min]) => score >= min)[1],
+      passed: blocking.length === 0 && score >= this.minScore,
+      failOnSeverity: this.failOnSeverity,
+      minScore: this.minScore,
+      results,
+      checks: Object.fromEntries(results.map((result) => [result.id, result.details])),
+      recommendations: results
+        .filter((result) => result.recommendation && (result.status === "fail" || result.status === "warn"))
+        .sort((a, b) => S3SecurityAudit.severityRank(a.severity) - S3SecurityAudit.severityRank(b.severity))
+        .map((result) => result.recommendation),
+    };
+  }
+
+  /**
+   * Audit every bucket returned by AwsS3.listBuckets
+   *
+   * @param {Object} [options={}] - Options
+   * @param {function(string): boolean} [options.filter] - Only audit buckets for which this returns true
+   * @returns {Promise<Object>} {timestamp, passed, summary: {total, passed, failed, averageScore}, buckets: [bucket reports]}
+   * @throws {Error} When the bucket list cannot be retrieved
+   */
+  async auditAllBuckets(options = {}) {
+    const { filter } = options;
+    if (filter !== undefined && typeof filter !== "function") {
+      throw new Error("filter must be a function");
+    }
+    const buckets = await this.s3.listBuckets();
+    if (buckets === null) {
+      throw new Error("Failed to list buckets for audit");
+    }
+
+    const names = buckets.map((bucket) => bucket.Name).filter((name) => !filter || filter(name));
+    const reports = await AwsS3.mapConcurrent(names, this.concurrency, (name) => this.auditBucket(name));
+    const failed = reports.filter((report) => !report.passed).length;
+    const averageScore = reports.length
+      ? Math.round(reports.reduce((sum, report) => sum + report.score, 0) / reports.length)
+      : 100;
+
+    return {
+      timestamp: DateTime.now(),
+      passed: failed === 0,
+      failOnSeverity: this.failOnSeverity,
+      minScore: this.minScore,
+      summary: { total: reports.length, passed: reports.length - failed, failed, averageScore },
+      buckets: reports,
+    };
+  }
+
+  /**
+   * Run a single rule, turning thrown errors into 'error' results
+   * @param {Object} rule - Rule definition
+   * @param {Object} ctx - Rule context
+   * @returns {Promise<Object>} Normalized rule result
+   */
+  async evaluateRule(rule, ctx) {
+    let outcome;
+    try {
+      outcome = (await rule.evaluate(ctx)) || {};
+      if (!["pass", "warn", "fail", "skip"].includes(outcome.status)) {
+        throw new Error(`Rule returned invalid status: ${outcome.status}`);
+      }
+    } catch (err) {
+      ErrorHandler.add_error("S3SecurityAudit rule failed", {
+        bucket: ctx.bucket,
+        rule: rule.id,
+        error: err.message,
+      });
+      outcome = { status: "error", message: err.message, details: { error: err.message } };
+    }
+
+    const points = outcome.points ?? S3SecurityAudit.STATUS_POINTS[outcome.status] ?? 0;
+    return {
+      id: rule.id,
+      title: rule.title,
+      severity: rule.severity,
+      weight: rule.weight,
+      status: outcome.status,
+      points: Math.min(Math.max(points, 0), 1),
+      blocking:
+        (outcome.status === "fail" || outcome.status === "error") &&
+        S3SecurityAudit.severityRank(rule.severity) <= S3SecurityAudit.severityRank(this.failOnSeverity),
+      message: outcome.message ?? "",
+      recommendation: outcome.recommendation ?? null,
+      details: outcome.details ?? null,
+    };
+  }
+
+  /**
+   * Rank of a severity (0 = critical)
+   * @param {string} severity - Severity name
+   * @returns {number} Rank
+   */
+  static severityRank(severity) {
+    return S3SecurityAudit.SEVERITIES.indexOf(severity);
+  }
+
+  /**
+   * Statements of a policy document as an array
+   * @param {Object|null} policy - Parsed bucket policy
+   * @returns {Object[]} Statements
+   */
+  static statements(policy) {
+    return [].concat(policy?.Statement ?? []);
+  }
+
+  /**
+   * Whether a policy principal matches everyone
+   * @param {string|Object} principal - Statement principal
+   * @returns {boolean} True for '*' or {AWS: '*'}
+   */
+  static isPublicPrincipal(principal) {
+    if (principal === "*") return true;
+    return [].concat(principal?.AWS ?? []).includes("*");
+  }
+
+  /**
+   * Bucket reports contained in a single-bucket or all-buckets report
+   * @param {Object} report - Report from auditBucket or auditAllBuckets
+   * @returns {Object[]} Bucket reports
+   */
+  static bucketReports(report) {
+    return report.buckets ?? [report];
+  }
+
+  /**
+   * Render a report as JSON
+   * @param {Object} report - Report from auditBucket or auditAllBuckets
+   * @returns {string} Pretty-printed JSON
+   */
+  static toJSON(report) {
+    return JSON.stringify(report, null, 2);
+  }
+
+  /**
+   * Render a report as Markdown (summary table plus one section per bucket)
+   * @param {Object} report - Report from auditBucket or auditAllBuckets
+   * @returns {string} Markdown document
+   */
+  static toMarkdown(report) {
+    const icons = { pass: "✅", warn: "⚠️", fail: "❌", error: "💥", skip: "⏭️" };
+    const cell = (value) => String(value ?? "").replace(/\|/g, "\\|").replace(/\n/g, " ");
+    const reports = S3SecurityAudit.bucketReports(report);
+    const lines = ["# S3 Security Audit", "", `Generated: ${report.timestamp}`, ""];
+
+    lines.push(`**Result:** ${report.passed ? "✅ PASSED" : "❌ FAILED"} (fail on severity ≥ ${report.failOnSeverity}, min score ${report.minScore})`, "");
+    if (report.summary) {
+      lines.push(
+        `Buckets: ${report.summary.total} · Passed: ${report.summary.passed} · Failed: ${report.summary.failed} · Average score: ${report.summary.averageScore}/100`,
+        ""
+      );
+    }
+
+    lines.push("| Bucket | Score | Level | Result |", "| --- | ---: | --- | --- |");
+    for (const bucketReport of reports) {
+      lines.push(`| ${cell(bucketReport.bucket)} | ${bucketReport.score} | ${bucketReport.level} | ${bucketReport.passed ? "✅" : "❌"} |`);
+    }
+
+    for (const bucketReport of reports) {
+      lines.push("", `## ${bucketReport.bucket}`, "", `Score: **${bucketReport.score}/100** (${bucketReport.level})`, "");
+      lines.push("| Status | Rule | Severity | Weight | Details |", "| --- | --- | --- | ---: | --- |");
+      for (const result of bucketReport.results) {
+        lines.push(
+          `| ${icons[result.status]} ${result.status} | ${cell(result.title)} | ${result.severity} | ${result.weight} | ${cell(result.message)} |`
+        );
+      }
+      if (bucketReport.recommendations.length > 0) {
+        lines.push("", "**Recommendations:**", "");
+        bucketReport.recommendations.forEach((rec, index) => lines.push(`${index + 1}. ${rec}`));
+      }
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Render a report as JUnit XML (one testsuite per bucket, one testcase per rule)
+   * Failing rules at or above failOnSeverity become <failure>; lower-severity
+   * failures and warnings are reported in <system-out> so they do not break builds.
+   *
+   * @param {Object} report - Report from auditBucket or auditAllBuckets
+   * @returns {string} JUnit XML document
+   */
+  static toJUnit(report) {
+    const xml = (value) =>
+      String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+    const reports = S3SecurityAudit.bucketReports(report);
+    const count = (results, predicate) => results.filter(predicate).length;
+    const all = reports.flatMap((bucketReport) => bucketReport.results);
+    const isFailure = (result) => result.blocking && result.status === "fail";
+    const isError = (result) => result.blocking && result.status === "error";
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="S3 Security Audit" tests="${all.length}" failures="${count(all, isFailure)}" errors="${count(all, isError)}" skipped="${count(all, (r) => r.status === "skip")}">`,
+    ];
+    for (const bucketReport of reports) {
+      const { results } = bucketReport;
+      lines.push(
+        `  <testsuite name="${xml(bucketReport.bucket)}" tests="${results.length}" failures="${count(results, isFailure)}" errors="${count(results, isError)}" skipped="${count(results, (r) => r.status === "skip")}" timestamp="${xml(bucketReport.timestamp)}">`,
+        `    <properties><property name="score" value="${bucketReport.score}"/><property name="level" value="${bucketReport.level}"/></properties>`
+      );
+      for (const result of results) {
+        const name = `${result.id}: ${result.title}`;
+        lines.push(`    <testcase classname="s3.security.${xml(bucketReport.bucket)}" name="${xml(name)}">`);
+        if (isFailure(result)) {
+          lines.push(`      <failure type="${result.severity}" message="${xml(result.message)}">${xml(result.recommendation || result.message)}</failure>`);
+        } else if (isError(result)) {
+          lines.push(`      <error type="${result.severity}" message="${xml(result.message)}"/>`);
+        } else if (result.status === "skip") {
+          lines.push(`      <skipped message="${xml(result.message)}"/>`);
+        } else if (result.status !== "pass") {
+          lines.push(`      <system-out>${xml(`[${result.severity}] ${result.status.toUpperCase()}: ${result.message}${result.recommendation ? ` - ${result.recommendation}` : ""}`)}</system-out>`);
+        }
+        lines.push("    </testcase>");
+      }
+      lines.push("  </testsuite>");
+    }
+    lines.push("</testsuites>");
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Render a report in the requested format
+   * @param {Object} report - Report from auditBucket or auditAllBuckets
+   * @param {string} [format="json"] - 'json', 'markdown' or 'junit'
+   * @returns {string} Rendered report
+   * @throws {Error} When the format is unsupported
+   */
+  static format(report, format = "json") {
+    switch (format) {
+      case "json":
+        return S3SecurityAudit.toJSON(report);
+      case "markdown":
+      case "md":
+        return S3SecurityAudit.toMarkdown(report);
+      case "junit":
+      case "xml":
+        return S3SecurityAudit.toJUnit(report);
+      default:
+        Logger.writeLog({
+          flag: "system_error",
+          action: "S3SecurityAudit.format",
+          message: `Unsupported report format: ${format}`,
+          critical: true,
+          data: { format },
+        });
+        throw new Error(`Unsupported report format: ${format}`);
+    }
+  }
+}
+
+export default S3SecurityAudit;
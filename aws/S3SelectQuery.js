@@ -0,0 +1,931 @@
+/**
+ * In-process evaluator for the S3 Select SQL subset
+ *
+ * Used by AwsS3.selectObject when S3 Select is not available (e.g. MinIO or
+ * accounts without S3 Select access). Supported syntax:
+ * - SELECT *, expressions with optional AS aliases, or aggregates
+ *   (COUNT, SUM, AVG, MIN, MAX) over the whole object
+ * - FROM S3Object [alias], with JSON paths such as S3Object[*].items[*]
+ * - WHERE with =, !=, <>, <, <=, >, >=, AND, OR, NOT, LIKE, IN, BETWEEN,
+ *   IS [NOT] NULL, arithmetic, || and CAST / LOWER / UPPER / TRIM /
+ *   CHAR_LENGTH / SUBSTRING / COALESCE
+ * - LIMIT n
+ * CSV columns are addressed by header name (FileHeaderInfo USE) or by
+ * position (_1, _2, ...); unquoted identifiers are case-insensitive.
+ *
+ * @class S3SelectQuery
+ *
+ * @example
+ * const query = new S3SelectQuery("SELECT s.name FROM S3Object s WHERE CAST(s.age AS INT) > 30 LIMIT 10");
+ * if (query.matches(record)) console.log(query.project(record)); // { name: 'Ada' }
+ */
+class S3SelectQuery {
+  /** @type {string[]} Reserved words recognised by the tokenizer */
+  static KEYWORDS = [
+    "SELECT", "FROM", "WHERE", "LIMIT", "AS", "AND", "OR", "NOT", "LIKE", "ESCAPE", "IN",
+    "BETWEEN", "IS", "NULL", "MISSING", "TRUE", "FALSE", "CAST",
+  ];
+
+  /** @type {string[]} Aggregate functions */
+  static AGGREGATES = ["COUNT", "SUM", "AVG", "MIN", "MAX"];
+
+  /** @type {symbol} Key of the positional field array on CSV records */
+  static POSITIONAL = Symbol("positional");
+
+  /**
+   * @param {string} sql - S3 Select expression
+   * @throws {Error} When the expression cannot be parsed
+   */
+  constructor(sql) {
+    this.sql = sql;
+    this.tokens = S3SelectQuery.tokenize(sql);
+    this.pos = 0;
+    this.parseQuery();
+    /** @type {Array} Accumulator state per aggregate */
+    this.aggregateState = this.aggregates.map(() => ({ count: 0, sum: 0, value: null }));
+  }
+
+  // ─── Tokenizer ─────────────────────────────────────────────────────────
+
+  /**
+   * Split an expression into tokens
+   * @param {string} sql - S3 Select expression
+   * @returns {Array<{type: string, value: *}>} Tokens (types: number, string, ident, quoted, keyword, op, end)
+   * @throws {Error} On unterminated strings or unexpected characters
+   */
+  static tokenize(sql) {
+    const tokens = [];
+    let i = 0;
+    while (i < sql.length) {
+      const ch = sql[i];
+      if (/\s/.test(ch)) {
+        i += 1;
+      } else if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(sql[i + 1] ?? ""))) {
+        const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(sql.slice(i));
+        tokens.push({ type: "number", value: Number(match[0]) });
+        i += match[0].length;
+      } else if (ch === "'" || ch === '"') {
+        let value = "";
+        let j = i + 1;
+        for (;;) {
+          if (j >= sql.length) throw new Error(`Unterminated ${ch === "'" ? "string" : "identifier"} at position ${i}`);
+          if (sql[j] === ch) {
+            if (sql[j + 1] === ch) {
+              value += ch;
+              j += 2;
+              continue;
+            }
+            break;
+          }
+          value += sql[j];
+          j += 1;
+        }
+        tokens.push({ type: ch === "'" ? "string" : "quoted", value });
+        i = j + 1;
+      } else if (/[A-Za-z_]/.test(ch)) {
+        const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(sql.slice(i));
+        const upper = match[0].toUpperCase();
+        tokens.push(S3SelectQuery.KEYWORDS.includes(upper)
+          ? { type: "keyword", value: upper }
+          : { type: "ident", value: match[0] });
+        i += match[0].length;
+      } else {
+        const op = ["<=", ">=", "<>", "!=", "||"].find((o) => sql.startsWith(o, i)) ?? ch;
+        if (!"<=>!|+-*/%(),.[]".includes(op[0]) || op === "!" || op === "|") {
+          throw new Error(`Unexpected character "${ch}" at position ${i}`);
+        }
+        tokens.push({ type: "op", value: op });
+        i += op.length;
+      }
+    }
+    tokens.push({ type: "end", value: null });
+    return tokens;
+  }
+
+  // ─── Parser ────────────────────────────────────────────────────────────
+
+  /** @returns {Object} Current token */
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  /**
+   * Consume the current token when it matches
+   * @param {string} type - Token type
+   * @param {*} [value] - Token value (any when omitted)
+   * @returns {Object|null} Consumed token or null
+   */
+  accept(type, value) {
+    const token = this.peek();
+    if (token.type === type && (value === undefined || token.value === value)) {
+      this.pos += 1;
+      return token;
+    }
+    return null;
+  }
+
+  /**
+   * Consume a token that must be present
+   * @param {string} type - Token type
+   * @param {*} [value] - Token value
+   * @returns {Object} Consumed token
+   * @throws {Error} When the token is missing
+   */
+  expect(type, value) {
+    const token = this.accept(type, value);
+    if (!token) {
+      const found = this.peek();
+      throw new Error(`Expected ${value ?? type} but found ${found.type === "end" ? "end of query" : `"${found.value}"`}`);
+    }
+    return token;
+  }
+
+  /**
+   * Parse the full SELECT statement into projections, source, where and limit
+   * @returns {void}
+   * @throws {Error} On syntax errors
+   */
+  parseQuery() {
+    this.aggregates = [];
+    this.expect("keyword", "SELECT");
+
+    this.projections = null;
+    if (!this.accept("op", "*")) {
+      this.projections = [];
+      do {
+        const expr = this.parseExpression();
+        let alias = null;
+        if (this.accept("keyword", "AS")) {
+          alias = this.parseIdentifier();
+        } else if (["ident", "quoted"].includes(this.peek().type)) {
+          alias = this.parseIdentifier();
+        }
+        this.projections.push({ expr, name: alias ?? S3SelectQuery.defaultName(expr, this.projections.length) });
+      } while (this.accept("op", ","));
+    }
+
+    this.expect("keyword", "FROM");
+    const source = this.parseIdentifier();
+    if (source.toLowerCase() !== "s3object") {
+      throw new Error(`FROM must reference S3Object, found "${source}"`);
+    }
+    this.fromPath = this.parsePathSegments();
+    // The first [*] stands for the documents themselves
+    if (this.fromPath[0]?.wildcard) this.fromPath.shift();
+
+    this.alias = null;
+    if (this.accept("keyword", "AS")) {
+      this.alias = this.parseIdentifier();
+    } else if (["ident", "quoted"].includes(this.peek().type)) {
+      this.alias = this.parseIdentifier();
+    }
+
+    const projectedAggregates = this.aggregates.length;
+    this.where = this.accept("keyword", "WHERE") ? this.parseExpression() : null;
+    if (this.aggregates.length > projectedAggregates) {
+      throw new Error("Aggregate functions are not allowed in WHERE");
+    }
+    this.limit = null;
+    if (this.accept("keyword", "LIMIT")) {
+      this.limit = this.expect("number").value;
+      if (!Number.isInteger(this.limit) || this.limit < 0) throw new Error("LIMIT must be a non-negative integer");
+    }
+    this.expect("end");
+
+    if (this.aggregates.length > 0 && this.projections.some((p) => !S3SelectQuery.isAggregateOnly(p.expr))) {
+      throw new Error("Aggregate and non-aggregate projections cannot be mixed without GROUP BY");
+    }
+  }
+
+  /**
+   * Parse an identifier (plain or double-quoted)
+   * @returns {string} Identifier
+   */
+  parseIdentifier() {
+    const token = this.accept("ident") ?? this.accept("quoted");
+    if (!token) this.expect("ident");
+    return token.value;
+  }
+
+  /**
+   * Parse trailing .name / [index] / [*] path segments
+   * @returns {Array<Object>} Segments ({name, quoted} | {index} | {wildcard: true})
+   */
+  parsePathSegments() {
+    const segments = [];
+    for (;;) {
+      if (this.accept("op", ".")) {
+        const token = this.accept("ident") ?? this.accept("quoted") ?? this.accept("keyword");
+        if (!token) this.expect("ident");
+        segments.push({ name: token.value, quoted: token.type === "quoted" });
+      } else if (this.accept("op", "[")) {
+        if (this.accept("op", "*")) {
+          segments.push({ wildcard: true });
+        } else {
+          const token = this.accept("number") ?? this.accept("string");
+          if (!token) this.expect("number");
+          segments.push(token.type === "number" ? { index: token.value } : { name: token.value, quoted: true });
+        }
+        this.expect("op", "]");
+      } else {
+        return segments;
+      }
+    }
+  }
+
+  /** @returns {Object} Expression AST */
+  parseExpression() {
+    return this.parseOr();
+  }
+
+  /** @returns {Object} OR chain */
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.accept("keyword", "OR")) left = { type: "or", left, right: this.parseAnd() };
+    return left;
+  }
+
+  /** @returns {Object} AND chain */
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.accept("keyword", "AND")) left = { type: "and", left, right: this.parseNot() };
+    return left;
+  }
+
+  /** @returns {Object} NOT expression or predicate */
+  parseNot() {
+    if (this.accept("keyword", "NOT")) return { type: "not", expr: this.parseNot() };
+    return this.parsePredicate();
+  }
+
+  /** @returns {Object} Comparison, IS, LIKE, IN or BETWEEN predicate (or a plain operand) */
+  parsePredicate() {
+    const left = this.parseAdditive();
+    const comparison = ["=", "!=", "<>", "<", "<=", ">", ">="].find((op) => this.peek().type === "op" && this.peek().value === op);
+    if (comparison) {
+      this.pos += 1;
+      return { type: "compare", op: comparison === "<>" ? "!=" : comparison, left, right: this.parseAdditive() };
+    }
+    if (this.accept("keyword", "IS")) {
+      const negated = !!this.accept("keyword", "NOT");
+      if (!this.accept("keyword", "NULL")) this.expect("keyword", "MISSING");
+      return { type: "isNull", negated, expr: left };
+    }
+    const negated = !!this.accept("keyword", "NOT");
+    if (this.accept("keyword", "LIKE")) {
+      const pattern = this.parseAdditive();
+      const escape = this.accept("keyword", "ESCAPE") ? this.expect("string").value : null;
+      return { type: "like", negated, expr: left, pattern, escape };
+    }
+    if (this.accept("keyword", "IN")) {
+      this.expect("op", "(");
+      const list = [];
+      do list.push(this.parseAdditive()); while (this.accept("op", ","));
+      this.expect("op", ")");
+      return { type: "in", negated, expr: left, list };
+    }
+    if (this.accept("keyword", "BETWEEN")) {
+      const low = this.parseAdditive();
+      this.expect("keyword", "AND");
+      return { type: "between", negated, expr: left, low, high: this.parseAdditive() };
+    }
+    if (negated) this.expect("keyword", "LIKE");
+    return left;
+  }
+
+  /** @returns {Object} +, - and || chain */
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    for (;;) {
+      const op = ["+", "-", "||"].find((o) => this.peek().type === "op" && this.peek().value === o);
+      if (!op) return left;
+      this.pos += 1;
+      left = { type: "arith", op, left, right: this.parseMultiplicative() };
+    }
+  }
+
+  /** @returns {Object} *, / and % chain */
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    for (;;) {
+      const op = ["*", "/", "%"].find((o) => this.peek().type === "op" && this.peek().value === o);
+      if (!op) return left;
+      this.pos += 1;
+      left = { type: "arith", op, left, right: this.parseUnary() };
+    }
+  }
+
+  /** @returns {Object} Negated operand or primary */
+  parseUnary() {
+    if (this.accept("op", "-")) return { type: "negate", expr: this.parseUnary() };
+    return this.parsePrimary();
+  }
+
+  /** @returns {Object} Literal, parenthesised expression, CAST, function call or path */
+  parsePrimary() {
+    const token = this.peek();
+    if (this.accept("number") || this.accept("string")) return { type: "literal", value: token.value };
+    if (this.accept("keyword", "TRUE")) return { type: "literal", value: true };
+    if (this.accept("keyword", "FALSE")) return { type: "literal", value: false };
+    if (this.accept("keyword", "NULL") || this.accept("keyword", "MISSING")) return { type: "literal", value: null };
+    if (this.accept("op", "(")) {
+      const expr = this.parseExpression();
+      this.expect("op", ")");
+      return expr;
+    }
+    if (this.accept("keyword", "CAST")) {
+      this.expect("op", "(");
+      const expr = this.parseExpression();
+      this.expect("keyword", "AS");
+      const target = this.parseIdentifier().toUpperCase();
+      this.expect("op", ")");
+      return { type: "cast", expr, target };
+    }
+    if (token.type === "ident" && this.tokens[this.pos + 1]?.value === "(") {
+      const name = token.value.toUpperCase();
+      this.pos += 2;
+      if (S3SelectQuery.AGGREGATES.includes(name)) {
+        const arg = name === "COUNT" && this.accept("op", "*") ? null : this.parseExpression();
+        this.expect("op", ")");
+        this.aggregates.push({ name, arg });
+        return { type: "aggregate", index: this.aggregates.length - 1 };
+      }
+      const args = [];
+      if (!this.accept("op", ")")) {
+        do {
+          args.push(this.parseExpression());
+          // SUBSTRING(x FROM n FOR m) is written with keywords in SQL-92
+          if (this.accept("keyword", "FROM")) args.push(this.parseExpression());
+          if (this.peek().type === "ident" && this.peek().value.toUpperCase() === "FOR") {
+            this.pos += 1;
+            args.push(this.parseExpression());
+          }
+        } while (this.accept("op", ","));
+        this.expect("op", ")");
+      }
+      return { type: "call", name, args };
+    }
+    if (token.type === "ident" || token.type === "quoted") {
+      this.pos += 1;
+      return { type: "path", segments: [{ name: token.value, quoted: token.type === "quoted" }, ...this.parsePathSegments()] };
+    }
+    throw new Error(`Unexpected ${token.type === "end" ? "end of query" : `"${token.value}"`}`);
+  }
+
+  /**
+   * Output name of an unaliased projection (S3 uses the column name or _N)
+   * @param {Object} expr - Projection AST
+   * @param {number} index - Zero-based projection position
+   * @returns {string} Name
+   */
+  static defaultName(expr, index) {
+    const last = expr.type === "path" ? expr.segments[expr.segments.length - 1] : null;
+    return last?.name ?? `_${index + 1}`;
+  }
+
+  /**
+   * Whether an expression only combines aggregates and literals
+   * @param {Object} expr - Expression AST
+   * @returns {boolean} True when the expression can be evaluated once after all records
+   */
+  static isAggregateOnly(expr) {
+    switch (expr.type) {
+      case "aggregate":
+      case "literal":
+        return true;
+      case "path":
+        return false;
+      default:
+        return Object.values(expr)
+          .flatMap((v) => (Array.isArray(v) ? v : [v]))
+          .filter((v) => v && typeof v === "object" && v.type)
+          .every((v) => S3SelectQuery.isAggregateOnly(v));
+    }
+  }
+
+  // ─── Evaluation ────────────────────────────────────────────────────────
+
+  /** @returns {boolean} True when the query projects aggregates */
+  get isAggregate() {
+    return this.aggregates.length > 0;
+  }
+
+  /**
+   * Whether a record passes the WHERE clause
+   * @param {Object} record - Record
+   * @returns {boolean} True when the record is selected
+   */
+  matches(record) {
+    return this.where === null || this.evaluate(this.where, record) === true;
+  }
+
+  /**
+   * Project a selected record
+   * @param {Object} record - Record that passed matches()
+   * @returns {Object} Output record (name → value)
+   */
+  project(record) {
+    if (this.projections === null) return S3SelectQuery.plainRecord(record);
+    const output = {};
+    for (const { expr, name } of this.projections) {
+      const value = this.evaluate(expr, record);
+      if (value !== undefined) output[name] = value;
+    }
+    return output;
+  }
+
+  /**
+   * Feed a selected record into the aggregates
+   * @param {Object} record - Record that passed matches()
+   * @returns {void}
+   */
+  accumulate(record) {
+    this.aggregates.forEach(({ name, arg }, i) => {
+      const state = this.aggregateState[i];
+      if (arg === null) {
+        state.count += 1;
+        return;
+      }
+      let value = this.evaluate(arg, record);
+      if (value === null || value === undefined || value === "") return;
+      if (name === "SUM" || name === "AVG") value = S3SelectQuery.toNumber(value);
+      if (name !== "COUNT" && (value === null || Number.isNaN(value))) return;
+      state.count += 1;
+      if (name === "SUM" || name === "AVG") state.sum += value;
+      const numeric = S3SelectQuery.toNumber(value);
+      const comparable = numeric === null ? value : numeric;
+      if (name === "MIN" && (state.value === null || comparable < state.value)) state.value = comparable;
+      if (name === "MAX" && (state.value === null || comparable > state.value)) state.value = comparable;
+    });
+  }
+
+  /**
+   * Final output record of an aggregate query
+   * @returns {Object} Output record
+   */
+  aggregateResult() {
+    const values = this.aggregates.map(({ name }, i) => {
+      const { count, sum, value } = this.aggregateState[i];
+      if (name === "COUNT") return count;
+      if (name === "SUM") return count === 0 ? null : sum;
+      if (name === "AVG") return count === 0 ? null : sum / count;
+      return value;
+    });
+    const output = {};
+    for (const { expr, name } of this.projections) {
+      output[name] = this.evaluate(expr, null, values);
+    }
+    return output;
+  }
+
+  /**
+   * Evaluate an expression against a record
+   * @param {Object} node - Expression AST
+   * @param {Object|null} record - Record
+   * @param {Array} [aggregateValues] - Final aggregate values (aggregate queries only)
+   * @returns {*} Value (null for SQL NULL, undefined for MISSING)
+   */
+  evaluate(node, record, aggregateValues = null) {
+    const ev = (n) => this.evaluate(n, record, aggregateValues);
+    switch (node.type) {
+      case "literal":
+        return node.value;
+      case "path":
+        return this.resolvePath(node.segments, record);
+      case "aggregate":
+        return aggregateValues ? aggregateValues[node.index] : null;
+      case "or": {
+        const left = ev(node.left);
+        if (left === true) return true;
+        const right = ev(node.right);
+        if (right === true) return true;
+        return left === false && right === false ? false : null;
+      }
+      case "and": {
+        const left = ev(node.left);
+        if (left === false) return false;
+        const right = ev(node.right);
+        if (right === false) return false;
+        return left === true && right === true ? true : null;
+      }
+      case "not": {
+        const value = ev(node.expr);
+        return typeof value === "boolean" ? !value : null;
+      }
+      case "compare":
+        return S3SelectQuery.compare(node.op, ev(node.left), ev(node.right));
+      case "isNull": {
+        const value = ev(node.expr);
+        const isNull = value === null || value === undefined;
+        return node.negated ? !isNull : isNull;
+      }
+      case "like": {
+        const value = ev(node.expr);
+        const pattern = ev(node.pattern);
+        if (value == null || pattern == null) return null;
+        const matched = S3SelectQuery.likeToRegExp(String(pattern), node.escape).test(String(value));
+        return node.negated ? !matched : matched;
+      }
+      case "in": {
+        const value = ev(node.expr);
+        if (value == null) return null;
+        const found = node.list.some((item) => S3SelectQuery.compare("=", value, ev(item)) === true);
+        return node.negated ? !found : found;
+      }
+      case "between": {
+        const value = ev(node.expr);
+        const inside = S3SelectQuery.compare(">=", value, ev(node.low)) === true &&
+          S3SelectQuery.compare("<=", value, ev(node.high)) === true;
+        if (value == null) return null;
+        return node.negated ? !inside : inside;
+      }
+      case "arith":
+        return S3SelectQuery.arithmetic(node.op, ev(node.left), ev(node.right));
+      case "negate": {
+        const value = S3SelectQuery.toNumber(ev(node.expr));
+        return value === null ? null : -value;
+      }
+      case "cast":
+        return S3SelectQuery.cast(ev(node.expr), node.target);
+      case "call":
+        return S3SelectQuery.callFunction(node.name, node.args.map(ev));
+      default:
+        throw new Error(`Unsupported expression "${node.type}"`);
+    }
+  }
+
+  /**
+   * Resolve a column or JSON path against a record
+   * A leading segment equal to the FROM alias (or S3Object) refers to the record itself.
+   * @param {Array<Object>} segments - Path segments
+   * @param {Object} record - Record
+   * @returns {*} Value or undefined when missing
+   */
+  resolvePath(segments, record) {
+    let rest = segments;
+    const first = segments[0];
+    const isAlias = (name) =>
+      (this.alias !== null && name.toLowerCase() === this.alias.toLowerCase()) || name.toLowerCase() === "s3object";
+    if (first.name !== undefined && !first.quoted && isAlias(first.name) && (segments.length > 1 || !S3SelectQuery.hasKey(record, first.name))) {
+      rest = segments.slice(1);
+    }
+
+    let value = record;
+    for (const segment of rest) {
+      if (value === null || value === undefined) return undefined;
+      if (segment.index !== undefined) {
+        value = Array.isArray(value) ? value[segment.index] : undefined;
+      } else if (segment.name !== undefined) {
+        value = S3SelectQuery.getField(value, segment.name, segment.quoted);
+      } else {
+        return undefined;
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Whether a record has a field with this (case-insensitive) name
+   * @param {Object} record - Record
+   * @param {string} name - Field name
+   * @returns {boolean} True when present
+   */
+  static hasKey(record, name) {
+    return S3SelectQuery.getField(record, name, false) !== undefined;
+  }
+
+  /**
+   * Read one field; _N addresses CSV columns by position
+   * @param {Object} value - Record or nested object
+   * @param {string} name - Field name
+   * @param {boolean} quoted - Quoted identifiers are matched case-sensitively
+   * @returns {*} Field value or undefined
+   */
+  static getField(value, name, quoted) {
+    if (typeof value !== "object") return undefined;
+    const positional = value[S3SelectQuery.POSITIONAL];
+    if (positional && /^_\d+$/.test(name)) return positional[Number(name.slice(1)) - 1];
+    if (Object.prototype.hasOwnProperty.call(value, name)) return value[name];
+    if (quoted) return undefined;
+    const lower = name.toLowerCase();
+    const match = Object.keys(value).find((k) => k.toLowerCase() === lower);
+    return match === undefined ? undefined : value[match];
+  }
+
+  /**
+   * Copy a record without its positional marker
+   * @param {Object} record - Record
+   * @returns {Object} Plain object
+   */
+  static plainRecord(record) {
+    return record !== null && typeof record === "object" && !Array.isArray(record) ? { ...record } : { _1: record };
+  }
+
+  /**
+   * Number value of a field, or null when it is not numeric
+   * @param {*} value - Value
+   * @returns {number|null} Number
+   */
+  static toNumber(value) {
+    if (typeof value === "number") return value;
+    if (typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value))) return Number(value);
+    return null;
+  }
+
+  /**
+   * Compare two values; numeric strings compare as numbers with numbers
+   * Comparing a number with a non-numeric value yields null (no match), like a NULL operand.
+   * @param {string} op - Comparison operator
+   * @param {*} left - Left value
+   * @param {*} right - Right value
+   * @returns {boolean|null} Result, or null when either side is NULL/MISSING
+   */
+  static compare(op, left, right) {
+    if (left === null || left === undefined || right === null || right === undefined) return null;
+    let a = left;
+    let b = right;
+    if (typeof a === "number" || typeof b === "number") {
+      a = S3SelectQuery.toNumber(a);
+      b = S3SelectQuery.toNumber(b);
+      if (a === null || b === null) return null;
+    } else if (typeof a !== typeof b) {
+      a = String(a);
+      b = String(b);
+    }
+    switch (op) {
+      case "=": return a === b;
+      case "!=": return a !== b;
+      case "<": return a < b;
+      case "<=": return a <= b;
+      case ">": return a > b;
+      case ">=": return a >= b;
+      default: return null;
+    }
+  }
+
+  /**
+   * Apply an arithmetic or concatenation operator
+   * @param {string} op - Operator
+   * @param {*} left - Left value
+   * @param {*} right - Right value
+   * @returns {*} Result or null
+   */
+  static arithmetic(op, left, right) {
+    if (left == null || right == null) return null;
+    if (op === "||") return `${left}${right}`;
+    const a = S3SelectQuery.toNumber(left);
+    const b = S3SelectQuery.toNumber(right);
+    if (a === null || b === null) return null;
+    switch (op) {
+      case "+": return a + b;
+      case "-": return a - b;
+      case "*": return a * b;
+      case "/": return b === 0 ? null : a / b;
+      case "%": return b === 0 ? null : a % b;
+      default: return null;
+    }
+  }
+
+  /**
+   * CAST a value
+   * @param {*} value - Value
+   * @param {string} target - INT, INTEGER, FLOAT, DECIMAL, NUMERIC, STRING, VARCHAR, BOOL or BOOLEAN
+   * @returns {*} Converted value
+   * @throws {Error} When the target type is unknown
+   */
+  static cast(value, target) {
+    if (value === null || value === undefined) return null;
+    switch (target) {
+      case "INT":
+      case "INTEGER": {
+        const n = S3SelectQuery.toNumber(value);
+        return n === null ? null : Math.trunc(n);
+      }
+      case "FLOAT":
+      case "DECIMAL":
+      case "NUMERIC":
+        return S3SelectQuery.toNumber(value);
+      case "STRING":
+      case "VARCHAR":
+        return String(value);
+      case "BOOL":
+      case "BOOLEAN":
+        if (typeof value === "boolean") return value;
+        if (/^(true|1)$/i.test(String(value))) return true;
+        if (/^(false|0)$/i.test(String(value))) return false;
+        return null;
+      default:
+        throw new Error(`Unsupported CAST target "${target}"`);
+    }
+  }
+
+  /**
+   * Call a scalar function
+   * @param {string} name - Upper-case function name
+   * @param {Array} args - Evaluated arguments
+   * @returns {*} Result
+   * @throws {Error} When the function is not supported
+   */
+  static callFunction(name, args) {
+    const [value] = args;
+    switch (name) {
+      case "LOWER": return value == null ? null : String(value).toLowerCase();
+      case "UPPER": return value == null ? null : String(value).toUpperCase();
+      case "TRIM": return value == null ? null : String(value).trim();
+      case "CHAR_LENGTH":
+      case "CHARACTER_LENGTH": return value == null ? null : [...String(value)].length;
+      case "SUBSTRING": {
+        if (value == null) return null;
+        const chars = [...String(value)];
+        const start = Math.max(S3SelectQuery.toNumber(args[1]) ?? 1, 1) - 1;
+        const length = args[2] === undefined ? chars.length : S3SelectQuery.toNumber(args[2]) ?? 0;
+        return chars.slice(start, start + length).join("");
+      }
+      case "COALESCE": return args.find((a) => a !== null && a !== undefined) ?? null;
+      default: throw new Error(`Unsupported function "${name}"`);
+    }
+  }
+
+  /**
+   * Convert a LIKE pattern into a regular expression
+   * @param {string} pattern - Pattern with % and _ wildcards
+   * @param {string|null} escape - Escape character
+   * @returns {RegExp} Anchored expression
+   */
+  static likeToRegExp(pattern, escape) {
+    let source = "";
+    for (let i = 0; i < pattern.length; i++) {
+      const ch = pattern[i];
+      if (escape && ch === escape && i + 1 < pattern.length) {
+        source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      } else if (ch === "%") {
+        source += "[\\s\\S]*";
+      } else if (ch === "_") {
+        source += "[\\s\\S]";
+      } else {
+        source += ch.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      }
+    }
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Expand the FROM path of a JSON document into records
+   * @param {*} document - Parsed JSON document
+   * @returns {Array} Records
+   */
+  expandDocument(document) {
+    let values = [document];
+    for (const segment of this.fromPath) {
+      const next = [];
+      for (const value of values) {
+        if (value === null || value === undefined) continue;
+        if (segment.wildcard) {
+          if (Array.isArray(value)) next.push(...value);
+          else if (typeof value === "object") next.push(...Object.values(value));
+        } else if (segment.index !== undefined) {
+          if (Array.isArray(value) && value[segment.index] !== undefined) next.push(value[segment.index]);
+        } else {
+          const field = S3SelectQuery.getField(value, segment.name, segment.quoted);
+          if (field !== undefined) next.push(field);
+        }
+      }
+      values = next;
+    }
+    return values;
+  }
+
+  // ─── Record readers ────────────────────────────────────────────────────
+
+  /**
+   * Decode a byte stream into UTF-8 text chunks (multi-byte characters may span chunks)
+   * @param {AsyncIterable<Uint8Array|string>} chunks - Byte chunks
+   * @returns {AsyncGenerator<string>} Text chunks
+   */
+  static async *decodeText(chunks) {
+    const decoder = new TextDecoder("utf-8");
+    for await (const chunk of chunks) {
+      const text = typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+      if (text) yield text;
+    }
+    const rest = decoder.decode();
+    if (rest) yield rest;
+  }
+
+  /**
+   * Parse CSV text into field arrays (RFC 4180 quoting, quoted newlines allowed)
+   * @param {AsyncIterable<string>} textChunks - Text chunks
+   * @param {Object} [options={}] - CSV options
+   * @param {string} [options.delimiter=','] - Field delimiter
+   * @param {string} [options.quote='"'] - Quote character
+   * @returns {AsyncGenerator<string[]>} Rows (blank lines are skipped)
+   */
+  static async *parseCsv(textChunks, { delimiter = ",", quote = '"' } = {}) {
+    let field = "";
+    let row = [];
+    let inQuotes = false;
+    let pendingQuote = false;
+    let pendingCr = false;
+    let touched = false;
+
+    const endRow = () => {
+      row.push(field);
+      const done = row;
+      field = "";
+      row = [];
+      touched = false;
+      return done.length === 1 && done[0] === "" ? null : done;
+    };
+
+    for await (const text of textChunks) {
+      for (const ch of text) {
+        if (pendingCr) {
+          pendingCr = false;
+          if (ch === "\n") continue;
+        }
+        if (inQuotes) {
+          if (pendingQuote) {
+            pendingQuote = false;
+            if (ch === quote) {
+              field += quote;
+              continue;
+            }
+            inQuotes = false;
+          } else if (ch === quote) {
+            pendingQuote = true;
+            continue;
+          } else {
+            field += ch;
+            continue;
+          }
+        }
+        if (ch === quote && field === "") {
+          inQuotes = true;
+          touched = true;
+        } else if (ch === delimiter) {
+          row.push(field);
+          field = "";
+          touched = true;
+        } else if (ch === "\n" || ch === "\r") {
+          pendingCr = ch === "\r";
+          const done = endRow();
+          if (done) yield done;
+        } else {
+          field += ch;
+          touched = true;
+        }
+      }
+    }
+    if (touched || field !== "" || row.length > 0) {
+      const done = endRow();
+      if (done) yield done;
+    }
+  }
+
+  /**
+   * Parse newline-delimited JSON text into values
+   * @param {AsyncIterable<string>} textChunks - Text chunks
+   * @returns {AsyncGenerator<*>} Parsed documents (blank lines are skipped)
+   * @throws {Error} When a line is not valid JSON
+   */
+  static async *parseJsonLines(textChunks) {
+    let buffered = "";
+    let line = 0;
+    const parse = (text) => {
+      line += 1;
+      try {
+        return JSON.parse(text);
+      } catch (err) {
+        throw new Error(`Invalid JSON on line ${line}: ${err.message}`);
+      }
+    };
+    for await (const text of textChunks) {
+      buffered += text;
+      let newline;
+      while ((newline = buffered.indexOf("\n")) >= 0) {
+        const current = buffered.slice(0, newline).trim();
+        buffered = buffered.slice(newline + 1);
+        if (current) yield parse(current);
+        else line += 1;
+      }
+    }
+    if (buffered.trim()) yield parse(buffered.trim());
+  }
+
+  /**
+   * Build a CSV record with header names and positional (_N) access
+   * @param {string[]} fields - Field values
+   * @param {string[]|null} header - Column names, or null for positional-only records
+   * @returns {Object} Record
+   */
+  static csvRecord(fields, header) {
+    const record = {};
+    fields.forEach((value, i) => {
+      record[header?.[i] ?? `_${i + 1}`] = value;
+    });
+    Object.defineProperty(record, S3SelectQuery.POSITIONAL, { value: fields, enumerable: false });
+    return record;
+  }
+}
+
+export default S3SelectQuery;
@@ -0,0 +1,243 @@
+import path from "path";
+import { Logger } from "../utils/index.js";
+
+/**
+ * Storage usage report for a bucket or prefix
+ *
+ * Objects from a ListObjectsV2 walk are fed into add() one at a time, so the
+ * report is built in constant memory regardless of bucket size (only the top
+ * N largest/oldest objects are kept). toReport() returns a plain object with
+ * totals and breakdowns by storage class, prefix, extension and age, which
+ * toJSON/toCSV render for export. Folder placeholder keys ("photos/") are
+ * counted separately and left out of the breakdowns.
+ *
+ * @class S3StorageReport
+ *
+ * @example
+ * const report = await AwsS3.getStorageReport('media', { prefix: 'uploads/', groupByDepth: 2 });
+ * fs.writeFileSync('media-usage.csv', S3StorageReport.toCSV(report));
+ */
+class S3StorageReport {
+  /** @type {number[]} Default age bucket boundaries in days */
+  static DEFAULT_AGE_BUCKETS = [30, 90, 365, 1095];
+
+  /** @type {number} Default number of largest/oldest objects listed */
+  static DEFAULT_TOP = 10;
+
+  /** @type {number} Milliseconds per day */
+  static DAY_MS = 86400000;
+
+  /** @type {string[]} Columns of the CSV export */
+  static CSV_COLUMNS = ["section", "name", "objects", "bytes", "percentBytes", "lastModified", "storageClass"];
+
+  /**
+   * @param {Object} options - Report scope
+   * @param {string} options.bucket - Bucket name
+   * @param {string} [options.prefix=''] - Prefix that was walked
+   * @param {number} [options.groupByDepth=1] - Path segments below the prefix used for the prefix breakdown
+   * @param {number} [options.top=10] - Number of largest and oldest objects to keep
+   * @param {number[]} [options.ageBuckets] - Ascending age boundaries in days
+   * @param {Date} [options.now=new Date()] - Reference time for object ages
+   */
+  constructor({ bucket, prefix = "", groupByDepth = 1, top = S3StorageReport.DEFAULT_TOP, ageBuckets = S3StorageReport.DEFAULT_AGE_BUCKETS, now = new Date() }) {
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.groupByDepth = groupByDepth;
+    this.top = top;
+    this.now = now;
+    this.ages = S3StorageReport.ageLabels(ageBuckets);
+    this.totals = { objects: 0, bytes: 0, folderMarkers: 0 };
+    this.byStorageClass = new Map();
+    this.byPrefix = new Map();
+    this.byExtension = new Map();
+    this.byAge = new Map(this.ages.map(({ label }) => [label, { objects: 0, bytes: 0 }]));
+    this.largest = [];
+    this.oldest = [];
+  }
+
+  /**
+   * Labels and upper bounds of the age buckets
+   * @param {number[]} boundaries - Ascending boundaries in days, e.g. [30, 90]
+   * @returns {Array<{label: string, maxDays: number|null}>} Buckets, e.g. '0-30d', '30-90d', '90d+'
+   */
+  static ageLabels(boundaries) {
+    const buckets = boundaries.map((maxDays, i) => ({ label: `${i === 0 ? 0 : boundaries[i - 1]}-${maxDays}d`, maxDays }));
+    buckets.push({ label: `${boundaries[boundaries.length - 1] ?? 0}d+`, maxDays: null });
+    return buckets;
+  }
+
+  /**
+   * Prefix group of a key: the prefix plus up to groupByDepth folder segments
+   * @param {string} key - Object key
+   * @returns {string} Group, e.g. 'logs/2025/' ('/' for objects at the bucket root)
+   */
+  prefixGroup(key) {
+    const folders = key.slice(this.prefix.length).split("/").slice(0, -1);
+    const group = this.prefix + folders.slice(0, this.groupByDepth).map((segment) => `${segment}/`).join("");
+    return group || "/";
+  }
+
+  /**
+   * Add one object to the report
+   * @param {Object} obj - ListObjectsV2 entry (Key, Size, LastModified, StorageClass)
+   * @returns {void}
+   */
+  add(obj) {
+    const size = obj.Size ?? 0;
+    if (obj.Key.endsWith("/") && size === 0) {
+      this.totals.folderMarkers += 1;
+      return;
+    }
+    const lastModified = obj.LastModified ? new Date(obj.LastModified) : null;
+    const storageClass = obj.StorageClass || "STANDARD";
+    const extension = path.extname(obj.Key).toLowerCase() || "(none)";
+
+    this.totals.objects += 1;
+    this.totals.bytes += size;
+    S3StorageReport.tally(this.byStorageClass, storageClass, size);
+    S3StorageReport.tally(this.byPrefix, this.prefixGroup(obj.Key), size);
+    S3StorageReport.tally(this.byExtension, extension, size);
+
+    if (lastModified) {
+      const days = (this.now.getTime() - lastModified.getTime()) / S3StorageReport.DAY_MS;
+      const age = this.ages.find(({ maxDays }) => maxDays === null || days < maxDays);
+      S3StorageReport.tally(this.byAge, age.label, size);
+    }
+
+    const entry = { key: obj.Key, size, lastModified: lastModified?.toISOString() ?? null, storageClass };
+    S3StorageReport.keepTop(this.largest, entry, this.top, (a, b) => b.size - a.size);
+    if (lastModified) {
+      S3StorageReport.keepTop(this.oldest, entry, this.top, (a, b) => a.lastModified.localeCompare(b.lastModified));
+    }
+  }
+
+  /**
+   * Add an object to a count/bytes breakdown
+   * @param {Map<string, {objects: number, bytes: number}>} map - Breakdown
+   * @param {string} name - Group name
+   * @param {number} size - Object size in bytes
+   * @returns {void}
+   */
+  static tally(map, name, size) {
+    const group = map.get(name) ?? { objects: 0, bytes: 0 };
+    group.objects += 1;
+    group.bytes += size;
+    map.set(name, group);
+  }
+
+  /**
+   * Insert an entry into a bounded, sorted top-N list
+   * @param {Object[]} list - Sorted list (modified in place)
+   * @param {Object} entry - Candidate entry
+   * @param {number} limit - Maximum length
+   * @param {function(Object, Object): number} compare - Sort order
+   * @returns {void}
+   */
+  static keepTop(list, entry, limit, compare) {
+    if (limit === 0) return;
+    if (list.length === limit && compare(entry, list[list.length - 1]) >= 0) return;
+    const index = list.findIndex((item) => compare(entry, item) < 0);
+    list.splice(index === -1 ? list.length : index, 0, entry);
+    if (list.length > limit) list.pop();
+  }
+
+  /**
+   * Finished report as a plain, JSON-serialisable object
+   * Breakdowns are sorted by bytes (age buckets keep their natural order).
+   * @returns {Object} {bucket, prefix, groupByDepth, generatedAt, totals, byStorageClass, byPrefix,
+   *   byExtension, byAge, largest, oldest}
+   */
+  toReport() {
+    const share = (bytes) => (this.totals.bytes === 0 ? 0 : Math.round((bytes / this.totals.bytes) * 10000) / 100);
+    const rows = (map, field) =>
+      [...map]
+        .map(([name, { objects, bytes }]) => ({ [field]: name, objects, bytes, percentBytes: share(bytes) }))
+        .sort((a, b) => b.bytes - a.bytes || String(a[field]).localeCompare(String(b[field])));
+    return {
+      bucket: this.bucket,
+      prefix: this.prefix,
+      groupByDepth: this.groupByDepth,
+      generatedAt: this.now.toISOString(),
+      totals: {
+        ...this.totals,
+        averageBytes: this.totals.objects === 0 ? 0 : Math.round(this.totals.bytes / this.totals.objects),
+      },
+      byStorageClass: rows(this.byStorageClass, "storageClass"),
+      byPrefix: rows(this.byPrefix, "prefix"),
+      byExtension: rows(this.byExtension, "extension"),
+      byAge: this.ages.map(({ label, maxDays }) => {
+        const { objects, bytes } = this.byAge.get(label);
+        return { age: label, maxDays, objects, bytes, percentBytes: share(bytes) };
+      }),
+      largest: [...this.largest],
+      oldest: [...this.oldest],
+    };
+  }
+
+  /**
+   * Render a report as JSON
+   * @param {Object} report - Report from AwsS3.getStorageReport
+   * @returns {string} Pretty-printed JSON
+   */
+  static toJSON(report) {
+    return JSON.stringify(report, null, 2);
+  }
+
+  /**
+   * Render a report as one CSV table
+   * Each row is tagged with its section (totals, storageClass, prefix,
+   * extension, age, largest, oldest); object rows carry the key as name.
+   * @param {Object} report - Report from AwsS3.getStorageReport
+   * @returns {string} CSV document with a header row
+   */
+  static toCSV(report) {
+    const cell = (value) => {
+      const text = String(value ?? "");
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = [S3StorageReport.CSV_COLUMNS];
+    rows.push(["totals", `${report.bucket}/${report.prefix}`, report.totals.objects, report.totals.bytes, 100, "", ""]);
+    const sections = [
+      ["storageClass", report.byStorageClass, "storageClass"],
+      ["prefix", report.byPrefix, "prefix"],
+      ["extension", report.byExtension, "extension"],
+      ["age", report.byAge, "age"],
+    ];
+    for (const [section, list, field] of sections) {
+      for (const row of list) rows.push([section, row[field], row.objects, row.bytes, row.percentBytes, "", ""]);
+    }
+    for (const section of ["largest", "oldest"]) {
+      for (const obj of report[section]) {
+        rows.push([section, obj.key, 1, obj.size, "", obj.lastModified, obj.storageClass]);
+      }
+    }
+    return `${rows.map((row) => row.map(cell).join(",")).join("\n")}\n`;
+  }
+
+  /**
+   * Render a report in the requested format
+   * @param {Object} report - Report from AwsS3.getStorageReport
+   * @param {string} [format="json"] - 'json' or 'csv'
+   * @returns {string} Rendered report
+   * @throws {Error} When the format is unsupported
+   */
+  static format(report, format = "json") {
+    switch (format) {
+      case "json":
+        return S3StorageReport.toJSON(report);
+      case "csv":
+        return S3StorageReport.toCSV(report);
+      default:
+        Logger.writeLog({
+          flag: "system_error",
+          action: "S3StorageReport.format",
+          message: `Unsupported report format: ${format}`,
+          critical: true,
+          data: { format },
+        });
+        throw new Error(`Unsupported report format: ${format}`);
+    }
+  }
+}
+
+export default S3StorageReport;
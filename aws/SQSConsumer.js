@@ -0,0 +1,421 @@
+import { Logger } from "../utils/index.js";
+import SQSVisibilityExtender from "./SQSVisibilityExtender.js";
+
+/**
+ * Long-running SQS worker created by SQSHelper.consume
+ *
+ * Long-polls one configured queue and runs the handler for each message with
+ * at most `concurrency` handlers in flight. The consumer never asks SQS for
+ * more messages than it has free slots, so nothing sits received-but-idle
+ * while its visibility timeout runs down. A message is deleted when its
+ * handler resolves; when the handler throws the message is left alone and
+ * SQS redelivers it after the visibility timeout (and moves it to the DLQ
+ * once the queue's redrive policy says so).
+ *
+ * While a handler runs, an SQSVisibilityExtender keeps its message hidden
+ * so a slow handler is not raced by a second delivery. With releaseOnFailure
+ * a failed message is made visible again at once instead of waiting out the
+ * visibility timeout.
+ *
+ * In ordered mode (the default for FIFO queues) messages of the same
+ * MessageGroupId run one after another in receive order, while different
+ * groups still run in parallel. When a message fails, the messages queued
+ * behind it in its group are skipped and returned to the queue the same way,
+ * so the group is redelivered in its original order.
+ *
+ * stop() (also triggered by SIGTERM/SIGINT) aborts the pending long poll,
+ * waits for in-flight handlers to finish and then resolves. Messages that an
+ * aborted poll had already claimed reappear after the visibility timeout.
+ * All consumers in the process share one listener per signal, so the signal
+ * is only handed back to Node (and the process exits) once every running
+ * consumer has drained.
+ *
+ * @class SQSConsumer
+ *
+ * @example
+ * const consumer = SQSHelper.consume('processing_queue', async (message, { body }) => {
+ *   await processJob(body);
+ * }, { concurrency: 4 });
+ * // later, e.g. in a health check
+ * consumer.stats(); // → { received: 12, succeeded: 11, failed: 1, released: 0, skipped: 0, inFlight: 2, running: true }
+ */
+class SQSConsumer {
+  /** @type {number} Default number of handlers running at once */
+  static DEFAULT_CONCURRENCY = 5;
+
+  /** @type {number} Default (and maximum) messages requested per poll */
+  static DEFAULT_BATCH_SIZE = 10;
+
+  /** @type {number} Default long-poll wait in seconds (SQS maximum) */
+  static DEFAULT_WAIT_TIME_SECONDS = 20;
+
+  /** @type {string[]} Process signals that stop the consumer by default */
+  static DEFAULT_SHUTDOWN_SIGNALS = ["SIGTERM", "SIGINT"];
+
+  /** @type {number} First pause after a failed poll in milliseconds */
+  static POLL_ERROR_DELAY_MS = 1000;
+
+  /** @type {number} Longest pause between failed polls in milliseconds */
+  static MAX_POLL_ERROR_DELAY_MS = 30000;
+
+  /** @type {Map<string, Set<SQSConsumer>>} Running consumers per shutdown signal, across the process */
+  static signalConsumers = new Map();
+
+  /** @type {Map<string, Function>} The single process listener registered for each signal */
+  static signalListeners = new Map();
+
+  /**
+   * @param {Object} options - Consumer settings (validated by SQSHelper.consume)
+   * @param {Function} options.sqs - SQSHelper class used for receive/delete
+   * @param {string} options.flag - Queue flag from queue-config.json
+   * @param {function(Object, Object): Promise<*>} options.handler - Called as handler(message, {flag, body, visibility})
+   * @param {number} [options.concurrency=5] - Handlers running at once
+   * @param {number} [options.batchSize=10] - Messages requested per poll (1-10)
+   * @param {number} [options.waitTimeSeconds=20] - Long-poll wait (0-20)
+   * @param {number} [options.visibilityTimeout=30] - Visibility timeout set on receive and by each heartbeat
+   * @param {boolean} [options.heartbeat=true] - Extend visibility while handlers run
+   * @param {number} [options.heartbeatIntervalSeconds] - Seconds between extensions (default: half the visibility timeout)
+   * @param {number} [options.maxVisibilityExtensionSeconds=3600] - Cap on how long one message is kept hidden
+   * @param {boolean|function(Error, Object): boolean} [options.releaseOnFailure=false] - Release failed messages immediately
+   * @param {boolean} [options.ordered=false] - Run messages of the same MessageGroupId one at a time, in order
+   * @param {string[]} [options.shutdownSignals=['SIGTERM', 'SIGINT']] - Signals that trigger stop() ([] to disable)
+   */
+  constructor({
+    sqs,
+    flag,
+    handler,
+    concurrency = SQSConsumer.DEFAULT_CONCURRENCY,
+    batchSize = SQSConsumer.DEFAULT_BATCH_SIZE,
+    waitTimeSeconds = SQSConsumer.DEFAULT_WAIT_TIME_SECONDS,
+    visibilityTimeout = 30,
+    heartbeat = true,
+    heartbeatIntervalSeconds,
+    maxVisibilityExtensionSeconds = SQSVisibilityExtender.DEFAULT_MAX_EXTENSION_SECONDS,
+    releaseOnFailure = false,
+    ordered = false,
+    shutdownSignals = SQSConsumer.DEFAULT_SHUTDOWN_SIGNALS,
+  }) {
+    this.sqs = sqs;
+    this.flag = flag;
+    this.handler = handler;
+    this.concurrency = concurrency;
+    this.batchSize = batchSize;
+    this.waitTimeSeconds = waitTimeSeconds;
+    this.visibilityTimeout = visibilityTimeout;
+    this.heartbeat = heartbeat;
+    this.heartbeatIntervalSeconds = heartbeatIntervalSeconds;
+    this.maxVisibilityExtensionSeconds = maxVisibilityExtensionSeconds;
+    this.releaseOnFailure = releaseOnFailure;
+    this.ordered = ordered;
+    this.shutdownSignals = shutdownSignals;
+    /** @type {Set<Promise<Object|null>>} Handlers in progress (never reject) */
+    this.inFlight = new Set();
+    /** @type {Map<string, Promise<Object|null>>} Ordered mode: last queued message of each group */
+    this.groupTails = new Map();
+    this.counters = { received: 0, succeeded: 0, failed: 0, released: 0, skipped: 0 };
+    this.running = false;
+    this.stopping = false;
+    this.loop = null;
+    this.pollAbort = null;
+    this.pauseTimer = null;
+    this.endPause = null;
+  }
+
+  /**
+   * Start polling; calling start() on a running consumer does nothing
+   * @returns {SQSConsumer} This consumer
+   */
+  start() {
+    if (this.running) return this;
+    this.running = true;
+    this.stopping = false;
+    for (const signal of this.shutdownSignals) SQSConsumer.watchSignal(signal, this);
+    Logger.writeLog({
+      flag: "sqs_operations",
+      action: "consume",
+      message: "Consumer started",
+      data: { queueFlag: this.flag, concurrency: this.concurrency, batchSize: this.batchSize },
+    });
+    this.loop = this.run();
+    return this;
+  }
+
+  /**
+   * Stop polling and wait for in-flight handlers to finish
+   * @returns {Promise<Object>} Final stats (see stats())
+   */
+  async stop() {
+    if (!this.running) return this.stats();
+    this.stopping = true;
+    this.pollAbort?.abort();
+    this.endPause?.();
+    await this.loop;
+    for (const signal of this.shutdownSignals) SQSConsumer.unwatchSignal(signal, this);
+    this.running = false;
+    Logger.writeLog({
+      flag: "sqs_operations",
+      action: "consume",
+      message: "Consumer stopped",
+      data: { queueFlag: this.flag, ...this.counters },
+    });
+    return this.stats();
+  }
+
+  /**
+   * Counters since start
+   * @returns {{received: number, succeeded: number, failed: number, released: number, skipped: number, inFlight: number,
+   *   running: boolean}} Stats
+   */
+  stats() {
+    return { ...this.counters, inFlight: this.inFlight.size, running: this.running && !this.stopping };
+  }
+
+  /**
+   * Register a running consumer for a signal, adding the process listener
+   * when it is the first one
+   * @param {string} signal - Signal name
+   * @param {SQSConsumer} consumer - Consumer to stop on that signal
+   * @returns {void}
+   */
+  static watchSignal(signal, consumer) {
+    let consumers = SQSConsumer.signalConsumers.get(signal);
+    if (!consumers) {
+      consumers = new Set();
+      SQSConsumer.signalConsumers.set(signal, consumers);
+      const listener = () => SQSConsumer.shutdown(signal);
+      SQSConsumer.signalListeners.set(signal, listener);
+      process.once(signal, listener);
+    }
+    consumers.add(consumer);
+  }
+
+  /**
+   * Unregister a consumer, removing the process listener after the last one
+   * @param {string} signal - Signal name
+   * @param {SQSConsumer} consumer - Consumer that stopped
+   * @returns {void}
+   */
+  static unwatchSignal(signal, consumer) {
+    const consumers = SQSConsumer.signalConsumers.get(signal);
+    if (!consumers?.delete(consumer) || consumers.size > 0) return;
+    SQSConsumer.signalConsumers.delete(signal);
+    process.removeListener(signal, SQSConsumer.signalListeners.get(signal));
+    SQSConsumer.signalListeners.delete(signal);
+  }
+
+  /**
+   * Stop every consumer registered for a signal, then hand the signal back to
+   * Node's default behaviour (exit) unless the application listens for it too
+   * @param {string} signal - Signal received
+   * @returns {Promise<void>}
+   */
+  static async shutdown(signal) {
+    const consumers = [...(SQSConsumer.signalConsumers.get(signal) ?? [])];
+    // The once-listener is already gone; a second signal during the drain exits immediately
+    SQSConsumer.signalConsumers.delete(signal);
+    SQSConsumer.signalListeners.delete(signal);
+    for (const consumer of consumers) {
+      Logger.writeLog({
+        flag: "sqs_operations",
+        action: "consume",
+        message: `${signal} received, finishing ${consumer.inFlight.size} in-flight message(s)`,
+        data: { queueFlag: consumer.flag, signal },
+      });
+    }
+    await Promise.all(consumers.map((consumer) => consumer.stop()));
+    if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+  }
+
+  /**
+   * Poll loop: receive up to the number of free slots, dispatch, repeat
+   * @returns {Promise<void>} Resolves once stopped and all handlers finished
+   */
+  async run() {
+    let pollErrors = 0;
+    while (!this.stopping) {
+      const free = this.concurrency - this.inFlight.size;
+      if (free <= 0) {
+        await Promise.race(this.inFlight);
+        continue;
+      }
+
+      let messages;
+      this.pollAbort = new AbortController();
+      try {
+        messages = await this.sqs.receive(this.flag, Math.min(free, this.batchSize), this.waitTimeSeconds, {
+          retries: 0,
+          abortSignal: this.pollAbort.signal,
+          visibilityTimeout: this.visibilityTimeout,
+          systemAttributeNames: this.ordered ? ["MessageGroupId"] : [],
+        });
+        pollErrors = 0;
+      } catch (err) {
+        if (this.stopping) break;
+        const delay = Math.min(SQSConsumer.POLL_ERROR_DELAY_MS * 2 ** pollErrors, SQSConsumer.MAX_POLL_ERROR_DELAY_MS);
+        pollErrors += 1;
+        Logger.writeLog({
+          flag: "sqs_error",
+          action: "consume",
+          message: `Receive failed, retrying in ${delay}ms: ${err.message}`,
+          critical: false,
+          data: { queueFlag: this.flag, consecutiveFailures: pollErrors },
+        });
+        await this.pause(delay);
+        continue;
+      } finally {
+        this.pollAbort = null;
+      }
+
+      for (const message of messages) this.dispatch(message);
+    }
+    await Promise.all(this.inFlight);
+  }
+
+  /**
+   * Run the handler for one message without blocking the poll loop
+   * @param {Object} message - SQS message
+   * @returns {void}
+   */
+  dispatch(message) {
+    this.counters.received += 1;
+    const group = this.ordered ? message.Attributes?.MessageGroupId ?? "" : null;
+    const previous = this.ordered ? this.groupTails.get(group) ?? null : null;
+    const task = this.handle(message, previous).finally(() => this.inFlight.delete(task));
+    this.inFlight.add(task);
+    if (this.ordered) {
+      this.groupTails.set(group, task);
+      task.then(() => {
+        if (this.groupTails.get(group) === task) this.groupTails.delete(group);
+      });
+    }
+  }
+
+  /**
+   * Handler call with visibility heartbeat, then delete on success or
+   * optional release on failure; never rejects
+   * @param {Object} message - SQS message
+   * @param {Promise<Object|null>|null} [previous=null] - Ordered mode: outcome of the previous message in the group
+   * @returns {Promise<{failed: true, release: boolean}|null>} Failure outcome, or null when the message was handled
+   */
+  async handle(message, previous = null) {
+    // Started before waiting on the group so queued messages stay hidden too
+    const visibility = this.heartbeat
+      ? new SQSVisibilityExtender({
+          sqs: this.sqs,
+          flag: this.flag,
+          receiptHandle: message.ReceiptHandle,
+          messageId: message.MessageId,
+          visibilityTimeout: this.visibilityTimeout,
+          intervalSeconds: this.heartbeatIntervalSeconds,
+          maxExtensionSeconds: this.maxVisibilityExtensionSeconds,
+        }).start()
+      : null;
+
+    const before = await previous;
+    if (before?.failed) {
+      this.counters.skipped += 1;
+      await visibility?.stop();
+      if (before.release) await this.releaseMessage(message, visibility);
+      Logger.writeLog({
+        flag: "sqs_operations",
+        action: "consume",
+        message: "Message skipped, an earlier message in its group failed",
+        data: { queueFlag: this.flag, messageId: message.MessageId, groupId: message.Attributes?.MessageGroupId },
+      });
+      return before;
+    }
+
+    try {
+      await this.handler(message, { flag: this.flag, body: SQSConsumer.parseBody(message.Body), visibility });
+    } catch (err) {
+      this.counters.failed += 1;
+      const release = typeof this.releaseOnFailure === "function" ? this.shouldRelease(err, message) : this.releaseOnFailure;
+      await visibility?.stop();
+      if (release) await this.releaseMessage(message, visibility);
+      Logger.writeLog({
+        flag: "sqs_error",
+        action: "consume",
+        message: `Handler failed, message ${release ? "released" : "left"} for redelivery: ${err.message}`,
+        critical: false,
+        data: { queueFlag: this.flag, messageId: message.MessageId },
+      });
+      return { failed: true, release };
+    }
+
+    await visibility?.stop();
+
+    try {
+      await this.sqs.delete(this.flag, message.ReceiptHandle);
+      this.counters.succeeded += 1;
+    } catch (err) {
+      // The handler's work is done; the message will be delivered again
+      this.counters.failed += 1;
+      Logger.writeLog({
+        flag: "sqs_error",
+        action: "consume",
+        message: `Delete after successful handler failed: ${err.message}`,
+        critical: true,
+        data: { queueFlag: this.flag, messageId: message.MessageId },
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Make a message visible again right away
+   * @param {Object} message - SQS message
+   * @param {SQSVisibilityExtender|null} visibility - Its heartbeat, if any
+   * @returns {Promise<void>}
+   */
+  async releaseMessage(message, visibility) {
+    const released = visibility
+      ? await visibility.release()
+      : await this.sqs.changeVisibility(this.flag, message.ReceiptHandle, 0).then(() => true, () => false);
+    if (released) this.counters.released += 1;
+  }
+
+  /**
+   * Ask the releaseOnFailure callback; a throwing callback counts as "no"
+   * @param {Error} err - Handler error
+   * @param {Object} message - SQS message
+   * @returns {boolean} True to release the message now
+   */
+  shouldRelease(err, message) {
+    try {
+      return Boolean(this.releaseOnFailure(err, message));
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Wait before the next poll; stop() ends the wait early
+   * @param {number} ms - Delay in milliseconds
+   * @returns {Promise<void>}
+   */
+  pause(ms) {
+    return new Promise((resolve) => {
+      this.endPause = () => {
+        clearTimeout(this.pauseTimer);
+        this.endPause = null;
+        resolve();
+      };
+      this.pauseTimer = setTimeout(this.endPause, ms);
+    });
+  }
+
+  /**
+   * Message body as sent by SQSHelper.send (JSON), or the raw string
+   * @param {string} body - SQS message body
+   * @returns {*} Parsed body
+   */
+  static parseBody(body) {
+    try {
+      return JSON.parse(body);
+    } catch {
+      return body;
+    }
+  }
+}
+
+export default SQSConsumer;
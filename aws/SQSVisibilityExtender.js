@@ -0,0 +1,209 @@
+import { Logger } from "../utils/index.js";
+
+/**
+ * Visibility-timeout heartbeat for one received SQS message
+ *
+ * While a slow handler runs, the extender calls ChangeMessageVisibility every
+ * `intervalSeconds` to push the message's visibility out to another
+ * `visibilityTimeout` seconds, so SQS does not hand it to another consumer
+ * mid-processing. Extensions stop once the message has been hidden for
+ * `maxExtensionSeconds` in total (the final extension is shortened to land
+ * exactly on the cap); after that the message becomes visible again when the
+ * last timeout runs out. SQS itself never allows more than 12 hours.
+ *
+ * release() stops the heartbeat and sets the visibility to 0, making the
+ * message available for redelivery immediately.
+ *
+ * @class SQSVisibilityExtender
+ *
+ * @example
+ * const extender = SQSHelper.extendVisibility('video_queue', message.ReceiptHandle, { visibilityTimeout: 60 });
+ * try {
+ *   await transcode(message);
+ *   await extender.stop();
+ *   await SQSHelper.delete('video_queue', message.ReceiptHandle);
+ * } catch (err) {
+ *   await extender.release();
+ * }
+ */
+class SQSVisibilityExtender {
+  /** @type {number} Longest total time SQS keeps a message hidden, in seconds (12 hours) */
+  static MAX_EXTENSION_SECONDS = 43200;
+
+  /** @type {number} Default cap on the total time a message is kept hidden, in seconds (1 hour) */
+  static DEFAULT_MAX_EXTENSION_SECONDS = 3600;
+
+  /** @type {string[]} Error names meaning the receipt handle can no longer be extended */
+  static FATAL_ERRORS = ["ReceiptHandleIsInvalid", "MessageNotInflight", "InvalidParameterValue"];
+
+  /**
+   * @param {Object} options - Extender settings (validated by SQSHelper.extendVisibility)
+   * @param {Function} options.sqs - SQSHelper class used for changeVisibility
+   * @param {string} options.flag - Queue flag from queue-config.json
+   * @param {string} options.receiptHandle - Receipt handle of the message
+   * @param {string} [options.messageId] - Message ID, for logging
+   * @param {number} [options.visibilityTimeout=30] - Seconds each extension keeps the message hidden
+   * @param {number} [options.intervalSeconds] - Seconds between extensions (default: half the visibility timeout)
+   * @param {number} [options.maxExtensionSeconds=3600] - Cap on total hidden time, counted from start()
+   */
+  constructor({
+    sqs,
+    flag,
+    receiptHandle,
+    messageId = null,
+    visibilityTimeout = 30,
+    intervalSeconds = Math.max(1, Math.floor(visibilityTimeout / 2)),
+    maxExtensionSeconds = SQSVisibilityExtender.DEFAULT_MAX_EXTENSION_SECONDS,
+  }) {
+    this.sqs = sqs;
+    this.flag = flag;
+    this.receiptHandle = receiptHandle;
+    this.messageId = messageId;
+    this.visibilityTimeout = visibilityTimeout;
+    this.intervalSeconds = intervalSeconds;
+    this.maxExtensionSeconds = Math.min(maxExtensionSeconds, SQSVisibilityExtender.MAX_EXTENSION_SECONDS);
+    this.startedAt = null;
+    this.timer = null;
+    this.pending = null;
+    this.active = false;
+    this.extensions = 0;
+    this.capReached = false;
+  }
+
+  /**
+   * Start the heartbeat; the message is assumed to have just been received
+   * @returns {SQSVisibilityExtender} This extender
+   */
+  start() {
+    if (this.active) return this;
+    this.active = true;
+    this.startedAt = Date.now();
+    this.schedule();
+    return this;
+  }
+
+  /**
+   * Stop extending; the message keeps its current visibility timeout
+   * Resolves once an extension already in progress has finished, so a
+   * following delete is not raced by a ChangeMessageVisibility call.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.halt();
+    await this.pending;
+  }
+
+  /**
+   * Stop extending and make the message visible again right away
+   * @returns {Promise<boolean>} True when the visibility was reset, false when the call failed
+   */
+  async release() {
+    await this.stop();
+    try {
+      await this.sqs.changeVisibility(this.flag, this.receiptHandle, 0);
+      return true;
+    } catch (err) {
+      Logger.writeLog({
+        flag: "sqs_error",
+        action: "extendVisibility",
+        message: `Failed to release message: ${err.message}`,
+        critical: false,
+        data: { queueFlag: this.flag, messageId: this.messageId },
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Heartbeat state
+   * @returns {{active: boolean, extensions: number, hiddenSeconds: number, capReached: boolean}} Stats
+   */
+  stats() {
+    return {
+      active: this.active,
+      extensions: this.extensions,
+      hiddenSeconds: this.startedAt === null ? 0 : Math.round((Date.now() - this.startedAt) / 1000),
+      capReached: this.capReached,
+    };
+  }
+
+  /**
+   * Cancel the next extension without waiting
+   * @returns {void}
+   */
+  halt() {
+    this.active = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Queue the next extension
+   * @returns {void}
+   */
+  schedule() {
+    if (!this.active) return;
+    this.timer = setTimeout(() => {
+      this.pending = this.extend().finally(() => {
+        this.pending = null;
+      });
+    }, this.intervalSeconds * 1000);
+    // A heartbeat alone should not keep the process running
+    this.timer.unref?.();
+  }
+
+  /**
+   * Push the visibility out, shortened to respect maxExtensionSeconds
+   * @returns {Promise<void>}
+   */
+  async extend() {
+    if (!this.active) return;
+    const elapsed = (Date.now() - this.startedAt) / 1000;
+    const timeout = Math.min(this.visibilityTimeout, Math.round(this.maxExtensionSeconds - elapsed));
+    if (timeout <= 0) {
+      this.markCapReached();
+      return;
+    }
+
+    try {
+      await this.sqs.changeVisibility(this.flag, this.receiptHandle, timeout, { retries: 1 });
+      this.extensions += 1;
+    } catch (err) {
+      const fatal = SQSVisibilityExtender.FATAL_ERRORS.includes(err.name);
+      Logger.writeLog({
+        flag: "sqs_error",
+        action: "extendVisibility",
+        message: `Visibility extension failed${fatal ? ", heartbeat stopped" : ""}: ${err.message}`,
+        critical: false,
+        data: { queueFlag: this.flag, messageId: this.messageId, extensions: this.extensions },
+      });
+      if (fatal) {
+        this.halt();
+        return;
+      }
+    }
+
+    if (timeout < this.visibilityTimeout) {
+      this.markCapReached();
+      return;
+    }
+    this.schedule();
+  }
+
+  /**
+   * Stop after the last allowed extension
+   * @returns {void}
+   */
+  markCapReached() {
+    this.capReached = true;
+    this.halt();
+    Logger.writeLog({
+      flag: "sqs_operations",
+      action: "extendVisibility",
+      message: `Visibility extension cap of ${this.maxExtensionSeconds}s reached`,
+      data: { queueFlag: this.flag, messageId: this.messageId, extensions: this.extensions },
+    });
+  }
+}
+
+export default SQSVisibilityExtender;
@@ -8,8 +8,13 @@ import {
   SendMessageBatchCommand,
   ReceiveMessageCommand,
   DeleteMessageCommand,
+  ChangeMessageVisibilityCommand,
+  DeleteMessageBatchCommand,
+  ChangeMessageVisibilityBatchCommand,
 } from "@aws-sdk/client-sqs";
 import SecretsManager from "./SecretsManager.js";
+import SQSConsumer from "./SQSConsumer.js";
+import SQSVisibilityExtender from "./SQSVisibilityExtender.js";
 import { SafeUtils, ErrorHandler, Logger, DateTime } from "../utils/index.js";
 import path from "path";
 import { fileURLToPath } from "url";
@@ -43,6 +48,15 @@ class SQSHelper {
   /** @type {number} Maximum concurrent connections to SQS */
   static MAX_SOCKETS = 50;
 
+  /** @type {number} Maximum entries in one SQS batch request */
+  static MAX_BATCH_ENTRIES = 10;
+
+  /** @type {number} Maximum total message size of one SendMessageBatch request in bytes (256 KB) */
+  static MAX_BATCH_BYTES = 262144;
+
+  /** @type {RegExp} Allowed batch entry IDs */
+  static BATCH_ID_PATTERN = /^[A-Za-z0-9_-]{1,80}$/;
+
   static client = null;
 
   // Get credentials using the reusable SecretsManager class
@@ -100,8 +114,9 @@ class SQSHelper {
 
   /**
    * Create a new SQS queue
+   * Names ending in ".fifo" create a FIFO queue (FifoQueue is set automatically).
    * @param {string} queueName - Name of the queue to create
-   * @param {Object} attributes - Queue attributes (optional)
+   * @param {Object} attributes - Queue attributes (optional), e.g. { ContentBasedDeduplication: "true" } for FIFO
    * @returns {Promise<string>} Queue URL
    */
   static async createQueue(queueName, attributes = {}) {
@@ -130,6 +145,7 @@ class SQSHelper {
         Attributes: {
           VisibilityTimeout: "30",
           MessageRetentionPeriod: "345600", // 4 days
+          ...(SQSHelper.isFifoUrl(queueName) ? { FifoQueue: "true" } : {}),
           ...attributes
         }
       });
@@ -278,6 +294,18 @@ class SQSHelper {
       "utf8"
     )
   );
+  /**
+   * Validated entry of queue-config.json
+   *
+   * FIFO queues may set `fifo: true` (inferred from a ".fifo" URL when
+   * omitted), `contentBasedDeduplication` to match the queue attribute, and
+   * `messageGroupId` as the group used when a send does not name one.
+   *
+   * @param {string} flag - Queue flag
+   * @returns {{flag: string, queueUrl: string, dlqUrl: string|null, defaultDelaySeconds: number, fifo: boolean,
+   *   contentBasedDeduplication: boolean|null, messageGroupId: string|null}} Queue configuration
+   * @throws {Error} When the flag is unknown or the entry is invalid
+   */
   static getQueueConfig(flag) {
     const queueCfg = this.config.queues.find((q) => q.flag === flag);
     if (!queueCfg)
@@ -293,17 +321,119 @@ class SQSHelper {
         required: false,
         default: 0,
       },
+      fifo: {
+        value: queueCfg.fifo,
+        type: "bool",
+        required: false,
+        default: SQSHelper.isFifoUrl(queueCfg.queueUrl),
+      },
+      contentBasedDeduplication: { value: queueCfg.contentBasedDeduplication, type: "bool", required: false },
+      messageGroupId: { value: queueCfg.messageGroupId, type: "string", required: false },
     });
 
+    if (validated.fifo !== SQSHelper.isFifoUrl(validated.queueUrl)) {
+      throw new Error(`Queue config for flag "${flag}": fifo must match the queue URL (FIFO queue URLs end in ".fifo")`);
+    }
+
     return validated;
   }
 
+  /**
+   * Whether a queue name or URL refers to a FIFO queue
+   * @param {string} queueNameOrUrl - Queue name or URL
+   * @returns {boolean} True for names/URLs ending in ".fifo"
+   */
+  static isFifoUrl(queueNameOrUrl) {
+    return /\.fifo\/?$/.test(queueNameOrUrl ?? "");
+  }
+
+  /**
+   * Queue description for the direct-URL methods (no config entry)
+   * @param {string} queueUrl - Queue URL
+   * @returns {Object} Same shape as getQueueConfig; FIFO settings other than the type are unknown
+   */
+  static queueFromUrl(queueUrl) {
+    return {
+      queueUrl,
+      defaultDelaySeconds: 0,
+      fifo: SQSHelper.isFifoUrl(queueUrl),
+      contentBasedDeduplication: null,
+      messageGroupId: null,
+    };
+  }
+
+  /**
+   * Send parameters that depend on the queue type
+   *
+   * Standard queues get DelaySeconds. FIFO queues get MessageGroupId and,
+   * unless the queue uses content-based deduplication, MessageDeduplicationId;
+   * they never get DelaySeconds, which FIFO rejects per message.
+   * messageGroupId/messageDeduplicationId are ignored for standard queues.
+   *
+   * @param {Object} queue - getQueueConfig/queueFromUrl result
+   * @param {*} messageBody - Message being sent
+   * @param {number} index - Position of the message in its batch (0 for single sends)
+   * @param {Object} options - Send options
+   * @param {number} [options.delaySeconds] - Per-message delay (standard queues only)
+   * @param {string|function(*, number): string} [options.messageGroupId] - FIFO group, or a function of (message, index)
+   * @param {string|function(*, number): string} [options.messageDeduplicationId] - FIFO deduplication ID, or a function
+   * @returns {Object} SendMessage / batch entry parameters
+   * @throws {Error} When a FIFO send is missing its group or deduplication ID, or asks for a delay
+   */
+  static messageTypeParams(queue, messageBody, index, options) {
+    if (!queue.fifo) {
+      return { DelaySeconds: options.delaySeconds ?? queue.defaultDelaySeconds };
+    }
+    if (options.delaySeconds) {
+      throw new Error("FIFO queues do not support per-message delaySeconds; set DelaySeconds on the queue instead");
+    }
+
+    const resolve = (value) => (typeof value === "function" ? value(messageBody, index) : value);
+    const groupId = resolve(options.messageGroupId) ?? queue.messageGroupId;
+    if (groupId === undefined || groupId === null || String(groupId) === "") {
+      throw new Error(`messageGroupId is required for FIFO queue ${queue.queueUrl}`);
+    }
+    const params = { MessageGroupId: String(groupId) };
+
+    const deduplicationId = resolve(options.messageDeduplicationId);
+    if (deduplicationId !== undefined && deduplicationId !== null) {
+      params.MessageDeduplicationId = String(deduplicationId);
+    } else if (queue.contentBasedDeduplication === false) {
+      throw new Error(`messageDeduplicationId is required: FIFO queue ${queue.queueUrl} does not use content-based deduplication`);
+    }
+    return params;
+  }
+
+  /**
+   * Derive a queue ARN from its URL
+   * @param {string} queueUrl - Queue URL (https://sqs.<region>.amazonaws.com/<account>/<name>)
+   * @returns {string} Queue ARN (arn:aws:sqs:<region>:<account>:<name>)
+   */
+  static queueArnFromUrl(queueUrl) {
+    const match = /^https:\/\/sqs[.-]([a-z0-9-]+)\.amazonaws\.com(?:\.cn)?\/(\d{12})\/([\w-]+(?:\.fifo)?)\/?$/.exec(queueUrl ?? "");
+    if (!match) throw new Error(`Cannot derive a queue ARN from "${queueUrl}"`);
+    const [, region, account, name] = match;
+    const partition = region.startsWith("cn-") ? "aws-cn" : region.startsWith("us-gov-") ? "aws-us-gov" : "aws";
+    return `arn:${partition}:sqs:${region}:${account}:${name}`;
+  }
+
+  /**
+   * ARN of a configured queue, e.g. for S3 event notification destinations
+   * @param {string} flag - Queue flag from queue-config.json
+   * @returns {string} Queue ARN
+   */
+  static getQueueArn(flag) {
+    return this.queueArnFromUrl(this.getQueueConfig(flag).queueUrl);
+  }
+
   static async withRetry(fn, retries = SQSHelper.DEFAULT_RETRY_ATTEMPTS, delayMs = SQSHelper.BASE_DELAY_MS) {
     let attempt = 0;
     while (true) {
       try {
         return await fn();
       } catch (err) {
+        // Cancelled by the caller (e.g. a consumer stopping its long poll): not a failure, never retried
+        if (err.name === "AbortError") throw err;
         if (++attempt > retries) {
           Logger.writeLog({
             flag: "sqs_error",
@@ -326,14 +456,171 @@ class SQSHelper {
     }
   }
 
+  /**
+   * Send batch entries in chunks and retry only the entries that failed
+   *
+   * Entries rejected with SenderFault (e.g. an invalid receipt handle) are not
+   * retried; server-side failures and failed requests are retried with
+   * exponential backoff, resending only the affected entries.
+   *
+   * @param {string} action - Operation name for logging
+   * @param {Object[]} entries - SDK batch entries, each with a unique Id
+   * @param {function(Object[]): Promise<Object>} sendChunk - Sends one chunk, resolves with {Successful, Failed}
+   * @param {Object} [options={}] - Retry options (retries, delayMs)
+   * @param {function(Object[]): Object[][]} [chunk] - Splits entries into requests (default: groups of 10)
+   * @returns {Promise<{successful: Object[], failed: Object[], lastError: Error|null}>} SDK result entries by Id
+   *   (failed: {Id, Code, Message, SenderFault}) and the last request-level error, if any
+   */
+  static async executeBatch(action, entries, sendChunk, options = {}, chunk = SQSHelper.chunkByCount) {
+    const retries = options.retries ?? SQSHelper.DEFAULT_RETRY_ATTEMPTS;
+    const delayMs = options.delayMs ?? SQSHelper.BASE_DELAY_MS;
+    const successful = new Map();
+    const failed = new Map();
+    let lastError = null;
+    let pending = entries;
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+      const retryable = [];
+      for (const group of chunk(pending)) {
+        try {
+          const result = await sendChunk(group);
+          const byId = new Map(group.map((entry) => [entry.Id, entry]));
+          for (const ok of result.Successful ?? []) {
+            successful.set(ok.Id, ok);
+            failed.delete(ok.Id);
+          }
+          for (const failure of result.Failed ?? []) {
+            failed.set(failure.Id, failure);
+            if (!failure.SenderFault && byId.has(failure.Id)) retryable.push(byId.get(failure.Id));
+          }
+        } catch (err) {
+          lastError = err;
+          for (const entry of group) {
+            failed.set(entry.Id, { Id: entry.Id, Code: err.name, Message: err.message, SenderFault: false });
+            retryable.push(entry);
+          }
+        }
+      }
+
+      if (retryable.length === 0 || attempt >= retries) break;
+      const backoff = delayMs * Math.pow(2, attempt);
+      Logger.writeLog({
+        flag: "sqs_retry",
+        action,
+        message: `Retrying ${retryable.length} failed batch entries, attempt ${attempt + 1}`,
+        data: { attempt: attempt + 1, backoffMs: backoff, entries: retryable.length },
+      });
+      await new Promise((res) => setTimeout(res, backoff));
+      pending = retryable;
+    }
+
+    return { successful: [...successful.values()], failed: [...failed.values()], lastError };
+  }
+
+  /**
+   * Split batch entries into groups of MAX_BATCH_ENTRIES
+   * @param {Object[]} entries - Batch entries
+   * @returns {Object[][]} Chunks
+   */
+  static chunkByCount(entries) {
+    const chunks = [];
+    for (let i = 0; i < entries.length; i += SQSHelper.MAX_BATCH_ENTRIES) {
+      chunks.push(entries.slice(i, i + SQSHelper.MAX_BATCH_ENTRIES));
+    }
+    return chunks;
+  }
+
+  /**
+   * Log the outcome of a batch operation
+   * @param {string} action - Operation name
+   * @param {string} flag - Queue flag
+   * @param {{successful: Object[], failed: Object[]}} result - Per-entry result
+   * @returns {void}
+   */
+  static logBatchResult(action, flag, result) {
+    if (result.failed.length > 0) {
+      Logger.writeLog({
+        flag: "sqs_error",
+        action,
+        message: `${result.failed.length} of ${result.successful.length + result.failed.length} batch entries failed`,
+        critical: false,
+        data: { queueFlag: flag, failed: result.failed.map(({ index, code }) => ({ index, code })) },
+      });
+    }
+    Logger.writeLog({
+      flag: "sqs_operations",
+      action,
+      message: "Batch completed",
+      data: { queueFlag: flag, successCount: result.successful.length, failureCount: result.failed.length },
+    });
+  }
+
+  /**
+   * Normalise receipt handles or received messages for a batch call
+   * @param {Array<string|Object>} items - Receipt handles, or messages with a ReceiptHandle
+   * @returns {string[]} Receipt handles
+   * @throws {Error} When the list is empty or an item has no receipt handle
+   */
+  static receiptHandlesOf(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error("receiptHandles must be a non-empty array");
+    }
+    return items.map((item, index) => {
+      const handle = typeof item === "string" ? item : item?.ReceiptHandle;
+      if (typeof handle !== "string" || handle.trim() === "") {
+        throw new Error(`Entry ${index} has no receipt handle`);
+      }
+      return handle;
+    });
+  }
+
+  /**
+   * Map an executeBatch result (entries keyed by index Ids) back to the caller's inputs
+   * @param {{successful: Object[], failed: Object[]}} raw - executeBatch result
+   * @param {function(number): Object} describe - Builds the reported entry for an input index
+   * @returns {{successful: Object[], failed: Object[]}} Entries in input order
+   */
+  static batchResult(raw, describe) {
+    const byIndex = (a, b) => a.index - b.index;
+    return {
+      successful: raw.successful.map((ok) => describe(Number(ok.Id))).sort(byIndex),
+      failed: raw.failed
+        .map((failure) => ({
+          ...describe(Number(failure.Id)),
+          code: failure.Code,
+          message: failure.Message,
+          senderFault: Boolean(failure.SenderFault),
+        }))
+        .sort(byIndex),
+    };
+  }
+
   static async send(flag, messageBody, options = {}) {
     const queueCfg = this.getQueueConfig(flag);
     const bodyStr = JSON.stringify(messageBody);
 
+    let typeParams;
+    try {
+      typeParams = SQSHelper.messageTypeParams(queueCfg, messageBody, 0, options);
+    } catch (err) {
+      ErrorHandler.add_error("Invalid parameters in SQSHelper.send", {
+        flag,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "sqs_error",
+        action: "send",
+        message: err.message,
+        critical: true,
+        data: { flag },
+      });
+      throw new Error(err.message);
+    }
+
     const params = {
       QueueUrl: queueCfg.queueUrl,
       MessageBody: bodyStr,
-      DelaySeconds: options.delaySeconds ?? queueCfg.defaultDelaySeconds,
+      ...typeParams,
     };
 
     if (
@@ -366,35 +653,206 @@ class SQSHelper {
     );
   }
 
+  /**
+   * Send many messages to a configured queue
+   *
+   * Messages are split into SendMessageBatch requests of at most 10 entries
+   * and MAX_BATCH_BYTES of message bodies. Entries that fail server-side are
+   * retried on their own, so messages that were already accepted are never
+   * sent twice; entries SQS rejects (SenderFault) and messages larger than
+   * the batch limit are reported without retrying. On FIFO queues a retried
+   * entry can end up behind later messages of its group that were accepted
+   * first; check `results` when strict ordering matters.
+   *
+   * @param {string} flag - Queue flag from queue-config.json
+   * @param {Array} messages - Message bodies (JSON-serialised)
+   * @param {Object} [options={}] - Optional parameters
+   * @param {number} [options.delaySeconds] - Delay for every message (default: the queue's defaultDelaySeconds;
+   *   not allowed for FIFO queues)
+   * @param {string|function(*, number): string} [options.messageGroupId] - FIFO group ID, or a function of
+   *   (message, index) (default: the queue's messageGroupId)
+   * @param {string|function(*, number): string} [options.messageDeduplicationId] - FIFO deduplication ID, or a
+   *   function of (message, index); not needed with content-based deduplication
+   * @param {string[]|function(*, number): string} [options.ids] - Entry IDs (letters, digits, '-', '_'; unique),
+   *   as an array parallel to messages or a function of (message, index); default: the message index
+   * @param {number} [options.maxBatchBytes=262144] - Payload limit per request
+   * @param {number} [options.retries] - Retries for failed entries
+   * @param {number} [options.delayMs] - Base backoff between retries
+   * @returns {Promise<Object>} {Successful, Failed} (SDK entry shapes merged across requests) and
+   *   results: one {index, id, success, messageId, code, message, senderFault} per input, in input order
+   * @throws {Error} When the parameters are invalid, or when no message could be sent because every request failed
+   * @example
+   * const { results } = await SQSHelper.sendBatch('email_notifications', emails, { ids: emails.map((e) => e.emailId) });
+   * const unsent = results.filter((r) => !r.success).map((r) => r.id);
+   */
   static async sendBatch(flag, messages, options = {}) {
     const queueCfg = this.getQueueConfig(flag);
+    return this.sendMessageBatch("sendBatch", queueCfg, messages, options, { queueFlag: flag });
+  }
 
-    const entries = messages.map((msg, idx) => ({
-      Id: String(idx),
-      MessageBody: JSON.stringify(msg),
-      DelaySeconds: options.delaySeconds ?? queueCfg.defaultDelaySeconds,
-    }));
+  /**
+   * Shared implementation of sendBatch and sendBatchToQueue
+   * @param {string} action - Calling method, for logging
+   * @param {Object} queue - getQueueConfig/queueFromUrl result
+   * @param {Array} messages - Message bodies
+   * @param {Object} options - See sendBatch
+   * @param {Object} logData - Queue identification for log entries
+   * @returns {Promise<Object>} See sendBatch
+   */
+  static async sendMessageBatch(action, queue, messages, options, logData) {
+    let maxBatchBytes, entries;
+    try {
+      if (!Array.isArray(messages) || messages.length === 0) {
+        throw new Error("Messages must be a non-empty array");
+      }
+      ({ maxBatchBytes } = SafeUtils.sanitizeValidate({
+        maxBatchBytes: { value: options.maxBatchBytes, type: "int", required: false, default: SQSHelper.MAX_BATCH_BYTES },
+      }));
+      const ids = SQSHelper.batchEntryIds(messages, options.ids);
+      entries = messages.map((msg, idx) => ({
+        Id: ids[idx],
+        MessageBody: JSON.stringify(msg),
+        ...SQSHelper.messageTypeParams(queue, msg, idx, options),
+      }));
+    } catch (err) {
+      ErrorHandler.add_error(`Invalid parameters in SQSHelper.${action}`, {
+        ...logData,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "sqs_error",
+        action,
+        message: err.message,
+        critical: true,
+        data: logData,
+      });
+      throw new Error(err.message);
+    }
 
-    const params = {
-      QueueUrl: queueCfg.queueUrl,
-      Entries: entries,
-    };
+    const entrySize = (entry) => Buffer.byteLength(entry.MessageBody, "utf8");
+    const oversized = entries.filter((entry) => entrySize(entry) > maxBatchBytes);
+    const sendable = entries.filter((entry) => entrySize(entry) <= maxBatchBytes);
 
-    return this.withRetry(
-      async () => {
-        const cmd = new SendMessageBatchCommand(params);
-        const result = await this.client.send(cmd);
-        Logger.writeLog({
-          flag: "sqs_operations",
-          action: "sendBatch",
-          message: "Batch sent successfully",
-          data: { queueFlag: flag, successCount: result.Successful.length }
-        });
-        return result;
-      },
-      options.retries,
-      options.delayMs
+    const raw = await this.executeBatch(
+      action,
+      sendable,
+      (group) => this.client.send(new SendMessageBatchCommand({ QueueUrl: queue.queueUrl, Entries: group })),
+      options,
+      (pending) => SQSHelper.chunkBySize(pending, maxBatchBytes, entrySize)
     );
+
+    if (raw.successful.length === 0 && raw.lastError && oversized.length === 0) {
+      Logger.writeLog({
+        flag: "sqs_error",
+        action,
+        message: `No messages sent: ${raw.lastError.message}`,
+        critical: true,
+        data: { ...logData, messageCount: entries.length },
+      });
+      throw raw.lastError;
+    }
+
+    const failed = [
+      ...raw.failed,
+      ...oversized.map((entry) => ({
+        Id: entry.Id,
+        Code: "MessageTooLong",
+        Message: `Message is ${entrySize(entry)} bytes; the batch limit is ${maxBatchBytes}`,
+        SenderFault: true,
+      })),
+    ];
+    const successById = new Map(raw.successful.map((ok) => [ok.Id, ok]));
+    const failureById = new Map(failed.map((failure) => [failure.Id, failure]));
+    const results = entries.map((entry, index) => {
+      const ok = successById.get(entry.Id);
+      const failure = failureById.get(entry.Id);
+      return {
+        index,
+        id: entry.Id,
+        success: Boolean(ok),
+        messageId: ok?.MessageId ?? null,
+        code: ok ? null : failure?.Code ?? null,
+        message: ok ? null : failure?.Message ?? null,
+        senderFault: ok ? false : Boolean(failure?.SenderFault),
+      };
+    });
+
+    const order = new Map(entries.map((entry, index) => [entry.Id, index]));
+    const byInput = (a, b) => order.get(a.Id) - order.get(b.Id);
+    const result = {
+      Successful: raw.successful.sort(byInput),
+      Failed: failed.filter((failure) => !successById.has(failure.Id)).sort(byInput),
+      results,
+    };
+
+    if (result.Failed.length > 0) {
+      Logger.writeLog({
+        flag: "sqs_error",
+        action,
+        message: `${result.Failed.length} of ${entries.length} messages not sent`,
+        critical: false,
+        data: { ...logData, failed: result.Failed.map(({ Id, Code }) => ({ id: Id, code: Code })) },
+      });
+    }
+    Logger.writeLog({
+      flag: "sqs_operations",
+      action,
+      message: "Batch sent successfully",
+      data: { ...logData, successCount: result.Successful.length, failureCount: result.Failed.length }
+    });
+    return result;
+  }
+
+  /**
+   * Resolve and check the entry IDs of a send batch
+   * @param {Array} messages - Message bodies
+   * @param {string[]|function(*, number): string} [ids] - Caller IDs (see sendBatch)
+   * @returns {string[]} One ID per message
+   * @throws {Error} When an ID is malformed or repeated
+   */
+  static batchEntryIds(messages, ids) {
+    if (ids === undefined || ids === null) return messages.map((_, idx) => String(idx));
+    if (Array.isArray(ids) && ids.length !== messages.length) {
+      throw new Error("ids must have one entry per message");
+    }
+    if (!Array.isArray(ids) && typeof ids !== "function") {
+      throw new Error("ids must be an array or a function");
+    }
+    const resolved = messages.map((msg, idx) => String(Array.isArray(ids) ? ids[idx] : ids(msg, idx)));
+    const seen = new Set();
+    for (const id of resolved) {
+      if (!SQSHelper.BATCH_ID_PATTERN.test(id)) {
+        throw new Error(`Invalid batch entry id "${id}" (use up to 80 letters, digits, '-' or '_')`);
+      }
+      if (seen.has(id)) throw new Error(`Duplicate batch entry id "${id}"`);
+      seen.add(id);
+    }
+    return resolved;
+  }
+
+  /**
+   * Split batch entries into requests by count and total payload size
+   * @param {Object[]} entries - Batch entries (each no larger than maxBytes)
+   * @param {number} maxBytes - Payload limit per request
+   * @param {function(Object): number} sizeOf - Payload size of an entry
+   * @returns {Object[][]} Chunks
+   */
+  static chunkBySize(entries, maxBytes, sizeOf) {
+    const chunks = [];
+    let current = [];
+    let bytes = 0;
+    for (const entry of entries) {
+      const size = sizeOf(entry);
+      if (current.length === SQSHelper.MAX_BATCH_ENTRIES || (current.length > 0 && bytes + size > maxBytes)) {
+        chunks.push(current);
+        current = [];
+        bytes = 0;
+      }
+      current.push(entry);
+      bytes += size;
+    }
+    if (current.length > 0) chunks.push(current);
+    return chunks;
   }
 
   static async receive(
@@ -409,13 +867,16 @@ class SQSHelper {
       QueueUrl: queueCfg.queueUrl,
       MaxNumberOfMessages: maxMessages,
       WaitTimeSeconds: waitTimeSeconds,
-      VisibilityTimeout: SQSHelper.DEFAULT_VISIBILITY_TIMEOUT,
+      VisibilityTimeout: options.visibilityTimeout ?? SQSHelper.DEFAULT_VISIBILITY_TIMEOUT,
     };
+    if (options.systemAttributeNames?.length) {
+      params.MessageSystemAttributeNames = options.systemAttributeNames;
+    }
 
     return this.withRetry(
       async () => {
         const cmd = new ReceiveMessageCommand(params);
-        const result = await this.client.send(cmd);
+        const result = await this.client.send(cmd, { abortSignal: options.abortSignal });
         if (result.Messages?.length) {
           Logger.writeLog({
             flag: "sqs_operations",
@@ -462,6 +923,390 @@ class SQSHelper {
     );
   }
 
+  /**
+   * Delete many messages with DeleteMessageBatch
+   *
+   * Handles are sent in requests of 10; entries that fail server-side are
+   * retried on their own, entries SQS rejects (SenderFault) are reported.
+   *
+   * @param {string} flag - Queue flag from queue-config.json
+   * @param {Array<string|Object>} receiptHandles - Receipt handles, or messages from receive()
+   * @param {Object} [options={}] - Retry options (retries, delayMs)
+   * @returns {Promise<{successful: Array<{index: number, receiptHandle: string}>,
+   *   failed: Array<{index: number, receiptHandle: string, code: string, message: string, senderFault: boolean}>}>}
+   *   Per-entry result; index is the position in receiptHandles
+   * @throws {Error} When the parameters are invalid
+   * @example
+   * const messages = await SQSHelper.receive('processing_queue', 10);
+   * const { failed } = await SQSHelper.deleteBatch('processing_queue', messages);
+   */
+  static async deleteBatch(flag, receiptHandles, options = {}) {
+    let handles;
+    try {
+      ({ flag } = SafeUtils.sanitizeValidate({
+        flag: { value: flag, type: "string", required: true },
+      }));
+      handles = SQSHelper.receiptHandlesOf(receiptHandles);
+    } catch (err) {
+      ErrorHandler.add_error("Invalid parameters in SQSHelper.deleteBatch", {
+        flag,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "sqs_error",
+        action: "deleteBatch",
+        message: err.message,
+        critical: true,
+        data: { flag },
+      });
+      throw new Error(err.message);
+    }
+
+    const queueCfg = this.getQueueConfig(flag);
+    const entries = handles.map((handle, index) => ({ Id: String(index), ReceiptHandle: handle }));
+    const raw = await this.executeBatch(
+      "deleteBatch",
+      entries,
+      (group) => this.client.send(new DeleteMessageBatchCommand({ QueueUrl: queueCfg.queueUrl, Entries: group })),
+      options
+    );
+
+    const result = SQSHelper.batchResult(raw, (index) => ({ index, receiptHandle: handles[index] }));
+    SQSHelper.logBatchResult("deleteBatch", flag, result);
+    return result;
+  }
+
+  /**
+   * Change the visibility timeout of a received message
+   * @param {string} flag - Queue flag from queue-config.json
+   * @param {string} receiptHandle - Receipt handle from receive()
+   * @param {number} visibilityTimeout - Seconds from now until the message is visible again (0-43200, 0 releases it)
+   * @param {Object} [options={}] - Retry options (retries, delayMs)
+   * @returns {Promise<void>}
+   * @throws {Error} When the parameters are invalid or the call fails after retries
+   */
+  static async changeVisibility(flag, receiptHandle, visibilityTimeout, options = {}) {
+    try {
+      ({ flag, receiptHandle, visibilityTimeout } = SafeUtils.sanitizeValidate({
+        flag: { value: flag, type: "string", required: true },
+        receiptHandle: { value: receiptHandle, type: "string", required: true },
+        visibilityTimeout: { value: visibilityTimeout, type: "int", required: true },
+      }));
+      if (visibilityTimeout < 0 || visibilityTimeout > SQSVisibilityExtender.MAX_EXTENSION_SECONDS) {
+        throw new Error(`visibilityTimeout must be between 0 and ${SQSVisibilityExtender.MAX_EXTENSION_SECONDS}`);
+      }
+    } catch (err) {
+      ErrorHandler.add_error("Invalid parameters in SQSHelper.changeVisibility", {
+        flag,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "sqs_error",
+        action: "changeVisibility",
+        message: err.message,
+        critical: true,
+        data: { flag, visibilityTimeout },
+      });
+      throw new Error(err.message);
+    }
+
+    const queueCfg = this.getQueueConfig(flag);
+    const params = {
+      QueueUrl: queueCfg.queueUrl,
+      ReceiptHandle: receiptHandle,
+      VisibilityTimeout: visibilityTimeout,
+    };
+
+    return this.withRetry(
+      async () => {
+        const cmd = new ChangeMessageVisibilityCommand(params);
+        await this.client.send(cmd);
+        Logger.writeLog({
+          flag: "sqs_operations",
+          action: "changeVisibility",
+          message: visibilityTimeout === 0 ? "Message released" : "Message visibility changed",
+          data: { queueFlag: flag, visibilityTimeout }
+        });
+      },
+      options.retries,
+      options.delayMs
+    );
+  }
+
+  /**
+   * Change the visibility timeout of many messages with ChangeMessageVisibilityBatch
+   *
+   * Entries are sent in requests of 10; entries that fail server-side are
+   * retried on their own, entries SQS rejects (SenderFault) are reported.
+   *
+   * @param {string} flag - Queue flag from queue-config.json
+   * @param {Array<{receiptHandle: string, visibilityTimeout: number}>} entries - Handles and new timeouts in
+   *   seconds (0-43200); a received message may be passed as `message` instead of `receiptHandle`
+   * @param {Object} [options={}] - Retry options (retries, delayMs)
+   * @returns {Promise<{successful: Array<{index: number, receiptHandle: string, visibilityTimeout: number}>,
+   *   failed: Array<{index: number, receiptHandle: string, visibilityTimeout: number, code: string, message: string,
+   *   senderFault: boolean}>}>} Per-entry result; index is the position in entries
+   * @throws {Error} When the parameters are invalid
+   * @example
+   * // Give every message in the batch back to the queue
+   * await SQSHelper.changeVisibilityBatch('processing_queue', messages.map((message) => ({ message, visibilityTimeout: 0 })));
+   */
+  static async changeVisibilityBatch(flag, entries, options = {}) {
+    let items;
+    try {
+      ({ flag } = SafeUtils.sanitizeValidate({
+        flag: { value: flag, type: "string", required: true },
+      }));
+      if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error("entries must be a non-empty array");
+      }
+      const handles = SQSHelper.receiptHandlesOf(entries.map((entry) => entry?.receiptHandle ?? entry?.message ?? null));
+      items = entries.map((entry, index) => {
+        const { visibilityTimeout } = SafeUtils.sanitizeValidate({
+          visibilityTimeout: { value: entry.visibilityTimeout, type: "int", required: true },
+        });
+        if (visibilityTimeout < 0 || visibilityTimeout > SQSVisibilityExtender.MAX_EXTENSION_SECONDS) {
+          throw new Error(`Entry ${index}: visibilityTimeout must be between 0 and ${SQSVisibilityExtender.MAX_EXTENSION_SECONDS}`);
+        }
+        return { receiptHandle: handles[index], visibilityTimeout };
+      });
+    } catch (err) {
+      ErrorHandler.add_error("Invalid parameters in SQSHelper.changeVisibilityBatch", {
+        flag,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "sqs_error",
+        action: "changeVisibilityBatch",
+        message: err.message,
+        critical: true,
+        data: { flag },
+      });
+      throw new Error(err.message);
+    }
+
+    const queueCfg = this.getQueueConfig(flag);
+    const batchEntries = items.map((item, index) => ({
+      Id: String(index),
+      ReceiptHandle: item.receiptHandle,
+      VisibilityTimeout: item.visibilityTimeout,
+    }));
+    const raw = await this.executeBatch(
+      "changeVisibilityBatch",
+      batchEntries,
+      (group) => this.client.send(new ChangeMessageVisibilityBatchCommand({ QueueUrl: queueCfg.queueUrl, Entries: group })),
+      options
+    );
+
+    const result = SQSHelper.batchResult(raw, (index) => ({ index, ...items[index] }));
+    SQSHelper.logBatchResult("changeVisibilityBatch", flag, result);
+    return result;
+  }
+
+  /**
+   * Keep a received message hidden while it is being processed
+   *
+   * Starts a heartbeat that extends the message's visibility every
+   * `intervalSeconds` until stop() or release() is called, or until the
+   * message has been hidden for `maxExtensionSeconds`.
+   *
+   * @param {string} flag - Queue flag from queue-config.json
+   * @param {string} receiptHandle - Receipt handle from receive()
+   * @param {Object} [options={}] - Heartbeat options
+   * @param {number} [options.visibilityTimeout=30] - Seconds each extension keeps the message hidden
+   * @param {number} [options.intervalSeconds] - Seconds between extensions (default: half the visibility timeout)
+   * @param {number} [options.maxExtensionSeconds=3600] - Cap on total hidden time (at most 43200)
+   * @param {string} [options.messageId] - Message ID, for logging
+   * @returns {SQSVisibilityExtender} Started extender
+   * @throws {Error} When the parameters are invalid
+   * @example
+   * const extender = SQSHelper.extendVisibility('video_queue', message.ReceiptHandle, { visibilityTimeout: 120 });
+   * await transcode(message);
+   * await extender.stop();
+   */
+  static extendVisibility(flag, receiptHandle, options = {}) {
+    let visibilityTimeout, intervalSeconds, maxExtensionSeconds;
+    try {
+      ({ flag, receiptHandle, visibilityTimeout, intervalSeconds, maxExtensionSeconds } = SafeUtils.sanitizeValidate({
+        flag: { value: flag, type: "string", required: true },
+        receiptHandle: { value: receiptHandle, type: "string", required: true },
+        visibilityTimeout: { value: options.visibilityTimeout, type: "int", required: false, default: SQSHelper.DEFAULT_VISIBILITY_TIMEOUT },
+        intervalSeconds: { value: options.intervalSeconds, type: "int", required: false },
+        maxExtensionSeconds: {
+          value: options.maxExtensionSeconds,
+          type: "int",
+          required: false,
+          default: SQSVisibilityExtender.DEFAULT_MAX_EXTENSION_SECONDS,
+        },
+      }));
+      SQSHelper.validateHeartbeat(visibilityTimeout, intervalSeconds, maxExtensionSeconds);
+      this.getQueueConfig(flag);
+    } catch (err) {
+      ErrorHandler.add_error("Invalid parameters in SQSHelper.extendVisibility", {
+        flag,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "sqs_error",
+        action: "extendVisibility",
+        message: err.message,
+        critical: true,
+        data: { flag },
+      });
+      throw new Error(err.message);
+    }
+
+    return new SQSVisibilityExtender({
+      sqs: this,
+      flag,
+      receiptHandle,
+      messageId: options.messageId ?? null,
+      visibilityTimeout,
+      intervalSeconds: intervalSeconds ?? undefined,
+      maxExtensionSeconds,
+    }).start();
+  }
+
+  /**
+   * Check heartbeat settings shared by extendVisibility and consume
+   * @param {number} visibilityTimeout - Seconds each extension keeps the message hidden
+   * @param {number|null|undefined} intervalSeconds - Seconds between extensions
+   * @param {number} maxExtensionSeconds - Cap on total hidden time
+   * @returns {void}
+   * @throws {Error} When a value is out of range
+   */
+  static validateHeartbeat(visibilityTimeout, intervalSeconds, maxExtensionSeconds) {
+    const max = SQSVisibilityExtender.MAX_EXTENSION_SECONDS;
+    if (visibilityTimeout < 1 || visibilityTimeout > max) {
+      throw new Error(`visibilityTimeout must be between 1 and ${max}`);
+    }
+    if (intervalSeconds != null && (intervalSeconds < 1 || intervalSeconds >= visibilityTimeout)) {
+      throw new Error("intervalSeconds must be at least 1 and shorter than visibilityTimeout");
+    }
+    if (maxExtensionSeconds < visibilityTimeout || maxExtensionSeconds > max) {
+      throw new Error(`maxExtensionSeconds must be between visibilityTimeout and ${max}`);
+    }
+  }
+
+  /**
+   * Consume a queue continuously with a handler
+   *
+   * Long-polls the queue and runs `handler(message, { flag, body })` with at
+   * most `concurrency` handlers at once (`body` is the JSON-parsed message
+   * body). Messages are deleted when the handler resolves and left for
+   * redelivery when it throws. SIGTERM/SIGINT stop the consumer gracefully:
+   * polling stops, in-flight handlers finish, then the process exits as it
+   * would without the consumer (unless the application handles the signal).
+   * With several consumers running, the exit waits until all have drained.
+   * While a handler runs, a heartbeat keeps its message hidden (see
+   * extendVisibility) so slow handlers are not raced by a redelivery.
+   *
+   * @param {string} flag - Queue flag from queue-config.json
+   * @param {function(Object, Object): Promise<*>} handler - Message handler
+   * @param {Object} [options={}] - Consumer options
+   * @param {number} [options.concurrency=5] - Handlers running at once
+   * @param {number} [options.batchSize=10] - Messages requested per poll (1-10)
+   * @param {number} [options.waitTimeSeconds=20] - Long-poll wait (0-20)
+   * @param {number} [options.visibilityTimeout=30] - Visibility timeout set on receive and by each heartbeat
+   * @param {boolean} [options.heartbeat=true] - Extend visibility while handlers run
+   * @param {number} [options.heartbeatIntervalSeconds] - Seconds between extensions (default: half the visibility timeout)
+   * @param {number} [options.maxVisibilityExtensionSeconds=3600] - Cap on how long one message is kept hidden
+   * @param {boolean|function(Error, Object): boolean} [options.releaseOnFailure=false] - Make failed messages visible
+   *   again immediately (visibility 0) instead of after the timeout; a function decides per error and message
+   * @param {boolean} [options.ordered] - Run messages of the same MessageGroupId one at a time, in receive order
+   *   (default: true for FIFO queues)
+   * @param {string[]} [options.shutdownSignals=['SIGTERM', 'SIGINT']] - Signals that stop the consumer ([] to disable)
+   * @returns {SQSConsumer} Started consumer (stop() resolves with final stats)
+   * @throws {Error} When the flag, handler or options are invalid
+   * @example
+   * const consumer = SQSHelper.consume('processing_queue', async (message, { body }) => {
+   *   await resizeImage(body.bucket, body.key);
+   * }, { concurrency: 8 });
+   * await consumer.stop();
+   *
+   * // Video jobs: keep messages hidden up to 2 hours, retry quickly on throttling
+   * SQSHelper.consume('video_queue', transcode, {
+   *   visibilityTimeout: 120,
+   *   maxVisibilityExtensionSeconds: 7200,
+   *   releaseOnFailure: (err) => err.name === 'ThrottlingException',
+   * });
+   */
+  static consume(flag, handler, options = {}) {
+    let concurrency, batchSize, waitTimeSeconds, visibilityTimeout, heartbeat, heartbeatIntervalSeconds, maxVisibilityExtensionSeconds;
+    let ordered;
+    try {
+      ({
+        flag,
+        concurrency,
+        batchSize,
+        waitTimeSeconds,
+        visibilityTimeout,
+        heartbeat,
+        heartbeatIntervalSeconds,
+        maxVisibilityExtensionSeconds,
+      } = SafeUtils.sanitizeValidate({
+        flag: { value: flag, type: "string", required: true },
+        concurrency: { value: options.concurrency, type: "int", required: false, default: SQSConsumer.DEFAULT_CONCURRENCY },
+        batchSize: { value: options.batchSize, type: "int", required: false, default: SQSConsumer.DEFAULT_BATCH_SIZE },
+        waitTimeSeconds: { value: options.waitTimeSeconds, type: "int", required: false, default: SQSConsumer.DEFAULT_WAIT_TIME_SECONDS },
+        visibilityTimeout: { value: options.visibilityTimeout, type: "int", required: false, default: SQSHelper.DEFAULT_VISIBILITY_TIMEOUT },
+        heartbeat: { value: options.heartbeat, type: "bool", required: false, default: true },
+        heartbeatIntervalSeconds: { value: options.heartbeatIntervalSeconds, type: "int", required: false },
+        maxVisibilityExtensionSeconds: {
+          value: options.maxVisibilityExtensionSeconds,
+          type: "int",
+          required: false,
+          default: SQSVisibilityExtender.DEFAULT_MAX_EXTENSION_SECONDS,
+        },
+      }));
+      if (typeof handler !== "function") throw new Error("handler must be a function");
+      if (concurrency < 1) throw new Error("concurrency must be >= 1");
+      if (batchSize < 1 || batchSize > 10) throw new Error("batchSize must be between 1 and 10");
+      if (waitTimeSeconds < 0 || waitTimeSeconds > 20) throw new Error("waitTimeSeconds must be between 0 and 20");
+      SQSHelper.validateHeartbeat(visibilityTimeout, heartbeatIntervalSeconds, maxVisibilityExtensionSeconds);
+      const releaseOnFailure = options.releaseOnFailure;
+      if (releaseOnFailure !== undefined && typeof releaseOnFailure !== "boolean" && typeof releaseOnFailure !== "function") {
+        throw new Error("releaseOnFailure must be a boolean or a function");
+      }
+      if (options.shutdownSignals !== undefined && !Array.isArray(options.shutdownSignals)) {
+        throw new Error("shutdownSignals must be an array");
+      }
+      const queueCfg = this.getQueueConfig(flag);
+      ({ ordered } = SafeUtils.sanitizeValidate({
+        ordered: { value: options.ordered, type: "bool", required: false, default: queueCfg.fifo },
+      }));
+    } catch (err) {
+      ErrorHandler.add_error("Invalid parameters in SQSHelper.consume", {
+        flag,
+        error: err.message,
+      });
+      Logger.writeLog({
+        flag: "sqs_error",
+        action: "consume",
+        message: err.message,
+        critical: true,
+        data: { flag },
+      });
+      throw new Error(err.message);
+    }
+
+    return new SQSConsumer({
+      sqs: this,
+      flag,
+      handler,
+      concurrency,
+      batchSize,
+      waitTimeSeconds,
+      visibilityTimeout,
+      heartbeat,
+      heartbeatIntervalSeconds: heartbeatIntervalSeconds ?? undefined,
+      maxVisibilityExtensionSeconds,
+      releaseOnFailure: options.releaseOnFailure,
+      ordered,
+      shutdownSignals: options.shutdownSignals,
+    }).start();
+  }
+
   static async checkDLQ(
     flag,
     maxMessages = 1,
@@ -515,14 +1360,17 @@ class SQSHelper {
    * Send message directly to queue URL (bypasses config)
    * @param {string} queueUrl - Direct queue URL
    * @param {any} messageBody - Message body
-   * @param {Object} options - Optional parameters
+   * @param {Object} options - Optional parameters (delaySeconds, messageAttributes, retries, delayMs; for ".fifo"
+   *   URLs messageGroupId and messageDeduplicationId, see messageTypeParams)
    * @returns {Promise<Object>} Send result
    */
   static async sendToQueue(queueUrl, messageBody, options = {}) {
+    let typeParams;
     try {
       ({ queueUrl } = SafeUtils.sanitizeValidate({
         queueUrl: { value: queueUrl, type: "url", required: true },
       }));
+      typeParams = SQSHelper.messageTypeParams(SQSHelper.queueFromUrl(queueUrl), messageBody, 0, options);
     } catch (err) {
       throw new Error(err.message);
     }
@@ -531,7 +1379,7 @@ class SQSHelper {
     const params = {
       QueueUrl: queueUrl,
       MessageBody: bodyStr,
-      DelaySeconds: options.delaySeconds || 0,
+      ...typeParams,
     };
 
     if (options.messageAttributes && typeof options.messageAttributes === "object") {
@@ -563,10 +1411,12 @@ class SQSHelper {
 
   /**
    * Send batch of messages directly to queue URL
+   * Chunks and retries like sendBatch.
    * @param {string} queueUrl - Direct queue URL
    * @param {Array} messages - Array of messages
-   * @param {Object} options - Optional parameters
-   * @returns {Promise<Object>} Batch send result
+   * @param {Object} options - Optional parameters (delaySeconds, ids, messageGroupId, messageDeduplicationId,
+   *   maxBatchBytes, retries, delayMs; see sendBatch)
+   * @returns {Promise<Object>} Batch send result ({Successful, Failed, results}; see sendBatch)
    */
   static async sendBatchToQueue(queueUrl, messages, options = {}) {
     try {
@@ -577,36 +1427,7 @@ class SQSHelper {
       throw new Error(err.message);
     }
 
-    if (!Array.isArray(messages) || messages.length === 0) {
-      throw new Error("Messages must be a non-empty array");
-    }
-
-    const entries = messages.map((msg, idx) => ({
-      Id: String(idx),
-      MessageBody: JSON.stringify(msg),
-      DelaySeconds: options.delaySeconds || 0,
-    }));
-
-    const params = {
-      QueueUrl: queueUrl,
-      Entries: entries,
-    };
-
-    return this.withRetry(
-      async () => {
-        const cmd = new SendMessageBatchCommand(params);
-        const result = await this.client.send(cmd);
-        Logger.writeLog({
-          flag: "sqs_operations",
-          action: "sendBatchToQueue",
-          message: "Batch sent successfully",
-          data: { queueUrl, successCount: result.Successful?.length || 0 }
-        });
-        return result;
-      },
-      options.retries,
-      options.delayMs
-    );
+    return this.sendMessageBatch("sendBatchToQueue", SQSHelper.queueFromUrl(queueUrl), messages, options, { queueUrl });
   }
 
   /**
@@ -614,7 +1435,7 @@ class SQSHelper {
    * @param {string} queueUrl - Direct queue URL
    * @param {number} maxMessages - Maximum number of messages (1-10)
    * @param {number} waitTimeSeconds - Long polling wait time (0-20)
-   * @param {Object} options - Optional parameters
+   * @param {Object} options - Optional parameters (visibilityTimeout in seconds, retries, delayMs)
    * @returns {Promise<Array>} Array of messages
    */
   static async receiveFromQueue(queueUrl, maxMessages = 1, waitTimeSeconds = 10, options = {}) {
@@ -630,7 +1451,7 @@ class SQSHelper {
       QueueUrl: queueUrl,
       MaxNumberOfMessages: maxMessages,
       WaitTimeSeconds: waitTimeSeconds,
-      VisibilityTimeout: SQSHelper.DEFAULT_VISIBILITY_TIMEOUT,
+      VisibilityTimeout: options.visibilityTimeout ?? SQSHelper.DEFAULT_VISIBILITY_TIMEOUT,
     };
 
     return this.withRetry(
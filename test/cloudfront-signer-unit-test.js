@@ -0,0 +1,269 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *  CLOUDFRONT SIGNER UNIT TESTS
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Signing is local, so these tests use a generated RSA key pair and verify
+ * signatures with the matching public key. No AWS calls are made unless
+ * CLOUDFRONT_KEY_SECRET_NAME is set (Secrets Manager loading test).
+ *
+ * METHODS TESTED WITH EDGE CASES:
+ * ────────────────────────────────
+ * ✅ setKeyPair() - valid PEM, escaped newlines, missing key, bad algorithm
+ * ✅ init() - key pair from Secrets Manager (optional)
+ * ✅ getSignedUrl() - canned policy, custom policy (IP, date window), invalid CIDR
+ * ✅ getSignedCookies() - canned, wildcard custom policy
+ * ✅ getPresignedUrl() - registered distribution, unknown bucket, unsupported op
+ * ✅ buildPolicy() - conditions, invalid date window
+ *
+ * RUN: node test/cloudfront-signer-unit-test.js
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+import CloudFrontSigner from "../aws/CloudFrontSigner.js";
+import crypto from "crypto";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const region = process.env.AWS_REGION || "us-west-2";
+const CDN = "https://d111111abcdef8.cloudfront.net";
+
+let testResults = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+  skipped: 0
+};
+
+function logTest(methodName, passed, message = "", skipped = false) {
+  const status = skipped ? "⏭️  SKIP" : (passed ? "✅ PASS" : "❌ FAIL");
+  console.log(`${status} | ${methodName} | ${message}`);
+
+  testResults.tests.push({ methodName, passed, message, skipped });
+  if (skipped) testResults.skipped++;
+  else if (passed) testResults.passed++;
+  else testResults.failed++;
+}
+
+async function safeTest(testName, testFunc, expectError = false) {
+  try {
+    const result = await testFunc();
+    if (expectError) {
+      logTest(testName, false, "Expected error but operation succeeded");
+      return { success: false, result };
+    }
+    const isValid = result !== null && result !== undefined;
+    return { success: isValid, result };
+  } catch (error) {
+    if (expectError) {
+      logTest(testName, true, `Expected error: ${error.message.substring(0, 50)}`);
+      return { success: true, result: error };
+    }
+    logTest(testName, false, error.message);
+    return { success: false, result: error };
+  }
+}
+
+// CloudFront uses URL-safe base64: '+' → '-', '=' → '_', '/' → '~'
+function decodeCloudFrontBase64(value) {
+  return Buffer.from(value.replace(/-/g, "+").replace(/_/g, "=").replace(/~/g, "/"), "base64");
+}
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const privateKeyPem = privateKey.export({ type: "pkcs8", format: "pem" });
+
+console.log("🧪 CLOUDFRONT SIGNER UNIT TESTS");
+console.log("═".repeat(70));
+console.log(`Started: ${new Date().toISOString()}\n`);
+
+async function runCloudFrontSignerTests() {
+  try {
+
+    // ═══════════════════════════════════════════════════════════════════
+    // KEY PAIR TESTS
+    // ═══════════════════════════════════════════════════════════════════
+
+    console.log("🔑 KEY PAIR TESTS\n");
+
+    // Test 1: setKeyPair() - Escaped Newlines (as stored in secrets)
+    try {
+      CloudFrontSigner.setKeyPair({ keyPairId: "KTESTKEY", privateKey: privateKeyPem.replace(/\n/g, "\\n") });
+      const isValid = CloudFrontSigner.keyPair.privateKey === privateKeyPem;
+      logTest("setKeyPair() [escaped newlines]", isValid, `Key pair ID: ${CloudFrontSigner.keyPair.keyPairId}`);
+    } catch (error) {
+      logTest("setKeyPair() [escaped newlines]", false, error.message);
+    }
+
+    // Test 2: setKeyPair() - Missing Private Key
+    await safeTest("setKeyPair() [missing key]", async () => {
+      CloudFrontSigner.setKeyPair({ keyPairId: "KTESTKEY", privateKey: "" });
+    }, true);
+
+    // Test 3: setKeyPair() - Unsupported Algorithm
+    await safeTest("setKeyPair() [bad algorithm]", async () => {
+      CloudFrontSigner.setKeyPair({ keyPairId: "KTESTKEY", privateKey: privateKeyPem, algorithm: "MD5" });
+    }, true);
+
+    // Test 4: init() - Secrets Manager (optional)
+    if (process.env.CLOUDFRONT_KEY_SECRET_NAME) {
+      try {
+        await CloudFrontSigner.init(region, process.env.CLOUDFRONT_KEY_SECRET_NAME);
+        logTest("init() [secrets manager]", !!CloudFrontSigner.keyPair, `Loaded ${CloudFrontSigner.keyPair.keyPairId}`);
+      } catch (error) {
+        logTest("init() [secrets manager]", false, error.message);
+      }
+      CloudFrontSigner.setKeyPair({ keyPairId: "KTESTKEY", privateKey: privateKeyPem });
+    } else {
+      logTest("init() [secrets manager]", false, "CLOUDFRONT_KEY_SECRET_NAME not set", true);
+    }
+
+
+    // ═══════════════════════════════════════════════════════════════════
+    // SIGNED URL TESTS
+    // ═══════════════════════════════════════════════════════════════════
+
+    console.log("\n🔗 SIGNED URL TESTS\n");
+
+    // Test 5: getSignedUrl() - Canned Policy
+    try {
+      const url = CloudFrontSigner.getSignedUrl(`${CDN}/reports/q3.pdf`, { expiresInSeconds: 600 });
+      const params = new URL(url).searchParams;
+      const expires = Number(params.get("Expires"));
+      const cannedPolicy = JSON.stringify({
+        Statement: [{ Resource: `${CDN}/reports/q3.pdf`, Condition: { DateLessThan: { "AWS:EpochTime": expires } } }],
+      });
+      const verified = crypto.verify("sha1", Buffer.from(cannedPolicy), publicKey, decodeCloudFrontBase64(params.get("Signature")));
+      const isValid = verified && params.get("Key-Pair-Id") === "KTESTKEY" && expires > Date.now() / 1000;
+      logTest("getSignedUrl() [canned]", isValid, `Signature verified: ${verified}`);
+    } catch (error) {
+      logTest("getSignedUrl() [canned]", false, error.message);
+    }
+
+    // Test 6: getSignedUrl() - Custom Policy (IP range + date window)
+    try {
+      const url = CloudFrontSigner.getSignedUrl(`${CDN}/reports/q3.pdf`, {
+        expiresInSeconds: 600,
+        dateGreaterThan: new Date(Date.now() - 60 * 1000),
+        ipAddress: "203.0.113.0/24",
+      });
+      const params = new URL(url).searchParams;
+      const policy = decodeCloudFrontBase64(params.get("Policy"));
+      const condition = JSON.parse(policy.toString("utf8")).Statement[0].Condition;
+      const verified = crypto.verify("sha1", policy, publicKey, decodeCloudFrontBase64(params.get("Signature")));
+      const isValid = verified && condition.IpAddress["AWS:SourceIp"] === "203.0.113.0/24" && !!condition.DateGreaterThan;
+      logTest("getSignedUrl() [custom policy]", isValid, `Conditions: ${Object.keys(condition).join(", ")}`);
+    } catch (error) {
+      logTest("getSignedUrl() [custom policy]", false, error.message);
+    }
+
+    // Test 7: getSignedUrl() - Invalid CIDR
+    await safeTest("getSignedUrl() [invalid CIDR]", async () => {
+      CloudFrontSigner.getSignedUrl(`${CDN}/a.txt`, { ipAddress: "203.0.113.0/40" });
+    }, true);
+
+    // Test 8: buildPolicy() - Start After End
+    await safeTest("buildPolicy() [invalid date window]", async () => {
+      CloudFrontSigner.buildPolicy(`${CDN}/a.txt`, { dateLessThan: Date.now(), dateGreaterThan: Date.now() + 60000 });
+    }, true);
+
+
+    // ═══════════════════════════════════════════════════════════════════
+    // SIGNED COOKIE TESTS
+    // ═══════════════════════════════════════════════════════════════════
+
+    console.log("\n🍪 SIGNED COOKIE TESTS\n");
+
+    // Test 9: getSignedCookies() - Canned Policy
+    try {
+      const cookies = CloudFrontSigner.getSignedCookies(`${CDN}/members/welcome.html`, { expiresInSeconds: 3600 });
+      const isValid = !!cookies["CloudFront-Expires"] && !cookies["CloudFront-Policy"];
+      logTest("getSignedCookies() [canned]", isValid, `Cookies: ${Object.keys(cookies).join(", ")}`);
+    } catch (error) {
+      logTest("getSignedCookies() [canned]", false, error.message);
+    }
+
+    // Test 10: getSignedCookies() - Wildcard Resource
+    try {
+      const cookies = CloudFrontSigner.getSignedCookies(`${CDN}/members/*`, { expiresInSeconds: 3600 });
+      const policy = JSON.parse(decodeCloudFrontBase64(cookies["CloudFront-Policy"]).toString("utf8"));
+      const isValid = policy.Statement[0].Resource === `${CDN}/members/*`;
+      logTest("getSignedCookies() [wildcard]", isValid, `Resource: ${policy.Statement[0].Resource}`);
+    } catch (error) {
+      logTest("getSignedCookies() [wildcard]", false, error.message);
+    }
+
+    // Test 11: getSignedCookies() - Non-URL Resource
+    await safeTest("getSignedCookies() [invalid resource]", async () => {
+      CloudFrontSigner.getSignedCookies("members/*");
+    }, true);
+
+
+    // ═══════════════════════════════════════════════════════════════════
+    // AWSS3-COMPATIBLE API TESTS
+    // ═══════════════════════════════════════════════════════════════════
+
+    console.log("\n🔁 AWSS3-COMPATIBLE API TESTS\n");
+
+    // Test 12: getPresignedUrl() - Registered Distribution
+    try {
+      CloudFrontSigner.registerDistribution("media-bucket", `${CDN}/`);
+      const url = await CloudFrontSigner.getPresignedUrl("media-bucket", "videos/intro clip.mp4", "getObject", 600);
+      const isValid = url?.startsWith(`${CDN}/videos/intro%20clip.mp4?Expires=`);
+      logTest("getPresignedUrl() [registered distribution]", isValid, url?.substring(0, 70));
+    } catch (error) {
+      logTest("getPresignedUrl() [registered distribution]", false, error.message);
+    }
+
+    // Test 13: getPresignedUrl() - Unknown Bucket
+    await safeTest("getPresignedUrl() [unknown bucket]", async () => {
+      const previousDefault = CloudFrontSigner.defaultDomain;
+      CloudFrontSigner.defaultDomain = null;
+      try {
+        await CloudFrontSigner.getPresignedUrl("unregistered-bucket", "a.txt");
+      } finally {
+        CloudFrontSigner.defaultDomain = previousDefault;
+      }
+    }, true);
+
+    // Test 14: getPresignedUrl() - Unsupported Operation
+    await safeTest("getPresignedUrl() [unsupported op]", async () => {
+      await CloudFrontSigner.getPresignedUrl("media-bucket", "a.txt", "putObject");
+    }, true);
+
+
+    // ═══════════════════════════════════════════════════════════════════
+    // TEST SUMMARY
+    // ═══════════════════════════════════════════════════════════════════
+
+    console.log("\n" + "═".repeat(70));
+    console.log("📊 CLOUDFRONT SIGNER TEST SUMMARY");
+    console.log("═".repeat(70));
+    console.log(`Total Tests: ${testResults.passed + testResults.failed + testResults.skipped}`);
+    console.log(`✅ Passed: ${testResults.passed}`);
+    console.log(`❌ Failed: ${testResults.failed}`);
+    console.log(`⏭️  Skipped: ${testResults.skipped}`);
+
+    const totalExecuted = testResults.passed + testResults.failed;
+    const successRate = totalExecuted > 0 ? ((testResults.passed / totalExecuted) * 100).toFixed(1) : 0;
+    console.log(`Success Rate: ${successRate}%`);
+    console.log(`Finished: ${new Date().toISOString()}`);
+
+    if (testResults.failed > 0) {
+      console.log("\n❌ FAILED TESTS:");
+      testResults.tests
+        .filter(t => !t.passed && !t.skipped)
+        .forEach(t => console.log(`   • ${t.methodName}: ${t.message}`));
+    }
+
+    console.log("\n✅ CLOUDFRONT SIGNER UNIT TESTS COMPLETED!");
+
+  } catch (error) {
+    console.error("\n❌ Test suite failed:", error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+console.log("🚀 Starting CloudFront signer unit tests...\n");
+runCloudFrontSignerTests();
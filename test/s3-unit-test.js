@@ -10,46 +10,82 @@
  * ✅ Error handling and edge cases
  * ✅ Null/undefined/invalid parameter handling
  * ✅ Credential management and fallback
- * ✅ Encryption configuration (AES256, KMS)
+ * ✅ Multi-region / multi-account client routing
+ * ✅ Encryption configuration (AES256, KMS) and client-side envelope encryption
  * ✅ CORS configuration and validation
  * ✅ Public access blocking
- * ✅ Security audit with scoring
+ * ✅ Security audit with scoring (pluggable rules, JSON/Markdown/JUnit reports)
  * ✅ Multipart upload scenarios
  * ✅ Presigned URL generation
- * ✅ Cache management
+ * ✅ Cache management (LRU/TTL metadata cache, invalidation, statistics)
  * ✅ Bucket and file operations
  * 
  * METHODS TESTED WITH EDGE CASES:
  * ────────────────────────────────
- * ✅ init() - valid region, invalid region, credential fallback
+ * ✅ init() - valid region, invalid region, credential fallback, region switch
+ * ✅ registerBucket()/clientFor() - per-bucket region routing, invalid params
+ * ✅ send() - bucket region discovery on PermanentRedirect
  * ✅ createBucket() - valid, duplicate, invalid names
- * ✅ listBuckets() - empty, populated, caching
+ * ✅ listBuckets() - empty, populated, caching, explicit account scope
  * ✅ doesBucketExist() - existing, non-existing, cache
  * ✅ deleteBucket() - empty bucket, non-empty (should fail)
- * ✅ uploadFile() - various content types, sizes
- * ✅ doesFileExist() - existing, non-existing, cache
- * ✅ getFile() - existing, non-existing
+ * ✅ uploadFile() - various content types, sizes, inferred types, metadata/tags/SSE options
+ * ✅ doesFileExist() - existing, non-existing, cache, cache opt-out
+ * ✅ headFile() - cached HeadObject metadata, hit/miss statistics, copies isolated from callers
+ * ✅ configureCache()/invalidateCache() - TTL expiry, LRU eviction, prefix invalidation
+ * ✅ getFile() - existing, non-existing, invalid range
+ * ✅ getFileResponse() - conditional GET (If-None-Match / If-Modified-Since)
+ * ✅ getFileAsString()/getFileAsBuffer()/getFileAsJson() - byte ranges, malformed JSON
+ * ✅ downloadToPath()/downloadLarge() - verified download, parallel ranged download, composite checksums
+ * ✅ verifyObject()/getObjectParts() - CRC32C/SHA-256 checksums, MD5 ETag fallback, missing object
+ * ✅ configureClientEncryption() - envelope encryption round trip, multipart, copy, wrong master key
+ * ✅ selectObject() - CSV/TSV/JSON queries, gzip input, aggregates, CSV output, local fallback engine
  * ✅ deleteFile() - existing, non-existing
  * ✅ deleteFiles() - batch delete, empty array
- * ✅ listFiles() - with/without prefix
- * ✅ copyFile() - same bucket, different buckets
- * ✅ getPresignedUrl() - get, put, various expiry
+ * ✅ deletePrefix() - dry run, filter, invalid filter
+ * ✅ listFiles() - with/without prefix, pagination, delimiter folders
+ * ✅ iterateFiles() - page-by-page async iteration
+ * ✅ getStorageReport() - totals, storage class/prefix/extension/age breakdowns, CSV export
+ * ✅ copyFile() - same bucket, different buckets, multipart copy, metadata/tag directives
+ * ✅ moveFile() - verified move, same-object rejection
+ * ✅ copyPrefix()/movePrefix() - dry run, concurrency, filter, overlapping prefixes
+ * ✅ getPresignedUrl() - get, put, delete, head, response overrides, pinned PUT headers, expiry limits
+ * ✅ getPresignedPost() - policy conditions, key prefix, length range
  * ✅ initiateMultipartUpload() - valid, invalid
  * ✅ uploadPart() - valid parts, invalid part numbers
  * ✅ completeMultipartUpload() - valid, invalid parts
  * ✅ abortMultipartUpload() - cleanup
+ * ✅ uploadLarge() - small fallback, empty source, stream multipart, invalid part size, per-part checksums
+ * ✅ resumeUpload() - checkpointed upload resume, unknown checkpoint
+ * ✅ syncUp()/syncDown() - dry run, changed-only transfer, extraneous delete, exclude patterns
  * ✅ enableBucketEncryption() - AES256, KMS
  * ✅ checkBucketEncryption() - enabled, disabled
  * ✅ blockPublicAccess() - all controls
  * ✅ checkPublicAccessBlock() - various configs
  * ✅ configureCORS() - valid, wildcard warning
- * ✅ validateBucketSecurity() - comprehensive audit
+ * ✅ putBucketPolicy()/mergeBucketPolicy() - policy builder, merge/remove by Sid, dry-run diff, delete
+ * ✅ configureNotifications()/parseEventMessages() - SQS flags, filters, overlap check, event parsing
+ * ✅ validateBucketSecurity() - comprehensive audit, versioning/lifecycle/object lock checks, rule overrides
+ * ✅ auditAllBuckets() - filtered audit, JSON/Markdown/JUnit reports
+ * ✅ putLifecycleRules()/mergeLifecycleRules() - transitions, expiry, MPU abort, merge by ID
+ * ✅ enableVersioning()/suspendVersioning() - status changes
+ * ✅ listObjectVersions()/restoreObjectVersion() - version history and restore
+ * ✅ configureObjectLock()/getObjectLockConfiguration() - disabled bucket, invalid retention
  * 
  * RUN: node test/s3-unit-test.js
  * ═══════════════════════════════════════════════════════════════════════
  */
 
+import { DeleteObjectCommand } from "@aws-sdk/client-s3";
 import AwsS3 from "../aws/AwsS3.js";
+import S3SecurityAudit from "../aws/S3SecurityAudit.js";
+import S3StorageReport from "../aws/S3StorageReport.js";
+import { LocalKeyWrapper } from "../aws/S3EnvelopeEncryption.js";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
 import dotenv from "dotenv";
 
 dotenv.config();
@@ -128,6 +164,39 @@ async function runS3UnitTests() {
       await AwsS3.init("");
     }, true);
     
+    // Test 3a: init() - Region Switch Reuses Registry Clients
+    try {
+      const otherRegion = region === "eu-west-1" ? "us-east-1" : "eu-west-1";
+      await AwsS3.init(otherRegion);
+      const switched = AwsS3.defaultRegion === otherRegion;
+      const otherClient = AwsS3.client;
+      await AwsS3.init(otherRegion);
+      const reused = AwsS3.client === otherClient;
+      await AwsS3.init(region);
+      logTest("init() [region switch]", switched && reused && AwsS3.defaultRegion === region,
+        `Switched: ${switched}, client reused: ${reused}, restored: ${AwsS3.defaultRegion}`);
+    } catch (error) {
+      logTest("init() [region switch]", false, error.message);
+    }
+    
+    // Test 3b: registerBucket()/clientFor() - Per-Bucket Region Routing
+    try {
+      AwsS3.registerBucket("routing-check-bucket", { region: "ap-southeast-2" });
+      const routed = await AwsS3.clientFor("routing-check-bucket");
+      const routedRegion = await routed.config.region();
+      const defaultClient = await AwsS3.clientFor("unregistered-bucket");
+      logTest("registerBucket() [region routing]",
+        routedRegion === "ap-southeast-2" && defaultClient === AwsS3.client,
+        `Registered bucket → ${routedRegion}, unregistered → default client`);
+    } catch (error) {
+      logTest("registerBucket() [region routing]", false, error.message);
+    }
+    
+    // Test 3c: registerBucket() - Missing Bucket
+    await safeTest("registerBucket() [missing bucket]", async () => {
+      AwsS3.registerBucket("", { region: "eu-west-1" });
+    }, true);
+    
     
     // ═══════════════════════════════════════════════════════════════════
     // BUCKET OPERATIONS
@@ -176,6 +245,28 @@ async function runS3UnitTests() {
       logTest("listBuckets() [find test bucket]", false, error.message);
     }
     
+    // Test 9a: listBuckets() - Explicit Scope
+    try {
+      const buckets = await AwsS3.listBuckets({ region: "us-east-1" });
+      const found = buckets?.some(b => b.Name === TEST_BUCKET);
+      logTest("listBuckets() [explicit scope]", found,
+        `Listed via us-east-1 client, test bucket present: ${found}`);
+    } catch (error) {
+      logTest("listBuckets() [explicit scope]", false, error.message);
+    }
+    
+    // Test 9b: send() - Region Discovery on PermanentRedirect
+    try {
+      const wrongRegion = region === "eu-west-1" ? "us-east-1" : "eu-west-1";
+      AwsS3.registerBucket(TEST_BUCKET, { region: wrongRegion });
+      const files = await AwsS3.listFiles(TEST_BUCKET);
+      const discovered = AwsS3.registry.getBucketRegion(TEST_BUCKET);
+      logTest("send() [region redirect]", files !== null && discovered === region,
+        `Retried after redirect, bucket region recorded as ${discovered}`);
+    } catch (error) {
+      logTest("send() [region redirect]", false, error.message);
+    }
+    
     // Test 10: doesBucketExist() - Existing Bucket
     try {
       const exists = await AwsS3.doesBucketExist(TEST_BUCKET);
@@ -237,6 +328,34 @@ async function runS3UnitTests() {
       logTest("uploadFile() [binary]", false, error.message);
     }
     
+    // Test 16a: uploadFile() - Inferred Content Type With Metadata, Tags And Storage Class
+    try {
+      await AwsS3.uploadFile(TEST_BUCKET, "options/report.pdf", Buffer.from("%PDF-1.4 test"), {
+        metadata: { department: "qa" },
+        cacheControl: "max-age=60",
+        contentDisposition: 'attachment; filename="report.pdf"',
+        tags: { suite: "unit" },
+        storageClass: "STANDARD_IA",
+        serverSideEncryption: "AES256",
+      });
+      const exists = await AwsS3.doesFileExist(TEST_BUCKET, "options/report.pdf");
+      logTest("uploadFile() [options]", exists === true, 
+        "Uploaded with metadata, tags, storage class and SSE");
+      await AwsS3.deleteFile(TEST_BUCKET, "options/report.pdf");
+    } catch (error) {
+      logTest("uploadFile() [options]", false, error.message);
+    }
+    
+    // Test 16b: uploadFile() - Invalid Storage Class
+    await safeTest("uploadFile() [invalid storage class]", async () => {
+      await AwsS3.uploadFile(TEST_BUCKET, "options/bad.txt", "x", { storageClass: "COLD" });
+    }, true);
+    
+    // Test 16c: uploadFile() - KMS Key Without KMS Encryption
+    await safeTest("uploadFile() [kmsKeyId without SSE]", async () => {
+      await AwsS3.uploadFile(TEST_BUCKET, "options/bad.txt", "x", { kmsKeyId: "alias/test" });
+    }, true);
+    
     // Test 17: uploadFile() - Empty Key
     await safeTest("uploadFile() [empty key]", async () => {
       await AwsS3.uploadFile(TEST_BUCKET, "", "content");
@@ -294,6 +413,72 @@ async function runS3UnitTests() {
       logTest("listFiles() [empty prefix]", false, error.message);
     }
     
+    // Test 23a: listFiles() - Paginated (small pages)
+    try {
+      await AwsS3.uploadFile(TEST_BUCKET, "paged/a.txt", "a");
+      await AwsS3.uploadFile(TEST_BUCKET, "paged/b.txt", "b");
+      await AwsS3.uploadFile(TEST_BUCKET, "paged/sub/c.txt", "c");
+      const single = await AwsS3.listFiles(TEST_BUCKET, "paged/", { maxKeys: 2 });
+      const all = await AwsS3.listFiles(TEST_BUCKET, "paged/", { maxKeys: 2, paginate: true });
+      logTest("listFiles() [paginate]", single?.length === 2 && all?.length === 3, 
+        `Single page: ${single?.length}, paginated: ${all?.length}`);
+    } catch (error) {
+      logTest("listFiles() [paginate]", false, error.message);
+    }
+    
+    // Test 23b: listFiles() - Delimiter Returns Folders Separately
+    try {
+      const result = await AwsS3.listFiles(TEST_BUCKET, "paged/", { delimiter: "/" });
+      const isValid = result?.files?.length === 2 && result?.folders?.includes("paged/sub/");
+      logTest("listFiles() [delimiter]", isValid, 
+        `Files: ${result?.files?.length}, Folders: ${result?.folders?.join(", ")}`);
+    } catch (error) {
+      logTest("listFiles() [delimiter]", false, error.message);
+    }
+    
+    // Test 23c: iterateFiles() - Async Iteration Across Pages
+    try {
+      const keys = [];
+      for await (const obj of AwsS3.iterateFiles(TEST_BUCKET, "paged/", { pageSize: 1 })) {
+        keys.push(obj.Key);
+      }
+      logTest("iterateFiles() [pages]", keys.length === 3, 
+        `Iterated ${keys.length} objects one page at a time`);
+      await AwsS3.deleteFiles(TEST_BUCKET, keys);
+    } catch (error) {
+      logTest("iterateFiles() [pages]", false, error.message);
+    }
+    
+    // Test 23d: iterateFiles() - Invalid Bucket
+    await safeTest("iterateFiles() [empty bucket name]", async () => {
+      for await (const obj of AwsS3.iterateFiles("")) { void obj; }
+    }, true);
+    
+    // Test 23e: getStorageReport() - Totals and Breakdowns With CSV Export
+    try {
+      const usageKeys = ["usage/a/1.log", "usage/a/2.log", "usage/b/x.png"];
+      await AwsS3.uploadFile(TEST_BUCKET, usageKeys[0], "x".repeat(100));
+      await AwsS3.uploadFile(TEST_BUCKET, usageKeys[1], "x".repeat(50));
+      await AwsS3.uploadFile(TEST_BUCKET, usageKeys[2], "x".repeat(10));
+      const report = await AwsS3.getStorageReport(TEST_BUCKET, { prefix: "usage/", top: 2 });
+      const folderA = report?.byPrefix.find((group) => group.prefix === "usage/a/");
+      const logs = report?.byExtension.find((group) => group.extension === ".log");
+      const csv = report ? S3StorageReport.toCSV(report) : "";
+      const isValid = report?.totals.objects === 3 && report.totals.bytes === 160 &&
+        folderA?.bytes === 150 && logs?.objects === 2 && report.largest[0]?.key === "usage/a/1.log" &&
+        report.largest.length === 2 && csv.startsWith("section,name,objects,bytes");
+      logTest("getStorageReport() [breakdowns + CSV]", isValid,
+        `Objects: ${report?.totals.objects}, bytes: ${report?.totals.bytes}, prefixes: ${report?.byPrefix.length}`);
+      await AwsS3.deleteFiles(TEST_BUCKET, usageKeys);
+    } catch (error) {
+      logTest("getStorageReport() [breakdowns + CSV]", false, error.message);
+    }
+    
+    // Test 23f: getStorageReport() - Invalid Group Depth
+    await safeTest("getStorageReport() [groupByDepth 0]", async () => {
+      await AwsS3.getStorageReport(TEST_BUCKET, { groupByDepth: 0 });
+    }, true);
+    
     // Test 24: getFile() - Existing File
     try {
       const stream = await AwsS3.getFile(TEST_BUCKET, TEST_FILE_KEY);
@@ -308,6 +493,297 @@ async function runS3UnitTests() {
       await AwsS3.getFile(TEST_BUCKET, "nonexistent-file.txt");
     }, true);
     
+    // Test 25a: getFileAsString() - Byte Range
+    try {
+      const full = Buffer.from(TEST_CONTENT);
+      const partial = await AwsS3.getFileAsString(TEST_BUCKET, TEST_FILE_KEY, { range: { start: 0, end: 12 } });
+      const tail = await AwsS3.getFileAsBuffer(TEST_BUCKET, TEST_FILE_KEY, { range: { suffix: 4 } });
+      logTest("getFileAsString() [range]",
+        partial === full.subarray(0, 13).toString() && tail?.equals(full.subarray(full.length - 4)),
+        `First 13 bytes: "${partial}", last 4 bytes: ${tail?.length}`);
+    } catch (error) {
+      logTest("getFileAsString() [range]", false, error.message);
+    }
+    
+    // Test 25b: getFileResponse() - Conditional GET Not Modified
+    try {
+      const first = await AwsS3.getFileResponse(TEST_BUCKET, TEST_FILE_KEY);
+      await first?.body?.transformToString();
+      const byEtag = await AwsS3.getFileResponse(TEST_BUCKET, TEST_FILE_KEY, { ifNoneMatch: first?.etag });
+      const byDate = await AwsS3.getFileResponse(TEST_BUCKET, TEST_FILE_KEY, {
+        ifModifiedSince: new Date(Date.now() + 60000),
+      });
+      logTest("getFileResponse() [not modified]", byEtag?.notModified === true && byDate?.notModified === true,
+        `If-None-Match: ${byEtag?.notModified}, If-Modified-Since: ${byDate?.notModified}`);
+    } catch (error) {
+      logTest("getFileResponse() [not modified]", false, error.message);
+    }
+    
+    // Test 25c: getFile() - Invalid Range
+    await safeTest("getFile() [invalid range]", async () => {
+      await AwsS3.getFile(TEST_BUCKET, TEST_FILE_KEY, { range: { start: 10, end: 2 } });
+    }, true);
+    
+    // Test 25d: getFileAsJson() - Valid and Malformed JSON
+    try {
+      await AwsS3.uploadFile(TEST_BUCKET, "config/settings.json", JSON.stringify({ retries: 3 }));
+      await AwsS3.uploadFile(TEST_BUCKET, "config/broken.json", "{not json", "application/json");
+      const parsed = await AwsS3.getFileAsJson(TEST_BUCKET, "config/settings.json");
+      const broken = await AwsS3.getFileAsJson(TEST_BUCKET, "config/broken.json");
+      logTest("getFileAsJson() [valid + malformed]", parsed?.retries === 3 && broken === null,
+        `Parsed retries: ${parsed?.retries}, malformed → ${broken}`);
+      await AwsS3.deletePrefix(TEST_BUCKET, "config/");
+    } catch (error) {
+      logTest("getFileAsJson() [valid + malformed]", false, error.message);
+    }
+    
+    // Test 25e: downloadToPath() - Verified Download
+    const downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), "s3-download-"));
+    try {
+      const target = path.join(downloadDir, "nested", TEST_FILE_KEY);
+      const result = await AwsS3.downloadToPath(TEST_BUCKET, TEST_FILE_KEY, target);
+      const content = fs.readFileSync(target, "utf-8");
+      logTest("downloadToPath() [verified]", content === TEST_CONTENT && result?.size === Buffer.byteLength(TEST_CONTENT),
+        `Wrote ${result?.size} bytes, verified: ${result?.verified}`);
+    } catch (error) {
+      logTest("downloadToPath() [verified]", false, error.message);
+    }
+    
+    // Test 25f: downloadLarge() - Parallel Ranged Download
+    try {
+      const body = Buffer.alloc(11 * 1024 * 1024);
+      for (let i = 0; i < body.length; i += 4096) body.writeUInt32BE(i, i);
+      await AwsS3.uploadFile(TEST_BUCKET, "ranged-download.bin", body);
+      const target = path.join(downloadDir, "ranged-download.bin");
+      const result = await AwsS3.downloadLarge(TEST_BUCKET, "ranged-download.bin", target, {
+        partSize: 5 * 1024 * 1024,
+        threshold: 0,
+        concurrency: 3,
+      });
+      const same = fs.readFileSync(target).equals(body);
+      logTest("downloadLarge() [parallel ranges]", same && result?.partCount === 3 && result.verified,
+        `Parts: ${result?.partCount}, identical: ${same}`);
+      await AwsS3.deleteFile(TEST_BUCKET, "ranged-download.bin");
+    } catch (error) {
+      logTest("downloadLarge() [parallel ranges]", false, error.message);
+    } finally {
+      fs.rmSync(downloadDir, { recursive: true, force: true });
+    }
+    
+    // Test 25g: downloadToPath() - Non-Existing Object Leaves No File
+    try {
+      const target = path.join(os.tmpdir(), `s3-missing-${Date.now()}.txt`);
+      const result = await AwsS3.downloadToPath(TEST_BUCKET, "nonexistent-file.txt", target);
+      logTest("downloadToPath() [non-existing]", result === null && !fs.existsSync(target),
+        "Returned null without creating a file");
+    } catch (error) {
+      logTest("downloadToPath() [non-existing]", false, error.message);
+    }
+    
+    // Test 25h: uploadLarge() - Composite CRC32C Checksum Per Part
+    const checksumBody = Buffer.alloc(11 * 1024 * 1024);
+    for (let i = 0; i < checksumBody.length; i += 4096) checksumBody.writeUInt32BE(i, i);
+    try {
+      const result = await AwsS3.uploadLarge(TEST_BUCKET, "checksum.bin", checksumBody, {
+        partSize: 5 * 1024 * 1024,
+        threshold: 0,
+        checksumAlgorithm: "CRC32C",
+      });
+      const parts = await AwsS3.getObjectParts(TEST_BUCKET, "checksum.bin");
+      const isValid = result?.checksum?.type === "COMPOSITE" && parts?.length === 3 && !!parts[0].ChecksumCRC32C;
+      logTest("uploadLarge() [CRC32C checksum]", isValid,
+        `Checksum: ${result?.checksum?.value}, parts reported: ${parts?.length}`);
+    } catch (error) {
+      logTest("uploadLarge() [CRC32C checksum]", false, error.message);
+    }
+    
+    // Test 25i: downloadLarge() - Verified Against Composite Checksum
+    const checksumDir = fs.mkdtempSync(path.join(os.tmpdir(), "s3-checksum-"));
+    try {
+      const target = path.join(checksumDir, "checksum.bin");
+      const result = await AwsS3.downloadLarge(TEST_BUCKET, "checksum.bin", target, { partSize: 5 * 1024 * 1024, threshold: 0 });
+      logTest("downloadLarge() [composite checksum]", result?.verified === true && result.checksum?.algorithm === "CRC32C",
+        `Verified: ${result?.verified}, checksum: ${result?.checksum?.type}`);
+    } catch (error) {
+      logTest("downloadLarge() [composite checksum]", false, error.message);
+    } finally {
+      fs.rmSync(checksumDir, { recursive: true, force: true });
+    }
+    
+    // Test 25j: verifyObject() - Matching and Modified Local Copy
+    try {
+      const same = await AwsS3.verifyObject(TEST_BUCKET, "checksum.bin", checksumBody);
+      const modified = Buffer.from(checksumBody);
+      modified[1024] ^= 0xff;
+      const changed = await AwsS3.verifyObject(TEST_BUCKET, "checksum.bin", modified);
+      const isValid = same?.match === true && same.method === "checksum" && changed?.match === false;
+      logTest("verifyObject() [checksum]", isValid,
+        `Same: ${same?.match}, modified: ${changed?.match} (${changed?.method})`);
+      await AwsS3.deleteFile(TEST_BUCKET, "checksum.bin");
+    } catch (error) {
+      logTest("verifyObject() [checksum]", false, error.message);
+    }
+    
+    // Test 25k: verifyObject() - MD5 ETag Fallback and Missing Object
+    try {
+      const plain = await AwsS3.verifyObject(TEST_BUCKET, TEST_FILE_KEY, Buffer.from(TEST_CONTENT));
+      const missing = await AwsS3.verifyObject(TEST_BUCKET, "nonexistent-file.txt", Buffer.from(TEST_CONTENT));
+      const isValid = plain?.match === true && plain.method === "etag" && missing?.method === "missing";
+      logTest("verifyObject() [etag + missing]", isValid,
+        `Plain: ${plain?.method}, missing: ${missing?.method}`);
+    } catch (error) {
+      logTest("verifyObject() [etag + missing]", false, error.message);
+    }
+    
+    // Test 25l: uploadFile() - Unsupported Checksum Algorithm
+    await safeTest("uploadFile() [invalid checksumAlgorithm]", async () => {
+      await AwsS3.uploadFile(TEST_BUCKET, "checksum.txt", "content", { checksumAlgorithm: "MD5" });
+    }, true);
+    
+    // Test 25m: uploadFile() - Client-Side Encryption Without Key Wrapper
+    await safeTest("uploadFile() [encrypt without key wrapper]", async () => {
+      await AwsS3.uploadFile(TEST_BUCKET, "encrypted.txt", "content", { encrypt: true });
+    }, true);
+    
+    // Test 25n: uploadFile()/getFileAsString() - Envelope Encryption Round Trip
+    const masterKey = crypto.randomBytes(32);
+    AwsS3.configureClientEncryption({ keyWrapper: new LocalKeyWrapper(masterKey, "unit-test") });
+    try {
+      const secret = "Salary review 2025: confidential";
+      await AwsS3.uploadFile(TEST_BUCKET, "encrypted.txt", secret, { encrypt: true });
+      const raw = await AwsS3.getFileResponse(TEST_BUCKET, "encrypted.txt", { decrypt: false });
+      const ciphertext = Buffer.from(await raw.body.transformToByteArray());
+      const plaintext = await AwsS3.getFileAsString(TEST_BUCKET, "encrypted.txt");
+      const isValid = plaintext === secret && raw.encrypted && !ciphertext.toString("utf-8").includes("confidential");
+      logTest("uploadFile() [client-side encryption]", isValid,
+        `Stored ${ciphertext.length} encrypted bytes, decrypted: ${plaintext === secret}`);
+    } catch (error) {
+      logTest("uploadFile() [client-side encryption]", false, error.message);
+    }
+    
+    // Test 25o: uploadLarge()/downloadLarge() - Encrypted Multipart Upload
+    const encryptedDir = fs.mkdtempSync(path.join(os.tmpdir(), "s3-encrypted-"));
+    try {
+      const body = crypto.randomBytes(11 * 1024 * 1024);
+      await AwsS3.uploadLarge(TEST_BUCKET, "encrypted.bin", body, { partSize: 5 * 1024 * 1024, threshold: 0, encrypt: true });
+      const target = path.join(encryptedDir, "encrypted.bin");
+      const result = await AwsS3.downloadLarge(TEST_BUCKET, "encrypted.bin", target);
+      const same = fs.readFileSync(target).equals(body);
+      const verified = await AwsS3.verifyObject(TEST_BUCKET, "encrypted.bin", body);
+      logTest("uploadLarge() [client-side encryption]", same && result?.verified && verified?.method === "decrypted" && verified.match,
+        `Identical: ${same}, verifyObject: ${verified?.method}/${verified?.match}`);
+      await AwsS3.deleteFile(TEST_BUCKET, "encrypted.bin");
+    } catch (error) {
+      logTest("uploadLarge() [client-side encryption]", false, error.message);
+    } finally {
+      fs.rmSync(encryptedDir, { recursive: true, force: true });
+    }
+    
+    // Test 25p: copyFile() - Replacing Metadata Keeps the Envelope
+    try {
+      await AwsS3.copyFile(TEST_BUCKET, "encrypted.txt", TEST_BUCKET, "encrypted-copy.txt", { metadata: { reviewed: "yes" } });
+      const copy = await AwsS3.getFileAsString(TEST_BUCKET, "encrypted-copy.txt");
+      logTest("copyFile() [encrypted source]", copy?.includes("confidential"), "Copy still decrypts");
+      await AwsS3.deleteFile(TEST_BUCKET, "encrypted-copy.txt");
+    } catch (error) {
+      logTest("copyFile() [encrypted source]", false, error.message);
+    }
+    
+    // Test 25q: getFile() - Wrong Master Key Fails Authentication
+    try {
+      AwsS3.configureClientEncryption({ keyWrapper: new LocalKeyWrapper(crypto.randomBytes(32), "unit-test") });
+      const result = await AwsS3.getFile(TEST_BUCKET, "encrypted.txt");
+      logTest("getFile() [wrong master key]", result === null, "Returned null instead of plaintext");
+    } catch (error) {
+      logTest("getFile() [wrong master key]", false, error.message);
+    } finally {
+      AwsS3.configureClientEncryption({ keyWrapper: null });
+      await AwsS3.deleteFile(TEST_BUCKET, "encrypted.txt");
+    }
+    
+    // Test 25r: selectObject() - CSV Filter and Projection (Local Engine)
+    const peopleCsv = "name,age,city\nAda,36,Oslo\nBob,17,Rome\n\"Smith, Jo\",52,Oslo\n";
+    try {
+      await AwsS3.uploadFile(TEST_BUCKET, "select/people.csv", peopleCsv);
+      const rows = [];
+      const sql = "SELECT s.name FROM S3Object s WHERE CAST(s.age AS INT) >= 18 AND s.city = 'Oslo'";
+      for await (const row of AwsS3.selectObject(TEST_BUCKET, "select/people.csv", sql, { engine: "local" })) {
+        rows.push(row.name);
+      }
+      logTest("selectObject() [CSV, local engine]", rows.join("|") === "Ada|Smith, Jo", `Rows: ${rows.join("|")}`);
+    } catch (error) {
+      logTest("selectObject() [CSV, local engine]", false, error.message);
+    }
+    
+    // Test 25s: selectObject() - Gzipped JSON Lines Aggregate (S3 Select or Fallback)
+    try {
+      const lines = ['{"level":"error","ms":10}', '{"level":"info","ms":5}', '{"level":"error","ms":30}'].join("\n");
+      await AwsS3.uploadFile(TEST_BUCKET, "select/events.jsonl.gz", zlib.gzipSync(lines));
+      const rows = [];
+      const sql = "SELECT COUNT(*) AS errors FROM S3Object s WHERE s.level = 'error'";
+      for await (const row of AwsS3.selectObject(TEST_BUCKET, "select/events.jsonl.gz", sql)) {
+        rows.push(row);
+      }
+      logTest("selectObject() [gzip JSON lines]", rows.length === 1 && Number(rows[0].errors) === 2,
+        `Result: ${JSON.stringify(rows)}`);
+    } catch (error) {
+      logTest("selectObject() [gzip JSON lines]", false, error.message);
+    }
+    
+    // Test 25t: selectObject() - CSV Output With LIMIT
+    try {
+      const rows = [];
+      const sql = "SELECT * FROM S3Object LIMIT 2";
+      for await (const row of AwsS3.selectObject(TEST_BUCKET, "select/people.csv", sql, { outputFormat: "CSV", engine: "local" })) {
+        rows.push(row);
+      }
+      logTest("selectObject() [CSV output, LIMIT]", rows.length === 2 && rows[1].join(",") === "Bob,17,Rome",
+        `Rows: ${JSON.stringify(rows)}`);
+    } catch (error) {
+      logTest("selectObject() [CSV output, LIMIT]", false, error.message);
+    }
+    
+    // Test 25u: selectObject() - Invalid Input Format
+    await safeTest("selectObject() [invalid inputFormat]", async () => {
+      for await (const row of AwsS3.selectObject(TEST_BUCKET, "select/people.csv", "SELECT * FROM S3Object", { inputFormat: "XML" })) {
+        void row;
+      }
+    }, true);
+    
+    // Test 25v: selectObject() - SQL Outside the Local Subset
+    await safeTest("selectObject() [unsupported local SQL]", async () => {
+      const sql = "SELECT s.city, COUNT(*) FROM S3Object s GROUP BY s.city";
+      for await (const row of AwsS3.selectObject(TEST_BUCKET, "select/people.csv", sql, { engine: "local" })) {
+        void row;
+      }
+    }, true);
+    
+    // Test 25w: selectObject() - Less-Than Comparisons Survive Validation
+    try {
+      const rows = [];
+      const sql = "SELECT s.name FROM S3Object s WHERE CAST(s.age AS INT) <= 36 AND CAST(s.age AS INT)<40 AND s.city<>'Rome'";
+      for await (const row of AwsS3.selectObject(TEST_BUCKET, "select/people.csv", sql, { engine: "local" })) {
+        rows.push(row.name);
+      }
+      logTest("selectObject() [< and <= comparisons]", rows.join("|") === "Ada", `Rows: ${rows.join("|")}`);
+    } catch (error) {
+      logTest("selectObject() [< and <= comparisons]", false, error.message);
+    }
+    
+    // Test 25x: selectObject() - Tab-Separated Input
+    try {
+      await AwsS3.uploadFile(TEST_BUCKET, "select/people.tsv", "name\tcity\nAda\tOslo, Norway\nBob\tRome\n");
+      const rows = [];
+      const sql = "SELECT s.name, s.city FROM S3Object s";
+      for await (const row of AwsS3.selectObject(TEST_BUCKET, "select/people.tsv", sql, { delimiter: "\t", engine: "local" })) {
+        rows.push(`${row.name}=${row.city}`);
+      }
+      logTest("selectObject() [TSV delimiter]", rows.join("|") === "Ada=Oslo, Norway|Bob=Rome", `Rows: ${rows.join("|")}`);
+    } catch (error) {
+      logTest("selectObject() [TSV delimiter]", false, error.message);
+    }
+    await AwsS3.deleteFiles(TEST_BUCKET, ["select/people.csv", "select/people.tsv", "select/events.jsonl.gz"]);
+    
     // Test 26: copyFile() - Same Bucket
     try {
       await AwsS3.copyFile(TEST_BUCKET, TEST_FILE_KEY, TEST_BUCKET, "copied-file.txt");
@@ -354,6 +830,95 @@ async function runS3UnitTests() {
       logTest("copyFile() [large file]", false, error.message);
     }
     
+    // Test 27e: copyFile() - Multipart Copy with Preserved Metadata and Tags
+    try {
+      const body = Buffer.alloc(6 * 1024 * 1024, 1);
+      await AwsS3.uploadFile(TEST_BUCKET, "mp-copy-source.bin", body, {
+        metadata: { origin: "unit-test" },
+        tags: { stage: "raw" },
+      });
+      const result = await AwsS3.copyFile(TEST_BUCKET, "mp-copy-source.bin", TEST_BUCKET, "mp-copy-dest.bin", {
+        threshold: 0,
+        partSize: 5 * 1024 * 1024,
+      });
+      const ok = result?.multipart === true && result.partCount === 2 && result.size === body.length;
+      logTest("copyFile() [multipart]", ok,
+        `Parts: ${result?.partCount}, size: ${result?.size}`);
+    } catch (error) {
+      logTest("copyFile() [multipart]", false, error.message);
+    }
+    
+    // Test 27f: copyFile() - Replace Metadata and Tags
+    try {
+      const result = await AwsS3.copyFile(TEST_BUCKET, TEST_FILE_KEY, TEST_BUCKET, "replaced-copy.txt", {
+        metadata: { reviewed: "yes" },
+        tags: { stage: "final" },
+      });
+      logTest("copyFile() [replace metadata/tags]", result?.multipart === false,
+        `Copied with REPLACE directives, etag: ${result?.etag}`);
+      await AwsS3.deleteFile(TEST_BUCKET, "replaced-copy.txt");
+    } catch (error) {
+      logTest("copyFile() [replace metadata/tags]", false, error.message);
+    }
+    
+    // Test 27g: copyFile() - Conflicting Options
+    await safeTest("copyFile() [metadata with COPY directive]", async () => {
+      await AwsS3.copyFile(TEST_BUCKET, TEST_FILE_KEY, TEST_BUCKET, "dest.txt", {
+        metadataDirective: "COPY",
+        metadata: { a: "1" },
+      });
+    }, true);
+    
+    // Test 27h: moveFile() - Verified Move
+    try {
+      const result = await AwsS3.moveFile(TEST_BUCKET, "mp-copy-dest.bin", TEST_BUCKET, "moved/mp-copy.bin");
+      const sourceGone = !(await AwsS3.doesFileExist(TEST_BUCKET, "mp-copy-dest.bin"));
+      const destExists = await AwsS3.doesFileExist(TEST_BUCKET, "moved/mp-copy.bin");
+      logTest("moveFile() [verified move]", result !== null && sourceGone && destExists,
+        `Source removed: ${sourceGone}, destination present: ${destExists}`);
+    } catch (error) {
+      logTest("moveFile() [verified move]", false, error.message);
+    }
+    
+    // Test 27i: moveFile() - Same Source and Destination
+    await safeTest("moveFile() [same object]", async () => {
+      await AwsS3.moveFile(TEST_BUCKET, TEST_FILE_KEY, TEST_BUCKET, TEST_FILE_KEY);
+    }, true);
+    
+    // Test 27j: copyPrefix() - Dry Run and Copy
+    try {
+      await AwsS3.uploadFile(TEST_BUCKET, "tree/a.txt", "a");
+      await AwsS3.uploadFile(TEST_BUCKET, "tree/sub/b.txt", "b");
+      const plan = await AwsS3.copyPrefix(TEST_BUCKET, "tree/", TEST_BUCKET, "tree-copy/", { dryRun: true });
+      const report = await AwsS3.copyPrefix(TEST_BUCKET, "tree/", TEST_BUCKET, "tree-copy/", { concurrency: 2 });
+      const planned = plan?.keys?.map((k) => k.to).sort().join(",");
+      logTest("copyPrefix() [dry run + copy]",
+        planned === "tree-copy/a.txt,tree-copy/sub/b.txt" && report?.copied === 2 && report.errors.length === 0,
+        `Planned: ${planned}, copied: ${report?.copied}`);
+    } catch (error) {
+      logTest("copyPrefix() [dry run + copy]", false, error.message);
+    }
+    
+    // Test 27k: movePrefix() - Move with Filter
+    try {
+      const report = await AwsS3.movePrefix(TEST_BUCKET, "tree-copy/", TEST_BUCKET, "tree-moved/", {
+        filter: (obj) => obj.Key.endsWith("b.txt"),
+      });
+      const remaining = await AwsS3.listFiles(TEST_BUCKET, "tree-copy/");
+      logTest("movePrefix() [filtered]", report?.moved === 1 && remaining?.length === 1,
+        `Moved: ${report?.moved}, left in source: ${remaining?.length}`);
+      await AwsS3.deletePrefix(TEST_BUCKET, "tree");
+      await AwsS3.deletePrefix(TEST_BUCKET, "moved/");
+      await AwsS3.deleteFile(TEST_BUCKET, "mp-copy-source.bin");
+    } catch (error) {
+      logTest("movePrefix() [filtered]", false, error.message);
+    }
+    
+    // Test 27l: movePrefix() - Overlapping Prefixes
+    await safeTest("movePrefix() [overlapping prefixes]", async () => {
+      await AwsS3.movePrefix(TEST_BUCKET, "tree/", TEST_BUCKET, "tree/archive/");
+    }, true);
+    
     // Test 28: deleteFile() - Existing File
     try {
       await AwsS3.deleteFile(TEST_BUCKET, "copied-file.txt");
@@ -435,6 +1000,38 @@ async function runS3UnitTests() {
       await AwsS3.deleteFiles(TEST_BUCKET, ["valid.txt", null, "another.txt"]);
     }, true);
     
+    // Test 31e: deletePrefix() - Dry Run Leaves Objects In Place
+    try {
+      for (let i = 0; i < 5; i++) {
+        await AwsS3.uploadFile(TEST_BUCKET, `prefix-delete/file-${i}.${i % 2 ? "log" : "txt"}`, `c${i}`);
+      }
+      const report = await AwsS3.deletePrefix(TEST_BUCKET, "prefix-delete/", { dryRun: true });
+      const remaining = await AwsS3.listFiles(TEST_BUCKET, "prefix-delete/");
+      const isValid = report?.matched === 5 && report?.deleted === 0 && remaining?.length === 5;
+      logTest("deletePrefix() [dry run]", isValid, 
+        `Matched: ${report?.matched}, still present: ${remaining?.length}`);
+    } catch (error) {
+      logTest("deletePrefix() [dry run]", false, error.message);
+    }
+    
+    // Test 31f: deletePrefix() - Filtered Delete
+    try {
+      const logs = await AwsS3.deletePrefix(TEST_BUCKET, "prefix-delete/", {
+        filter: (obj) => obj.Key.endsWith(".log"),
+      });
+      const rest = await AwsS3.deletePrefix(TEST_BUCKET, "prefix-delete/");
+      const isValid = logs?.deleted === 2 && rest?.deleted === 3 && rest?.errors.length === 0;
+      logTest("deletePrefix() [filter]", isValid, 
+        `Filtered: ${logs?.deleted}, remainder: ${rest?.deleted}`);
+    } catch (error) {
+      logTest("deletePrefix() [filter]", false, error.message);
+    }
+    
+    // Test 31g: deletePrefix() - Non-Function Filter
+    await safeTest("deletePrefix() [invalid filter]", async () => {
+      await AwsS3.deletePrefix(TEST_BUCKET, "prefix-delete/", { filter: "*.log" });
+    }, true);
+    
     
     // ═══════════════════════════════════════════════════════════════════
     // PRESIGNED URL TESTS
@@ -464,7 +1061,7 @@ async function runS3UnitTests() {
     
     // Test 34: getPresignedUrl() - Unsupported Operation
     await safeTest("getPresignedUrl() [unsupported op]", async () => {
-      await AwsS3.getPresignedUrl(TEST_BUCKET, TEST_FILE_KEY, "deleteObject", 300);
+      await AwsS3.getPresignedUrl(TEST_BUCKET, TEST_FILE_KEY, "listObjects", 300);
     }, true);
     
     // Test 35: getPresignedUrl() - Invalid Expiry (negative)
@@ -472,6 +1069,74 @@ async function runS3UnitTests() {
       await AwsS3.getPresignedUrl(TEST_BUCKET, TEST_FILE_KEY, "getObject", -100);
     }, true);
     
+    // Test 35a: getPresignedUrl() - Delete and Head Object
+    try {
+      const deleteUrl = await AwsS3.getPresignedUrl(TEST_BUCKET, TEST_FILE_KEY, "deleteObject", 300);
+      const headUrl = await AwsS3.getPresignedUrl(TEST_BUCKET, TEST_FILE_KEY, "headObject", 300);
+      const isValid = deleteUrl?.startsWith("https://") && headUrl?.startsWith("https://");
+      logTest("getPresignedUrl() [delete/head]", isValid,
+        `Generated delete and head URLs`);
+    } catch (error) {
+      logTest("getPresignedUrl() [delete/head]", false, error.message);
+    }
+    
+    // Test 35b: getPresignedUrl() - Response Header Overrides
+    try {
+      const url = await AwsS3.getPresignedUrl(TEST_BUCKET, TEST_FILE_KEY, "getObject", 300, {
+        responseContentDisposition: 'attachment; filename="report.txt"',
+      });
+      const isValid = url?.includes("response-content-disposition=");
+      logTest("getPresignedUrl() [response override]", isValid,
+        `URL carries response-content-disposition`);
+    } catch (error) {
+      logTest("getPresignedUrl() [response override]", false, error.message);
+    }
+    
+    // Test 35c: getPresignedUrl() - Pinned Content-Type and Checksum on PUT
+    try {
+      const url = await AwsS3.getPresignedUrl(TEST_BUCKET, "upload-test.png", "putObject", 300, {
+        contentType: "image/png",
+        checksumSHA256: "47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU=",
+      });
+      const signed = new URL(url).searchParams.get("X-Amz-SignedHeaders") || "";
+      const isValid = signed.includes("content-type") && signed.includes("x-amz-checksum-sha256");
+      logTest("getPresignedUrl() [pinned put]", isValid,
+        `Signed headers: ${signed}`);
+    } catch (error) {
+      logTest("getPresignedUrl() [pinned put]", false, error.message);
+    }
+    
+    // Test 35d: getPresignedUrl() - Expiry Beyond 7 Days
+    await safeTest("getPresignedUrl() [expiry too long]", async () => {
+      await AwsS3.getPresignedUrl(TEST_BUCKET, TEST_FILE_KEY, "getObject", 8 * 24 * 3600);
+    }, true);
+    
+    // Test 35e: getPresignedPost() - Policy Conditions
+    try {
+      const post = await AwsS3.getPresignedPost(TEST_BUCKET, "uploads/${filename}", {
+        keyPrefix: "uploads/",
+        contentTypePrefix: "image/",
+        contentLengthRange: [1, 1024 * 1024],
+      });
+      const policy = JSON.parse(Buffer.from(post.fields.Policy, "base64").toString("utf8"));
+      const hasRange = policy.conditions.some((c) => Array.isArray(c) && c[0] === "content-length-range");
+      const isValid = post.url.startsWith("https://") && post.fields.key === "uploads/${filename}" && hasRange;
+      logTest("getPresignedPost() [conditions]", isValid,
+        `${policy.conditions.length} policy conditions`);
+    } catch (error) {
+      logTest("getPresignedPost() [conditions]", false, error.message);
+    }
+    
+    // Test 35f: getPresignedPost() - Key Outside Prefix
+    await safeTest("getPresignedPost() [key outside prefix]", async () => {
+      await AwsS3.getPresignedPost(TEST_BUCKET, "other/file.png", { keyPrefix: "uploads/" });
+    }, true);
+    
+    // Test 35g: getPresignedPost() - Invalid Length Range
+    await safeTest("getPresignedPost() [invalid length range]", async () => {
+      await AwsS3.getPresignedPost(TEST_BUCKET, "uploads/a.png", { contentLengthRange: [100, 10] });
+    }, true);
+    
     
     // ═══════════════════════════════════════════════════════════════════
     // MULTIPART UPLOAD TESTS
@@ -546,6 +1211,157 @@ async function runS3UnitTests() {
       logTest("abortMultipartUpload() [valid]", false, error.message);
     }
     
+    // Test 40a: uploadLarge() - Below Threshold (single PutObject)
+    try {
+      const result = await AwsS3.uploadLarge(TEST_BUCKET, "large-fallback.txt", "small content");
+      const isValid = result && result.uploadId === null && result.partCount === 1;
+      logTest("uploadLarge() [fallback]", isValid, 
+        `Uploaded ${result?.size} bytes without multipart`);
+      await AwsS3.deleteFile(TEST_BUCKET, "large-fallback.txt");
+    } catch (error) {
+      logTest("uploadLarge() [fallback]", false, error.message);
+    }
+    
+    // Test 40b: uploadLarge() - Stream Multipart With Progress
+    try {
+      const { Readable } = await import("stream");
+      const chunk = Buffer.alloc(1024 * 1024, 'b');
+      const stream = Readable.from(Array.from({ length: 11 }, () => chunk)); // 11MB
+      const progress = [];
+      const result = await AwsS3.uploadLarge(TEST_BUCKET, "large-stream.dat", stream, {
+        partSize: 5 * 1024 * 1024,
+        threshold: 5 * 1024 * 1024,
+        concurrency: 2,
+        onProgress: ({ loadedBytes }) => progress.push(loadedBytes),
+      });
+      const isValid = result && result.partCount === 3 && progress.length === 3;
+      logTest("uploadLarge() [stream multipart]", isValid, 
+        `Parts: ${result?.partCount}, Progress events: ${progress.length}`);
+      await AwsS3.deleteFile(TEST_BUCKET, "large-stream.dat");
+    } catch (error) {
+      logTest("uploadLarge() [stream multipart]", false, error.message);
+    }
+    
+    // Test 40c: uploadLarge() - Part Size Below S3 Minimum
+    await safeTest("uploadLarge() [invalid part size]", async () => {
+      await AwsS3.uploadLarge(TEST_BUCKET, "large-invalid.dat", "content", { partSize: 1024 });
+    }, true);
+    
+    // Test 40d: resumeUpload() - Continue Interrupted Checkpointed Upload
+    try {
+      const resumeKey = "resume-test.dat";
+      const content = Buffer.alloc(11 * 1024 * 1024, 'r'); // 11MB → 3 parts
+      const resumeUploadId = await AwsS3.initiateMultipartUpload(TEST_BUCKET, resumeKey);
+      const firstPart = await AwsS3.uploadPart(TEST_BUCKET, resumeKey, resumeUploadId, 1,
+        content.subarray(0, 5 * 1024 * 1024));
+      await AwsS3.checkpointStore.save({
+        checkpointId: `resume-${TEST_BUCKET}`,
+        bucket: TEST_BUCKET,
+        key: resumeKey,
+        uploadId: resumeUploadId,
+        partSize: 5 * 1024 * 1024,
+        parts: [firstPart],
+      });
+      
+      const uploadedParts = [];
+      const result = await AwsS3.resumeUpload(`resume-${TEST_BUCKET}`, content, {
+        onProgress: ({ partNumber }) => uploadedParts.push(partNumber),
+      });
+      const isValid = result && result.partCount === 3 && !uploadedParts.includes(1);
+      logTest("resumeUpload() [resume]", isValid, 
+        `Parts: ${result?.partCount}, re-uploaded: [${uploadedParts.join(", ")}]`);
+      await AwsS3.deleteFile(TEST_BUCKET, resumeKey);
+    } catch (error) {
+      logTest("resumeUpload() [resume]", false, error.message);
+    }
+    
+    // Test 40e: resumeUpload() - Unknown Checkpoint
+    await safeTest("resumeUpload() [unknown checkpoint]", async () => {
+      await AwsS3.resumeUpload(`missing-${Date.now()}`, "content");
+    }, true);
+    
+    
+    // ═══════════════════════════════════════════════════════════════════
+    // DIRECTORY SYNC TESTS
+    // ═══════════════════════════════════════════════════════════════════
+    
+    console.log("\n🔄 DIRECTORY SYNC TESTS\n");
+    
+    const syncRoot = fs.mkdtempSync(path.join(os.tmpdir(), "s3-sync-"));
+    const syncSrc = path.join(syncRoot, "src");
+    const syncDst = path.join(syncRoot, "dst");
+    fs.mkdirSync(path.join(syncSrc, "assets"), { recursive: true });
+    fs.writeFileSync(path.join(syncSrc, "index.html"), "<h1>v1</h1>");
+    fs.writeFileSync(path.join(syncSrc, "assets", "app.js"), "console.log(1);");
+    
+    // Test 40f: syncUp() - Dry Run Uploads Nothing
+    try {
+      const summary = await AwsS3.syncUp(syncSrc, TEST_BUCKET, "sync/", { dryRun: true });
+      const remote = await AwsS3.listFiles(TEST_BUCKET, "sync/");
+      logTest("syncUp() [dry run]", summary?.added.length === 2 && remote?.length === 0, 
+        `Planned: ${summary?.added.join(", ")}`);
+    } catch (error) {
+      logTest("syncUp() [dry run]", false, error.message);
+    }
+    
+    // Test 40g: syncUp() - Only Changed Files Are Re-uploaded
+    try {
+      await AwsS3.syncUp(syncSrc, TEST_BUCKET, "sync/");
+      fs.writeFileSync(path.join(syncSrc, "index.html"), "<h1>v2</h1>");
+      const summary = await AwsS3.syncUp(syncSrc, TEST_BUCKET, "sync/");
+      const isValid = summary?.updated.includes("index.html") && summary?.skipped.includes("assets/app.js");
+      logTest("syncUp() [changed only]", isValid, 
+        `Updated: ${summary?.updated.length}, Skipped: ${summary?.skipped.length}`);
+    } catch (error) {
+      logTest("syncUp() [changed only]", false, error.message);
+    }
+    
+    // Test 40h: syncDown() - Download And Remove Extraneous Local Files
+    try {
+      fs.mkdirSync(syncDst, { recursive: true });
+      fs.writeFileSync(path.join(syncDst, "extra.txt"), "not in S3");
+      const summary = await AwsS3.syncDown(TEST_BUCKET, "sync/", syncDst, { delete: true });
+      const content = fs.readFileSync(path.join(syncDst, "index.html"), "utf8");
+      const isValid = summary?.added.length === 2 && summary?.removed.includes("extra.txt") && content === "<h1>v2</h1>";
+      logTest("syncDown() [download + delete]", isValid, 
+        `Added: ${summary?.added.length}, Removed: ${summary?.removed.join(", ")}`);
+    } catch (error) {
+      logTest("syncDown() [download + delete]", false, error.message);
+    }
+    
+    // Test 40i: syncUp() - Missing Local Directory
+    await safeTest("syncUp() [missing dir]", async () => {
+      await AwsS3.syncUp(path.join(syncRoot, "does-not-exist"), TEST_BUCKET, "sync/");
+    }, true);
+    
+    await AwsS3.deletePrefix(TEST_BUCKET, "sync/");
+    fs.rmSync(syncRoot, { recursive: true, force: true });
+    
+    // Test 40j: uploadLarge() - Empty Source With Zero Threshold
+    try {
+      const result = await AwsS3.uploadLarge(TEST_BUCKET, "large-empty.txt", "", { threshold: 0 });
+      const isValid = result?.uploadId === null && result.size === 0;
+      logTest("uploadLarge() [empty source]", isValid, `Uploaded ${result?.size} bytes without multipart`);
+      await AwsS3.deleteFile(TEST_BUCKET, "large-empty.txt");
+    } catch (error) {
+      logTest("uploadLarge() [empty source]", false, error.message);
+    }
+    
+    // Test 40k: syncUp() - Global-Flag Exclude Pattern Matches Every File
+    const excludeRoot = fs.mkdtempSync(path.join(os.tmpdir(), "s3-sync-exclude-"));
+    try {
+      for (const name of ["a.log", "b.log", "c.log", "keep.txt"]) {
+        fs.writeFileSync(path.join(excludeRoot, name), name);
+      }
+      const summary = await AwsS3.syncUp(excludeRoot, TEST_BUCKET, "sync-exclude/", { dryRun: true, exclude: /\.log$/g });
+      logTest("syncUp() [exclude with g flag]", summary?.added.join(",") === "keep.txt",
+        `Planned: ${summary?.added.join(", ")}`);
+    } catch (error) {
+      logTest("syncUp() [exclude with g flag]", false, error.message);
+    } finally {
+      fs.rmSync(excludeRoot, { recursive: true, force: true });
+    }
+    
     
     // ═══════════════════════════════════════════════════════════════════
     // SECURITY CONFIGURATION TESTS
@@ -626,6 +1442,290 @@ async function runS3UnitTests() {
     }
     
     
+    // ═══════════════════════════════════════════════════════════════════
+    // LIFECYCLE, VERSIONING & RETENTION TESTS
+    // ═══════════════════════════════════════════════════════════════════
+    
+    console.log("\n🗂️  LIFECYCLE, VERSIONING & RETENTION TESTS\n");
+    
+    // Versioning is irreversible, so these tests use their own bucket
+    const VERSIONED_BUCKET = `${TEST_BUCKET}-ver`;
+    const versionedKey = "versioned/config.json";
+    let firstVersionId = null;
+    await AwsS3.createBucket(VERSIONED_BUCKET);
+    
+    // Test 48a: putLifecycleRules() - Transitions, Expiration, MPU Abort
+    try {
+      const rules = await AwsS3.putLifecycleRules(VERSIONED_BUCKET, [
+        {
+          id: "logs-archive",
+          prefix: "logs/",
+          transitions: [{ days: 30, storageClass: "STANDARD_IA" }, { days: 90, storageClass: "GLACIER" }],
+          expirationDays: 365,
+        },
+        { id: "cleanup-uploads", prefix: "", abortIncompleteUploadDays: 7 },
+      ]);
+      const stored = await AwsS3.getLifecycleRules(VERSIONED_BUCKET);
+      logTest("putLifecycleRules() [valid]", rules.length === 2 && stored.length === 2,
+        `Rules: ${stored.map(rule => rule.ID).join(", ")}`);
+    } catch (error) {
+      logTest("putLifecycleRules() [valid]", false, error.message);
+    }
+    
+    // Test 48b: mergeLifecycleRules() - Replace by ID and Append
+    try {
+      const merged = await AwsS3.mergeLifecycleRules(VERSIONED_BUCKET, [
+        { id: "logs-archive", prefix: "logs/", expirationDays: 30 },
+        { id: "old-versions", prefix: "", noncurrentExpirationDays: 30 },
+      ]);
+      const logsRule = merged.find(rule => rule.ID === "logs-archive");
+      const isValid = merged.length === 3 && logsRule?.Expiration?.Days === 30 && !logsRule.Transitions;
+      logTest("mergeLifecycleRules() [replace + append]", isValid,
+        `Rules: ${merged.map(rule => rule.ID).join(", ")}`);
+    } catch (error) {
+      logTest("mergeLifecycleRules() [replace + append]", false, error.message);
+    }
+    
+    // Test 48c: putLifecycleRules() - IA Transition Under 30 Days
+    await safeTest("putLifecycleRules() [invalid transition]", async () => {
+      await AwsS3.putLifecycleRules(VERSIONED_BUCKET, [
+        { id: "too-early", transitions: [{ days: 7, storageClass: "STANDARD_IA" }] },
+      ]);
+    }, true);
+    
+    // Test 48d: enableVersioning() / getVersioningStatus()
+    try {
+      await AwsS3.enableVersioning(VERSIONED_BUCKET);
+      const { status } = await AwsS3.getVersioningStatus(VERSIONED_BUCKET);
+      logTest("enableVersioning() [enabled]", status === "Enabled", `Status: ${status}`);
+    } catch (error) {
+      logTest("enableVersioning() [enabled]", false, error.message);
+    }
+    
+    // Test 48e: listObjectVersions() - Two Versions of One Key
+    try {
+      await AwsS3.uploadFile(VERSIONED_BUCKET, versionedKey, JSON.stringify({ version: 1 }));
+      await AwsS3.uploadFile(VERSIONED_BUCKET, versionedKey, JSON.stringify({ version: 2 }));
+      const { versions } = await AwsS3.listObjectVersions(VERSIONED_BUCKET, "", { key: versionedKey });
+      firstVersionId = versions.find(v => !v.IsLatest)?.VersionId;
+      logTest("listObjectVersions() [two versions]", versions.length === 2 && !!firstVersionId,
+        `Versions: ${versions.length}`);
+    } catch (error) {
+      logTest("listObjectVersions() [two versions]", false, error.message);
+    }
+    
+    // Test 48f: restoreObjectVersion() - Restore First Version
+    try {
+      const newVersionId = await AwsS3.restoreObjectVersion(VERSIONED_BUCKET, versionedKey, firstVersionId);
+      const body = await AwsS3.getFile(VERSIONED_BUCKET, versionedKey);
+      const isValid = newVersionId && JSON.parse(await body.transformToString()).version === 1;
+      logTest("restoreObjectVersion() [restore v1]", isValid,
+        `New latest version: ${newVersionId}`);
+    } catch (error) {
+      logTest("restoreObjectVersion() [restore v1]", false, error.message);
+    }
+    
+    // Test 48g: suspendVersioning()
+    try {
+      await AwsS3.suspendVersioning(VERSIONED_BUCKET);
+      const { status } = await AwsS3.getVersioningStatus(VERSIONED_BUCKET);
+      logTest("suspendVersioning() [suspended]", status === "Suspended", `Status: ${status}`);
+    } catch (error) {
+      logTest("suspendVersioning() [suspended]", false, error.message);
+    }
+    
+    // Test 48h: getObjectLockConfiguration() - Not Enabled
+    try {
+      const lock = await AwsS3.getObjectLockConfiguration(VERSIONED_BUCKET);
+      logTest("getObjectLockConfiguration() [disabled]", lock.enabled === false,
+        `Enabled: ${lock.enabled}`);
+    } catch (error) {
+      logTest("getObjectLockConfiguration() [disabled]", false, error.message);
+    }
+    
+    // Test 48i: configureObjectLock() - Both Days and Years
+    await safeTest("configureObjectLock() [days and years]", async () => {
+      await AwsS3.configureObjectLock(VERSIONED_BUCKET, { mode: "GOVERNANCE", days: 1, years: 1 });
+    }, true);
+    
+    // Test 48j: validateBucketSecurity() - Versioning and Lifecycle Checks
+    try {
+      const report = await AwsS3.validateBucketSecurity(VERSIONED_BUCKET);
+      const isValid = report.checks.versioning?.status === "Suspended" &&
+        report.checks.lifecycle?.abortsIncompleteUploads === true &&
+        report.checks.objectLock?.enabled === false;
+      logTest("validateBucketSecurity() [lifecycle/versioning]", isValid,
+        `Score: ${report.score}/100`);
+    } catch (error) {
+      logTest("validateBucketSecurity() [lifecycle/versioning]", false, error.message);
+    }
+    
+    // Test 48k: deleteBucket() - Force Removes All Versions
+    try {
+      const result = await AwsS3.deleteBucket(VERSIONED_BUCKET, { force: true });
+      const exists = await AwsS3.doesBucketExist(VERSIONED_BUCKET);
+      logTest("deleteBucket() [force, versioned]", result !== null && exists === false,
+        `Deleted: ${VERSIONED_BUCKET}`);
+    } catch (error) {
+      logTest("deleteBucket() [force, versioned]", false, error.message);
+    }
+    
+    
+    // ═══════════════════════════════════════════════════════════════════
+    // SECURITY AUDIT ENGINE TESTS
+    // ═══════════════════════════════════════════════════════════════════
+    
+    console.log("\n🛡️  SECURITY AUDIT ENGINE TESTS\n");
+    
+    // Test 48l: validateBucketSecurity() - Rule Results and Weights
+    try {
+      const report = await AwsS3.validateBucketSecurity(TEST_BUCKET);
+      const ruleIds = report.results.map(result => result.id);
+      const expected = ["encryption", "publicAccess", "cors", "bucketPolicy", "tlsOnly", "versioning", "logging", "lifecycle"];
+      const isValid = expected.every(id => ruleIds.includes(id)) && typeof report.passed === "boolean";
+      logTest("validateBucketSecurity() [rule results]", isValid,
+        `Rules: ${ruleIds.length}, Level: ${report.level}, Passed: ${report.passed}`);
+    } catch (error) {
+      logTest("validateBucketSecurity() [rule results]", false, error.message);
+    }
+    
+    // Test 48m: validateBucketSecurity() - Overrides and Custom Rule Set
+    try {
+      const report = await AwsS3.validateBucketSecurity(TEST_BUCKET, {
+        overrides: { objectLock: { enabled: false }, logging: { severity: "critical", weight: 50 } },
+      });
+      const logging = report.results.find(result => result.id === "logging");
+      const isValid = !report.checks.objectLock && logging.severity === "critical" && logging.weight === 50 &&
+        (logging.status !== "fail" || report.passed === false);
+      logTest("validateBucketSecurity() [overrides]", isValid,
+        `Logging: ${logging.status}, Score: ${report.score}/100`);
+    } catch (error) {
+      logTest("validateBucketSecurity() [overrides]", false, error.message);
+    }
+    
+    // Test 48n: validateBucketSecurity() - Unknown Override
+    await safeTest("validateBucketSecurity() [unknown override]", async () => {
+      await AwsS3.validateBucketSecurity(TEST_BUCKET, { overrides: { notARule: { weight: 1 } } });
+    }, true);
+    
+    // Test 48o: auditAllBuckets() - Filtered Audit with JSON/Markdown/JUnit Output
+    try {
+      const report = await AwsS3.auditAllBuckets({ filter: name => name === TEST_BUCKET });
+      const json = JSON.parse(S3SecurityAudit.toJSON(report));
+      const markdown = S3SecurityAudit.toMarkdown(report);
+      const junit = S3SecurityAudit.toJUnit(report);
+      const isValid = report.summary.total === 1 && json.buckets[0].bucket === TEST_BUCKET &&
+        markdown.includes(`## ${TEST_BUCKET}`) && junit.includes(`<testsuite name="${TEST_BUCKET}"`);
+      logTest("auditAllBuckets() [filtered + formats]", isValid,
+        `Buckets: ${report.summary.total}, Average score: ${report.summary.averageScore}`);
+    } catch (error) {
+      logTest("auditAllBuckets() [filtered + formats]", false, error.message);
+    }
+    
+    // Test 48p: putBucketPolicy()/getBucketPolicy() - Deny Non-TLS Requests
+    try {
+      await AwsS3.putBucketPolicy(TEST_BUCKET, [{ type: "denyInsecureTransport" }]);
+      const policy = await AwsS3.getBucketPolicy(TEST_BUCKET);
+      const audit = await AwsS3.validateBucketSecurity(TEST_BUCKET);
+      const tlsOnly = audit.results.find(result => result.id === "tlsOnly");
+      const isValid = policy?.Statement?.[0]?.Sid === "DenyInsecureTransport" && tlsOnly?.status === "pass";
+      logTest("putBucketPolicy() [deny non-TLS]", isValid,
+        `Sids: ${policy?.Statement?.map(statement => statement.Sid).join(", ")}, tlsOnly: ${tlsOnly?.status}`);
+    } catch (error) {
+      logTest("putBucketPolicy() [deny non-TLS]", false, error.message);
+    }
+    
+    // Test 48q: mergeBucketPolicy() - Add by Sid Without Clobbering
+    try {
+      const distributionArn = "arn:aws:cloudfront::123456789012:distribution/E2QWRUHAPOMQZL";
+      const preview = await AwsS3.mergeBucketPolicy(TEST_BUCKET, [{ type: "allowCloudFront", distributionArn }], { dryRun: true });
+      const merged = await AwsS3.mergeBucketPolicy(TEST_BUCKET, [{ type: "allowCloudFront", distributionArn }]);
+      const again = await AwsS3.mergeBucketPolicy(TEST_BUCKET, [{ type: "allowCloudFront", distributionArn }]);
+      const sids = (await AwsS3.getBucketPolicy(TEST_BUCKET))?.Statement?.map(statement => statement.Sid) ?? [];
+      const isValid = !preview.applied && preview.diff.added.includes("AllowCloudFront") && merged.applied &&
+        !again.applied && sids.includes("DenyInsecureTransport") && sids.includes("AllowCloudFront");
+      logTest("mergeBucketPolicy() [add by Sid]", isValid, `Sids: ${sids.join(", ")}`);
+    } catch (error) {
+      logTest("mergeBucketPolicy() [add by Sid]", false, error.message);
+    }
+    
+    // Test 48r: mergeBucketPolicy() - Unknown Statement Type
+    await safeTest("mergeBucketPolicy() [unknown statement type]", async () => {
+      await AwsS3.mergeBucketPolicy(TEST_BUCKET, [{ type: "allowEveryone" }]);
+    }, true);
+    
+    // Test 48s: mergeBucketPolicy()/deleteBucketPolicy() - Remove by Sid, Then Remove Policy
+    try {
+      const removed = await AwsS3.mergeBucketPolicy(TEST_BUCKET, [], { removeSids: ["AllowCloudFront"] });
+      await AwsS3.deleteBucketPolicy(TEST_BUCKET);
+      const policy = await AwsS3.getBucketPolicy(TEST_BUCKET);
+      const isValid = removed.diff.removed.includes("AllowCloudFront") && removed.policy?.Statement.length === 1 && policy === null;
+      logTest("deleteBucketPolicy() [remove by Sid + delete]", isValid, `Policy after delete: ${policy}`);
+    } catch (error) {
+      logTest("deleteBucketPolicy() [remove by Sid + delete]", false, error.message);
+    }
+    
+    // Test 48t: configureNotifications() - SQS Flag, Filters and EventBridge
+    try {
+      await AwsS3.configureNotifications(TEST_BUCKET, [
+        { destination: "sqs", queue: "processing_queue", prefix: "incoming/", suffix: ".csv" },
+        { destination: "eventbridge" },
+      ], { skipDestinationValidation: true });
+      const configuration = await AwsS3.getNotificationConfiguration(TEST_BUCKET);
+      const queue = configuration.QueueConfigurations[0];
+      const isValid = configuration.QueueConfigurations.length === 1 && queue.QueueArn.endsWith(":processing-queue") &&
+        queue.Filter?.Key?.FilterRules?.length === 2 && !!configuration.EventBridgeConfiguration;
+      logTest("configureNotifications() [SQS flag + EventBridge]", isValid,
+        `Queues: ${configuration.QueueConfigurations.map(item => item.Id).join(", ")}, EventBridge: ${!!configuration.EventBridgeConfiguration}`);
+    } catch (error) {
+      logTest("configureNotifications() [SQS flag + EventBridge]", false, error.message);
+    }
+    
+    // Test 48u: configureNotifications() - Overlapping Filters
+    await safeTest("configureNotifications() [overlapping rules]", async () => {
+      await AwsS3.configureNotifications(TEST_BUCKET, [
+        { destination: "sqs", queue: "test_queue", prefix: "incoming/" },
+      ], { merge: true, skipDestinationValidation: true });
+    }, true);
+    
+    // Test 48v: configureNotifications() - Empty Rule List Removes Notifications
+    try {
+      await AwsS3.configureNotifications(TEST_BUCKET, []);
+      const configuration = await AwsS3.getNotificationConfiguration(TEST_BUCKET);
+      const isValid = configuration.QueueConfigurations.length === 0 && !configuration.EventBridgeConfiguration;
+      logTest("configureNotifications() [remove all]", isValid, "Notifications cleared");
+    } catch (error) {
+      logTest("configureNotifications() [remove all]", false, error.message);
+    }
+    
+    // Test 48w: parseEventMessages() - Direct, SNS-Wrapped, EventBridge and Test Events
+    try {
+      const notification = {
+        Records: [{
+          eventSource: "aws:s3",
+          eventName: "ObjectCreated:Put",
+          eventTime: "2025-01-01T00:00:00.000Z",
+          s3: { bucket: { name: TEST_BUCKET }, object: { key: "incoming/q3+report%C3%A9.csv", size: 12, sequencer: "0055AED6DCD90281E5" } },
+        }],
+      };
+      const messages = [
+        { MessageId: "1", Body: JSON.stringify(notification) },
+        { MessageId: "2", Body: JSON.stringify({ Type: "Notification", Message: JSON.stringify(notification) }) },
+        { MessageId: "3", Body: JSON.stringify({ source: "aws.s3", "detail-type": "Object Created", detail: { bucket: { name: TEST_BUCKET }, object: { key: "a b.csv", size: 5 }, reason: "PutObject" } }) },
+        { MessageId: "4", Body: JSON.stringify({ Service: "Amazon S3", Event: "s3:TestEvent" }) },
+        { MessageId: "5", Body: "{}" },
+      ];
+      const parsed = AwsS3.parseEventMessages(messages);
+      const isValid = parsed[0].records[0]?.key === "incoming/q3 reporté.csv" && parsed[0].records[0].isObjectCreated &&
+        parsed[1].records[0]?.via === "sns" && parsed[2].records[0]?.key === "a b.csv" &&
+        parsed[3].isTestEvent && parsed[4].error !== null;
+      logTest("parseEventMessages() [all delivery shapes]", isValid,
+        `Keys: ${parsed.flatMap(entry => entry.records.map(record => record.key)).join(", ")}`);
+    } catch (error) {
+      logTest("parseEventMessages() [all delivery shapes]", false, error.message);
+    }
+    
+    
     // ═══════════════════════════════════════════════════════════════════
     // EDGE CASES & ERROR HANDLING
     // ═══════════════════════════════════════════════════════════════════
@@ -821,6 +1921,82 @@ async function runS3UnitTests() {
       logTest("Cache [invalidation]", false, error.message);
     }
     
+    // Test 60a: headFile() - Cached Metadata and Hit Statistics
+    try {
+      const testKey = "cache-meta-file.json";
+      await AwsS3.uploadFile(TEST_BUCKET, testKey, JSON.stringify({ cached: true }));
+      AwsS3.cache.objects.resetStats();
+      const first = await AwsS3.headFile(TEST_BUCKET, testKey);
+      const second = await AwsS3.headFile(TEST_BUCKET, testKey);
+      const stats = AwsS3.getCacheStats().objects;
+      const ok = first?.exists && first.contentType === "application/json" && second?.etag === first.etag &&
+        stats.hits === 1 && stats.misses === 1;
+      logTest("headFile() [cached metadata]", ok,
+        `Size ${first?.size}, ETag ${first?.etag}, hits ${stats.hits}, misses ${stats.misses}`);
+    } catch (error) {
+      logTest("headFile() [cached metadata]", false, error.message);
+    }
+    
+    // Test 60b: doesFileExist() - Cache Opt-Out Sees Deletes Made Elsewhere
+    try {
+      const testKey = "cache-meta-file.json";
+      await AwsS3.send(new DeleteObjectCommand({ Bucket: TEST_BUCKET, Key: testKey }));
+      const cached = await AwsS3.doesFileExist(TEST_BUCKET, testKey);
+      const fresh = await AwsS3.doesFileExist(TEST_BUCKET, testKey, { useCache: false });
+      logTest("doesFileExist() [useCache: false]", cached === true && fresh === false,
+        `Cached answer: ${cached}, fresh answer: ${fresh}`);
+    } catch (error) {
+      logTest("doesFileExist() [useCache: false]", false, error.message);
+    }
+    
+    // Test 60c: invalidateCache() - Key Prefix
+    try {
+      await AwsS3.uploadFile(TEST_BUCKET, "cache-prefix/a.txt", "a");
+      await AwsS3.uploadFile(TEST_BUCKET, "cache-prefix/b.txt", "b");
+      await AwsS3.headFile(TEST_BUCKET, "cache-prefix/a.txt");
+      await AwsS3.headFile(TEST_BUCKET, "cache-prefix/b.txt");
+      const removed = AwsS3.invalidateCache(TEST_BUCKET, "cache-prefix/", { prefix: true });
+      logTest("invalidateCache() [prefix]", removed === 2, `Removed ${removed} entries`);
+      await AwsS3.deletePrefix(TEST_BUCKET, "cache-prefix/");
+    } catch (error) {
+      logTest("invalidateCache() [prefix]", false, error.message);
+    }
+    
+    // Test 60d: configureCache() - TTL Expiry and LRU Eviction
+    try {
+      AwsS3.clearCache();
+      AwsS3.configureCache({ maxEntries: 2, ttlMs: 500, negativeTtlMs: 500 });
+      await AwsS3.headFile(TEST_BUCKET, TEST_FILE_KEY);
+      await AwsS3.headFile(TEST_BUCKET, "lru-1.txt");
+      await AwsS3.headFile(TEST_BUCKET, "lru-2.txt");
+      const evicted = AwsS3.getCacheStats().objects.evictions >= 1 && AwsS3.cache.objects.size === 2;
+      await new Promise(resolve => setTimeout(resolve, 600));
+      const expired = AwsS3.cache.objects.get(`${TEST_BUCKET}/lru-2.txt`) === undefined;
+      logTest("configureCache() [ttl + lru]", evicted && expired,
+        `Evicted over limit: ${evicted}, expired after TTL: ${expired}`);
+    } catch (error) {
+      logTest("configureCache() [ttl + lru]", false, error.message);
+    } finally {
+      AwsS3.configureCache({ maxEntries: 5000, ttlMs: 60000, negativeTtlMs: 5000 });
+    }
+    
+    // Test 60e: configureCache() - Invalid Limit
+    await safeTest("configureCache() [negative ttl]", async () => {
+      AwsS3.configureCache({ ttlMs: -1 });
+    }, true);
+    
+    // Test 60f: headFile() - Callers Cannot Modify the Cached Entry
+    try {
+      const first = await AwsS3.headFile(TEST_BUCKET, TEST_FILE_KEY);
+      first.size = -1;
+      first.metadata.tampered = "yes";
+      const second = await AwsS3.headFile(TEST_BUCKET, TEST_FILE_KEY);
+      const isValid = second !== first && second.size !== -1 && second.metadata.tampered === undefined;
+      logTest("headFile() [cached copy]", isValid, `Cached size after caller mutation: ${second?.size}`);
+    } catch (error) {
+      logTest("headFile() [cached copy]", false, error.message);
+    }
+    
     
     // ═══════════════════════════════════════════════════════════════════
     // CLEANUP
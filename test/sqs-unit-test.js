@@ -7,20 +7,23 @@
  * ─────────
  * ✅ SQSHelper initialization & configuration
  * ✅ Queue configuration validation (using existing config)
- * ✅ Message sending (single & batch) with direct queue URLs
+ * ✅ Queue ARN derivation from configured queue URLs
+ * ✅ Message sending (single & batch) with direct queue URLs, batch chunking and caller entry IDs
  * ✅ Message receiving with various parameters
- * ✅ Message deletion (single & batch)
+ * ✅ Message deletion (single & batch, chunked with per-entry failures)
  * ✅ Retry mechanism with exponential backoff
  * ✅ DLQ (Dead Letter Queue) operations
  * ✅ Parameter validation (null, empty, invalid types)
  * ✅ Message attributes handling
  * ✅ Delay seconds configuration
- * ✅ Visibility timeout
+ * ✅ Visibility timeout (per-receive, change/release, heartbeat extension with a cap)
  * ✅ Wait time (short/long polling)
  * ✅ Concurrent operations
  * ✅ Unicode/special characters in message body
  * ✅ Large message payloads
  * ✅ Edge cases (empty arrays, malformed data, etc.)
+ * ✅ Long-running consumer (bounded concurrency, delete on success, graceful stop)
+ * ✅ FIFO queues (config fields, group/deduplication IDs, ordered-per-group consumer)
  * 
  * TESTING APPROACH:
  * ─────────────────
@@ -153,6 +156,52 @@ async function runSqsUnitTests() {
       SQSHelper.getQueueConfig("non_existent_flag_xyz_123");
     }, true);
     
+    // Test 6a: getQueueArn() derives the ARN from the configured queue URL
+    try {
+      const { flag, queueUrl } = SQSHelper.config.queues[0];
+      const [account, name] = new URL(queueUrl).pathname.split("/").filter(Boolean);
+      const arn = SQSHelper.getQueueArn(flag);
+      logTest("getQueueArn() [configured flag]", arn.endsWith(`:${account}:${name}`) && arn.startsWith("arn:aws:sqs:"), arn);
+    } catch (error) {
+      logTest("getQueueArn() [configured flag]", false, error.message);
+    }
+    
+    // Test 6b: queueArnFromUrl() with a non-SQS URL (should fail)
+    await safeTest("queueArnFromUrl() [invalid URL]", async () => {
+      SQSHelper.queueArnFromUrl("https://example.com/queue");
+    }, true);
+    
+    // Test 6c: getQueueConfig() infers FIFO settings from a ".fifo" queue URL
+    try {
+      SQSHelper.config.queues.push({
+        flag: "unit_test_fifo_config",
+        queueUrl: "https://sqs.us-east-1.amazonaws.com/123456789012/orders.fifo",
+        contentBasedDeduplication: true,
+        messageGroupId: "orders",
+      });
+      const config = SQSHelper.getQueueConfig("unit_test_fifo_config");
+      const isValid = config.fifo === true && config.contentBasedDeduplication === true && config.messageGroupId === "orders";
+      logTest("getQueueConfig() [FIFO fields]", isValid, `fifo: ${config.fifo}, group: ${config.messageGroupId}`);
+    } catch (error) {
+      logTest("getQueueConfig() [FIFO fields]", false, error.message);
+    }
+    
+    // Test 6d: send() to a FIFO queue with a per-message delay (should fail before calling SQS)
+    await safeTest("send() [FIFO with delaySeconds]", async () => {
+      await SQSHelper.send("unit_test_fifo_config", { order: 1 }, { delaySeconds: 5 });
+    }, true);
+    
+    // Test 6e: getQueueConfig() with fifo: true on a standard queue URL (should fail)
+    await safeTest("getQueueConfig() [fifo flag on standard URL]", async () => {
+      SQSHelper.config.queues.push({
+        flag: "unit_test_fifo_mismatch",
+        queueUrl: "https://sqs.us-east-1.amazonaws.com/123456789012/orders",
+        fifo: true,
+      });
+      SQSHelper.getQueueConfig("unit_test_fifo_mismatch");
+    }, true);
+    SQSHelper.config.queues = SQSHelper.config.queues.filter(q => !q.flag.startsWith("unit_test_fifo_"));
+    
     
     // ════════════════════════════════════════════════════════════════════════
     // SECTION 2: MESSAGE SENDING - SINGLE (8 tests)
@@ -332,6 +381,37 @@ async function runSqsUnitTests() {
       await safeTest("sendBatchToQueue() [null messages]", async () => {
         await SQSHelper.sendBatchToQueue(TEST_QUEUE_URL, null);
       }, true);
+      
+      // Test 21a: sendBatchToQueue() with 25 messages (chunked into 3 requests)
+      try {
+        const messages = Array.from({ length: 25 }, (_, i) => ({ chunked: i }));
+        const response = await SQSHelper.sendBatchToQueue(TEST_QUEUE_URL, messages);
+        const isValid = response.Successful.length === 25 && response.Failed.length === 0 &&
+          response.results.every((entry, i) => entry.index === i && entry.success && entry.messageId);
+        logTest("sendBatchToQueue() [25 messages, auto-chunked]", isValid,
+          `Sent ${response.Successful.length}/25`);
+      } catch (error) {
+        logTest("sendBatchToQueue() [25 messages, auto-chunked]", false, error.message);
+      }
+      
+      // Test 21b: sendBatchToQueue() with caller IDs and one oversized message
+      try {
+        const messages = [{ small: 1 }, { large: "x".repeat(300 * 1024) }, { small: 2 }];
+        const response = await SQSHelper.sendBatchToQueue(TEST_QUEUE_URL, messages, {
+          ids: ["order-1", "order-2", "order-3"],
+        });
+        const isValid = response.Successful.map(entry => entry.Id).join(",") === "order-1,order-3" &&
+          response.Failed.length === 1 && response.Failed[0].Id === "order-2" && !response.results[1].success;
+        logTest("sendBatchToQueue() [caller IDs + oversized entry]", isValid,
+          `Failed: ${response.Failed.map(entry => `${entry.Id}:${entry.Code}`).join(", ")}`);
+      } catch (error) {
+        logTest("sendBatchToQueue() [caller IDs + oversized entry]", false, error.message);
+      }
+      
+      // Test 21c: sendBatchToQueue() with duplicate caller IDs (should fail)
+      await safeTest("sendBatchToQueue() [duplicate ids]", async () => {
+        await SQSHelper.sendBatchToQueue(TEST_QUEUE_URL, [{ a: 1 }, { a: 2 }], { ids: ["same", "same"] });
+      }, true);
     }
     
     
@@ -783,7 +863,238 @@ async function runSqsUnitTests() {
     
     
     // ════════════════════════════════════════════════════════════════════════
-    // CLEANUP: DELETE TEST QUEUE
+    // SECTION 9: CONSUMER & BATCH OPERATIONS (9 tests)
+    // ════════════════════════════════════════════════════════════════════════
+    
+    console.log("\n🔁 SECTION 9: CONSUMER & BATCH OPERATIONS\n");
+    
+    if (!TEST_QUEUE_URL) {
+      console.log("⚠️  Skipping consumer tests - test queue not available\n");
+      for (let i = 56; i <= 64; i++) {
+        logTest(`Consumer test #${i}`, false, "Queue not available", true);
+      }
+    } else {
+      // consume() works on configured flags, so register the temporary queue
+      const CONSUMER_FLAG = "unit_test_consumer";
+      SQSHelper.config.queues.push({ flag: CONSUMER_FLAG, queueUrl: TEST_QUEUE_URL });
+      
+      // Test 56: consume() handles messages, deletes successes and keeps failures
+      try {
+        await SQSHelper.sendBatch(CONSUMER_FLAG, [
+          { consumer_test: 1 },
+          { consumer_test: 2 },
+          { consumer_test: 3, fail: true },
+        ]);
+        const handled = new Set();
+        const consumer = SQSHelper.consume(CONSUMER_FLAG, async (message, { body }) => {
+          if (body?.consumer_test === undefined) return;
+          handled.add(body.consumer_test);
+          if (body.fail) throw new Error("Simulated handler failure");
+        }, { concurrency: 2, waitTimeSeconds: 1, shutdownSignals: [] });
+        
+        const deadline = Date.now() + 20000;
+        while (handled.size < 3 && Date.now() < deadline) {
+          await new Promise(resolve => setTimeout(resolve, 500));
+        }
+        const stats = await consumer.stop();
+        const isValid = handled.size === 3 && stats.failed >= 1 && stats.succeeded >= 2 && !stats.running;
+        logTest("consume() [handle, delete, keep failures]", isValid,
+          `Received: ${stats.received}, succeeded: ${stats.succeeded}, failed: ${stats.failed}`);
+      } catch (error) {
+        logTest("consume() [handle, delete, keep failures]", false, error.message);
+      }
+      
+      // Test 57: consume() stop() waits for in-flight handlers
+      try {
+        await SQSHelper.send(CONSUMER_FLAG, { consumer_slow: true });
+        let started = false;
+        let finished = false;
+        const consumer = SQSHelper.consume(CONSUMER_FLAG, async (message, { body }) => {
+          if (!body?.consumer_slow) return;
+          started = true;
+          await new Promise(resolve => setTimeout(resolve, 1500));
+          finished = true;
+        }, { waitTimeSeconds: 1, shutdownSignals: [] });
+        
+        const deadline = Date.now() + 20000;
+        while (!started && Date.now() < deadline) {
+          await new Promise(resolve => setTimeout(resolve, 200));
+        }
+        const stats = await consumer.stop();
+        logTest("consume() [graceful stop]", started && finished && stats.inFlight === 0,
+          `Handler finished before stop resolved: ${finished}`);
+      } catch (error) {
+        logTest("consume() [graceful stop]", false, error.message);
+      }
+      
+      // Test 58: consume() with invalid batchSize (should fail)
+      await safeTest("consume() [batchSize > 10]", async () => {
+        SQSHelper.consume(CONSUMER_FLAG, async () => {}, { batchSize: 11 });
+      }, true);
+      
+      // Test 59: changeVisibility() to 0 makes a message receivable again at once
+      try {
+        await SQSHelper.send(CONSUMER_FLAG, { visibility_release: true });
+        const [first] = await SQSHelper.receive(CONSUMER_FLAG, 1, 5, { visibilityTimeout: 300 });
+        if (!first) throw new Error("No message received");
+        await SQSHelper.changeVisibility(CONSUMER_FLAG, first.ReceiptHandle, 0);
+        const [again] = await SQSHelper.receive(CONSUMER_FLAG, 1, 5);
+        const isValid = again?.MessageId === first.MessageId;
+        if (again) await SQSHelper.delete(CONSUMER_FLAG, again.ReceiptHandle);
+        logTest("changeVisibility() [release]", isValid, `Redelivered: ${isValid}`);
+      } catch (error) {
+        logTest("changeVisibility() [release]", false, error.message);
+      }
+      
+      // Test 60: consume() heartbeat keeps a slow message from being redelivered
+      try {
+        await SQSHelper.send(CONSUMER_FLAG, { heartbeat_test: true });
+        let deliveries = 0;
+        let done = false;
+        const consumer = SQSHelper.consume(CONSUMER_FLAG, async (message, { body }) => {
+          if (!body?.heartbeat_test) return;
+          deliveries++;
+          await new Promise(resolve => setTimeout(resolve, 6000)); // three times the visibility timeout
+          done = true;
+        }, { concurrency: 2, waitTimeSeconds: 1, visibilityTimeout: 2, heartbeatIntervalSeconds: 1, shutdownSignals: [] });
+        
+        const deadline = Date.now() + 30000;
+        while (!done && Date.now() < deadline) {
+          await new Promise(resolve => setTimeout(resolve, 500));
+        }
+        await consumer.stop();
+        logTest("consume() [visibility heartbeat]", done && deliveries === 1, `Deliveries during processing: ${deliveries}`);
+      } catch (error) {
+        logTest("consume() [visibility heartbeat]", false, error.message);
+      }
+      
+      // Test 61: extendVisibility() with interval not shorter than the timeout (should fail)
+      await safeTest("extendVisibility() [interval >= visibilityTimeout]", async () => {
+        SQSHelper.extendVisibility(CONSUMER_FLAG, "receipt-handle", { visibilityTimeout: 10, intervalSeconds: 10 });
+      }, true);
+      
+      // Test 62: deleteBatch() deletes more than 10 messages in chunks
+      try {
+        await SQSHelper.sendBatch(CONSUMER_FLAG, Array.from({ length: 10 }, (_, i) => ({ batch_delete: i })));
+        await SQSHelper.send(CONSUMER_FLAG, { batch_delete: 10 });
+        await SQSHelper.send(CONSUMER_FLAG, { batch_delete: 11 });
+        const received = [];
+        const deadline = Date.now() + 20000;
+        while (received.length < 12 && Date.now() < deadline) {
+          received.push(...await SQSHelper.receive(CONSUMER_FLAG, 10, 2, { visibilityTimeout: 120 }));
+        }
+        const result = await SQSHelper.deleteBatch(CONSUMER_FLAG, received);
+        const isValid = received.length >= 12 && result.successful.length === received.length && result.failed.length === 0;
+        logTest("deleteBatch() [12+ messages]", isValid,
+          `Deleted: ${result.successful.length}/${received.length}`);
+      } catch (error) {
+        logTest("deleteBatch() [12+ messages]", false, error.message);
+      }
+      
+      // Test 63: deleteBatch() reports an invalid receipt handle per entry
+      try {
+        await SQSHelper.send(CONSUMER_FLAG, { batch_delete_partial: true });
+        const [message] = await SQSHelper.receive(CONSUMER_FLAG, 1, 5);
+        if (!message) throw new Error("No message received");
+        const result = await SQSHelper.deleteBatch(CONSUMER_FLAG, [message, "invalid_receipt_handle_xyz"], { retries: 0 });
+        const isValid = result.successful.length === 1 && result.successful[0].index === 0 &&
+          result.failed.length === 1 && result.failed[0].index === 1 && result.failed[0].senderFault;
+        logTest("deleteBatch() [partial failure]", isValid,
+          `Failed: ${result.failed.map(entry => `${entry.index}:${entry.code}`).join(", ")}`);
+      } catch (error) {
+        logTest("deleteBatch() [partial failure]", false, error.message);
+      }
+      
+      // Test 64: changeVisibilityBatch() releases received messages
+      try {
+        await SQSHelper.sendBatch(CONSUMER_FLAG, [{ batch_visibility: 1 }, { batch_visibility: 2 }]);
+        const received = [];
+        const deadline = Date.now() + 20000;
+        while (received.length < 2 && Date.now() < deadline) {
+          received.push(...await SQSHelper.receive(CONSUMER_FLAG, 10, 2, { visibilityTimeout: 300 }));
+        }
+        const result = await SQSHelper.changeVisibilityBatch(CONSUMER_FLAG,
+          received.map(message => ({ message, visibilityTimeout: 0 })));
+        const again = [];
+        while (again.length < received.length && Date.now() < deadline + 10000) {
+          again.push(...await SQSHelper.receive(CONSUMER_FLAG, 10, 2));
+        }
+        if (again.length > 0) await SQSHelper.deleteBatch(CONSUMER_FLAG, again);
+        const isValid = result.failed.length === 0 && again.length >= received.length;
+        logTest("changeVisibilityBatch() [release]", isValid,
+          `Released: ${result.successful.length}, received again: ${again.length}`);
+      } catch (error) {
+        logTest("changeVisibilityBatch() [release]", false, error.message);
+      }
+      
+      SQSHelper.config.queues = SQSHelper.config.queues.filter(q => q.flag !== CONSUMER_FLAG);
+    }
+    
+    
+    // ════════════════════════════════════════════════════════════════════════
+    // SECTION 10: FIFO QUEUES (3 tests)
+    // ════════════════════════════════════════════════════════════════════════
+    
+    console.log("\n🧾 SECTION 10: FIFO QUEUES\n");
+    
+    let fifoQueueUrl = null;
+    const FIFO_FLAG = "unit_test_fifo";
+    
+    // Test 65: createQueue() with a ".fifo" name creates a FIFO queue
+    try {
+      fifoQueueUrl = await SQSHelper.createQueue(`${TEST_QUEUE_NAME}.fifo`, { ContentBasedDeduplication: "true" });
+      SQSHelper.config.queues.push({ flag: FIFO_FLAG, queueUrl: fifoQueueUrl, contentBasedDeduplication: true });
+      logTest("createQueue() [FIFO]", SQSHelper.getQueueConfig(FIFO_FLAG).fifo, fifoQueueUrl);
+    } catch (error) {
+      logTest("createQueue() [FIFO]", false, error.message);
+    }
+    
+    if (!fifoQueueUrl) {
+      logTest("sendBatch() [FIFO groups]", false, "FIFO queue not available", true);
+      logTest("consume() [ordered per group]", false, "FIFO queue not available", true);
+    } else {
+      // Test 66: sendBatch() with a group ID function
+      const fifoMessages = [
+        { group: "a", seq: 1 }, { group: "b", seq: 1 }, { group: "a", seq: 2 },
+        { group: "b", seq: 2 }, { group: "a", seq: 3 },
+      ];
+      try {
+        const response = await SQSHelper.sendBatch(FIFO_FLAG, fifoMessages, { messageGroupId: message => message.group });
+        logTest("sendBatch() [FIFO groups]", response.Successful.length === fifoMessages.length,
+          `Sent ${response.Successful.length}/${fifoMessages.length}`);
+      } catch (error) {
+        logTest("sendBatch() [FIFO groups]", false, error.message);
+      }
+      
+      // Test 67: consume() handles each group in order
+      try {
+        const seen = { a: [], b: [] };
+        const consumer = SQSHelper.consume(FIFO_FLAG, async (message, { body }) => {
+          await new Promise(resolve => setTimeout(resolve, body.group === "a" ? 200 : 50));
+          seen[body.group].push(body.seq);
+        }, { concurrency: 5, waitTimeSeconds: 1, shutdownSignals: [] });
+        
+        const deadline = Date.now() + 20000;
+        while (seen.a.length + seen.b.length < fifoMessages.length && Date.now() < deadline) {
+          await new Promise(resolve => setTimeout(resolve, 300));
+        }
+        await consumer.stop();
+        const isValid = seen.a.join(",") === "1,2,3" && seen.b.join(",") === "1,2";
+        logTest("consume() [ordered per group]", isValid, `a: ${seen.a.join(",")}, b: ${seen.b.join(",")}`);
+      } catch (error) {
+        logTest("consume() [ordered per group]", false, error.message);
+      }
+      
+      SQSHelper.config.queues = SQSHelper.config.queues.filter(q => q.flag !== FIFO_FLAG);
+      try {
+        await SQSHelper.deleteQueue(fifoQueueUrl);
+        console.log(`✅ FIFO test queue deleted: ${TEST_QUEUE_NAME}.fifo`);
+      } catch (error) {
+        console.log(`⚠️  Failed to delete FIFO test queue: ${error.message}`);
+      }
+    }
+    
+    
     // ════════════════════════════════════════════════════════════════════════
     
     console.log("\n🧹 CLEANUP: DELETING TEST QUEUE\n");
@@ -0,0 +1,112 @@
+import crypto from "crypto";
+
+class Checksum {
+  /** @type {string[]} S3 checksum algorithms supported locally */
+  static ALGORITHMS = ["CRC32", "CRC32C", "SHA1", "SHA256"];
+
+  /** @type {Object<string, number>} Reflected CRC polynomials */
+  static POLYNOMIALS = { CRC32: 0xedb88320, CRC32C: 0x82f63b78 };
+
+  /** @type {Object<string, Uint32Array>} Lookup tables, built on first use */
+  static tables = {};
+
+  /**
+   * Whether an algorithm name is supported
+   * @param {string} algorithm - Algorithm name (e.g. 'CRC32C')
+   * @returns {boolean} True when supported
+   */
+  static isSupported(algorithm) {
+    return Checksum.ALGORITHMS.includes(algorithm);
+  }
+
+  /**
+   * CRC lookup table for a polynomial
+   * @param {string} algorithm - 'CRC32' or 'CRC32C'
+   * @returns {Uint32Array} 256-entry table
+   */
+  static table(algorithm) {
+    if (!Checksum.tables[algorithm]) {
+      const poly = Checksum.POLYNOMIALS[algorithm];
+      const table = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? poly ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+      }
+      Checksum.tables[algorithm] = table;
+    }
+    return Checksum.tables[algorithm];
+  }
+
+  /**
+   * Create an incremental hasher
+   * Both CRC and SHA hashers expose update(chunk) and digest() → Buffer, so
+   * streams can be checksummed chunk by chunk.
+   * @param {string} algorithm - One of Checksum.ALGORITHMS
+   * @returns {{update: function((Buffer|Uint8Array|string)): Object, digest: function(): Buffer}} Hasher
+   * @throws {TypeError} When the algorithm is not supported
+   */
+  static create(algorithm) {
+    if (!Checksum.isSupported(algorithm)) {
+      throw new TypeError(`Unsupported checksum algorithm "${algorithm}". Expected one of: ${Checksum.ALGORITHMS.join(", ")}`);
+    }
+    if (algorithm.startsWith("SHA")) {
+      return crypto.createHash(algorithm === "SHA1" ? "sha1" : "sha256");
+    }
+
+    const table = Checksum.table(algorithm);
+    let crc = 0xffffffff;
+    return {
+      update(chunk) {
+        const bytes = typeof chunk === "string" ? Buffer.from(chunk) : chunk;
+        for (let i = 0; i < bytes.length; i++) crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        return this;
+      },
+      digest() {
+        const out = Buffer.alloc(4);
+        out.writeUInt32BE((crc ^ 0xffffffff) >>> 0);
+        return out;
+      },
+    };
+  }
+
+  /**
+   * Checksum of in-memory data, base64-encoded as S3 reports it
+   * @param {string} algorithm - One of Checksum.ALGORITHMS
+   * @param {Buffer|Uint8Array|string} data - Content
+   * @returns {string} Base64 checksum
+   */
+  static compute(algorithm, data) {
+    return Checksum.create(algorithm).update(data).digest().toString("base64");
+  }
+
+  /**
+   * Composite (multipart) checksum from the raw checksums of each part
+   * S3 hashes the concatenated part checksums and appends "-<part count>".
+   * @param {string} algorithm - One of Checksum.ALGORITHMS
+   * @param {Buffer[]} partDigests - Raw (not base64) part checksums in part order
+   * @returns {string} Composite checksum, e.g. 'Jq5ffA==-3'
+   */
+  static combine(algorithm, partDigests) {
+    return `${Checksum.compute(algorithm, Buffer.concat(partDigests))}-${partDigests.length}`;
+  }
+
+  /**
+   * Read the checksum S3 returned on a GetObject/HeadObject/PutObject response
+   * Prefers CRC32C, then SHA256, CRC32 and SHA1.
+   * @param {Object} response - SDK response with Checksum<ALGORITHM> fields
+   * @returns {{algorithm: string, value: string, type: string}|null} Checksum, or null when none is present
+   */
+  static fromResponse(response) {
+    for (const algorithm of ["CRC32C", "SHA256", "CRC32", "SHA1"]) {
+      const value = response?.[`Checksum${algorithm}`];
+      if (value) {
+        const type = response.ChecksumType || (value.includes("-") ? "COMPOSITE" : "FULL_OBJECT");
+        return { algorithm, value, type };
+      }
+    }
+    return null;
+  }
+}
+
+export default Checksum;
@@ -0,0 +1,173 @@
+import path from "path";
+
+class MimeTypes {
+  /** @type {string} Fallback MIME type for unknown content */
+  static DEFAULT_TYPE = "application/octet-stream";
+
+  /** @type {Object<string, string>} File extension → MIME type */
+  static EXTENSIONS = {
+    // Text & documents
+    txt: "text/plain",
+    log: "text/plain",
+    md: "text/markdown",
+    csv: "text/csv",
+    tsv: "text/tab-separated-values",
+    html: "text/html",
+    htm: "text/html",
+    css: "text/css",
+    xml: "application/xml",
+    json: "application/json",
+    jsonl: "application/x-ndjson",
+    ndjson: "application/x-ndjson",
+    yaml: "application/yaml",
+    yml: "application/yaml",
+    pdf: "application/pdf",
+    rtf: "application/rtf",
+    doc: "application/msword",
+    docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    xls: "application/vnd.ms-excel",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ppt: "application/vnd.ms-powerpoint",
+    pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    // Scripts & web assets
+    js: "text/javascript",
+    mjs: "text/javascript",
+    cjs: "text/javascript",
+    map: "application/json",
+    wasm: "application/wasm",
+    webmanifest: "application/manifest+json",
+    // Images
+    png: "image/png",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg",
+    gif: "image/gif",
+    webp: "image/webp",
+    avif: "image/avif",
+    svg: "image/svg+xml",
+    ico: "image/x-icon",
+    bmp: "image/bmp",
+    tif: "image/tiff",
+    tiff: "image/tiff",
+    heic: "image/heic",
+    // Fonts
+    woff: "font/woff",
+    woff2: "font/woff2",
+    ttf: "font/ttf",
+    otf: "font/otf",
+    eot: "application/vnd.ms-fontobject",
+    // Audio & video
+    mp3: "audio/mpeg",
+    wav: "audio/wav",
+    ogg: "audio/ogg",
+    m4a: "audio/mp4",
+    aac: "audio/aac",
+    flac: "audio/flac",
+    mp4: "video/mp4",
+    m4v: "video/mp4",
+    mov: "video/quicktime",
+    webm: "video/webm",
+    mkv: "video/x-matroska",
+    avi: "video/x-msvideo",
+    ts: "video/mp2t",
+    m3u8: "application/vnd.apple.mpegurl",
+    // Archives
+    zip: "application/zip",
+    gz: "application/gzip",
+    tgz: "application/gzip",
+    tar: "application/x-tar",
+    bz2: "application/x-bzip2",
+    "7z": "application/x-7z-compressed",
+    rar: "application/vnd.rar",
+    parquet: "application/vnd.apache.parquet",
+  };
+
+  /**
+   * Magic-byte signatures checked by fromBuffer, in order.
+   * `offset` is where `bytes` must appear; `extra` adds a second check and
+   * `header` validates the rest of the header for prefixes too short to trust.
+   * @type {Array<{type: string, offset: number, bytes: number[], extra?: {offset: number, bytes: number[]},
+   *   header?: function(Uint8Array): boolean}>}
+   */
+  static SIGNATURES = [
+    { type: "image/png", offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { type: "image/jpeg", offset: 0, bytes: [0xff, 0xd8, 0xff] },
+    { type: "image/gif", offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+    { type: "image/webp", offset: 0, bytes: [0x52, 0x49, 0x46, 0x46], extra: { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] } },
+    { type: "audio/wav", offset: 0, bytes: [0x52, 0x49, 0x46, 0x46], extra: { offset: 8, bytes: [0x57, 0x41, 0x56, 0x45] } },
+    // "BM", zero reserved bytes and a known DIB header size (12, 40, 52, 56, 64, 108 or 124)
+    {
+      type: "image/bmp",
+      offset: 0,
+      bytes: [0x42, 0x4d],
+      extra: { offset: 6, bytes: [0x00, 0x00, 0x00, 0x00] },
+      header: (buf) =>
+        buf.length >= 18 &&
+        [12, 40, 52, 56, 64, 108, 124].includes(buf[14] | (buf[15] << 8) | (buf[16] << 16) | (buf[17] << 24)),
+    },
+    { type: "image/tiff", offset: 0, bytes: [0x49, 0x49, 0x2a, 0x00] },
+    { type: "image/tiff", offset: 0, bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+    { type: "application/pdf", offset: 0, bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+    { type: "application/zip", offset: 0, bytes: [0x50, 0x4b, 0x03, 0x04] },
+    { type: "application/gzip", offset: 0, bytes: [0x1f, 0x8b] },
+    { type: "application/x-7z-compressed", offset: 0, bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+    { type: "application/vnd.rar", offset: 0, bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07] },
+    { type: "application/wasm", offset: 0, bytes: [0x00, 0x61, 0x73, 0x6d] },
+    { type: "video/mp4", offset: 4, bytes: [0x66, 0x74, 0x79, 0x70] },
+    { type: "video/webm", offset: 0, bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+    // "ID3", version 2.2-2.4, no undefined flag bits and a syncsafe (7 bits per byte) tag size
+    {
+      type: "audio/mpeg",
+      offset: 0,
+      bytes: [0x49, 0x44, 0x33],
+      header: (buf) =>
+        buf.length >= 10 && buf[3] >= 2 && buf[3] <= 4 && buf[4] !== 0xff && (buf[5] & 0x0f) === 0 &&
+        buf.subarray(6, 10).every((b) => b < 0x80),
+    },
+    { type: "audio/ogg", offset: 0, bytes: [0x4f, 0x67, 0x67, 0x53] },
+    { type: "audio/flac", offset: 0, bytes: [0x66, 0x4c, 0x61, 0x43] },
+  ];
+
+  /**
+   * Resolve a MIME type from a file name, path or S3 key extension.
+   * @param {string} key - File name, path or object key
+   * @param {string|null} [fallback=MimeTypes.DEFAULT_TYPE] - Returned when the extension is unknown
+   * @returns {string|null} MIME type
+   */
+  static fromKey(key, fallback = MimeTypes.DEFAULT_TYPE) {
+    if (typeof key !== "string") return fallback;
+    const ext = path.posix.extname(key.split("?")[0]).slice(1).toLowerCase();
+    return MimeTypes.EXTENSIONS[ext] || fallback;
+  }
+
+  /**
+   * Sniff a MIME type from the leading bytes of a Buffer or Uint8Array.
+   * @param {Buffer|Uint8Array} buf - Content (only the first bytes are read)
+   * @param {string|null} [fallback=MimeTypes.DEFAULT_TYPE] - Returned when no signature matches
+   * @returns {string|null} MIME type
+   */
+  static fromBuffer(buf, fallback = MimeTypes.DEFAULT_TYPE) {
+    if (!(buf instanceof Uint8Array)) return fallback;
+    const matches = (offset, bytes) =>
+      buf.length >= offset + bytes.length && bytes.every((b, i) => buf[offset + i] === b);
+
+    const found = MimeTypes.SIGNATURES.find(
+      (sig) =>
+        matches(sig.offset, sig.bytes) &&
+        (!sig.extra || matches(sig.extra.offset, sig.extra.bytes)) &&
+        (!sig.header || sig.header(buf))
+    );
+    return found ? found.type : fallback;
+  }
+
+  /**
+   * Detect a MIME type from the key extension, falling back to magic bytes.
+   * @param {string} key - File name, path or object key
+   * @param {*} [body] - Content; sniffed only when it is a Buffer/Uint8Array
+   * @returns {string} MIME type (DEFAULT_TYPE when unknown)
+   */
+  static detect(key, body = null) {
+    return MimeTypes.fromKey(key, null) || MimeTypes.fromBuffer(body);
+  }
+}
+
+export default MimeTypes;
@@ -2,3 +2,5 @@ export { default as ErrorHandler } from "./ErrorHandler.js";
 export { default as Logger } from "./UtilityLogger.js";
 export { default as SafeUtils } from "./SafeUtils.js";
 export { default as DateTime } from "./DateTime.js";
+export { default as MimeTypes } from "./MimeTypes.js";
+export { default as Checksum } from "./Checksum.js";